@@ -3,10 +3,10 @@
  *
  * Rôle
  * - Point d’entrée applicatif (routing, layout global, transitions, navbar/footer).
- * - Centralise l’état du panier côté front (cartItems) et expose des handlers (add/remove/changeQty).
+ * - Branche le panier (CartContext) sur les pages : ajout depuis Shop, vidage après paiement.
  * - Applique une stratégie de routage conditionnelle selon le profil utilisateur :
- *   - Particulier : Home / Produits / Panier / Paiement
- *   - Professionnel : Dashboard / Catalogue / Performances
+ *   - Particulier : Home / Produits / Fiche produit / Panier / Paiement / Confirmation de commande / Mes commandes
+ *   - Professionnel : Dashboard / Catalogue / Performances / Commandes à traiter
  * - Force la page d’authentification comme route par défaut ("/") tant que l’utilisateur n’est pas connecté.
  *
  * Hypothèses / contrats
@@ -14,17 +14,18 @@
  *   - auth.token : vérité d’authentification (présence = utilisateur connecté)
  *   - auth.user  : payload utilisateur (doit inclure raison_soc si routage pro/particulier)
  * - Les composants de pages respectent les props suivantes :
- *   - <Shop onAdd={fn(product)} />
- *   - <Cart items, cartCount, onChangeQty, onRemoveItem, onRemoveMany, onClear />
+ *   - <Shop onAdd={fn(product)} /> (/produits, ou /produits/categorie/:slug pour le rayon d’une catégorie)
+ *   - <ProductDetail onAdd={fn(product, qty)} /> (produit lu depuis l’URL : /produits/:id, lien partageable)
+ *   - <Cart /> (lit et modifie le panier via useCart())
  *   - <PayWall onOrderCompleted={fn} />
+ *   - <OrderConfirmation /> (commande lue depuis l’URL : /commande/:id/confirmation)
  *
  * Notes
- * - Le compteur panier (cartCount) est dérivé de cartItems pour éviter toute désynchronisation.
+ * - Le compteur panier (cartCount) est dérivé des lignes dans CartContext pour éviter toute désynchronisation.
  * - Les routes sont encapsulées dans <RequireAuth> pour protéger l’accès après connexion.
  */
 
-// React + Router : navigation, routing et état local
-import { useMemo, useState } from "react";
+// React + Router : navigation et routing
 import { Routes, Route, Navigate, useLocation } from "react-router-dom";
 
 // Animations : transitions de pages (entrée/sortie)
@@ -33,6 +34,9 @@ import { AnimatePresence, motion } from "framer-motion";
 // UI : layout global (Box/Container) et typographie si nécessaire
 import { Box, Container, Typography } from "@mui/material";
 
+// Panier persistant (par utilisateur, synchronisé entre onglets et avec le serveur)
+import { useCart } from "./context/useCart";
+
 // Auth : contexte, garde-fous de routes publiques/privées
 import { useAuth } from "./context/AuthContext.jsx";
 import { PublicOnly } from "./routes/PublicOnly.jsx";
@@ -41,16 +45,23 @@ import { RequireAuth } from "./routes/RequireAuth.jsx";
 // Composants UI globaux
 import { Navbar } from "./components/Navbar";
 import { Footer } from "./components/Footer";
+// Diagnostic dev : écarts entre les réponses PHP et leurs schémas (services/schemas)
+import { ApiContractPanel } from "./components/ApiContractPanel.jsx";
 
 // Pages (routes)
 import { Home } from "./pages/Home";
 import { Shop } from "./pages/Shop";
+import { ProductDetail } from "./pages/ProductDetail.jsx";
 import { Cart } from "./pages/Cart";
 import { Auth } from "./pages/Auth.jsx";
 import { Dashboard } from "./pages/Dashboard.jsx";
 import { Catalog } from "./pages/Catalog.jsx";
 import { Performances } from "./pages/Performances.jsx";
+import { SellerOrders } from "./pages/SellerOrders.jsx";
 import { PayWall } from "./pages/PayWall.jsx";
+import { OrderConfirmation } from "./pages/OrderConfirmation.jsx";
+import { Orders } from "./pages/Orders.jsx";
+import { OrderDetail } from "./pages/OrderDetail.jsx";
 
 // Variants Framer Motion : animation standardisée entre les pages
 const pageVariants = {
@@ -68,98 +79,13 @@ const pageVariants = {
 };
 
 export function App() {
-  // État du panier côté front : tableau de lignes { id, name, price, qty, ... }
-  // NB : ce panier n’est pas persistant (refresh navigateur = panier vidé) tant qu’aucun storage n’est ajouté.
-  const [cartItems, setCartItems] = useState([]);
-
-  /**
-   * changeQty(id, delta)
-   * - Ajuste la quantité d’une ligne du panier.
-   * - delta peut être positif (ajout) ou négatif (retrait).
-   * - La quantité est clampée à >= 0 et la ligne est supprimée si qty retombe à 0.
-   * - L’identifiant de ligne est (x.id ?? x.name) pour tolérer des produits sans id côté API.
-   */
-  const changeQty = (id, delta) => {
-    if (!id || !delta) return;
-    setCartItems(
-      (prev) =>
-        prev
-          .map((x) =>
-            (x.id ?? x.name) === id
-              ? { ...x, qty: Math.max(0, Number(x.qty || 1) + Number(delta)) }
-              : x
-          )
-          .filter((x) => Number(x.qty || 1) > 0) 
-    );
-  };
-
-  /**
-   * removeItem(id)
-   * - Supprime une ligne du panier par identifiant (id ou name fallback).
-   */
-  const removeItem = (id) => {
-    setCartItems((prev) => prev.filter((x) => (x.id ?? x.name) !== id));
-  };
-
-  /**
-   * removeMany(ids)
-   * - Supprime plusieurs lignes en une seule mise à jour d’état.
-   * - Normalise les ids en string pour gérer des id numériques/hétérogènes.
-   */
-  const removeMany = (ids = []) => {
-    if (!ids.length) return;
-    const setIds = new Set(ids.map(String));
-    setCartItems((prev) =>
-      prev.filter((x) => !setIds.has(String(x.id ?? x.name)))
-    );
-  };
-
-  /**
-   * clearCart()
-   * - Vide entièrement le panier (utile post-commande / post-paiement).
-   */
-  const clearCart = () => setCartItems([]);
-
-  /**
-   * cartCount (dérivé)
-   * - Somme des quantités du panier. Dérivé de cartItems pour garantir la cohérence.
-   */
-  const cartCount = useMemo(
-    () => cartItems.reduce((n, it) => n + Number(it.qty || 1), 0),
-    [cartItems]
-  );
-
-  /**
-   * handleAdd(product)
-   * - Ajoute un produit au panier ou incrémente sa quantité si déjà présent.
-   * - Contrat minimal attendu sur product : { id?, name, price? }
-   * - Normalise la donnée pour usage UI (image_url, description, price numérique).
-   */
-  const handleAdd = (product) => {
-    setCartItems((prev) => {
-      const key = product.id ?? product.name;
-      const found = prev.find((p) => (p.id ?? p.name) === key);
-      if (found) {
-        return prev.map((p) =>
-          (p.id ?? p.name) === key ? { ...p, qty: (p.qty || 1) + 1 } : p
-        );
-      }
-      return [
-        ...prev,
-        {
-          id: product.id,
-          name: product.name,
-          price: Number(product.price) || 0,
-          image_url: product.image_url || product.imageUrl || null,
-          description: product.description || "",
-          qty: 1,
-        },
-      ];
-    });
-  };
+  // Panier : état partagé (CartContext), persisté par utilisateur et synchronisé avec le serveur
+  const { count: cartCount, add: handleAdd, clear: clearCart } = useCart();
 
-  // location : utilisé comme key des <Routes> pour forcer AnimatePresence à rejouer les animations
+  // location : sa première section sert de key aux <Routes> pour forcer AnimatePresence à rejouer
+  // les animations entre pages (mais pas entre les étapes d'une même page, ex: /paywall/:step).
   const location = useLocation();
+  const routeKey = location.pathname.split("/")[1] || "/";
 
   // useAuth() peut temporairement renvoyer null/undefined si le Provider n’entoure pas l’arbre.
   // Le fallback {} évite un crash immédiat, mais il faut s’assurer que <AuthProvider> est bien en amont (main.jsx).
@@ -191,7 +117,7 @@ export function App() {
         */}
         <Container maxWidth={false} disableGutters>
           <AnimatePresence mode="wait">
-            <Routes location={location} key={location.pathname}>
+            <Routes location={location} key={routeKey}>
               {/*
                 Route par défaut : Auth
                 - Toujours "/" (landing) afin de forcer l’authentification.
@@ -263,6 +189,22 @@ export function App() {
                       </RequireAuth>
                     }
                   />
+
+                  <Route
+                    path="/ventes"
+                    element={
+                      <RequireAuth>
+                        <motion.div
+                          variants={pageVariants}
+                          initial="initial"
+                          animate="animate"
+                          exit="exit"
+                        >
+                          <SellerOrders />
+                        </motion.div>
+                      </RequireAuth>
+                    }
+                  />
                 </>
               ) : (
                 // === Routes pour les Particuliers (Marketplace classique) ===
@@ -299,6 +241,38 @@ export function App() {
                     }
                   />
 
+                  <Route
+                    path="/produits/categorie/:slug"
+                    element={
+                      <RequireAuth>
+                        <motion.div
+                          variants={pageVariants}
+                          initial="initial"
+                          animate="animate"
+                          exit="exit"
+                        >
+                          <Shop onAdd={handleAdd} />
+                        </motion.div>
+                      </RequireAuth>
+                    }
+                  />
+
+                  <Route
+                    path="/produits/:id"
+                    element={
+                      <RequireAuth>
+                        <motion.div
+                          variants={pageVariants}
+                          initial="initial"
+                          animate="animate"
+                          exit="exit"
+                        >
+                          <ProductDetail onAdd={handleAdd} />
+                        </motion.div>
+                      </RequireAuth>
+                    }
+                  />
+
                   <Route
                     path="/panier"
                     element={
@@ -309,21 +283,14 @@ export function App() {
                           animate="animate"
                           exit="exit"
                         >
-                          <Cart
-                            items={cartItems}
-                            cartCount={cartCount}
-                            onChangeQty={changeQty}
-                            onRemoveItem={removeItem}
-                            onRemoveMany={removeMany}
-                            onClear={clearCart}
-                          />
+                          <Cart />
                         </motion.div>
                       </RequireAuth>
                     }
                   />
 
                   <Route
-                    path="/paywall"
+                    path="/paywall/:step?"
                     element={
                       <RequireAuth>
                         <motion.div
@@ -337,6 +304,54 @@ export function App() {
                       </RequireAuth>
                     }
                   />
+
+                  <Route
+                    path="/commande/:id/confirmation"
+                    element={
+                      <RequireAuth>
+                        <motion.div
+                          variants={pageVariants}
+                          initial="initial"
+                          animate="animate"
+                          exit="exit"
+                        >
+                          <OrderConfirmation />
+                        </motion.div>
+                      </RequireAuth>
+                    }
+                  />
+
+                  <Route
+                    path="/commandes"
+                    element={
+                      <RequireAuth>
+                        <motion.div
+                          variants={pageVariants}
+                          initial="initial"
+                          animate="animate"
+                          exit="exit"
+                        >
+                          <Orders />
+                        </motion.div>
+                      </RequireAuth>
+                    }
+                  />
+
+                  <Route
+                    path="/commandes/:id"
+                    element={
+                      <RequireAuth>
+                        <motion.div
+                          variants={pageVariants}
+                          initial="initial"
+                          animate="animate"
+                          exit="exit"
+                        >
+                          <OrderDetail />
+                        </motion.div>
+                      </RequireAuth>
+                    }
+                  />
                 </>
               )}
 
@@ -360,6 +375,9 @@ export function App() {
           </Container>
         </Box>
       </Box>
+
+      {/* Panneau de diagnostic du contrat API : développement uniquement */}
+      {import.meta.env.DEV && <ApiContractPanel />}
     </Box>
   );
 }
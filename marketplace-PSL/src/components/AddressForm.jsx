@@ -0,0 +1,68 @@
+/**
+ * @file AddressForm.jsx
+ * @description
+ * Saisie d’une adresse de livraison (tunnel de commande).
+ *
+ * Composant contrôlé : l’adresse et ses erreurs (models/checkout `validateAddress`) viennent du parent.
+ */
+// UI : Material UI
+import { Grid, MenuItem, TextField } from "@mui/material";
+// Modèle : pays desservis
+import { DELIVERY_COUNTRIES } from "../models/checkout";
+
+/**
+ * @param {object} props
+ * @param {import("../models/checkout").DeliveryAddress} props.address
+ * @param {Partial<Record<string, string>>} [props.errors] - Message par champ (affichés tels quels).
+ * @param {(address: import("../models/checkout").DeliveryAddress) => void} props.onChange
+ */
+export function AddressForm({ address, errors = {}, onChange }) {
+  const field = (name) => ({
+    value: address[name] ?? "",
+    onChange: (e) => onChange({ ...address, [name]: e.target.value }),
+    error: Boolean(errors[name]),
+    helperText: errors[name],
+    fullWidth: true,
+    required: true,
+  });
+
+  const handleCountry = (e) => {
+    const country = DELIVERY_COUNTRIES.find((c) => c.code === e.target.value);
+    onChange({ ...address, country_code: country.code, pays: country.name });
+  };
+
+  return (
+    <Grid container spacing={2}>
+      <Grid item xs={12}>
+        <TextField label="Destinataire" autoComplete="shipping name" {...field("nom")} />
+      </Grid>
+      <Grid item xs={12}>
+        <TextField label="Adresse" autoComplete="shipping address-line1" {...field("ligne")} />
+      </Grid>
+      <Grid item xs={12} sm={4}>
+        <TextField label="Code postal" autoComplete="shipping postal-code" {...field("code_postal")} />
+      </Grid>
+      <Grid item xs={12} sm={8}>
+        <TextField label="Ville" autoComplete="shipping address-level2" {...field("ville")} />
+      </Grid>
+      <Grid item xs={12}>
+        <TextField
+          select
+          label="Pays"
+          value={address.country_code || ""}
+          onChange={handleCountry}
+          error={Boolean(errors.country_code)}
+          helperText={errors.country_code}
+          fullWidth
+          required
+        >
+          {DELIVERY_COUNTRIES.map((c) => (
+            <MenuItem key={c.code} value={c.code}>
+              {c.name}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Grid>
+    </Grid>
+  );
+}
@@ -0,0 +1,107 @@
+/**
+ * @file ApiContractPanel.jsx
+ * @description
+ * Panneau de diagnostic (développement uniquement) des écarts de contrat API.
+ *
+ * Rôle
+ * - Affiche, en bas à droite de l’écran, les réponses PHP qui ne respectent pas leur schéma
+ *   (services/schemas) : endpoint, chemin fautif, attendu / reçu, nombre d’occurrences.
+ * - N’affiche rien tant qu’aucun écart n’a été détecté.
+ *
+ * Intégration
+ * - Monté par `App` uniquement si `import.meta.env.DEV` (absent du build de production,
+ *   où les écarts sont tracés par un `console.warn` structuré, voir lib/apiContract).
+ */
+
+// React : abonnement au store des rapports + état d’ouverture
+import { useState, useSyncExternalStore } from "react";
+// UI : Material UI
+import {
+  Paper,
+  Stack,
+  Typography,
+  Chip,
+  IconButton,
+  Tooltip,
+  Divider,
+  Box,
+} from "@mui/material";
+// Icônes
+import ReportProblemOutlinedIcon from "@mui/icons-material/ReportProblemOutlined";
+import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
+import ExpandLessIcon from "@mui/icons-material/ExpandLess";
+import ClearAllIcon from "@mui/icons-material/ClearAll";
+// Store des écarts de contrat
+import {
+  clearContractReports,
+  getContractReports,
+  subscribeContractReports,
+} from "../lib/apiContract";
+
+export function ApiContractPanel() {
+  const reports = useSyncExternalStore(subscribeContractReports, getContractReports);
+  const [open, setOpen] = useState(true);
+
+  if (!reports.length) return null;
+
+  return (
+    <Paper
+      elevation={6}
+      sx={{
+        position: "fixed",
+        right: 16,
+        bottom: 16,
+        zIndex: (theme) => theme.zIndex.snackbar,
+        width: { xs: "calc(100% - 32px)", sm: 440 },
+        maxHeight: open ? "50vh" : "auto",
+        display: "flex",
+        flexDirection: "column",
+        borderLeft: 4,
+        borderColor: "warning.main",
+      }}
+    >
+      {/* En-tête : compteur + actions */}
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ px: 2, py: 1 }}>
+        <ReportProblemOutlinedIcon color="warning" fontSize="small" />
+        <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+          Contrat API : {reports.length} écart{reports.length > 1 ? "s" : ""}
+        </Typography>
+        <Tooltip title="Effacer">
+          <IconButton size="small" onClick={clearContractReports}>
+            <ClearAllIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <IconButton size="small" onClick={() => setOpen((o) => !o)}>
+          {open ? <ExpandMoreIcon fontSize="small" /> : <ExpandLessIcon fontSize="small" />}
+        </IconButton>
+      </Stack>
+
+      {/* Détail : un bloc par écart distinct */}
+      {open && (
+        <Box sx={{ overflowY: "auto", px: 2, pb: 1.5 }}>
+          {reports.map((r, idx) => (
+            <Box key={r.id} sx={{ py: 1 }}>
+              {idx > 0 && <Divider sx={{ mb: 1 }} />}
+              <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 0.5 }}>
+                <Typography variant="body2" fontWeight={600} sx={{ fontFamily: "monospace" }}>
+                  {r.endpoint}
+                </Typography>
+                <Chip size="small" label={`× ${r.count}`} />
+              </Stack>
+              {r.issues.map((i) => (
+                <Typography
+                  key={`${i.path}-${i.expected}`}
+                  variant="caption"
+                  component="div"
+                  sx={{ fontFamily: "monospace", color: "text.secondary" }}
+                >
+                  {i.path} : attendu {i.expected}, reçu {i.received}
+                </Typography>
+              ))}
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Paper>
+  );
+}
@@ -8,7 +8,7 @@
  *   - Login : vérifie email + mot de passe via `loginUser()`.
  *   - Register : crée une adresse (table `adresse`) + un utilisateur (table `users`) via `registerUser()`.
  * - Applique des validations front minimales (email, âge >= 18 pour Particulier, champs requis).
- * - Met à jour le contexte d’auth (`AuthContext`) via `setAuth()`.
+ * - Ouvre la session dans le contexte d’auth (`AuthContext`) via `login()`.
  * - Redirige vers `/home` après succès + scroll top.
  *
  * Dépendances clés
@@ -26,11 +26,12 @@ import { useState } from "react";
 // Animations : transitions légères du panneau
 import { motion } from "framer-motion";
 // Routing : redirection post-auth
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 // Services : appels API d'authentification (login / register)
 import { loginUser, registerUser } from "../services/auth";
 // Contexte Auth : persistance token + user (utilisé pour protéger les routes)
 import { useAuth } from "../context/AuthContext.jsx";
+import { redirectTarget } from "../routes/redirectTarget";
 // UI : Material UI (layout + champs + feedback)
 import {
   Paper,
@@ -67,8 +68,11 @@ const card = {
  * AuthPanel
  *
  * Flux de données
- * - Login : `loginUser({ mail, password })` → `{ token, user }`.
- * - Register : `registerUser(payload)` → `{ userId }` (selon votre API) puis setAuth.
+ * - Login : `loginUser({ mail, password })` → `{ token, refresh_token?, user }` puis `login()`.
+ * - Register : `registerUser(payload)` → `{ userId }`, puis connexion avec les mêmes identifiants
+ *   (le token de session est toujours émis par `login.php`, jamais fabriqué côté front).
+ * - Après authentification : retour sur la page demandée avant la redirection (`location.state.from`),
+ *   sinon `/home`.
  *
  * Convention utilisateur
  * - `raison_soc` détermine le type de compte :
@@ -76,10 +80,14 @@ const card = {
  *   - Professionnel : prénom ignoré, date de naissance null.
  */
 export function AuthPanel() {
-  // setAuth : met à jour le contexte global (token + user) utilisé par RequireAuth / Navbar.
-  const { setAuth } = useAuth();
-  // navigate : redirection vers la page d'accueil applicative après authentification.
+  // login : ouvre la session dans le contexte global (token + user) utilisé par RequireAuth / Navbar.
+  // sessionExpired : la session précédente a expiré (affiche un message explicatif).
+  const { login, sessionExpired } = useAuth();
+  // navigate : redirection vers la page demandée (ou l'accueil) après authentification.
   const navigate = useNavigate();
+  // from : route protégée demandée avant redirection par RequireAuth.
+  const location = useLocation();
+  const target = redirectTarget(location.state);
 
   // State `form` : modèle unique pour login + register.
   // - En mode login : seuls `mail` et `password` sont réellement utilisés.
@@ -165,21 +173,14 @@ export function AuthPanel() {
             pays: form.pays || "France",
           },
         };
-        // Appel API register : doit renvoyer un identifiant utilisateur (ex: userId).
-        const res = await registerUser(payload);
-        // Mise à jour du contexte : on crée un token front "mock" si l'API n'émet pas de JWT.
-        // Si votre API renvoie un vrai token, privilégier celui du backend.
-        setAuth({
-          token: `u_${res.userId}`,
-          user: { id: res.userId, mail: form.mail, nom: form.nom, prenom: form.prenom, raison_soc: form.raison_soc },
-        });
-      } else {
-        // Login : l'API renvoie typiquement `{ token, user }`.
-        const res = await loginUser({ mail: form.mail, password: form.password });
-        setAuth({ token: res.token, user: res.user });
+        // Appel API register : crée le compte (renvoie un identifiant utilisateur).
+        await registerUser(payload);
       }
-      // Navigation post-auth : envoie l'utilisateur sur la Home (route applicative).
-      navigate("/home", { replace: true });
+      // Login (direct ou juste après inscription) : l'API renvoie `{ token, refresh_token?, user }`.
+      const res = await loginUser({ mail: form.mail, password: form.password });
+      login({ token: res.token, refreshToken: res.refresh_token ?? null, user: res.user });
+      // Navigation post-auth : page demandée avant la redirection, sinon la Home.
+      navigate(target, { replace: true });
       // UX : force le scroll en haut après navigation.
       window.scrollTo({ top: 0, behavior: "smooth" });
     } catch (err) {
@@ -329,6 +330,13 @@ export function AuthPanel() {
           />
         </Stack>
 
+        {/* Session expirée : explique la redirection vers l'authentification */}
+        {sessionExpired && !state.error && (
+          <Alert severity="info" sx={{ mb: 1 }}>
+            Votre session a expiré, veuillez vous reconnecter.
+          </Alert>
+        )}
+
         {/* Feedback : erreur (validation front ou réponse API) */}
         {state.error && (
           <Alert severity="error" sx={{ mb: 1 }}>{state.error}</Alert>
@@ -0,0 +1,48 @@
+/**
+ * @file CategoryBreadcrumbs.jsx
+ * @description
+ * Fil d'Ariane du catalogue : "Produits › catégorie parente › … › catégorie".
+ *
+ * Rôle
+ * - Chaque niveau mène à son rayon (`/produits/categorie/:slug`, lib/catalogQuery).
+ * - Utilisé par la page Shop (rayon d'une catégorie) et par la fiche produit : dans ce cas
+ *   `current` (nom du produit) termine le fil et la catégorie du produit devient un lien.
+ * - Sans catégorie connue (produit non classé, taxonomie pas encore chargée) : "Produits" seul.
+ */
+// src/components/CategoryBreadcrumbs.jsx
+
+// Router : liens vers les rayons
+import { Link as RouterLink } from "react-router-dom";
+// UI : Material UI
+import { Breadcrumbs, Link, Typography } from "@mui/material";
+import NavigateNextIcon from "@mui/icons-material/NavigateNext";
+// Taxonomie : ascendants d'une catégorie
+import { categoryPath } from "../models/category";
+import { catalogUrl } from "../lib/catalogQuery";
+
+/**
+ * @param {object} props
+ * @param {import("../models/category").Category[]} props.categories - Taxonomie (vide si indisponible).
+ * @param {number|null} props.categoryId - Catégorie affichée (ou celle du produit).
+ * @param {string} [props.current] - Dernier élément, non cliquable (ex: nom du produit).
+ */
+export function CategoryBreadcrumbs({ categories, categoryId, current }) {
+  const path = categoryPath(categories, categoryId);
+  // Dernier élément du fil : `current` s'il est fourni, sinon la catégorie elle-même
+  const links = current ? path : path.slice(0, -1);
+  const last = current ?? path.at(-1)?.name;
+
+  return (
+    <Breadcrumbs separator={<NavigateNextIcon fontSize="small" />} aria-label="fil d’Ariane" sx={{ mb: 1 }}>
+      <Link component={RouterLink} to="/produits" underline="hover" color="inherit">
+        Produits
+      </Link>
+      {links.map((c) => (
+        <Link key={c.id} component={RouterLink} to={catalogUrl({ category: c.slug })} underline="hover" color="inherit">
+          {c.name}
+        </Link>
+      ))}
+      {last && <Typography color="text.primary">{last}</Typography>}
+    </Breadcrumbs>
+  );
+}
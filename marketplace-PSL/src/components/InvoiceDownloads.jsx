@@ -0,0 +1,73 @@
+/**
+ * @file InvoiceDownloads.jsx
+ * @description
+ * Téléchargement des factures PDF d'une commande (une par vendeur, lib/invoice).
+ *
+ * Le PDF est généré au clic : jsPDF n'est chargé qu'à ce moment-là (import dynamique).
+ */
+// React : état du téléchargement en cours
+import { useState } from "react";
+// UI : Material UI
+import { Alert, Box, Button, CircularProgress, Stack, Typography } from "@mui/material";
+import PictureAsPdfIcon from "@mui/icons-material/PictureAsPdf";
+
+/**
+ * @param {{ order: import("../models/order").Order }} props
+ */
+export function InvoiceDownloads({ order }) {
+  // Facture en cours de génération (numéro) et erreur éventuelle
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleDownload = async (invoice) => {
+    setDownloading(invoice.number);
+    setError("");
+    try {
+      const { downloadInvoice } = await import("../lib/invoice");
+      downloadInvoice(order, invoice);
+    } catch (err) {
+      console.error(err);
+      setError("La facture n’a pas pu être générée. Réessayez dans un instant.");
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  if (!order.invoices.length) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        La facture sera disponible sous peu.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      {order.invoices.length > 1 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+          Chaque vendeur vous facture ses articles et son colis.
+        </Typography>
+      )}
+      <Stack spacing={1}>
+        {order.invoices.map((inv) => (
+          <Button
+            key={inv.number}
+            variant="outlined"
+            startIcon={downloading === inv.number ? <CircularProgress size={16} /> : <PictureAsPdfIcon />}
+            disabled={downloading != null}
+            onClick={() => handleDownload(inv)}
+            sx={{ justifyContent: "flex-start", textTransform: "none" }}
+          >
+            Télécharger la facture {inv.number}
+            {inv.seller?.name ? ` (${inv.seller.name})` : ""}
+          </Button>
+        ))}
+      </Stack>
+      {error && (
+        <Alert severity="error" sx={{ mt: 1.5, borderRadius: 2 }}>
+          {error}
+        </Alert>
+      )}
+    </Box>
+  );
+}
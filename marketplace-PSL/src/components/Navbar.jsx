@@ -5,8 +5,8 @@
  *
  * Responsabilités
  * - Exposer la navigation primaire (liens) selon le profil utilisateur :
- *   - Particulier : Accueil, Produits, Panier.
- *   - Professionnel : Dashboard, Mon catalogue, Mes performances.
+ *   - Particulier : Accueil, Produits, Mes commandes, Panier.
+ *   - Professionnel : Dashboard, Mon catalogue, Mes performances, Commandes à traiter.
  * - Afficher l’état du panier via un badge (`cartCount`).
  * - Exposer une action d’authentification :
  *   - si connecté : "Se déconnecter" (appel `logout()` + redirection)
@@ -37,8 +37,8 @@ import PersonIcon from "@mui/icons-material/Person";
  * @param {object} props
  * @param {number} props.cartCount - Nombre d'articles dans le panier (affiché dans le badge).
  * @param {boolean} props.isPro - Indique si l'utilisateur courant est un professionnel.
- *   - true  → menu Pro (Dashboard / Catalogue / Performances)
- *   - false → menu Particulier (Accueil / Produits / Panier)
+ *   - true  → menu Pro (Dashboard / Catalogue / Performances / Ventes)
+ *   - false → menu Particulier (Accueil / Produits / Mes commandes / Panier)
  */
 export function Navbar({ cartCount, isPro }) {
   // Navigation programmatique : permet de rediriger après logout / auth.
@@ -179,6 +179,26 @@ export function Navbar({ cartCount, isPro }) {
               >
                 Mes performances
               </Button>
+              <Button
+                color="inherit"
+                component={Link}
+                to="/ventes"
+                sx={{
+  textTransform: "none",
+  fontSize: 14,
+  px: 2,
+  py: 0.8,
+  borderRadius: 2,
+  fontWeight: 600,
+  color: "#f1f5f9",                // Blanc cassé lisible
+  backgroundColor: "rgba(255,255,255,0.04)", // Fond gris foncé subtil
+  "&:hover": {
+    backgroundColor: "rgba(255,255,255,0.12)", // Bien plus visible
+  },
+}}
+              >
+                Commandes à traiter
+              </Button>
             </>
           ) : (
             <>
@@ -223,6 +243,26 @@ export function Navbar({ cartCount, isPro }) {
               >
                 Produits
               </Button>
+              <Button
+                color="inherit"
+                component={Link}
+                to="/commandes"
+                sx={{
+  textTransform: "none",
+  fontSize: 14,
+  px: 2,
+  py: 0.8,
+  borderRadius: 2,
+  fontWeight: 600,
+  color: "#f1f5f9",                // Blanc cassé lisible
+  backgroundColor: "rgba(255,255,255,0.04)", // Fond gris foncé subtil
+  "&:hover": {
+    backgroundColor: "rgba(255,255,255,0.12)", // Bien plus visible
+  },
+}}
+              >
+                Mes commandes
+              </Button>
               {/* Panier : icône + badge cartCount */}
               <IconButton
                 color="inherit"
@@ -0,0 +1,165 @@
+/**
+ * @file OrderActions.jsx
+ * @description
+ * Actions du client sur une commande (détail "Mes commandes") : annulation et demande de retour.
+ *
+ * Règles (lib/orderStatus)
+ * - Annulation possible tant que la commande n’est pas expédiée ; une commande payée est remboursée.
+ * - Retour possible après livraison, avec un motif, jusqu’à la date limite (`RETURN_WINDOW_DAYS`).
+ * - Seules les actions autorisées sont proposées ; le back revérifie chaque transition.
+ */
+// React : dialogue ouvert + saisie du motif
+import { useState } from "react";
+// UI : Material UI
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+// Cycle de vie : transitions et délai de retour
+import { ORDER_STATUS, RETURN_REASONS, canTransition, returnDeadline } from "../lib/orderStatus";
+// Montants
+import { formatCents } from "../lib/money";
+// Mutation : changement de statut + invalidation (commandes, stock, CA vendeur)
+import { useMutation } from "../lib/useQuery";
+import { orderKeys, updateOrderStatus } from "../services/orders";
+import { performanceKeys } from "../services/performance";
+import { productKeys } from "../services/products";
+
+/**
+ * @param {{ order: import("../models/order").Order }} props
+ */
+export function OrderActions({ order }) {
+  // Dialogue ouvert : "cancel" | "return" | null
+  const [dialog, setDialog] = useState(null);
+  const [reason, setReason] = useState("");
+  const [comment, setComment] = useState("");
+
+  const transition = useMutation(updateOrderStatus, {
+    invalidates: [orderKeys.all, productKeys.all, performanceKeys.all],
+  });
+
+  const canCancel = canTransition(order, ORDER_STATUS.CANCELLED);
+  const canReturn = canTransition(order, ORDER_STATUS.RETURN_REQUESTED);
+  const deadline = returnDeadline(order);
+  const wasPaid = order.status !== ORDER_STATUS.PENDING_PAYMENT;
+
+  const close = () => {
+    setDialog(null);
+    transition.reset();
+  };
+
+  const handleConfirm = async () => {
+    try {
+      if (dialog === "cancel") {
+        await transition.mutate({ order, status: ORDER_STATUS.CANCELLED });
+      } else {
+        const full = reason === "Autre" || comment.trim() ? [reason, comment.trim()].filter(Boolean).join(" : ") : reason;
+        await transition.mutate({ order, status: ORDER_STATUS.RETURN_REQUESTED, reason: full });
+      }
+      setDialog(null);
+      setReason("");
+      setComment("");
+    } catch {
+      // Erreur affichée dans le dialogue (`transition.error`)
+    }
+  };
+
+  return (
+    <Box>
+      {order.refundedCents > 0 && (
+        <Alert severity="success" sx={{ mb: 2, borderRadius: 2 }}>
+          {formatCents(order.refundedCents)} remboursés sur votre moyen de paiement.
+        </Alert>
+      )}
+      {order.status === ORDER_STATUS.RETURN_REQUESTED && (
+        <Alert severity="info" sx={{ mb: 2, borderRadius: 2 }}>
+          Retour demandé{order.returnReason ? ` (${order.returnReason})` : ""} : le vendeur vous
+          remboursera à réception des articles.
+        </Alert>
+      )}
+
+      {canCancel && (
+        <Button variant="outlined" color="error" fullWidth onClick={() => setDialog("cancel")}>
+          Annuler la commande
+        </Button>
+      )}
+      {canReturn && (
+        <Stack spacing={1}>
+          <Button variant="outlined" fullWidth onClick={() => setDialog("return")}>
+            Demander un retour
+          </Button>
+          {deadline && (
+            <Typography variant="body2" color="text.secondary">
+              Jusqu’au {deadline.toLocaleDateString("fr-FR", { day: "numeric", month: "long" })}
+            </Typography>
+          )}
+        </Stack>
+      )}
+      {!canCancel && !canReturn && !order.refundedCents && order.status !== ORDER_STATUS.RETURN_REQUESTED && (
+        <Typography variant="body2" color="text.secondary">
+          {order.status === ORDER_STATUS.DELIVERED && deadline
+            ? "Le délai de retour est dépassé."
+            : "Aucune action possible pour le moment."}
+        </Typography>
+      )}
+
+      <Dialog open={dialog != null} onClose={close} maxWidth="xs" fullWidth>
+        <DialogTitle>{dialog === "cancel" ? "Annuler la commande ?" : "Demander un retour"}</DialogTitle>
+        <DialogContent dividers>
+          {dialog === "cancel" ? (
+            <Typography>
+              {wasPaid
+                ? `La commande n° ${order.id} sera annulée et ${formatCents(order.totalCents - order.refundedCents)} vous seront remboursés.`
+                : `La commande n° ${order.id} sera annulée.`}
+            </Typography>
+          ) : (
+            <Stack spacing={2} sx={{ pt: 1 }}>
+              <TextField select label="Motif" value={reason} onChange={(e) => setReason(e.target.value)} required>
+                {RETURN_REASONS.map((r) => (
+                  <MenuItem key={r} value={r}>
+                    {r}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                label="Précisions"
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                multiline
+                minRows={2}
+                required={reason === "Autre"}
+              />
+            </Stack>
+          )}
+          {transition.error && (
+            <Alert severity="error" sx={{ mt: 2, borderRadius: 2 }}>
+              {transition.error.message || "Action impossible"}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={close}>Retour</Button>
+          <Button
+            variant="contained"
+            color={dialog === "cancel" ? "error" : "primary"}
+            onClick={handleConfirm}
+            disabled={
+              transition.isPending || (dialog === "return" && (!reason || (reason === "Autre" && !comment.trim())))
+            }
+          >
+            {dialog === "cancel" ? "Confirmer l’annulation" : "Envoyer la demande"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
@@ -0,0 +1,155 @@
+/**
+ * @file OrderDetails.jsx
+ * @description
+ * Détail d'une commande passée (confirmation, "Mes commandes") : lignes, totaux, TVA par taux
+ * et livraison (colis expédiés et liens de suivi).
+ *
+ * Composants purement présentationnels : les montants viennent du back (models/order), figés à la vente.
+ */
+// UI : Material UI
+import {
+  Box,
+  Divider,
+  Link,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+// Montants + modes de livraison
+import { formatCents } from "../lib/money";
+import { SHIPPING_METHODS } from "../lib/pricing";
+// Modèles : adresse sur une ligne, colis
+import { formatAddress } from "../models/checkout";
+import { carrierLabel, trackingUrl } from "../models/shipment";
+
+// Taux affiché à la française : 5.5 → "5,5 %"
+const rateLabel = (rate) => `${String(rate).replace(".", ",")} %`;
+
+/**
+ * Lignes de la commande et totaux (TTC, HT, TVA par taux).
+ * @param {{ order: import("../models/order").Order }} props
+ */
+export function OrderDetails({ order }) {
+  const method = SHIPPING_METHODS[order.shippingMethod];
+  return (
+    <Box>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Article</TableCell>
+            <TableCell align="right">Qté</TableCell>
+            <TableCell align="right">TVA</TableCell>
+            <TableCell align="right">Total TTC</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {order.lines.map((l, i) => (
+            <TableRow key={`${l.productId}-${i}`}>
+              <TableCell>
+                {l.name}
+                {l.discountCents > 0 && (
+                  <Typography variant="caption" color="success.main" display="block">
+                    Remise − {formatCents(l.discountCents)}
+                  </Typography>
+                )}
+              </TableCell>
+              <TableCell align="right">{l.qty}</TableCell>
+              <TableCell align="right">{rateLabel(l.vatRate)}</TableCell>
+              <TableCell align="right">{formatCents(l.grossCents)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Stack spacing={1} sx={{ mt: 2 }}>
+        <Row label="Articles" value={formatCents(order.subtotalCents)} />
+        <Row
+          label={method?.label ?? "Livraison"}
+          value={order.shippingCents ? formatCents(order.shippingCents) : "Offerte"}
+        />
+        {order.discountCode && (
+          <Typography variant="body2" color="text.secondary">
+            Code {order.discountCode} : − {formatCents(order.discountCents)} inclus
+          </Typography>
+        )}
+        <Divider />
+        <Row label="Total TTC" value={formatCents(order.totalCents)} strong />
+        <Row label="dont total HT" value={formatCents(order.netCents)} muted />
+        {order.vat.map((r) => (
+          <Row key={r.rate} label={`dont TVA ${rateLabel(r.rate)}`} value={formatCents(r.taxCents)} muted />
+        ))}
+      </Stack>
+    </Box>
+  );
+}
+
+/**
+ * Adresse et mode de livraison, puis colis expédiés (transporteur, lien de suivi, articles).
+ * @param {{ order: import("../models/order").Order }} props
+ */
+export function OrderDelivery({ order }) {
+  const method = SHIPPING_METHODS[order.shippingMethod];
+  return (
+    <Box>
+      <Typography>{formatAddress(order.address) || "Adresse du compte"}</Typography>
+      {method && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          {method.label} · {method.delay}
+        </Typography>
+      )}
+      {order.shipments?.length > 0 && (
+        <Stack spacing={1} sx={{ mt: 2 }}>
+          {order.shipments.map((sh, i) => {
+            const url = trackingUrl(sh);
+            const items = sh.lines
+              .map((sl) => {
+                const name = order.lines.find((l) => l.productId === sl.productId)?.name ?? "Article";
+                return sl.qty > 1 ? `${name} ×${sl.qty}` : name;
+              })
+              .join(", ");
+            return (
+              <Box key={sh.id}>
+                <Typography variant="body2" fontWeight={600}>
+                  Colis {i + 1} · {carrierLabel(sh.carrier)}
+                  {sh.date && ` · ${new Date(sh.date).toLocaleDateString("fr-FR", { day: "numeric", month: "short" })}`}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Suivi :{" "}
+                  {url ? (
+                    <Link href={url} target="_blank" rel="noopener noreferrer">
+                      {sh.trackingNumber}
+                    </Link>
+                  ) : (
+                    sh.trackingNumber
+                  )}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {items}
+                </Typography>
+              </Box>
+            );
+          })}
+        </Stack>
+      )}
+    </Box>
+  );
+}
+
+// Ligne libellé / montant des totaux
+function Row({ label, value, strong = false, muted = false }) {
+  const props = {
+    variant: muted ? "body2" : "body1",
+    color: muted ? "text.secondary" : "text.primary",
+    fontWeight: strong ? 700 : 400,
+  };
+  return (
+    <Box sx={{ display: "flex", justifyContent: "space-between", gap: 2 }}>
+      <Typography {...props}>{label}</Typography>
+      <Typography {...props}>{value}</Typography>
+    </Box>
+  );
+}
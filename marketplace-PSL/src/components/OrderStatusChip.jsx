@@ -0,0 +1,28 @@
+/**
+ * @file OrderStatusChip.jsx
+ * @description
+ * Statut d'une commande sous forme de pastille ("Mes commandes", détail d'une commande).
+ */
+// UI : Material UI
+import { Chip } from "@mui/material";
+// Cycle de vie : libellés des statuts
+import { ORDER_STATUS, statusLabel } from "../lib/orderStatus";
+
+// Couleur MUI par statut (statut inconnu : neutre)
+const COLORS = {
+  [ORDER_STATUS.PENDING_PAYMENT]: "warning",
+  [ORDER_STATUS.PAID]: "info",
+  [ORDER_STATUS.PREPARING]: "info",
+  [ORDER_STATUS.SHIPPED]: "primary",
+  [ORDER_STATUS.DELIVERED]: "success",
+  [ORDER_STATUS.CANCELLED]: "error",
+  [ORDER_STATUS.RETURN_REQUESTED]: "warning",
+  [ORDER_STATUS.REFUNDED]: "secondary",
+};
+
+/**
+ * @param {{ status: string, size?: "small"|"medium" }} props
+ */
+export function OrderStatusChip({ status, size = "small" }) {
+  return <Chip label={statusLabel(status)} color={COLORS[status] ?? "default"} size={size} variant="outlined" />;
+}
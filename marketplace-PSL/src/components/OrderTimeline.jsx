@@ -0,0 +1,55 @@
+/**
+ * @file OrderTimeline.jsx
+ * @description
+ * Frise de suivi d'une commande, datée à partir de l'historique des statuts renvoyé par le back.
+ *
+ * - Parcours normal : étapes de lib/orderStatus `ORDER_STEPS`, les suivantes restant à venir.
+ * - Sortie du parcours (annulation, retour) : l'historique tel qu'il s'est déroulé.
+ */
+// UI : Material UI
+import { Step, StepLabel, Stepper, Typography } from "@mui/material";
+// Cycle de vie : parcours et libellés des statuts
+import { ORDER_STATUS, ORDER_STEPS, statusLabel } from "../lib/orderStatus";
+
+const dateLabel = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString("fr-FR", { day: "numeric", month: "long", hour: "2-digit", minute: "2-digit" })
+    : "";
+
+/**
+ * @param {{ order: import("../models/order").Order }} props
+ */
+export function OrderTimeline({ order }) {
+  const history = order.history.filter((h) => h.status !== ORDER_STATUS.PENDING_PAYMENT);
+  const offPath = history.some((h) => !ORDER_STEPS.includes(h.status));
+
+  // Étapes affichées : { status, date|null } ; `last` = dernière étape atteinte
+  const steps = offPath
+    ? history
+    : ORDER_STEPS.map((status) => ({
+        status,
+        date: [...history].reverse().find((h) => h.status === status)?.date ?? null,
+      }));
+  const last = offPath ? steps.length - 1 : ORDER_STEPS.indexOf(order.status);
+
+  return (
+    <Stepper activeStep={last} orientation="vertical">
+      {steps.map((s, i) => (
+        <Step key={`${s.status}-${i}`} completed={i <= last}>
+          <StepLabel
+            error={s.status === ORDER_STATUS.CANCELLED}
+            optional={
+              s.date && (
+                <Typography variant="caption" color="text.secondary">
+                  {dateLabel(s.date)}
+                </Typography>
+              )
+            }
+          >
+            {statusLabel(s.status)}
+          </StepLabel>
+        </Step>
+      ))}
+    </Stepper>
+  );
+}
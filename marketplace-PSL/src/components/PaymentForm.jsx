@@ -4,17 +4,26 @@
  * Composant de paiement (UI) + création de commande (API).
  *
  * Objectif
- * - Collecter des informations de paiement (mock) côté front.
- * - Construire le payload attendu par `POST /api/order.php`.
- * - Déclencher la création de la commande côté back.
+ * - Collecter les informations de carte : numéro groupé et réseau détecté
+ *   pendant la saisie, validation par champ (Luhn, MM/AA non expirée, CVC selon le réseau) via lib/card.
+ * - Revérifier le stock du panier (CartContext.revalidate) juste avant la commande :
+ *   une commande non servable n’est jamais envoyée à `order.php`.
+ * - Payer via le fournisseur de paiement actif (lib/payments : autorisation, éventuel 3-D Secure
+ *   dans `ThreeDSecureDialog`, puis encaissement) et créer la commande côté back via `createOrder()`
+ *   (services/orders) entre l'autorisation et l'encaissement.
  * - Remonter le résultat au parent via `onPaid` (navigation, notification, vidage panier).
  *
  * IMPORTANT (sécurité)
- * - Ce formulaire ne réalise pas un paiement réel (aucune intégration PSP type Stripe).
- * - Ne jamais manipuler de données carte bancaires réelles en production sans PSP conforme PCI-DSS.
+ * - Fournisseur par défaut : simulateur local (cartes de test, aucun paiement réel). Un PSP réel
+ *   conforme PCI-DSS se branche dans lib/payments, sans modifier ce composant ni `PayWall`.
+ * - Les données carte ne sont transmises qu'au fournisseur de paiement (jamais à `order.php`) et
+ *   sont effacées du state dès la fin de la soumission (succès ou échec) : une nouvelle tentative
+ *   demande une nouvelle saisie.
  */
-// React : state local du formulaire
-import { useState } from "react";
+// React : state local du formulaire + chargement du fournisseur de paiement
+import { useEffect, useState } from "react";
+// Router : retour au panier si son contenu a changé
+import { Link as RouterLink } from "react-router-dom";
 // UI : composants Material UI (layout + champs)
 import {
   Box,
@@ -23,25 +32,65 @@ import {
   Stack,
   Typography,
   Divider,
+  InputAdornment,
+  Chip,
+  Alert,
 } from "@mui/material";
+// Panier : revalidation du stock avant commande
+import { useCart } from "../context/useCart";
+// Services : création de commande (order.php) via apiClient
+import { createOrder } from "../services/orders";
+import { productKeys } from "../services/products";
+import { performanceKeys } from "../services/performance";
+// Cache de requêtes : une commande modifie les stocks et les indicateurs vendeurs
+import { useMutation } from "../lib/useQuery";
+// Montants : formatage des centimes
+import { formatCents } from "../lib/money";
+// Prix : contrôle du total recalculé par le back
+import { compareWithServerTotal } from "../lib/pricing";
+// Idempotence : une clé par tentative de checkout (anti double commande)
+import { createIdempotencyKey } from "../lib/apiClient";
+// Carte : formatage de saisie + validation par champ
+import { detectBrand, digitsOnly, formatCardNumber, formatExpiry, validateCard } from "../lib/card";
+// Paiement : fournisseur actif (simulateur par défaut) + enchaînement autorisation → commande → encaissement
+import { getPaymentProvider, payAndPlaceOrder } from "../lib/payments";
+// UI : authentification 3-D Secure
+import { ThreeDSecureDialog } from "./ThreeDSecureDialog";
+
+// Formulaire vierge (aussi utilisé pour effacer la saisie après soumission)
+const EMPTY_CARD = { cardName: "", cardNumber: "", expiry: "", cvc: "" };
 
 /**
  * Formulaire de paiement.
  *
  * Contrat
- * - `total`  : montant total du panier (number) — unité attendue côté API (euros).
- * - `items`  : lignes du panier (au minimum `{ id, price, qty }`).
+ * - `pricing` : détail de prix du panier (lib/pricing), total TTC inclus ; envoyé à `createOrder`
+ *   puis comparé au total recalculé par le back (`compareWithServerTotal`).
+ * - `items`  : lignes du panier (au minimum `{ id, priceCents, qty }`).
  * - `userId` : identifiant de l'utilisateur connecté (FK vers users).
+ * - `address` : adresse de livraison choisie dans le tunnel (models/checkout), envoyée avec la commande.
+ * - `idempotencyKey` : clé du tunnel de commande (persistée : un rechargement pendant le paiement
+ *   ne crée pas de seconde commande ; renouvelée par le tunnel quand le panier change) ; à défaut,
+ *   une clé propre au formulaire.
+ * - `onAuthorized` : paiement autorisé, avant l'envoi de la commande (le tunnel garde sa référence
+ *   pour l'annuler si le panier change ensuite).
  * - `onPaid` : callback après succès (peut : afficher une notification, vider panier, naviguer).
  *
  * Payload envoyé à l'API `order.php`
  * ```json
  * {
  *   "user_id": 3,
- *   "lines": [ { "id": 101, "qty": 2, "price": 19.9 } ],
- *   "total": 39.8
+ *   "country": "FR",
+ *   "lines": [ { "id": 101, "qty": 2, "price": 19.9, "vat_rate": 20, "tax_included": 0, "total_ht": 39.8, "tva": 7.96, "total_ttc": 47.76 } ],
+ *   "shipping_method": "standard",
+ *   "address": { "nom": "Jean Dupont", "ligne": "12 rue de Paris", "code_postal": "75001", "ville": "Paris", "pays": "France", "country_code": "FR" },
+ *   "shipping": 6.9,
+ *   "tva": 9.11,
+ *   "total": 54.66
  * }
  * ```
+ * (+ `payment: { provider, intent_id }` : référence du paiement autorisé, pour le rapprochement)
+ *
  * Notes
  * - La normalisation des quantités supporte les deux conventions : `qty` ou `quantity`.
  * - Le back doit recalculer et valider le total (ne jamais faire confiance au front).
@@ -49,38 +98,95 @@ import {
 
 /**
  * @param {object} props
- * @param {number} props.total
- * @param {Array<{id:number|string,name?:string,price:number,qty?:number,quantity?:number}>} [props.items]
+ * @param {import("../lib/pricing").PricingBreakdown} props.pricing
+ * @param {Array<{id:number|string,name?:string,priceCents:number,qty?:number,quantity?:number}>} [props.items]
  * @param {number|string} props.userId
+ * @param {import("../models/checkout").DeliveryAddress} [props.address]
+ * @param {string} [props.idempotencyKey]
+ * @param {(payment: { provider: string, intentId: string }) => void} [props.onAuthorized]
  * @param {(result: any) => (void|Promise<void>)} [props.onPaid]
  */
-export function PaymentForm({ total, items = [], userId, onPaid }) {
-  // State formulaire : champs de paiement (mock).
-  // Remarque : on conserve ces champs en clair uniquement car il s'agit d'un prototype.
-  const [form, setForm] = useState({
-    cardName: "",
-    cardNumber: "",
-    expiry: "",
-    cvc: "",
-  });
+export function PaymentForm({
+  pricing,
+  items = [],
+  userId,
+  address = null,
+  idempotencyKey: checkoutKey,
+  onAuthorized,
+  onPaid,
+}) {
+  const totalCents = pricing?.totalCents ?? 0;
+  // State formulaire : champs de paiement (mock), conservés le temps de la saisie uniquement.
+  const [form, setForm] = useState(EMPTY_CARD);
+  // Champs quittés au moins une fois : leurs erreurs s'affichent (toutes après un submit)
+  const [touched, setTouched] = useState({});
   // State UX : loading + message d'erreur (validation front ou erreur API)
-  const [state, setState] = useState({ loading: false, error: "" });
+  // `cartChanged` : le panier ne correspond plus au stock / aux prix → retour au panier proposé.
+  const [state, setState] = useState({ loading: false, error: "", cartChanged: false });
+  // Stock : relu depuis le back avant l'envoi de la commande
+  const { revalidate } = useCart();
+  // Clé d'idempotence stable pendant toute la durée de vie du formulaire (ou du tunnel, qui la
+  // renouvelle si le panier change) : un double-clic ou un nouvel essai après une erreur réseau
+  // renvoie la même clé, le back ne crée donc qu'une seule commande.
+  const [ownKey] = useState(createIdempotencyKey);
+  const idempotencyKey = checkoutKey ?? ownKey;
+  // Mutation commande : invalide produits (stock) et performances (CA vendeurs) après succès.
+  const placeOrder = useMutation(createOrder, {
+    invalidates: [productKeys.all, performanceKeys.all],
+  });
+  // Fournisseur de paiement (chargé à la demande) : cartes de test affichées en mode test
+  const [provider, setProvider] = useState(null);
+  // Authentification 3-D Secure en attente : détail + résolution de la promesse `onChallenge`
+  const [challenge, setChallenge] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.resolve()
+      .then(() => getPaymentProvider())
+      .then((p) => !cancelled && setProvider(p))
+      .catch((err) => console.error("[Payment] fournisseur indisponible", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-  // Handler générique : met à jour un champ du formulaire (inputs contrôlés)
+  // Affiche le dialogue 3-D Secure et attend la réponse du client
+  const handleChallenge = (details) =>
+    new Promise((resolve) => setChallenge({ details, resolve }));
+  const handleChallengeResult = (approved) => {
+    challenge?.resolve(approved);
+    setChallenge(null);
+  };
+
+  // Validation par champ, recalculée à chaque saisie
+  const brand = detectBrand(form.cardNumber);
+  const errors = validateCard(form);
+  const fieldError = (field) => (touched[field] ? errors[field] : undefined);
+
+  // Handler générique : met à jour un champ du formulaire (inputs contrôlés), formaté à la volée
   const handleChange = (field) => (e) => {
-    setForm((f) => ({ ...f, [field]: e.target.value }));
+    const { value } = e.target;
+    setForm((f) => {
+      if (field === "cardNumber") return { ...f, cardNumber: formatCardNumber(value) };
+      if (field === "expiry") return { ...f, expiry: formatExpiry(value) };
+      if (field === "cvc") {
+        return { ...f, cvc: digitsOnly(value).slice(0, detectBrand(f.cardNumber)?.cvcLength ?? 4) };
+      }
+      return { ...f, [field]: value };
+    });
   };
+  const handleBlur = (field) => () => setTouched((t) => ({ ...t, [field]: true }));
 
   // Submit : validation minimale → construction du payload → POST vers l'API → callback parent
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // Soumission déjà en cours : on ignore le second clic.
+    if (state.loading) return;
 
-    // Validation front (minimaliste) : évite l'appel réseau si champs vides.
-    if (!form.cardName || !form.cardNumber || !form.expiry || !form.cvc) {
-      setState({
-        loading: false,
-        error: "Tous les champs de paiement sont obligatoires.",
-      });
+    // Validation front : erreurs affichées sous chaque champ, aucun appel réseau.
+    if (Object.keys(errors).length) {
+      setTouched({ cardName: true, cardNumber: true, expiry: true, cvc: true });
+      setState({ loading: false, error: "", cartChanged: false });
       return;
     }
 
@@ -94,7 +200,7 @@ export function PaymentForm({ total, items = [], userId, onPaid }) {
     }
 
     // Garde-fou panier : pas de checkout si panier vide ou total invalide.
-    if (!items.length || !total) {
+    if (!items.length || !totalCents) {
       setState({
         loading: false,
         error: "Panier vide ou total invalide.",
@@ -102,41 +208,49 @@ export function PaymentForm({ total, items = [], userId, onPaid }) {
       return;
     }
 
-    setState({ loading: true, error: "" });
+    setState({ loading: true, error: "", cartChanged: false });
 
     try {
-      // Normalisation des lignes : on produit la structure attendue par `order.php`.
-      // - `qty` prioritaire, fallback `quantity`, sinon 1.
-      const lines = items.map((item) => ({
-        id: item.id,
-        qty: item.qty ?? item.quantity ?? 1,
-        price: item.price,
-      }));
-
-      const payload = {
-        user_id: userId,
-        lines,
-        total,
-      };
-
-      // Appel API : création commande + lignes (compose_commande) côté serveur.
-      const res = await fetch("http://localhost/api/order.php", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
-
-      // HTTP non-2xx : on remonte un message générique (le détail est côté server logs).
-      if (!res.ok) {
-        throw new Error(`HTTP ${res.status}`);
+      // Disponibilité : stock et prix relus juste avant la commande (ils ont pu changer
+      // depuis le panier). Si le panier n'est plus servable tel quel, rien n'est envoyé.
+      const availability = await revalidate();
+      if (!availability.ok) {
+        setState({
+          loading: false,
+          error: availability.issues.length
+            ? "Certains articles ne sont plus disponibles dans la quantité demandée."
+            : "Votre panier a été mis à jour (prix ou articles).",
+          cartChanged: true,
+        });
+        return;
       }
 
-      // Le back renvoie un JSON de forme `{ ok: boolean, ... }`.
-      const data = await res.json();
-      if (!data.ok) {
-        throw new Error(data.error || "Échec de la commande");
+      // Paiement : autorisation de la carte (3-D Secure éventuel), puis création commande + lignes
+      // (compose_commande) côté serveur, puis encaissement. Commande refusée → autorisation annulée ;
+      // échec réseau → autorisation conservée, la commande est renvoyée avec la même clé.
+      // La normalisation des lignes (`qty` prioritaire, fallback `quantity`) est faite par le service.
+      const { order: data } = await payAndPlaceOrder({
+        provider: provider ?? (await getPaymentProvider()),
+        amountCents: totalCents,
+        card: form,
+        idempotencyKey,
+        onChallenge: handleChallenge,
+        onAuthorized,
+        placeOrder: (payment) => placeOrder.mutate({ userId, pricing, address, idempotencyKey, payment }),
+      });
+
+      // Contrôle : le back recalcule le total à partir de ses prix. Un écart signale des règles
+      // de prix divergentes (TVA, livraison) : la commande est créée, l'écart est tracé.
+      const check = compareWithServerTotal(pricing, data?.total);
+      if (!check.matches) {
+        console.warn("[Pricing]", {
+          type: "pricing_mismatch",
+          order_id: data?.order_id ?? null,
+          expected_cents: check.expectedCents,
+          server_cents: check.serverCents,
+          delta_cents: check.deltaCents,
+          breakdown: pricing,
+        });
       }
 
       // Succès : délègue au parent (ex: notification, navigation, vidage panier).
@@ -144,18 +258,24 @@ export function PaymentForm({ total, items = [], userId, onPaid }) {
         await onPaid(data);
       }
 
-      setState({ loading: false, error: "" });
+      setState({ loading: false, error: "", cartChanged: false });
     } catch (err) {
-      console.error("Erreur paiement / commande:", err);
+      // Refus de paiement (PaymentError) : message de la banque affiché tel quel, pas d'erreur technique.
+      if (err?.name !== "PaymentError") console.error("Erreur paiement / commande:", err);
       setState({
         loading: false,
         error: err?.message || "Erreur pendant le paiement / la commande",
+        cartChanged: false,
       });
+    } finally {
+      // Données carte effacées dès que la soumission est terminée, quel que soit son résultat.
+      setForm(EMPTY_CARD);
+      setTouched({});
     }
   };
 
   return (
-    <Box component="form" onSubmit={handleSubmit} sx={{ mt: 2 }}>
+    <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 2 }}>
       {/* Titre de section */}
       <Typography variant="h6" sx={{ mb: 2 }}>
         Paiement sécurisé
@@ -168,6 +288,10 @@ export function PaymentForm({ total, items = [], userId, onPaid }) {
           fullWidth
           value={form.cardName}
           onChange={handleChange("cardName")}
+          onBlur={handleBlur("cardName")}
+          error={Boolean(fieldError("cardName"))}
+          helperText={fieldError("cardName")}
+          autoComplete="cc-name"
           required
         />
         <TextField
@@ -175,6 +299,18 @@ export function PaymentForm({ total, items = [], userId, onPaid }) {
           fullWidth
           value={form.cardNumber}
           onChange={handleChange("cardNumber")}
+          onBlur={handleBlur("cardNumber")}
+          error={Boolean(fieldError("cardNumber"))}
+          helperText={fieldError("cardNumber")}
+          autoComplete="cc-number"
+          inputProps={{ inputMode: "numeric" }}
+          InputProps={{
+            endAdornment: brand ? (
+              <InputAdornment position="end">
+                <Chip label={brand.label} size="small" variant="outlined" />
+              </InputAdornment>
+            ) : null,
+          }}
           required
           placeholder="4242 4242 4242 4242"
         />
@@ -183,13 +319,24 @@ export function PaymentForm({ total, items = [], userId, onPaid }) {
             label="Expiration (MM/AA)"
             value={form.expiry}
             onChange={handleChange("expiry")}
+            onBlur={handleBlur("expiry")}
+            error={Boolean(fieldError("expiry"))}
+            helperText={fieldError("expiry")}
+            autoComplete="cc-exp"
+            inputProps={{ inputMode: "numeric" }}
+            placeholder="MM/AA"
             required
             fullWidth
           />
           <TextField
-            label="CVC"
+            label={brand?.cvcLength === 4 ? "CID (4 chiffres)" : "CVC"}
             value={form.cvc}
             onChange={handleChange("cvc")}
+            onBlur={handleBlur("cvc")}
+            error={Boolean(fieldError("cvc"))}
+            helperText={fieldError("cvc")}
+            autoComplete="cc-csc"
+            inputProps={{ inputMode: "numeric" }}
             required
             fullWidth
           />
@@ -207,18 +354,35 @@ export function PaymentForm({ total, items = [], userId, onPaid }) {
         >
           <Typography variant="subtitle1">Total à payer</Typography>
           <Typography variant="h6" fontWeight={700}>
-            {Number(total || 0).toFixed(2)} €
+            {formatCents(totalCents)}
           </Typography>
         </Box>
 
-        {/* Feedback : erreur validation / API */}
+        {/* Mode test : cartes du simulateur */}
+        {provider?.testMode && provider.testCards?.length > 0 && (
+          <Alert severity="info" variant="outlined">
+            {provider.label} — cartes de test :
+            {provider.testCards.map((c) => (
+              <Typography key={c.number} variant="body2" component="div">
+                {formatCardNumber(c.number)} : {c.label}
+              </Typography>
+            ))}
+          </Alert>
+        )}
+
+        {/* Feedback : erreur validation / API / refus de paiement */}
         {state.error && (
           <Typography color="error" variant="body2">
             {state.error}
           </Typography>
         )}
+        {state.cartChanged && (
+          <Button component={RouterLink} to="/panier" variant="outlined">
+            Revoir mon panier
+          </Button>
+        )}
 
-        {/* Action principale : déclenche la création de commande via order.php */}
+        {/* Action principale : paiement puis création de commande via order.php */}
         <Button
           type="submit"
           variant="contained"
@@ -229,6 +393,9 @@ export function PaymentForm({ total, items = [], userId, onPaid }) {
           {state.loading ? "Paiement en cours..." : "Payer et valider la commande"}
         </Button>
       </Stack>
+
+      {/* Authentification forte demandée par le fournisseur de paiement */}
+      <ThreeDSecureDialog challenge={challenge?.details ?? null} onResult={handleChallengeResult} />
     </Box>
   );
 }
\ No newline at end of file
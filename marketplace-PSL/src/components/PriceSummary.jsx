@@ -0,0 +1,152 @@
+/**
+ * @file PriceSummary.jsx
+ * @description
+ * Récapitulatif de prix (panier, paiement) à partir du détail calculé par `lib/pricing`.
+ *
+ * Affichage
+ * - Sous-total TTC des articles, remise du code promo, livraison (un colis par vendeur), total TTC.
+ * - Les lignes s’additionnent : sous-total − remise + livraison = total TTC.
+ * - Panier multi-vendeurs : détail par sous-commande (articles, livraison et total de chaque vendeur),
+ *   payées en une seule fois.
+ * - Sous le total : total HT et TVA incluse, par taux (port compris).
+ *
+ * Composant purement présentational : aucun calcul de prix ici (source unique : computePricing).
+ */
+// UI : Material UI
+import { Box, Divider, Stack, Typography } from "@mui/material";
+// Montants : formatage des centimes
+import { formatCents } from "../lib/money";
+// Modes de livraison (libellé du mode retenu), nom des vendeurs
+import { DEFAULT_SHIPPING_METHOD, SHIPPING_METHODS, sellerLabel } from "../lib/pricing";
+
+// Taux affiché à la française : 5.5 → "5,5 %"
+const rateLabel = (rate) => `${String(rate).replace(".", ",")} %`;
+
+/**
+ * @param {object} props
+ * @param {import("../lib/pricing").PricingBreakdown} props.pricing
+ */
+export function PriceSummary({ pricing }) {
+  const count = pricing.lines.reduce((n, l) => n + l.qty, 0);
+  const parcels = pricing.sellers.length;
+  const shippingFree = parcels > 0 && pricing.shippingCents === 0;
+  // Code promo effectivement appliqué (un code refusé par le panier n’apparaît pas ici)
+  const code = pricing.discount?.applied ? pricing.discount.code : null;
+  const shippingOffered = code && pricing.sellers.some((sl) => sl.shippingDiscountCents > 0);
+  const totalNetCents = pricing.subtotalNetCents + pricing.shippingNetCents;
+  // Mode de livraison : libellé affiché s'il diffère du mode standard
+  const shippingLabel =
+    pricing.shippingMethod && pricing.shippingMethod !== DEFAULT_SHIPPING_METHOD
+      ? SHIPPING_METHODS[pricing.shippingMethod].label
+      : "Livraison";
+
+  return (
+    <Box>
+      {/* Détail des montants : sous-total, remise, livraison */}
+      <Stack spacing={1.5} divider={<Divider />} sx={{ mb: 2 }}>
+        <Row
+          label={`Sous-total (${count} article${count > 1 ? "s" : ""})`}
+          value={formatCents(pricing.subtotalBeforeDiscountCents)}
+        />
+        {pricing.discountCents > 0 && (
+          <Row label={`Remise ${code}`} value={`− ${formatCents(pricing.discountCents)}`} />
+        )}
+        <Row
+          label={parcels > 1 ? `${shippingLabel} (${parcels} colis, un par vendeur)` : shippingLabel}
+          value={
+            shippingFree
+              ? shippingOffered
+                ? `Offerte (${code})`
+                : "Offerte"
+              : formatCents(pricing.shippingCents)
+          }
+        />
+      </Stack>
+      {parcels > 1 && <SellerBreakdown sellers={pricing.sellers} />}
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+        }}
+      >
+        <Typography fontWeight={700}>Total TTC</Typography>
+        <Typography fontWeight={800}>{formatCents(pricing.totalCents)}</Typography>
+      </Box>
+      {/* TVA incluse, par taux (port compris) */}
+      <Stack spacing={0.25} sx={{ mt: 1 }}>
+        <Caption label="Total HT" value={formatCents(totalNetCents)} />
+        {pricing.vat.map((v) => (
+          <Caption key={v.rate} label={`dont TVA ${rateLabel(v.rate)}`} value={formatCents(v.taxCents)} />
+        ))}
+      </Stack>
+    </Box>
+  );
+}
+
+/**
+ * Détail par vendeur : une sous-commande par vendeur, préparée et expédiée séparément.
+ * @param {{ sellers: import("../lib/pricing").SellerGroup[] }} props
+ */
+function SellerBreakdown({ sellers }) {
+  return (
+    <Box sx={{ mb: 2, p: 1.5, borderRadius: 2, bgcolor: "action.hover" }}>
+      <Typography variant="body2" fontWeight={600} sx={{ mb: 1 }}>
+        {sellers.length} commandes, un seul paiement
+      </Typography>
+      <Stack spacing={1}>
+        {sellers.map((g) => {
+          const count = g.lines.reduce((n, l) => n + l.qty, 0);
+          return (
+            <Box key={g.sellerId ?? "none"}>
+              <Box sx={{ display: "flex", justifyContent: "space-between", gap: 2 }}>
+                <Typography variant="body2">{sellerLabel(g)}</Typography>
+                <Typography variant="body2">{formatCents(g.totalCents)}</Typography>
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                {count} article{count > 1 ? "s" : ""} · {formatCents(g.subtotalCents)} + livraison{" "}
+                {g.shippingCents ? formatCents(g.shippingCents) : "offerte"}
+              </Typography>
+            </Box>
+          );
+        })}
+      </Stack>
+    </Box>
+  );
+}
+
+/**
+ * Ligne récapitulatif (libellé / valeur).
+ * @param {{ label: string, value: any }} props
+ */
+function Row({ label, value }) {
+  return (
+    <Box
+      sx={{
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+      }}
+    >
+      <Typography color="text.secondary">{label}</Typography>
+      <Typography>{value}</Typography>
+    </Box>
+  );
+}
+
+/**
+ * Ligne secondaire (HT / TVA incluse) sous le total.
+ * @param {{ label: string, value: string }} props
+ */
+function Caption({ label, value }) {
+  return (
+    <Box sx={{ display: "flex", justifyContent: "space-between" }}>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        {value}
+      </Typography>
+    </Box>
+  );
+}
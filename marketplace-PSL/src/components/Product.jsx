@@ -6,6 +6,9 @@
  * Rôle
  * - Affiche les informations principales d’un produit (image, nom, description, prix).
  * - Fournit une action principale "Ajouter" pour intégrer le produit au panier.
+ * - L’image et le texte mènent à la fiche produit (`/produits/:id`).
+ * - Affiche la disponibilité (rupture, stock faible) et désactive l’ajout quand tout le stock
+ *   est déjà au panier.
  *
  * Contexte d’utilisation
  * - Utilisé dans les pages publiques (Shop / Marketplace).
@@ -17,9 +20,12 @@
  */
 // src/components/Product.jsx
 
+// Router : lien vers la fiche produit
+import { Link as RouterLink } from "react-router-dom";
 // UI : composants Material UI pour la carte produit
 import {
   Card,
+  CardActionArea,
   CardContent,
   CardMedia,
   CardActions,
@@ -27,74 +33,100 @@ import {
   Typography,
   Box,
   Stack,
+  Rating,
 } from "@mui/material";
+// Monnaie : affichage des montants en centimes
+import { formatCents } from "../lib/money";
+// Stock : seuil d’affichage "Plus que N en stock"
+import { LOW_STOCK_THRESHOLD } from "../models/cart";
 
 /**
  * Carte Produit.
  *
  * @param {object} props
- * @param {number|string} props.id - Identifiant unique du produit (référence).
- * @param {string} props.name - Nom du produit.
- * @param {number} props.price - Prix du produit (en euros).
- * @param {string} [props.currency="EUR"] - Devise d’affichage.
- * @param {string} [props.description] - Description courte du produit.
- * @param {string|null} [props.image_url] - URL de l’image du produit.
+ * @param {import("../models/product").Product} props.product - Produit (modèle canonique).
+ * @param {number} [props.cartQty=0] - Quantité de ce produit déjà présente dans le panier.
  * @param {(product: object) => void} [props.onAdd] - Callback appelé lors de l’ajout au panier.
  */
-export function Product({
-  id,
-  name,
-  price,
-  currency = "EUR",
-  description = "",
-  image_url,
-  onAdd,
-}) {
+export function Product({ product, cartQty = 0, onAdd }) {
+  const { id, name, description = "", currency = "EUR", imageUrl, priceCents, stock = 0, rating, ratingCount } = product;
+  // Stock restant pour cet utilisateur (stock produit moins ce qui est déjà au panier)
+  const remaining = Math.max(0, stock - cartQty);
+
   // Formatage du prix : sécurise l’affichage si la valeur est absente ou invalide
-  const priceLabel = isFinite(price)
-    ? `${price.toFixed(2)} ${currency}`
+  const priceLabel = Number.isFinite(priceCents)
+    ? formatCents(priceCents, currency)
     : `— ${currency}`;
 
   return (
     <Card sx={{ display: "flex", flexDirection: "column", height: "100%" }}>
-      {/* Zone média : image produit ou placeholder si absente */} 
-      {image_url ? (
-        <CardMedia
-          component="img"
-          src={image_url}
-          alt={name}
-          sx={{ height: 180, objectFit: "cover" }}
-        />
-      ) : (
-        <Box
-          sx={{
-            height: 180,
-            bgcolor: "grey.100",
-            display: "grid",
-            placeItems: "center",
-          }}
-        >
-          <Typography variant="caption" color="text.secondary">
-            Aucune image
-          </Typography>
-        </Box>
-      )}
-
-      {/* Contenu principal : nom, description et référence produit */} 
-      <CardContent sx={{ flexGrow: 1 }}>
-        <Stack spacing={0.5}>
-          <Typography variant="h6">{name}</Typography>
-          <Typography variant="body2" color="text.secondary">
-            {description || "—"}
-          </Typography>
-          {/* Référence produit : affichée uniquement si l’id est fourni */} 
-          {id && (
+      {/* Zone cliquable : ouvre la fiche produit (désactivée sans id) */}
+      <CardActionArea
+        component={RouterLink}
+        to={`/produits/${encodeURIComponent(id ?? "")}`}
+        disabled={id == null}
+        sx={{ flexGrow: 1, display: "flex", flexDirection: "column", alignItems: "stretch" }}
+      >
+        {/* Zone média : image produit ou placeholder si absente */} 
+        {imageUrl ? (
+          <CardMedia
+            component="img"
+            src={imageUrl}
+            alt={name}
+            sx={{ height: 180, objectFit: "cover" }}
+          />
+        ) : (
+          <Box
+            sx={{
+              height: 180,
+              bgcolor: "grey.100",
+              display: "grid",
+              placeItems: "center",
+            }}
+          >
             <Typography variant="caption" color="text.secondary">
-              Réf. produit : {id}
+              Aucune image
+            </Typography>
+          </Box>
+        )}
+
+        {/* Contenu principal : nom, description et référence produit */} 
+        <CardContent sx={{ flexGrow: 1 }}>
+          <Stack spacing={0.5}>
+            <Typography variant="h6">{name}</Typography>
+            {/* Note moyenne des avis : affichée uniquement si le produit en a */}
+            {rating != null && (
+              <Stack direction="row" alignItems="center" spacing={0.5}>
+                <Rating value={rating} precision={0.1} readOnly size="small" />
+                <Typography variant="caption" color="text.secondary">
+                  ({ratingCount})
+                </Typography>
+              </Stack>
+            )}
+            <Typography variant="body2" color="text.secondary">
+              {description || "—"}
             </Typography>
-          )}
-        </Stack>
-      </CardContent>
+            {/* Référence produit : affichée uniquement si l’id est fourni */} 
+            {id && (
+              <Typography variant="caption" color="text.secondary">
+                Réf. produit : {id}
+              </Typography>
+            )}
+            {/* Disponibilité : rupture ou stock faible */}
+            {stock <= 0 ? (
+              <Typography variant="caption" color="error">
+                Rupture de stock
+              </Typography>
+            ) : (
+              stock <= LOW_STOCK_THRESHOLD && (
+                <Typography variant="caption" color="warning.main">
+                  Plus que {stock} en stock
+                </Typography>
+              )
+            )}
+          </Stack>
+        </CardContent>
+      </CardActionArea>
 
       {/* Actions : prix + bouton d’ajout au panier */} 
       <CardActions sx={{ justifyContent: "space-between", px: 2, pb: 2 }}>
@@ -102,12 +134,13 @@ export function Product({
         {/* Action "Ajouter" : délègue la gestion du panier au composant parent */} 
         <Button
           variant="contained"
+          disabled={remaining <= 0}
           onClick={() =>
-            // Transmission des données produit minimales au panier
-            onAdd?.({ id, name, price, currency, description, image_url })
+            // Transmission du produit au panier
+            onAdd?.(product)
           }
         >
-          Ajouter
+          {stock > 0 && remaining <= 0 ? "Stock au panier" : "Ajouter"}
         </Button>
       </CardActions>
     </Card>
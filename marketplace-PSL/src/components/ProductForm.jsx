@@ -7,21 +7,22 @@
  * - Fournit un formulaire unique pour :
  *   - créer un produit (mode = "create")
  *   - modifier un produit existant (mode = "edit")
- * - Délègue les appels HTTP au service `services/products`.
+ * - Délègue les appels HTTP au service `services/products` via `useMutation`
+ *   (la liste produits en cache est invalidée après succès).
  * - Associe systématiquement le produit à un vendeur (`id_seller`) à partir du contexte d'auth.
  *
  * Contrat API (attendu)
  * - `createProduct(payload)`  → POST /api/products.php
  * - `updateProduct(id, payload)` → PUT /api/products.php?id=...
  *
- * Champs (payload)
- * - name: string (obligatoire)
- * - description: string (optionnel)
- * - price: number (obligatoire) — ici en euros (float). Si votre back attend des centimes,
- *   faire la conversion côté front ou côté PHP (ex: Math.round(price * 100)).
- * - stock: number (>=0)
- * - image_url: string|null
- * - id_seller: number (obligatoire) — FK vers users.id (vendeur)
+ * Champs
+ * - Le formulaire manipule un `Product` canonique (models/product) : prix en centimes (`priceCents`).
+ * - Le payload HTTP est produit par `toApi()` : c'est le seul endroit qui connaît les colonnes du back
+ *   (name, description, price en euros, vat_rate, tax_included, stock, image_url, category_id, tags, id_seller).
+ * - TVA : taux par produit (20 / 10 / 5,5 / 2,1 %) et prix saisi HT ou TTC (voir lib/pricing).
+ * - Catégorie : une catégorie de la taxonomie (`categories.php`, sous-catégories indentées) ou aucune.
+ * - Étiquettes : saisie libre (Entrée pour valider), avec suggestions des étiquettes déjà
+ *   utilisées (`tagOptions`) ; normalisées en minuscules par le modèle.
  *
  * UX
  * - Pré-remplit les champs en mode "edit".
@@ -43,9 +44,24 @@ import {
   Button,
   Box,
   Typography,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Autocomplete,
+  Chip,
 } from "@mui/material";
 // Services : appels API produits (création / mise à jour)
-import { createProduct, updateProduct } from "../services/products";
+import { createProduct, updateProduct, productKeys } from "../services/products";
+import { performanceKeys } from "../services/performance";
+import { categoryKeys, listCategories } from "../services/categories";
+// Cache de requêtes : une sauvegarde invalide les listes produits affichées (Catalog, Shop)
+import { useMutation, useQuery } from "../lib/useQuery";
+// Modèle Produit : conversion formulaire → payload API (prix en centimes côté front)
+import { normalizeTags, toApi } from "../models/product";
+import { categoryOptions } from "../models/category";
+import { centsToEuros, eurosToCents } from "../lib/money";
+// TVA : taux autorisés (prix HT par défaut)
+import { DEFAULT_VAT_RATE, VAT_RATES } from "../lib/pricing";
 // Auth : contexte (identifiant vendeur) — requis pour rattacher le produit au bon seller
 import { useAuth } from "../context/AuthContext.jsx";
 
@@ -56,8 +72,9 @@ import { useAuth } from "../context/AuthContext.jsx";
  * @param {boolean} props.open - Ouvre/ferme la popup.
  * @param {() => void} [props.onClose] - Callback de fermeture (annuler ou après succès).
  * @param {"create"|"edit"} [props.mode="create"] - Mode d'utilisation.
- * @param {object|null} [props.initialProduct=null] - Produit initial (mode edit).
+ * @param {import("../models/product").Product|null} [props.initialProduct=null] - Produit initial (mode edit).
  * @param {(product: any) => void} [props.onSaved] - Callback après succès (ex: refresh liste Catalog).
+ * @param {string[]} [props.tagOptions=[]] - Étiquettes proposées à la saisie (déjà utilisées par le vendeur).
  */
 export function ProductForm({
   open,
@@ -65,6 +82,7 @@ export function ProductForm({
   mode = "create",
   initialProduct = null,
   onSaved,
+  tagOptions = [],
 }) {
   // Contexte d’authentification : doit contenir l'utilisateur connecté.
   // Défense : `useAuth()` peut être null si le Provider n'entoure pas l'arbre.
@@ -74,14 +92,21 @@ export function ProductForm({
   // Mode courant : simplifie les branches create/edit.
   const isEdit = mode === "edit";
 
+  // Taxonomie : options du champ "Catégorie" (cache partagé avec Shop)
+  const categories = useQuery(categoryKeys.all, () => listCategories(), { enabled: open });
+
   // State formulaire : valeurs contrôlées des champs.
-  // Note : `price` et `stock` sont stockés en string côté UI, puis convertis en Number dans le payload.
+  // Note : `price`, `stock` et `categoryId` sont stockés en string côté UI, puis convertis en Number dans le payload.
   const [form, setForm] = useState({
     name: "",
     description: "",
     price: "",
+    vatRate: DEFAULT_VAT_RATE,
+    taxIncluded: false,
     stock: "",
     image_url: "",
+    categoryId: "",
+    tags: [],
   });
 
   // State UX : chargement + message d'erreur (validation front ou erreur API).
@@ -90,6 +115,12 @@ export function ProductForm({
     error: "",
   });
 
+  // Mutation : create ou update selon le mode ; invalide produits + indicateurs vendeur.
+  const saveProduct = useMutation(
+    ({ id, payload }) => (id ? updateProduct(id, payload) : createProduct(payload)),
+    { invalidates: [productKeys.all, performanceKeys.all] }
+  );
+
   // Hydratation du formulaire
   // - En mode edit : pré-remplit depuis `initialProduct`.
   // - En mode create : reset des champs lors de l'ouverture.
@@ -102,15 +133,20 @@ export function ProductForm({
       setForm({
         name: initialProduct.name || "",
         description: initialProduct.description || "",
+        // Saisie en euros, modèle en centimes
         price:
-          typeof initialProduct.price === "number"
-            ? initialProduct.price.toString()
-            : initialProduct.price || "",
+          Number.isFinite(initialProduct.priceCents)
+            ? String(centsToEuros(initialProduct.priceCents))
+            : "",
+        vatRate: initialProduct.vatRate ?? DEFAULT_VAT_RATE,
+        taxIncluded: Boolean(initialProduct.taxIncluded),
         stock:
           initialProduct.stock != null
             ? String(initialProduct.stock)
             : "",
-        image_url: initialProduct.image_url || "",
+        image_url: initialProduct.imageUrl || "",
+        categoryId: initialProduct.categoryId != null ? String(initialProduct.categoryId) : "",
+        tags: initialProduct.tags ?? [],
       });
     } else if (open && !isEdit) {
       // reset en mode création
@@ -118,8 +154,12 @@ export function ProductForm({
         name: "",
         description: "",
         price: "",
+        vatRate: DEFAULT_VAT_RATE,
+        taxIncluded: false,
         stock: "",
         image_url: "",
+        categoryId: "",
+        tags: [],
       });
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -159,26 +199,27 @@ export function ProductForm({
     setState({ loading: true, error: "" });
 
     try {
-      // Payload API : conversion et normalisation des champs.
-      // IMPORTANT : `price` est ici en euros (float). Adapter si la DB/back stocke en centimes.
-      const payload = {
-        name: form.name.trim(),
-        description: form.description.trim(),
-        // on convertit en nombre (tu adapteras côté PHP si tu es en centimes)
-        price: Number(form.price),
+      // Payload API : le formulaire est converti en Product (prix en centimes),
+      // puis `toApi()` produit le format attendu par products.php.
+      const payload = toApi({
+        name: form.name,
+        description: form.description,
+        priceCents: eurosToCents(form.price),
+        vatRate: form.vatRate,
+        taxIncluded: form.taxIncluded,
         stock: form.stock !== "" ? Number(form.stock) : 0,
-        image_url: form.image_url.trim() || null,
-        id_seller: sellerId, // très important : on rattache au user connecté
-      };
+        imageUrl: form.image_url,
+        categoryId: form.categoryId !== "" ? Number(form.categoryId) : null,
+        tags: form.tags,
+        sellerId, // très important : on rattache au user connecté
+      });
 
       // Branche edit : nécessite un id produit.
       // Branche create : POST d'un nouveau produit.
-      let result;
-      if (isEdit && initialProduct?.id) {
-        result = await updateProduct(initialProduct.id, payload);
-      } else {
-        result = await createProduct(payload);
-      }
+      const result = await saveProduct.mutate({
+        id: isEdit ? initialProduct?.id : null,
+        payload,
+      });
 
       setState({ loading: false, error: "" });
 
@@ -236,10 +277,10 @@ export function ProductForm({
             minRows={3}
           />
 
-          {/* Groupe : prix + stock (responsive) */}
+          {/* Groupe : prix + TVA + stock (responsive) */}
           <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
             <TextField
-              label="Prix (€)"
+              label={form.taxIncluded ? "Prix TTC (€)" : "Prix HT (€)"}
               value={form.price}
               onChange={handleChange("price")}
               required
@@ -247,6 +288,19 @@ export function ProductForm({
               inputProps={{ min: 0, step: "0.01" }}
               fullWidth
             />
+            <TextField
+              select
+              label="TVA"
+              value={form.vatRate}
+              onChange={handleChange("vatRate")}
+              fullWidth
+            >
+              {VAT_RATES.map((rate) => (
+                <MenuItem key={rate} value={rate}>
+                  {String(rate).replace(".", ",")} %
+                </MenuItem>
+              ))}
+            </TextField>
             <TextField
               label="Stock"
               value={form.stock}
@@ -257,6 +311,59 @@ export function ProductForm({
             />
           </Stack>
 
+          {/* Classement : catégorie (taxonomie) + étiquettes libres */}
+          <TextField
+            select
+            label="Catégorie"
+            value={form.categoryId}
+            onChange={handleChange("categoryId")}
+            fullWidth
+            helperText={categories.error ? "Catégories indisponibles" : " "}
+          >
+            <MenuItem value="">
+              <em>Non classé</em>
+            </MenuItem>
+            {categoryOptions(categories.data ?? []).map((c) => (
+              <MenuItem key={c.id} value={String(c.id)} sx={{ pl: 2 + c.depth * 2 }}>
+                {c.name}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          <Autocomplete
+            multiple
+            freeSolo
+            options={tagOptions.filter((t) => !form.tags.includes(t))}
+            value={form.tags}
+            // Saisie libre : normalisée à chaque ajout (minuscules, sans doublon)
+            onChange={(_, value) => setForm((f) => ({ ...f, tags: normalizeTags(value) }))}
+            renderValue={(value, getItemProps) =>
+              value.map((tag, index) => {
+                const { key, ...itemProps } = getItemProps({ index });
+                return <Chip key={key} label={tag} size="small" {...itemProps} />;
+              })
+            }
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Étiquettes"
+                placeholder="Ajouter une étiquette…"
+                helperText="Entrée pour valider chaque étiquette"
+              />
+            )}
+          />
+
+          {/* Prix saisi TTC ou HT : la TVA est ensuite calculée par lib/pricing */}
+          <FormControlLabel
+            control={
+              <Switch
+                checked={form.taxIncluded}
+                onChange={(e) => setForm((f) => ({ ...f, taxIncluded: e.target.checked }))}
+              />
+            }
+            label="Prix saisi TTC"
+          />
+
           {/* Image : URL optionnelle (affichage côté ProductCard et/ou modal détail) */}
           <TextField
             label="URL de l'image"
@@ -0,0 +1,78 @@
+/**
+ * @file PromoCodeField.jsx
+ * @description
+ * Saisie d’un code promo dans le récapitulatif du panier.
+ *
+ * Rôle
+ * - Envoie le code au parent (`onApply`, vérification par `discount.php`) et affiche son refus
+ *   (code inconnu, déjà utilisé…).
+ * - Une fois le code accepté : l’affiche (puce supprimable) avec, le cas échéant, la condition
+ *   qui l’empêche de s’appliquer au panier actuel (minimum d’achat, vendeur, dates).
+ */
+// React : state local de saisie
+import { useState } from "react";
+// UI : Material UI
+import { Alert, Box, Button, Chip, Stack, TextField } from "@mui/material";
+import LocalOfferOutlinedIcon from "@mui/icons-material/LocalOfferOutlined";
+
+/**
+ * @param {object} props
+ * @param {import("../lib/pricing").AppliedDiscount|null} props.discount - Code appliqué (détail lib/pricing).
+ * @param {(code: string) => Promise<unknown>} props.onApply
+ * @param {() => void} props.onRemove
+ */
+export function PromoCodeField({ discount, onApply, onRemove }) {
+  const [code, setCode] = useState("");
+  const [state, setState] = useState({ loading: false, error: "" });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim() || state.loading) return;
+    setState({ loading: true, error: "" });
+    try {
+      await onApply(code);
+      setCode("");
+      setState({ loading: false, error: "" });
+    } catch (err) {
+      setState({ loading: false, error: err?.message || "Code promo invalide." });
+    }
+  };
+
+  // Code accepté : puce + éventuelle condition non remplie
+  if (discount) {
+    return (
+      <Stack spacing={1}>
+        <Box>
+          <Chip
+            icon={<LocalOfferOutlinedIcon />}
+            label={discount.code}
+            color={discount.applied ? "success" : "default"}
+            onDelete={onRemove}
+          />
+        </Box>
+        {!discount.applied && discount.reason && (
+          <Alert severity="info">{discount.reason}</Alert>
+        )}
+      </Stack>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit}>
+      <Stack direction="row" spacing={1} alignItems="flex-start">
+        <TextField
+          label="Code promo"
+          size="small"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          error={Boolean(state.error)}
+          helperText={state.error || " "}
+          fullWidth
+        />
+        <Button type="submit" variant="outlined" disabled={state.loading || !code.trim()}>
+          {state.loading ? "…" : "Appliquer"}
+        </Button>
+      </Stack>
+    </Box>
+  );
+}
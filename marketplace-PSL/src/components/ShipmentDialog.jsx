@@ -0,0 +1,193 @@
+/**
+ * @file ShipmentDialog.jsx
+ * @description
+ * Dialogue "Expédier" de la page "Commandes à traiter" : un colis du vendeur connecté.
+ *
+ * Rôle
+ * - Relit la commande (`getOrder`) pour connaître le reste à expédier de chaque article du vendeur.
+ * - Saisie du transporteur, du numéro de suivi et des quantités du colis (expédition partielle possible :
+ *   les articles restants partiront dans un autre colis).
+ * - Validation locale (models/shipment) puis `shipOrder` ; le back passe la commande à « expédiée »
+ *   quand tous ses articles sont partis.
+ */
+// React : saisie du colis
+import { useState } from "react";
+// UI : Material UI
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@mui/material";
+// Services + cache : relecture de la commande, expédition
+import { getOrder, orderKeys, shipOrder } from "../services/orders";
+import { useMutation, useQuery } from "../lib/useQuery";
+// Modèle : transporteurs, reste à expédier, validation
+import { CARRIERS, linesToShip, validateShipment } from "../models/shipment";
+
+/**
+ * @param {object} props
+ * @param {{ id: number }|null} props.order - Commande à expédier (null : dialogue fermé).
+ * @param {number} props.sellerId - Vendeur connecté.
+ * @param {() => void} props.onClose
+ */
+export function ShipmentDialog({ order, sellerId, onClose }) {
+  const open = order != null;
+  const query = useQuery(orderKeys.detail(order?.id), () => getOrder(order.id), { enabled: open });
+  const available = query.data ? linesToShip(query.data, sellerId).filter((l) => l.remainingQty > 0) : [];
+
+  const [carrier, setCarrier] = useState("");
+  const [trackingNumber, setTrackingNumber] = useState("");
+  // Quantités saisies par article (productId → texte du champ) ; par défaut, tout le reste à expédier
+  const [quantities, setQuantities] = useState({});
+  const [touched, setTouched] = useState(false);
+
+  const ship = useMutation(shipOrder, { invalidates: [orderKeys.all] });
+
+  const lines = available.map((l) => ({
+    productId: l.productId,
+    qty: Number(quantities[l.productId] ?? l.remainingQty),
+  }));
+  const errors = validateShipment({ carrier, trackingNumber, lines }, available);
+  const isValid = Object.keys(errors).length === 0;
+  const partial = lines.some((l, i) => l.qty < available[i].remainingQty);
+
+  const close = () => {
+    setCarrier("");
+    setTrackingNumber("");
+    setQuantities({});
+    setTouched(false);
+    ship.reset();
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    setTouched(true);
+    if (!isValid) return;
+    try {
+      await ship.mutate({ order, carrier, trackingNumber, lines });
+      close();
+    } catch {
+      // Erreur affichée dans le dialogue (`ship.error`)
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={close} maxWidth="sm" fullWidth>
+      <DialogTitle>Expédier la commande n° {order?.id}</DialogTitle>
+      <DialogContent dividers>
+        {query.isLoading && <CircularProgress size={22} />}
+        {!query.data && query.error && (
+          <Alert severity="error" sx={{ borderRadius: 2 }}>
+            {query.error.message || "Commande introuvable"}
+          </Alert>
+        )}
+
+        {query.data && !available.length && (
+          <Typography color="text.secondary">Tous vos articles de cette commande sont déjà expédiés.</Typography>
+        )}
+
+        {available.length > 0 && (
+          <Stack spacing={2} sx={{ pt: 1 }}>
+            <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+              <TextField
+                select
+                label="Transporteur"
+                value={carrier}
+                onChange={(e) => setCarrier(e.target.value)}
+                error={touched && Boolean(errors.carrier)}
+                helperText={touched && errors.carrier}
+                sx={{ minWidth: 180 }}
+                required
+              >
+                {Object.entries(CARRIERS).map(([id, c]) => (
+                  <MenuItem key={id} value={id}>
+                    {c.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                label="Numéro de suivi"
+                value={trackingNumber}
+                onChange={(e) => setTrackingNumber(e.target.value)}
+                error={touched && Boolean(errors.trackingNumber)}
+                helperText={touched && errors.trackingNumber}
+                fullWidth
+                required
+              />
+            </Stack>
+
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Article</TableCell>
+                  <TableCell align="right">Commandé</TableCell>
+                  <TableCell align="right">Déjà expédié</TableCell>
+                  <TableCell align="right">Dans ce colis</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {available.map((l) => (
+                  <TableRow key={l.productId}>
+                    <TableCell>{l.name}</TableCell>
+                    <TableCell align="right">{l.qty}</TableCell>
+                    <TableCell align="right">{l.shippedQty}</TableCell>
+                    <TableCell align="right">
+                      <TextField
+                        type="number"
+                        size="small"
+                        value={quantities[l.productId] ?? String(l.remainingQty)}
+                        onChange={(e) => setQuantities((q) => ({ ...q, [l.productId]: e.target.value }))}
+                        slotProps={{ htmlInput: { min: 0, max: l.remainingQty, step: 1 } }}
+                        sx={{ width: 80 }}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {touched && errors.lines && (
+              <Alert severity="warning" sx={{ borderRadius: 2 }}>
+                {errors.lines}
+              </Alert>
+            )}
+            {partial && !errors.lines && (
+              <Typography variant="body2" color="text.secondary">
+                Expédition partielle : les articles restants pourront partir dans un autre colis.
+              </Typography>
+            )}
+          </Stack>
+        )}
+
+        {ship.error && (
+          <Alert severity="error" sx={{ mt: 2, borderRadius: 2 }}>
+            {ship.error.message || "Expédition impossible"}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={close}>Retour</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={ship.isPending || !available.length || (touched && !isValid)}
+        >
+          {ship.isPending ? <CircularProgress size={18} /> : "Confirmer l’expédition"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
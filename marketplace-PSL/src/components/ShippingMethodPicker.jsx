@@ -0,0 +1,65 @@
+/**
+ * @file ShippingMethodPicker.jsx
+ * @description
+ * Choix du mode de livraison (tunnel de commande).
+ *
+ * Chaque option affiche son délai et son coût pour le panier courant : le parent fournit le prix
+ * de chaque mode, calculé par `computePricing` (un colis par vendeur, seuils de gratuité, code promo).
+ */
+// UI : Material UI
+import {
+  Box,
+  FormControlLabel,
+  Paper,
+  Radio,
+  RadioGroup,
+  Typography,
+} from "@mui/material";
+// Montants : formatage des centimes
+import { formatCents } from "../lib/money";
+
+/**
+ * @param {object} props
+ * @param {Array<{ id: string, label: string, delay: string, shippingCents: number }>} props.options
+ * @param {string} props.value - Mode sélectionné.
+ * @param {(id: string) => void} props.onChange
+ */
+export function ShippingMethodPicker({ options, value, onChange }) {
+  return (
+    <RadioGroup value={value} onChange={(e) => onChange(e.target.value)}>
+      {options.map((m) => (
+        <Paper
+          key={m.id}
+          variant="outlined"
+          sx={{
+            mb: 1.5,
+            px: 2,
+            py: 1,
+            borderRadius: 2,
+            borderColor: m.id === value ? "primary.main" : undefined,
+          }}
+        >
+          <FormControlLabel
+            value={m.id}
+            control={<Radio />}
+            sx={{ width: "100%", m: 0 }}
+            slotProps={{ typography: { sx: { flexGrow: 1 } } }}
+            label={
+              <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 2 }}>
+                <Box>
+                  <Typography fontWeight={600}>{m.label}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {m.delay}
+                  </Typography>
+                </Box>
+                <Typography fontWeight={600}>
+                  {m.shippingCents === 0 ? "Offerte" : formatCents(m.shippingCents)}
+                </Typography>
+              </Box>
+            }
+          />
+        </Paper>
+      ))}
+    </RadioGroup>
+  );
+}
@@ -0,0 +1,225 @@
+/**
+ * @file ShopFilters.jsx
+ * @description
+ * Panneau de filtres du catalogue (page Shop) : prix, disponibilité, vendeurs, catégories, note, étiquettes.
+ *
+ * Rôle
+ * - Affiche chaque option avec son nombre de produits (facettes calculées par le back, ou par
+ *   services/products en repli) ; une facette tient compte de tous les autres filtres.
+ * - Ne garde aucun état de filtre : chaque choix remonte via `onChange(patch)` et la page Shop
+ *   l'écrit dans l'URL (lib/catalogQuery). Seul le curseur de prix a un état local pendant le glissement.
+ */
+// React : position du curseur de prix pendant le glissement
+import { useState } from "react";
+// UI : Material UI
+import {
+  Box,
+  Checkbox,
+  Chip,
+  Divider,
+  FormControlLabel,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Radio,
+  RadioGroup,
+  Rating,
+  Slider,
+  Stack,
+  Typography,
+} from "@mui/material";
+// Taxonomie : arbre des catégories
+import { buildCategoryTree } from "../models/category";
+import { RATING_THRESHOLDS } from "../lib/catalogQuery";
+import { sellerLabel } from "../lib/pricing";
+
+/** Nombre de produits affiché à droite d'une option. */
+const Count = ({ value }) => (
+  <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 0.5 }}>
+    ({value})
+  </Typography>
+);
+
+const Section = ({ title, children }) => (
+  <Box>
+    <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>
+      {title}
+    </Typography>
+    {children}
+  </Box>
+);
+
+/** Fourchette de prix (euros entiers) ; les bornes extrêmes équivalent à "pas de filtre". */
+function PriceFilter({ bounds, priceMin, priceMax, onChange }) {
+  const lo = Math.floor(bounds.min / 100);
+  const hi = Math.ceil(bounds.max / 100);
+  const committed = [priceMin != null ? priceMin / 100 : lo, priceMax != null ? priceMax / 100 : hi];
+  // Valeur pendant le glissement (null : celle de l'URL)
+  const [dragging, setDragging] = useState(null);
+  const [min, max] = dragging ?? committed;
+
+  return (
+    <Box sx={{ px: 1 }}>
+      <Slider
+        value={[min, max]}
+        min={lo}
+        max={hi}
+        disabled={lo === hi}
+        onChange={(_, v) => setDragging(v)}
+        onChangeCommitted={(_, [a, b]) => {
+          setDragging(null);
+          onChange({ priceMin: a > lo ? a * 100 : null, priceMax: b < hi ? b * 100 : null });
+        }}
+        valueLabelDisplay="auto"
+        valueLabelFormat={(v) => `${v} €`}
+        getAriaLabel={(i) => (i === 0 ? "Prix minimum" : "Prix maximum")}
+      />
+      <Stack direction="row" justifyContent="space-between">
+        <Typography variant="caption">{min} €</Typography>
+        <Typography variant="caption">{max} €</Typography>
+      </Stack>
+    </Box>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {import("../lib/catalogQuery").CatalogQuery} props.query - Filtres actifs (URL).
+ * @param {import("../lib/catalogQuery").CatalogFacets|undefined} props.facets
+ * @param {import("../models/category").Category[]} props.categories - Taxonomie (vide si indisponible).
+ * @param {(patch: Partial<import("../lib/catalogQuery").CatalogQuery>) => void} props.onChange
+ */
+export function ShopFilters({ query, facets, categories, onChange }) {
+  if (!facets) return null;
+
+  const categoryCount = new Map(facets.categories.map((c) => [c.id, c.count]));
+  // Vendeurs proposés + vendeurs cochés sans résultat (pour pouvoir les décocher)
+  const sellers = [
+    ...facets.sellers,
+    ...query.sellers
+      .filter((id) => !facets.sellers.some((s) => s.id === id))
+      .map((id) => ({ id, name: null, count: 0 })),
+  ];
+  // Étiquettes les plus fréquentes + étiquette retenue si elle n'y figure pas
+  const tags =
+    query.tag && !facets.tags.some((t) => t.name === query.tag)
+      ? [{ name: query.tag, count: 0 }, ...facets.tags]
+      : facets.tags;
+  const toggleSeller = (id) =>
+    onChange({
+      sellers: query.sellers.includes(id) ? query.sellers.filter((s) => s !== id) : [...query.sellers, id],
+    });
+
+  // Arbre des catégories : branches sans produit masquées, sauf la catégorie sélectionnée
+  const renderNodes = (nodes, depth) =>
+    nodes
+      .filter((n) => categoryCount.has(n.id) || n.slug === query.category)
+      .map((n) => (
+        <Box key={n.id}>
+          <ListItemButton
+            dense
+            selected={n.slug === query.category}
+            onClick={() => onChange({ category: n.slug === query.category ? "" : n.slug })}
+            sx={{ pl: 1 + depth * 2, borderRadius: 1 }}
+          >
+            <ListItemText primary={<>{n.name}<Count value={categoryCount.get(n.id) ?? 0} /></>} />
+          </ListItemButton>
+          {renderNodes(n.children, depth + 1)}
+        </Box>
+      ));
+
+  return (
+    <Paper sx={{ p: 2.5 }}>
+      <Stack spacing={2} divider={<Divider flexItem />}>
+        {facets.priceCents && (
+          <Section title="Prix">
+            <PriceFilter
+              bounds={facets.priceCents}
+              priceMin={query.priceMin}
+              priceMax={query.priceMax}
+              onChange={onChange}
+            />
+          </Section>
+        )}
+
+        <Section title="Disponibilité">
+          <FormControlLabel
+            control={<Checkbox checked={query.inStock} onChange={(e) => onChange({ inStock: e.target.checked })} />}
+            label={<>En stock uniquement<Count value={facets.inStock} /></>}
+          />
+        </Section>
+
+        {sellers.length > 0 && (
+          <Section title="Vendeurs">
+            <Stack>
+              {sellers.map((s) => (
+                <FormControlLabel
+                  key={s.id}
+                  control={<Checkbox checked={query.sellers.includes(s.id)} onChange={() => toggleSeller(s.id)} />}
+                  label={<>{sellerLabel({ sellerId: s.id, sellerName: s.name })}<Count value={s.count} /></>}
+                />
+              ))}
+            </Stack>
+          </Section>
+        )}
+
+        {categories.length > 0 && (
+          <Section title="Catégories">
+            <List disablePadding>
+              <ListItemButton
+                dense
+                selected={!query.category}
+                onClick={() => onChange({ category: "" })}
+                sx={{ pl: 1, borderRadius: 1 }}
+              >
+                <ListItemText primary="Toutes les catégories" />
+              </ListItemButton>
+              {renderNodes(buildCategoryTree(categories), 0)}
+            </List>
+          </Section>
+        )}
+
+        <Section title="Note minimale">
+          <RadioGroup
+            value={String(query.minRating)}
+            onChange={(e) => onChange({ minRating: Number(e.target.value) })}
+          >
+            <FormControlLabel value="0" control={<Radio size="small" />} label="Toutes les notes" />
+            {RATING_THRESHOLDS.map((min) => (
+              <FormControlLabel
+                key={min}
+                value={String(min)}
+                control={<Radio size="small" />}
+                label={
+                  <Stack direction="row" alignItems="center" spacing={0.5}>
+                    <Rating value={min} readOnly size="small" />
+                    <Typography variant="body2">et plus</Typography>
+                    <Count value={facets.ratings.find((r) => r.min === min)?.count ?? 0} />
+                  </Stack>
+                }
+              />
+            ))}
+          </RadioGroup>
+        </Section>
+
+        {tags.length > 0 && (
+          <Section title="Étiquettes">
+            <Stack direction="row" flexWrap="wrap" useFlexGap spacing={1}>
+              {tags.map((t) => (
+                <Chip
+                  key={t.name}
+                  size="small"
+                  label={`${t.name} (${t.count})`}
+                  color={t.name === query.tag ? "primary" : "default"}
+                  variant={t.name === query.tag ? "filled" : "outlined"}
+                  onClick={() => onChange({ tag: t.name === query.tag ? "" : t.name })}
+                />
+              ))}
+            </Stack>
+          </Section>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,60 @@
+/**
+ * @file ThreeDSecureDialog.jsx
+ * @description
+ * Dialogue d’authentification forte 3-D Secure (page de la banque, simulée).
+ *
+ * Rôle
+ * - Affiché par `PaymentForm` quand le fournisseur de paiement demande une authentification
+ *   (`onChallenge`, voir lib/payments).
+ * - Le client valide ou refuse ; fermer le dialogue revient à abandonner l’authentification.
+ */
+// UI : Material UI
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  Typography,
+} from "@mui/material";
+import LockOutlinedIcon from "@mui/icons-material/LockOutlined";
+// Montants : formatage des centimes
+import { formatCents } from "../lib/money";
+
+/**
+ * @param {object} props
+ * @param {import("../lib/payments").ChallengeDetails|null} props.challenge - null : dialogue fermé.
+ * @param {(approved: boolean|null) => void} props.onResult - true validé, false refusé, null abandonné.
+ */
+export function ThreeDSecureDialog({ challenge, onResult }) {
+  return (
+    <Dialog open={Boolean(challenge)} onClose={() => onResult(null)} maxWidth="xs" fullWidth>
+      <DialogTitle>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <LockOutlinedIcon fontSize="small" />
+          <span>Authentification de votre banque</span>
+        </Stack>
+      </DialogTitle>
+      {challenge && (
+        <DialogContent dividers>
+          <Typography sx={{ mb: 1 }}>
+            Confirmez le paiement de <strong>{formatCents(challenge.amountCents)}</strong> avec la
+            carte se terminant par <strong>{challenge.last4}</strong>.
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Simulation 3-D Secure : aucune banque n’est contactée.
+          </Typography>
+        </DialogContent>
+      )}
+      <DialogActions>
+        <Button color="error" onClick={() => onResult(false)}>
+          Refuser
+        </Button>
+        <Button variant="contained" onClick={() => onResult(true)}>
+          Valider le paiement
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -6,61 +6,190 @@
  * (such as user login information) across the React component tree.
  * It handles persisting the auth state in localStorage to maintain user sessions
  * even after page reloads, enabling a seamless user experience.
+ * It also exposes the current token to the API layer (lib/apiClient) so that every
+ * request automatically carries the `Authorization: Bearer <token>` header.
+ *
+ * Session lifecycle
+ * - The token expiry (`exp` claim) is decoded with lib/token.
+ * - The token is refreshed through `refresh.php` shortly before it expires.
+ * - A 401 answered to a session request triggers one refresh + replay inside apiFetch;
+ *   if the session cannot be renewed the user is logged out (`sessionExpired` = true)
+ *   and RequireAuth sends them to the auth page, keeping the requested location in `from`.
+ *
+ * Cross-tab sync
+ * - The session is stored under the "auth" localStorage key; `storage` events (lib/tabSync)
+ *   apply logins, logouts, profile updates and token refreshes made in other tabs.
  */
 
-import { createContext, useContext, useState, useEffect } from "react";
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+import { renewSession, setAuthTokenProvider, setSessionHandlers } from "../lib/apiClient";
+import { clearQueries } from "../lib/queryCache";
+import { readStorage, subscribeStorage, writeStorage } from "../lib/tabSync";
+import { getTokenExpiry, isTokenExpired } from "../lib/token";
+import { refreshSession } from "../services/auth";
 
 const AuthContext = createContext(null);
 
+const STORAGE_KEY = "auth";
+// How long before expiry the token is refreshed.
+const REFRESH_MARGIN_MS = 60 * 1000;
+// setTimeout stores delays on 32 bits: longer delays would fire immediately.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Reads the persisted session synchronously, so that the first render already knows
+ * whether the user is logged in (a page reload no longer bounces through the auth page).
+ *
+ * @returns {{ token: string, refreshToken?: string|null, user: object }|null}
+ */
+function loadStoredAuth() {
+  return usableSession(readStorage(STORAGE_KEY));
+}
+
+// A stored session is usable if it has a token that is still valid or can be renewed.
+function usableSession(stored) {
+  if (!stored?.token) return null;
+  // An expired token without refresh token cannot be renewed: start logged out.
+  if (isTokenExpired(stored.token) && !stored.refreshToken) return null;
+  return stored;
+}
+
 /**
  * AuthProvider component wraps the application (or part of it) to provide authentication state.
- * It initializes auth state from localStorage on mount and persists changes to localStorage.
- * 
+ * It initializes auth state from localStorage and persists changes to localStorage.
+ *
  * @param {object} props - React props object
  * @param {React.ReactNode} props.children - Child components that will have access to auth context
  * @returns {JSX.Element} AuthContext provider wrapping children
  */
 export function AuthProvider({ children }) {
-  const [auth, setAuth] = useState(null);
+  const [auth, setAuth] = useState(loadStoredAuth);
+  // True when the last session ended because it expired (not a voluntary logout).
+  const [sessionExpired, setSessionExpired] = useState(false);
+  // Latest session, readable from the API layer callbacks without re-registering them.
+  const authRef = useRef(auth);
 
-  // On component mount, attempt to load auth state from localStorage to persist login sessions.
+  // Whenever auth state changes, update localStorage to keep it in sync
+  // (removed on logout). Other tabs are notified through the `storage` event.
   useEffect(() => {
-    try {
-      // localStorage is used to persist authentication info across browser sessions.
-      const raw = localStorage.getItem("auth");
-      if (raw) {
-        setAuth(JSON.parse(raw));
-      }
-    } catch (e) {
-      console.error("Erreur chargement auth", e);
-    }
-  }, []);
+    writeStorage(STORAGE_KEY, auth);
+  }, [auth]);
 
-  // Whenever auth state changes, update localStorage to keep it in sync.
-  useEffect(() => {
-    try {
-      if (auth) {
-        // Save current auth state as a JSON string in localStorage.
-        localStorage.setItem("auth", JSON.stringify(auth));
-      } else {
-        // Remove auth data from localStorage when user logs out.
-        localStorage.removeItem("auth");
-      }
-    } catch (e) {
-      console.error("Erreur sauvegarde auth", e);
-    }
+  // Apply session changes made in other tabs (login, logout, profile update, token refresh).
+  useEffect(
+    () =>
+      subscribeStorage(STORAGE_KEY, (stored) => {
+        const next = usableSession(stored);
+        const current = authRef.current;
+        if (!next && !current) return;
+        // Another user (or nobody): cached API data belongs to the previous session.
+        if (next?.user?.id !== current?.user?.id) clearQueries();
+        authRef.current = next;
+        setSessionExpired(false);
+        setAuth(next);
+      }),
+    []
+  );
+
+  // Expose the current token to apiFetch. A layout effect runs before the children's
+  // regular effects, so pages fetching on mount already see the right token.
+  useLayoutEffect(() => {
+    authRef.current = auth;
+    setAuthTokenProvider(() => authRef.current?.token ?? null);
   }, [auth]);
 
+  /**
+   * Opens a session from a login response.
+   * @param {{ token: string, refreshToken?: string|null, user: object }} session
+   */
+  const login = useCallback((session) => {
+    setSessionExpired(false);
+    setAuth(session);
+  }, []);
+
   /**
    * Logs out the current user by clearing the auth state.
-   * This also triggers removal of auth data from localStorage.
+   * This also triggers removal of auth data from localStorage and empties the query cache.
+   *
+   * @param {{ expired?: boolean }} [options] - `expired: true` when the session ran out.
    */
-  const logout = () => {
-    console.log("[AuthContext] logout");
+  const logout = useCallback(({ expired = false } = {}) => {
+    console.log("[AuthContext] logout", expired ? "(session expirée)" : "");
+    authRef.current = null;
+    setSessionExpired(expired);
     setAuth(null);
-  };
+    // Cached API data belongs to the previous user: drop it.
+    clearQueries();
+  }, []);
+
+  /**
+   * Asks the backend for a new token. Resolves with the new token, or null if the
+   * session cannot be renewed (no refresh endpoint, refresh token revoked…).
+   */
+  const refresh = useCallback(async () => {
+    const current = authRef.current;
+    if (!current?.token) return null;
+    try {
+      const res = await refreshSession({
+        token: isTokenExpired(current.token) ? null : current.token,
+        refreshToken: current.refreshToken ?? null,
+      });
+      // The user logged out (or in as someone else) meanwhile: keep the new state.
+      if (authRef.current?.token !== current.token) return authRef.current?.token ?? null;
+      const next = {
+        ...current,
+        token: res.token,
+        refreshToken: res.refresh_token ?? current.refreshToken ?? null,
+      };
+      // Updated right away: apiFetch replays the failed request as soon as we return.
+      authRef.current = next;
+      setAuth(next);
+      return res.token;
+    } catch (e) {
+      console.warn("[AuthContext] refresh impossible", e);
+      return null;
+    }
+  }, []);
+
+  // Session handlers used by apiFetch on 401.
+  useLayoutEffect(() => {
+    setSessionHandlers({ refresh, onExpired: () => logout({ expired: true }) });
+    return () => setSessionHandlers();
+  }, [refresh, logout]);
+
+  // Refresh shortly before expiry; if that fails, end the session when the token actually expires.
+  const token = auth?.token;
+  useEffect(() => {
+    const expiry = getTokenExpiry(token);
+    if (expiry == null) return;
+
+    let cancelled = false;
+    let expiryTimer;
+    const refreshTimer = setTimeout(async () => {
+      const fresh = await renewSession();
+      if (fresh || cancelled) return; // a new token re-runs this effect
+      expiryTimer = setTimeout(
+        () => logout({ expired: true }),
+        Math.min(MAX_TIMER_DELAY, Math.max(0, expiry - Date.now()))
+      );
+    }, Math.min(MAX_TIMER_DELAY, Math.max(0, expiry - REFRESH_MARGIN_MS - Date.now())));
+
+    return () => {
+      cancelled = true;
+      clearTimeout(refreshTimer);
+      clearTimeout(expiryTimer);
+    };
+  }, [token, logout]);
 
-  const value = { auth, setAuth, logout };
+  const value = { auth, setAuth, login, logout, sessionExpired };
 
   return (
     <AuthContext.Provider value={value}>
@@ -72,10 +201,10 @@ export function AuthProvider({ children }) {
 /**
  * Custom hook to access authentication context.
  * Components can use this hook to get or update auth state and trigger logout.
- * 
- * @returns {object} Auth context value containing auth, setAuth, and logout
+ *
+ * @returns {object} Auth context value containing auth, setAuth, login, logout and sessionExpired
  */
 export function useAuth() {
   const ctx = useContext(AuthContext);
   return ctx;
-}
\ No newline at end of file
+}
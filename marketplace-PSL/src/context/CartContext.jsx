@@ -0,0 +1,318 @@
+/**
+ * CartContext.jsx
+ *
+ * Shopping cart state shared by the whole application (Shop, Cart, PayWall, Navbar badge).
+ *
+ * Persistence
+ * - One cart per owner (guest or user id), stored in localStorage with a versioned schema
+ *   (models/cart) and synchronised across tabs (lib/useSyncedStorage).
+ * - For a logged-in user the cart is also saved on the server (`cart.php`, services/cart),
+ *   debounced after each change. If the endpoint is unavailable the cart stays device-local.
+ *
+ * Login
+ * - The guest cart, the user's local cart and the server cart are merged
+ *   (duplicate lines keep the highest quantity, see models/cart) and the guest cart is emptied.
+ *
+ * Reconciliation
+ * - Only the products in the cart are reloaded (services/products `getProductsByIds`, never the
+ *   whole catalogue): a product the backend reports as gone (404) is removed and price changes
+ *   are applied, each with a notice displayed on the cart page.
+ *
+ * Promo code
+ * - `applyPromoCode()` checks a code with the backend (services/discounts) and keeps it for the
+ *   current owner until it is removed, the user changes or the cart is emptied after an order.
+ *   Prices are computed by the pages with lib/pricing (`computePricing(items, { discount })`).
+ *
+ * Stock
+ * - Quantities are capped to the product stock when adding or incrementing.
+ * - `revalidate()` reloads the cart's products from the backend (cart page opening, checkout,
+ *   payment) and reports the lines that cannot be fulfilled (`issues`).
+ *
+ * Components read the cart with `useCart()` (context/useCart).
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useAuth } from "./AuthContext.jsx";
+import { useSyncedStorage } from "../lib/useSyncedStorage";
+import { useQuery } from "../lib/useQuery";
+import { HttpError } from "../lib/apiClient";
+import { getProductsByIds, productKeys } from "../services/products";
+import { fetchCart, saveCart } from "../services/cart";
+import { checkPromoCode } from "../services/discounts";
+import {
+  CART_STORAGE_KEY,
+  GUEST_CART,
+  capQty,
+  cartIssues,
+  emptyCartStore,
+  hydrateServerLines,
+  lineKey,
+  mergeCarts,
+  migrateCartStore,
+  reconcileLines,
+} from "../models/cart";
+import { CartContext } from "./useCart";
+
+// Delay between the last cart edit and the server save (groups quick +/+/+ clicks).
+const SAVE_DEBOUNCE_MS = 800;
+const NO_LINES = [];
+
+// Compact signature of a cart as stored by the server (product ids + quantities).
+const serverSignature = (lines) => JSON.stringify(lines.map((l) => [String(l.id), Number(l.qty)]));
+
+/**
+ * CartProvider must be rendered inside AuthProvider (the cart owner is the logged-in user).
+ *
+ * @param {object} props
+ * @param {React.ReactNode} props.children
+ */
+export function CartProvider({ children }) {
+  const { auth } = useAuth() || {};
+  const userId = auth?.user?.id ?? null;
+  const owner = userId != null ? String(userId) : GUEST_CART;
+
+  const [store, setStore] = useSyncedStorage(CART_STORAGE_KEY, emptyCartStore(), {
+    parse: migrateCartStore,
+  });
+  const items = store.carts[owner] ?? NO_LINES;
+  // Latest lines, read by async actions (revalidate) without re-creating them.
+  const itemsRef = useRef(items);
+  useEffect(() => {
+    itemsRef.current = items;
+  }, [items]);
+
+  // Updates the active owner's lines (an empty cart is removed from storage).
+  const setItems = useCallback(
+    (updater) =>
+      setStore((prev) => {
+        const current = prev.carts[owner] ?? NO_LINES;
+        const next = typeof updater === "function" ? updater(current) : updater;
+        if (next === current) return prev;
+        const { [owner]: _previous, ...others } = prev.carts;
+        return { ...prev, carts: next.length ? { ...others, [owner]: next } : others };
+      }),
+    [owner, setStore]
+  );
+
+  // Notices produced by reconciliation (deleted / repriced products).
+  const [notices, setNotices] = useState([]);
+  const addNotices = useCallback((list) => {
+    if (!list.length) return;
+    setNotices((prev) => {
+      const known = new Set(prev.map((n) => n.id));
+      return [...prev, ...list.filter((n) => !known.has(n.id))];
+    });
+  }, []);
+  const dismissNotice = useCallback((id) => setNotices((prev) => prev.filter((n) => n.id !== id)), []);
+
+  // --- Reconciliation with the backend --------------------------------------
+  const productIds = items.filter((l) => l.id != null).map((l) => l.id);
+  const cartProducts = useQuery(productKeys.byIds(productIds), () => getProductsByIds(productIds), {
+    enabled: productIds.length > 0,
+  });
+
+  useEffect(() => {
+    if (!cartProducts.data || !items.length) return;
+    const result = reconcileLines(items, cartProducts.data.products, cartProducts.data.missing);
+    if (!result.changed) return;
+    setItems(result.lines);
+    addNotices(result.notices);
+  }, [cartProducts.data, items, setItems, addNotices]);
+
+  // --- Server sync ---------------------------------------------------------
+  // User whose server cart has been merged (saving starts only after the merge).
+  const [syncedUserId, setSyncedUserId] = useState(null);
+  // Last signature known to be on the server, and whether cart.php exists at all.
+  const syncRef = useRef({ lastSaved: null, disabled: false });
+
+  // Login (or reload with a session): merge guest + local + server carts.
+  useEffect(() => {
+    if (userId == null) return;
+    let cancelled = false;
+
+    (async () => {
+      let serverLines = [];
+      if (!syncRef.current.disabled) {
+        try {
+          serverLines = await fetchCart(userId);
+        } catch (e) {
+          // No cart endpoint on this backend: keep a device-local cart.
+          if (e instanceof HttpError && e.status === 404) syncRef.current.disabled = true;
+          console.warn("[Cart] panier serveur indisponible", e);
+        }
+      }
+      // The referenced products are needed to turn server references into full lines.
+      const products = serverLines.length
+        ? await getProductsByIds(serverLines.map((l) => l.productId))
+            .then((r) => r.products)
+            .catch(() => null)
+        : [];
+      if (cancelled) return;
+
+      const hydrated = products ? hydrateServerLines(serverLines, products) : { lines: [], notices: [] };
+      syncRef.current.lastSaved = serverSignature(hydrated.lines);
+      setStore((prev) => {
+        const { [GUEST_CART]: guest = NO_LINES, [String(userId)]: local = NO_LINES, ...others } = prev.carts;
+        const merged = mergeCarts(local, hydrated.lines, guest);
+        return { ...prev, carts: merged.length ? { ...others, [String(userId)]: merged } : others };
+      });
+      addNotices(hydrated.notices);
+      setSyncedUserId(userId);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, setStore, addNotices]);
+
+  // Save each change to the server (debounced, skipped when already up to date).
+  const synced = userId != null && syncedUserId === userId;
+  useEffect(() => {
+    if (!synced || syncRef.current.disabled) return;
+    const signature = serverSignature(items);
+    if (signature === syncRef.current.lastSaved) return;
+    const t = setTimeout(() => {
+      saveCart(userId, items)
+        .then(() => {
+          syncRef.current.lastSaved = signature;
+        })
+        .catch((e) => console.warn("[Cart] sauvegarde serveur impossible", e));
+    }, SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [synced, userId, items]);
+
+  // --- Promo code ----------------------------------------------------------
+  // Kept with its owner: switching user drops it without an effect.
+  const [promo, setPromo] = useState(null);
+  const discount = promo?.owner === owner ? promo.discount : null;
+
+  /**
+   * Checks a promo code with the backend and applies it to the cart.
+   * @param {string} code
+   * @returns {Promise<import("../models/discount").Discount>}
+   * @throws {ApiError} Unknown code, already used by this customer, network error.
+   */
+  const applyPromoCode = useCallback(
+    async (code) => {
+      const checked = await checkPromoCode(code, userId);
+      setPromo({ owner, discount: checked });
+      return checked;
+    },
+    [owner, userId]
+  );
+
+  const removePromoCode = useCallback(() => setPromo(null), []);
+
+  // --- Actions -------------------------------------------------------------
+
+  /**
+   * Adds a product (canonical Product, models/product) or increments its quantity,
+   * without exceeding the product stock.
+   * @param {import("../models/product").Product} product
+   * @param {number} [qty=1]
+   * @returns {number} Quantity actually added (0 when the stock is already in the cart).
+   */
+  const add = useCallback(
+    (product, qty = 1) => {
+      const key = lineKey(product);
+      const found = itemsRef.current.find((l) => lineKey(l) === key);
+      const current = found?.qty ?? 0;
+      const added = capQty(product, current + qty) - current;
+      if (added <= 0) return 0;
+      setItems((prev) => {
+        const line = prev.find((l) => lineKey(l) === key);
+        if (line) return prev.map((l) => (l === line ? { ...l, ...product, qty: capQty(product, l.qty + added) } : l));
+        return [...prev, { ...product, qty: added }];
+      });
+      return added;
+    },
+    [setItems]
+  );
+
+  /**
+   * Adjusts a line quantity by `delta`; the line is removed when it reaches 0.
+   * Increments stop at the known stock of the product.
+   * @param {string|number} id - Line key (product id, or name for products without id).
+   * @param {number} delta
+   */
+  const changeQty = useCallback(
+    (id, delta) => {
+      if (id == null || !delta) return;
+      setItems((prev) =>
+        prev
+          .map((l) => {
+            if (lineKey(l) !== String(id)) return l;
+            const qty = Math.max(0, l.qty + Number(delta));
+            return { ...l, qty: delta > 0 ? Math.max(l.qty, capQty(l, qty)) : qty };
+          })
+          .filter((l) => l.qty > 0)
+      );
+    },
+    [setItems]
+  );
+
+  const remove = useCallback(
+    (id) => setItems((prev) => prev.filter((l) => lineKey(l) !== String(id))),
+    [setItems]
+  );
+
+  const removeMany = useCallback(
+    (ids = []) => {
+      if (!ids.length) return;
+      const set = new Set(ids.map(String));
+      setItems((prev) => prev.filter((l) => !set.has(lineKey(l))));
+    },
+    [setItems]
+  );
+
+  // Emptied after an order: the promo code has been consumed with it.
+  const clear = useCallback(() => {
+    setItems(NO_LINES);
+    setPromo(null);
+  }, [setItems]);
+
+  /**
+   * Reloads the cart's products from the backend and reconciles the cart with them (stock,
+   * prices, deleted products).
+   *
+   * `ok` is false when a line cannot be fulfilled (`issues`) or when the cart has just changed
+   * in a way the user must see (product removed, new price): the order must not be sent.
+   *
+   * @returns {Promise<{ ok: boolean, lines: import("../models/cart").CartLine[], issues: ReturnType<typeof cartIssues> }>}
+   * @throws {ApiError} When a product cannot be loaded (availability unknown).
+   */
+  const revalidate = useCallback(async () => {
+    if (!itemsRef.current.length) return { ok: true, lines: NO_LINES, issues: [] };
+    const ids = itemsRef.current.filter((l) => l.id != null).map((l) => l.id);
+    const { products, missing } = await getProductsByIds(ids, { force: true });
+    const result = reconcileLines(itemsRef.current, products, missing);
+    if (result.changed) {
+      setItems(result.lines);
+      addNotices(result.notices);
+    }
+    const issues = cartIssues(result.lines);
+    return { ok: !issues.length && !result.notices.length, lines: result.lines, issues };
+  }, [setItems, addNotices]);
+
+  const count = useMemo(() => items.reduce((n, l) => n + Number(l.qty || 1), 0), [items]);
+  const issues = useMemo(() => cartIssues(items), [items]);
+
+  const value = {
+    items,
+    count,
+    add,
+    changeQty,
+    remove,
+    removeMany,
+    clear,
+    revalidate,
+    issues,
+    discount,
+    applyPromoCode,
+    removePromoCode,
+    notices,
+    dismissNotice,
+  };
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+}
@@ -0,0 +1,34 @@
+/**
+ * useCart.js
+ *
+ * Cart context object and its hook, kept apart from CartContext.jsx so that module only
+ * exports the provider component (fast refresh).
+ */
+
+import { createContext, useContext } from "react";
+
+export const CartContext = createContext(null);
+
+/**
+ * Access to the cart state and actions.
+ *
+ * @returns {{
+ *   items: import("../models/cart").CartLine[],
+ *   count: number,
+ *   add: (product: object, qty?: number) => number,
+ *   changeQty: (id: string|number, delta: number) => void,
+ *   remove: (id: string|number) => void,
+ *   removeMany: (ids: Array<string|number>) => void,
+ *   clear: () => void,
+ *   revalidate: () => Promise<{ ok: boolean, lines: import("../models/cart").CartLine[], issues: object[] }>,
+ *   issues: object[],
+ *   discount: import("../models/discount").Discount|null,
+ *   applyPromoCode: (code: string) => Promise<import("../models/discount").Discount>,
+ *   removePromoCode: () => void,
+ *   notices: import("../models/cart").CartNotice[],
+ *   dismissNotice: (id: string) => void,
+ * }}
+ */
+export function useCart() {
+  return useContext(CartContext);
+}
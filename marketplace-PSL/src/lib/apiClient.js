@@ -1,5 +1,25 @@
 // src/lib/apiClient.js
 
+import {
+  ApiError,
+  BusinessError,
+  HttpError,
+  NetworkError,
+  ParseError,
+  TimeoutError,
+} from './apiErrors';
+import { checkContract } from './apiContract';
+
+export {
+  ApiError,
+  BusinessError,
+  HttpError,
+  NetworkError,
+  ParseError,
+  TimeoutError,
+  isApiError,
+} from './apiErrors';
+
 // Délai maximum par défaut pour une requête (en millisecondes).
 // Passé ce délai, on annule la requête via AbortController pour éviter les fetch pendants.
 const DEFAULT_TIMEOUT = 15000;
@@ -18,100 +38,401 @@ function buildBaseUrl() {
   return (fromEnv || '/api').replace(/\/+$/, '');
 }
 
+/**
+ * URL de base unique de l'API, partagée par tous les services.
+ * Aucun module ne doit coder en dur `http://localhost/api`.
+ */
+export const API_BASE_URL = buildBaseUrl();
+
+/**
+ * Backend simulé (src/mocks) : `VITE_API_MOCK=true` remplace les endpoints PHP par des handlers
+ * en mémoire. Le module n'est chargé (import dynamique) que dans ce cas : il n'alourdit pas le build.
+ */
+export const API_MOCK_ENABLED = import.meta.env.VITE_API_MOCK === 'true';
+
+// Transport HTTP : `fetch` natif par défaut, remplaçable (backend simulé, tests automatisés).
+let transport = null;
+
+/**
+ * Remplace la fonction d'envoi utilisée par apiFetch (signature de `fetch(url, init)`).
+ * Passer `null` rétablit le comportement par défaut.
+ *
+ * @example
+ * const mock = createMockBackend({ latency: 0 });
+ * setTransport(mock.fetch);
+ *
+ * @param {((url: string, init: RequestInit) => Promise<Response>)|null} fn
+ */
+export function setTransport(fn) {
+  transport = typeof fn === 'function' ? fn : null;
+}
+
+async function getTransport() {
+  if (transport) return transport;
+  if (API_MOCK_ENABLED) {
+    const { createMockBackend, mockOptionsFromEnv } = await import('../mocks/mockBackend');
+    // Un autre appel a pu installer le transport pendant l'import : on garde le premier.
+    if (!transport) {
+      transport = createMockBackend(mockOptionsFromEnv(import.meta.env)).fetch;
+      console.info('[API] backend simulé actif (VITE_API_MOCK=true)');
+    }
+    return transport;
+  }
+  return (url, init) => fetch(url, init);
+}
+
+// Fournisseur de token : enregistré par AuthContext pour injecter automatiquement
+// l'en-tête Authorization sans que chaque service ait à connaître la session.
+let tokenProvider = () => null;
+
+/**
+ * Enregistre la fonction qui renvoie le token courant (ou null si déconnecté).
+ * Appelée par `AuthProvider` à chaque changement de session.
+ *
+ * @param {() => (string|null|undefined)} fn
+ */
+export function setAuthTokenProvider(fn) {
+  tokenProvider = typeof fn === 'function' ? fn : () => null;
+}
+
+// Gestion de session : enregistrée par AuthContext (rafraîchissement du token, déconnexion forcée).
+let sessionHandlers = { refresh: null, onExpired: null };
+// Rafraîchissement en cours : plusieurs 401 simultanés ne déclenchent qu'un seul appel.
+let pendingRefresh = null;
+
+/**
+ * Enregistre les actions de session utilisées quand l'API répond 401.
+ *
+ * @param {object} handlers
+ * @param {() => Promise<string|null>} [handlers.refresh] - Obtient un nouveau token (null si impossible).
+ * @param {() => void} [handlers.onExpired] - Session définitivement expirée (déconnexion).
+ */
+export function setSessionHandlers({ refresh = null, onExpired = null } = {}) {
+  sessionHandlers = { refresh, onExpired };
+}
+
+/**
+ * Rafraîchit le token via le handler de session, une seule fois pour tous les appelants
+ * concurrents (plusieurs 401 simultanés, minuterie d'expiration de AuthContext).
+ *
+ * @returns {Promise<string|null>} Nouveau token, ou null si la session ne peut pas être prolongée.
+ */
+export function renewSession() {
+  if (!sessionHandlers.refresh) return Promise.resolve(null);
+  if (!pendingRefresh) {
+    pendingRefresh = Promise.resolve()
+      .then(() => sessionHandlers.refresh())
+      .catch(() => null)
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+}
+
+/**
+ * Construit l'URL finale : base + path + querystring.
+ * - Les paramètres null/undefined/'' sont ignorés (filtres optionnels).
+ */
+function buildUrl(path, params) {
+  const url = path.startsWith('http')      // Si path est déjà une URL complète, on la garde.
+    ? path
+    : `${API_BASE_URL}${path.startsWith('/') ? '' : '/'}${path}`;
+
+  if (!params) return url;
+  const qs = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) {
+    if (v === undefined || v === null || v === '') continue;
+    qs.append(k, String(v));
+  }
+  const s = qs.toString();
+  if (!s) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${s}`;
+}
+
 /**
  * Fabrique un AbortController avec un timeout.
- * - Retourne { signal, clear } :
+ * - Retourne { signal, clear, timedOut } :
  *   - `signal` : à passer à fetch() pour permettre l'annulation.
  *   - `clear()` : à appeler quand la requête se termine pour nettoyer le timer.
+ *   - `timedOut()` : true si c'est le timer (et non l'appelant) qui a annulé.
  */
 function withTimeout(ms) {
   const controller = new AbortController();              // Crée un contrôleur d'annulation.
-  const t = setTimeout(() => controller.abort(), ms);    // Programme l'annulation au bout de `ms`.
-  return { signal: controller.signal, clear: () => clearTimeout(t) };
+  let fired = false;
+  const t = setTimeout(() => {                           // Programme l'annulation au bout de `ms`.
+    fired = true;
+    controller.abort();
+  }, ms);
+  return {
+    signal: controller.signal,
+    clear: () => clearTimeout(t),
+    timedOut: () => fired,
+  };
+}
+
+/**
+ * Extrait un message d'erreur parlant d'un payload API.
+ * Priorité au champ `message` ou `error` du JSON si l'API l'a fourni.
+ */
+function messageFrom(data) {
+  if (data && typeof data === 'object') return data.message || data.error || '';
+  return '';
+}
+
+/**
+ * Politique de retry par défaut.
+ * - retries   : nombre de nouvelles tentatives après le premier échec (0 = désactivé)
+ * - baseDelay : délai de base du backoff exponentiel (ms) → 300, 600, 1200…
+ * - maxDelay  : plafond d'un délai d'attente (ms), y compris pour `Retry-After`
+ */
+const DEFAULT_RETRY = { retries: 2, baseDelay: 300, maxDelay: 5000 };
+
+// Méthodes idempotentes : les rejouer ne change pas l'état serveur (RFC 9110 §9.2.2).
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Statuts HTTP transitoires qui justifient une nouvelle tentative.
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Génère une clé d'idempotence (en-tête `Idempotency-Key`).
+ * Le serveur doit renvoyer la même réponse pour deux requêtes portant la même clé :
+ * c'est ce qui rend un POST rejouable sans risque de doublon.
+ *
+ * @returns {string}
+ */
+export function createIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  // Fallback (contexte non sécurisé, vieux navigateurs) : suffisant pour dédoublonner.
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Normalise l'option `retry` : nombre de tentatives ou objet partiel.
+ * `retry: false` ou `retry: 0` désactive les nouvelles tentatives.
+ */
+function resolveRetry(retry) {
+  if (retry === false) return { ...DEFAULT_RETRY, retries: 0 };
+  if (typeof retry === 'number') return { ...DEFAULT_RETRY, retries: Math.max(0, retry) };
+  return { ...DEFAULT_RETRY, ...(retry || {}) };
+}
+
+/**
+ * Convertit l'en-tête `Retry-After` (secondes ou date HTTP) en millisecondes.
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * Délai avant la tentative n° `attempt` (1 = première relance).
+ * - `Retry-After` fourni par le serveur : on le respecte (plafonné à maxDelay).
+ * - Sinon : backoff exponentiel avec "full jitter" pour étaler les relances
+ *   de plusieurs onglets/clients et ne pas marteler un serveur déjà en difficulté.
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }, retryAfterMs) {
+  if (retryAfterMs != null) return Math.min(retryAfterMs, maxDelay);
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Indique si une erreur est transitoire (réseau, timeout, 5xx, 429…).
+ * Les erreurs métier (`ok:false`) et les réponses non JSON ne sont jamais rejouées.
+ */
+function isRetryable(err) {
+  if (err instanceof NetworkError || err instanceof TimeoutError) return true;
+  return err instanceof HttpError && RETRYABLE_STATUSES.has(err.status);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Exécute une tentative unique : fetch + lecture + classification de l'erreur.
+ * Le timeout s'applique à chaque tentative, pas à la somme des tentatives.
+ */
+async function fetchOnce(url, init, { timeout, responseType }) {
+  // Met en place le timeout (AbortController)
+  const { signal, clear, timedOut } = withTimeout(timeout);
+
+  try {
+    // Appel réseau : un rejet de fetch = réseau KO ou abort (timeout)
+    let res;
+    try {
+      const send = await getTransport();
+      res = await send(url, { ...init, signal }); // relie le signal d'annulation au fetch
+    } catch (e) {
+      if (timedOut()) throw new TimeoutError(undefined, { url, cause: e });
+      throw new NetworkError(undefined, { url, cause: e });
+    }
+
+    // Lecture de la réponse en texte (pour ensuite tenter un parse JSON)
+    // On lit d'abord en texte pour pouvoir diagnostiquer une sortie PHP non JSON.
+    let text;
+    try {
+      text = await res.text();
+    } catch (e) {
+      if (timedOut()) throw new TimeoutError(undefined, { url, status: res.status, cause: e });
+      throw new NetworkError(undefined, { url, status: res.status, cause: e });
+    }
+
+    let data = null;
+    let parseFailure = null;
+    if (responseType === 'text') {
+      data = text;
+    } else if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        // On garde le texte brut : utile pour afficher l'erreur PHP dans les logs.
+        data = text;
+        parseFailure = e;
+      }
+    }
+
+    // Gestion des statuts HTTP d'erreur
+    if (!res.ok) {
+      const msg = messageFrom(data) || res.statusText || `Erreur HTTP ${res.status}`;
+      const err = new HttpError(msg, { url, status: res.status, data });
+      // Indication serveur pour la prochaine tentative (429/503 typiquement)
+      err.retryAfter = parseRetryAfter(res.headers.get('Retry-After'));
+      throw err;
+    }
+
+    // Réponse 2xx mais corps non JSON : sortie PHP parasite (warning, fatal, echo…)
+    if (parseFailure) {
+      throw new ParseError(undefined, {
+        url,
+        status: res.status,
+        data: String(text).slice(0, 500),
+        cause: parseFailure,
+      });
+    }
+
+    // Contrat PHP : `{ ok: false, error }` signale une erreur métier malgré un 2xx
+    if (data && typeof data === 'object' && data.ok === false) {
+      throw new BusinessError(messageFrom(data) || undefined, { url, status: res.status, data });
+    }
+
+    // Si tout va bien, on renvoie les données
+    return data;
+  } catch (e) {
+    // Toute erreur inattendue est enveloppée pour garder un modèle unique côté UI.
+    if (e instanceof ApiError) throw e;
+    throw new ApiError(e?.message || 'Erreur inattendue', { url, cause: e });
+  } finally {
+    // Nettoyage : on enlève le timer du timeout pour éviter les fuites.
+    clear();
+  }
 }
 
 /**
  * Appel HTTP générique.
  *
- * @param {string} path - Chemin relatif ('/products')
+ * @param {string} path - Chemin relatif ('/products.php')
  * @param {object} options - Options de la requête.
  *   - method   : 'GET' (par défaut), 'POST', 'PUT', 'PATCH', 'DELETE'
+ *   - params   : objet sérialisé en querystring (valeurs vides ignorées)
  *   - headers  : en-têtes additionnels (sera converti en Headers)
  *   - body     : objet JS (sera JSON.stringify) ou FormData (envoyée telle quelle)
- *   - token    : string JWT/Bearer; injecté en Authorization si présent
- *   - timeout  : durée max avant abort (ms); défaut = DEFAULT_TIMEOUT
+ *   - token    : string JWT/Bearer; par défaut celui de la session (AuthContext).
+ *                Avec le token de session, un 401 déclenche un rafraîchissement puis UNE nouvelle
+ *                tentative ; si le rafraîchissement échoue, la session est close (onExpired).
+ *   - timeout  : durée max d'une tentative avant abort (ms); défaut = DEFAULT_TIMEOUT
+ *   - responseType : 'json' (défaut, texte non JSON => ParseError) ou 'text'
+ *   - retry    : nombre de relances ou { retries, baseDelay, maxDelay }; défaut = DEFAULT_RETRY.
+ *                Seules les méthodes idempotentes (GET/PUT/DELETE…) sont relancées, ainsi que
+ *                les POST/PATCH portant un en-tête `Idempotency-Key`.
+ *   - schema   : contrat attendu de la réponse (lib/schema, voir services/schemas). Un écart est
+ *                signalé (panneau dev / console.warn en prod) sans faire échouer l'appel.
  *
- * @returns {Promise<any>} - Données parsées (JSON si possible, sinon texte brut).
- * @throws Error enrichie de `status` et `data` si status HTTP non-OK.
+ * @returns {Promise<any>} - Données parsées (JSON, ou texte brut si responseType='text').
+ * @throws {NetworkError|TimeoutError|HttpError|BusinessError|ParseError}
+ *   Toutes héritent d'ApiError (`kind`, `status`, `data`, `url`, `attempts`).
  */
 export async function apiFetch(
   path,
-  { method = 'GET', headers = {}, body, token, timeout = DEFAULT_TIMEOUT } = {}
+  {
+    method = 'GET',
+    params,
+    headers = {},
+    body,
+    token,
+    timeout = DEFAULT_TIMEOUT,
+    responseType = 'json',
+    retry,
+    schema,
+  } = {}
 ) {
-  // 1) Concatène base + path (en gérant '/')
-  const base = buildBaseUrl();
-  const url = path.startsWith('http')      // Si path est déjà une URL complète, on la garde.
-    ? path
-    : `${base}${path.startsWith('/') ? '' : '/'}${path}`;
+  // 1) Concatène base + path (en gérant '/') + querystring
+  const url = buildUrl(path, params);
+  const verb = method.toUpperCase();
 
-  // 2) Met en place le timeout (AbortController)
-  const { signal, clear } = withTimeout(timeout);
-
-  // 3) Normalise les en-têtes
+  // 2) Normalise les en-têtes
   const h = new Headers(headers);
+  if (!h.has('Accept')) h.set('Accept', 'application/json');
 
-  // Si on n'envoie PAS un formulaire (FormData), alors on force JSON.
+  // Si on envoie un corps qui n'est PAS un formulaire (FormData), alors on force JSON.
   // (Si c'est FormData, fetch mettra le Content-Type (multipart/form-data; boundary=...) tout seul.)
-  if (!(body instanceof FormData)) h.set('Content-Type', 'application/json');
+  const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+  if (body != null && !isForm) h.set('Content-Type', 'application/json');
 
-  // Si un token est fourni, on l'ajoute en Authorization: Bearer <token>
-  if (token) h.set('Authorization', `Bearer ${token}`);
+  // Token : explicite si fourni, sinon celui de la session courante.
+  const usesSession = token === undefined;
+  const bearer = usesSession ? tokenProvider() : token;
+  if (bearer) h.set('Authorization', `Bearer ${bearer}`);
 
-  try {
+  const init = {
+    method: verb,
+    headers: h,
+    body: body != null
+      ? (isForm ? body : JSON.stringify(body)) // JSON.stringify seulement si pas FormData
+      : undefined,
+    credentials: 'include', // inclut cookies (utile si l'API utilise une session)
+  };
+
+  // 3) Politique de retry : un POST sans clé d'idempotence n'est jamais rejoué
+  // (une relance après un timeout pourrait créer une deuxième commande).
+  const policy = resolveRetry(retry);
+  const replayable = IDEMPOTENT_METHODS.has(verb) || h.has('Idempotency-Key');
+  const maxAttempts = replayable ? policy.retries + 1 : 1;
+
+  // 4) Tentatives successives avec backoff
+  let reauthenticated = false;
+  for (let attempt = 1; ; attempt++) {
     // Log debug utile pour visualiser l'URL finale dans la console du navigateur.
-    console.debug('[API] →', url);
-
-    // 4) Appel réseau
-    const res = await fetch(url, {
-      method,
-      headers: h,
-      body: body
-        ? (body instanceof FormData ? body : JSON.stringify(body)) // JSON.stringify seulement si pas FormData
-        : undefined,
-      credentials: 'include', // inclut cookies (utile si l'API utilise une session)
-      signal,                 // relie le signal d'annulation au fetch
-    });
-
-    // 5) Lecture de la réponse en texte (pour ensuite tenter un parse JSON)
-    // On lit d'abord en texte pour pouvoir renvoyer la chaîne brute si ce n'est pas du JSON.
-    const text = await res.text();
-    let data = null;
+    console.debug('[API] →', verb, url, attempt > 1 ? `(tentative ${attempt}/${maxAttempts})` : '');
+    let data;
     try {
-      // Si le corps n'est pas vide, on essaie de parser en JSON
-      data = text ? JSON.parse(text) : null;
-    } catch {
-      // Si le parse JSON échoue (réponse non JSON), on garde le texte brut.
-      data = text;
-    }
-
-    // 6) Gestion des statuts HTTP d'erreur
-    if (!res.ok) {
-      // On fabrique un message d'erreur parlant :
-      // - Priorité au champ `message` ou `error` du JSON si l'API l'a fourni,
-      // - sinon statusText, sinon message générique.
-      const msg = (data && (data.message || data.error)) || res.statusText || 'Request failed';
-      const err = new Error(msg);
-      // On annote l'Error avec des infos utiles au débogage:
-      err.status = res.status; // ex: 400/401/403/404/500
-      err.data = data;         // payload d'erreur renvoyé par l'API (utile pour afficher des détails)
-      throw err;               // Remonte l'erreur au composant appelant.
+      data = await fetchOnce(url, init, { timeout, responseType });
+    } catch (e) {
+      e.attempts = attempt;
+      // 401 avec le token de session : on rafraîchit et on rejoue une seule fois.
+      if (e instanceof HttpError && e.status === 401 && usesSession && bearer) {
+        const fresh = reauthenticated ? null : await renewSession();
+        if (fresh) {
+          reauthenticated = true;
+          h.set('Authorization', `Bearer ${fresh}`);
+          attempt--; // la relance d'authentification ne consomme pas le budget de retry
+          continue;
+        }
+        sessionHandlers.onExpired?.();
+        throw e;
+      }
+      if (attempt >= maxAttempts || !isRetryable(e)) throw e;
+      await sleep(backoffDelay(attempt, policy, e.retryAfter));
+      continue;
     }
-
-    // 7) Si tout va bien, on renvoie les données (JSON si parse OK, sinon texte)
+    // 5) Contrat de réponse : signalé, jamais bloquant
+    if (schema) checkContract(path, schema, data, url);
     return data;
-  } finally {
-    // 8) Nettoyage : on enlève le timer du timeout pour éviter les fuites.
-    clear();
   }
 }
 
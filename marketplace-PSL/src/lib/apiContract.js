@@ -0,0 +1,93 @@
+// src/lib/apiContract.js
+
+/**
+ * Suivi des écarts de contrat entre l'API PHP et le front.
+ *
+ * - `checkContract()` est appelé par `apiFetch` quand l'appel fournit un `schema`.
+ * - Les écarts ne bloquent pas la requête : la donnée est renvoyée telle quelle et les pages
+ *   gardent leurs fallbacks. Le but est de rendre la dérive visible, pas de casser l'app.
+ * - Dev : les rapports alimentent le panneau `<ApiContractPanel />` (affiché en bas d'écran).
+ * - Prod : un `console.warn` structuré par écart distinct (collectable par un outil de logs).
+ */
+
+import { validate } from './schema';
+
+/**
+ * @typedef {object} ContractReport
+ * @property {string} id         - Signature (endpoint + chemins fautifs) : un rapport par écart distinct.
+ * @property {string} endpoint   - ex: "/performance.php"
+ * @property {string} url        - URL complète du dernier appel concerné.
+ * @property {import('./schema').SchemaIssue[]} issues
+ * @property {number} count      - Nombre de réponses présentant cet écart.
+ * @property {number} lastSeen   - Timestamp de la dernière occurrence.
+ */
+
+/** @type {Map<string, ContractReport>} */
+const reports = new Map();
+const listeners = new Set();
+// Snapshot immuable (compatible useSyncExternalStore), recalculé à chaque changement.
+let snapshot = [];
+
+function emit() {
+  snapshot = Array.from(reports.values()).sort((a, b) => b.lastSeen - a.lastSeen);
+  listeners.forEach((l) => l());
+}
+
+/**
+ * Enregistre des écarts constatés sur une réponse.
+ *
+ * @param {{ endpoint: string, url?: string, issues: import('./schema').SchemaIssue[] }} report
+ */
+export function reportContractIssues({ endpoint, url = '', issues }) {
+  if (!issues?.length) return;
+  const id = `${endpoint}|${issues.map((i) => i.path.replace(/\[\d+\]/g, '[]')).join(',')}`;
+  const existing = reports.get(id);
+
+  if (existing) {
+    reports.set(id, { ...existing, url, issues, count: existing.count + 1, lastSeen: Date.now() });
+  } else {
+    reports.set(id, { id, endpoint, url, issues, count: 1, lastSeen: Date.now() });
+    // Une seule trace console par écart distinct (évite de noyer la console à chaque refetch).
+    console.warn('[API contract]', {
+      type: 'api_contract_violation',
+      endpoint,
+      url,
+      issues,
+    });
+  }
+  emit();
+}
+
+/**
+ * Valide une réponse contre son schéma et signale les écarts.
+ *
+ * @param {string} endpoint
+ * @param {import('./schema').Schema} schema
+ * @param {any} data
+ * @param {string} [url]
+ * @returns {import('./schema').SchemaIssue[]}
+ */
+export function checkContract(endpoint, schema, data, url) {
+  const issues = validate(schema, data);
+  reportContractIssues({ endpoint, url, issues });
+  return issues;
+}
+
+/** @returns {ContractReport[]} */
+export function getContractReports() {
+  return snapshot;
+}
+
+/**
+ * @param {() => void} listener
+ * @returns {() => void} Désabonnement.
+ */
+export function subscribeContractReports(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function clearContractReports() {
+  reports.clear();
+  emit();
+}
@@ -0,0 +1,85 @@
+// src/lib/apiErrors.js
+
+/**
+ * Modèle d'erreur unifié de la couche API.
+ *
+ * Toutes les erreurs levées par `apiFetch` héritent de `ApiError` et portent un `kind`
+ * qui permet aux composants de réagir sans parser les messages :
+ * - 'network'  : le serveur n'a pas pu être joint (DNS, CORS, serveur arrêté…)
+ * - 'timeout'  : la requête a dépassé le délai maximum (AbortController)
+ * - 'http'     : réponse HTTP non-2xx (4xx/5xx)
+ * - 'business' : réponse 2xx mais l'API PHP signale `{ ok: false, error }`
+ * - 'parse'    : réponse non JSON (souvent un warning/fatal PHP rendu en HTML)
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Message lisible (affichable tel quel dans l'UI).
+   * @param {object} [details]
+   * @param {string} [details.kind]   - Catégorie d'erreur (voir ci-dessus).
+   * @param {number|null} [details.status] - Statut HTTP si une réponse a été reçue.
+   * @param {any} [details.data]      - Payload brut renvoyé par l'API (JSON ou texte).
+   * @param {string|null} [details.url] - URL appelée (utile au débogage).
+   * @param {unknown} [details.cause] - Erreur d'origine (TypeError fetch, SyntaxError…).
+   */
+  constructor(message, { kind = 'unknown', status = null, data = null, url = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.data = data;
+    this.url = url;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+/** Le serveur n'a pas répondu (fetch rejeté). */
+export class NetworkError extends ApiError {
+  constructor(message = 'Impossible de joindre le serveur. Vérifiez votre connexion.', details = {}) {
+    super(message, { ...details, kind: 'network' });
+    this.name = 'NetworkError';
+  }
+}
+
+/** La requête a été annulée par le timeout de `apiFetch`. */
+export class TimeoutError extends ApiError {
+  constructor(message = 'Le serveur met trop de temps à répondre.', details = {}) {
+    super(message, { ...details, kind: 'timeout' });
+    this.name = 'TimeoutError';
+  }
+}
+
+/** Réponse HTTP non-2xx. */
+export class HttpError extends ApiError {
+  constructor(message, details = {}) {
+    super(message || `Erreur HTTP ${details.status ?? ''}`.trim(), { ...details, kind: 'http' });
+    this.name = 'HttpError';
+  }
+}
+
+/** Réponse 2xx portant `{ ok: false }` (erreur métier / SQL côté PHP). */
+export class BusinessError extends ApiError {
+  constructor(message = 'La requête a été refusée par le serveur.', details = {}) {
+    super(message, { ...details, kind: 'business' });
+    this.name = 'BusinessError';
+  }
+}
+
+/** Corps de réponse illisible en JSON alors que du JSON était attendu. */
+export class ParseError extends ApiError {
+  constructor(
+    message = 'Réponse non JSON (probable erreur PHP). Vérifie les logs Apache/PHP.',
+    details = {}
+  ) {
+    super(message, { ...details, kind: 'parse' });
+    this.name = 'ParseError';
+  }
+}
+
+/**
+ * Indique si une valeur est une erreur issue de la couche API.
+ * @param {unknown} err
+ * @returns {err is ApiError}
+ */
+export function isApiError(err) {
+  return err instanceof ApiError;
+}
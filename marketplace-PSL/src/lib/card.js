@@ -0,0 +1,187 @@
+// src/lib/card.js
+
+/**
+ * Saisie de carte bancaire : formatage, détection de réseau et validation (formulaire de paiement).
+ *
+ * Règles
+ * - Réseaux acceptés : Visa, Mastercard, American Express, détectés sur les premiers chiffres.
+ *   Chaque réseau a ses longueurs de numéro, son groupement d'affichage et sa longueur de CVC
+ *   (4 chiffres pour Amex, 3 sinon).
+ * - Numéro : clé de Luhn vérifiée.
+ * - Expiration "MM/AA" : la carte reste valide jusqu'au dernier jour du mois indiqué.
+ *
+ * Ces fonctions sont pures : elles ne conservent aucune donnée carte. Les messages d'erreur sont
+ * affichables tels quels sous chaque champ.
+ */
+
+/**
+ * @typedef {object} CardBrand
+ * @property {'visa'|'mastercard'|'amex'} id
+ * @property {string} label
+ * @property {number[]} lengths - Longueurs de numéro valides.
+ * @property {number[]} gaps    - Positions des espaces à l'affichage.
+ * @property {number} cvcLength
+ */
+
+/** @type {Record<string, CardBrand & { pattern: RegExp }>} */
+export const CARD_BRANDS = {
+  visa: { id: 'visa', label: 'Visa', pattern: /^4/, lengths: [13, 16, 19], gaps: [4, 8, 12], cvcLength: 3 },
+  mastercard: {
+    id: 'mastercard',
+    label: 'Mastercard',
+    // 51-55 et plage 2221-2720
+    pattern: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)/,
+    lengths: [16],
+    gaps: [4, 8, 12],
+    cvcLength: 3,
+  },
+  amex: { id: 'amex', label: 'American Express', pattern: /^3[47]/, lengths: [15], gaps: [4, 10], cvcLength: 4 },
+};
+
+// Réseau encore inconnu (saisie en cours) : groupement et longueurs les plus courants.
+const DEFAULT_FORMAT = { lengths: [16], gaps: [4, 8, 12], cvcLength: 3 };
+const MAX_LENGTH = 19;
+
+/** Ne garde que les chiffres d'une saisie ("4242 4242-42" → "42424242 42"). */
+export const digitsOnly = (value) => String(value ?? '').replace(/\D/g, '');
+
+/**
+ * Détecte le réseau d'une carte à partir de ses premiers chiffres.
+ * @param {string} number - Saisie brute ou formatée.
+ * @returns {CardBrand|null}
+ */
+export function detectBrand(number) {
+  const digits = digitsOnly(number);
+  if (!digits) return null;
+  const brand = Object.values(CARD_BRANDS).find((b) => b.pattern.test(digits));
+  if (!brand) return null;
+  const { pattern: _pattern, ...rest } = brand;
+  return rest;
+}
+
+/**
+ * Clé de Luhn (ISO/IEC 7812).
+ * @param {string} number
+ * @returns {boolean}
+ */
+export function luhnCheck(number) {
+  const digits = digitsOnly(number);
+  if (!digits) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Formate un numéro pendant la saisie : groupement selon le réseau, longueur plafonnée.
+ * ("378282246310005" → "3782 822463 10005", "4242424242424242" → "4242 4242 4242 4242")
+ * @param {string} value
+ * @returns {string}
+ */
+export function formatCardNumber(value) {
+  const brand = detectBrand(value);
+  const { gaps } = brand ?? DEFAULT_FORMAT;
+  const digits = digitsOnly(value).slice(0, brand ? Math.max(...brand.lengths) : MAX_LENGTH);
+  let out = '';
+  for (let i = 0; i < digits.length; i += 1) {
+    if (gaps.includes(i)) out += ' ';
+    out += digits[i];
+  }
+  return out;
+}
+
+/**
+ * Numéro masqué pour l'affichage après saisie ("•••• 4242").
+ * @param {string} number
+ * @returns {string}
+ */
+export function maskCardNumber(number) {
+  const digits = digitsOnly(number);
+  return digits.length >= 4 ? `•••• ${digits.slice(-4)}` : '';
+}
+
+/**
+ * Formate la date d'expiration pendant la saisie ("1225" → "12/25", "4" → "04").
+ * @param {string} value
+ * @returns {string}
+ */
+export function formatExpiry(value) {
+  let digits = digitsOnly(value).slice(0, 4);
+  // Un premier chiffre > 1 ne peut être que le mois 02 à 09
+  if (digits.length === 1 && Number(digits) > 1) digits = `0${digits}`;
+  if (digits.length <= 2) return digits;
+  return `${digits.slice(0, 2)}/${digits.slice(2)}`;
+}
+
+/**
+ * Lit une date "MM/AA" (ou "MM/AAAA").
+ * @param {string} value
+ * @returns {{ month: number, year: number }|null} Année sur 4 chiffres ; null si invalide.
+ */
+export function parseExpiry(value) {
+  const m = /^\s*(\d{1,2})\s*\/?\s*(\d{2}|\d{4})\s*$/.exec(String(value ?? ''));
+  if (!m) return null;
+  const month = Number(m[1]);
+  const year = m[2].length === 2 ? 2000 + Number(m[2]) : Number(m[2]);
+  if (month < 1 || month > 12) return null;
+  return { month, year };
+}
+
+/**
+ * Carte expirée : au-delà du dernier jour du mois d'expiration.
+ * @param {{ month: number, year: number }} expiry
+ * @param {Date|number} [now]
+ */
+export function isExpired({ month, year }, now = Date.now()) {
+  const d = new Date(now);
+  return year < d.getFullYear() || (year === d.getFullYear() && month < d.getMonth() + 1);
+}
+
+/**
+ * @typedef {object} CardInput
+ * @property {string} cardName
+ * @property {string} cardNumber
+ * @property {string} expiry
+ * @property {string} cvc
+ */
+
+/**
+ * Valide une saisie de carte, champ par champ.
+ *
+ * @param {CardInput} card
+ * @param {{ now?: Date|number }} [options]
+ * @returns {Partial<Record<keyof CardInput, string>>} Message par champ invalide ({} si tout est valide).
+ */
+export function validateCard(card, { now = Date.now() } = {}) {
+  const errors = {};
+
+  if (!String(card.cardName ?? '').trim()) errors.cardName = 'Nom du titulaire requis.';
+
+  const digits = digitsOnly(card.cardNumber);
+  const brand = detectBrand(digits);
+  if (!digits) errors.cardNumber = 'Numéro de carte requis.';
+  else if (!brand) errors.cardNumber = 'Carte non acceptée (Visa, Mastercard ou American Express).';
+  else if (!brand.lengths.includes(digits.length)) errors.cardNumber = 'Numéro de carte incomplet.';
+  else if (!luhnCheck(digits)) errors.cardNumber = 'Numéro de carte invalide.';
+
+  const expiry = parseExpiry(card.expiry);
+  if (!String(card.expiry ?? '').trim()) errors.expiry = "Date d'expiration requise.";
+  else if (!expiry) errors.expiry = 'Format attendu : MM/AA.';
+  else if (isExpired(expiry, now)) errors.expiry = 'Cette carte a expiré.';
+
+  const cvc = String(card.cvc ?? '').trim();
+  const cvcLength = (brand ?? DEFAULT_FORMAT).cvcLength;
+  if (!cvc) errors.cvc = 'Code de sécurité requis.';
+  else if (!/^\d+$/.test(cvc) || cvc.length !== cvcLength) {
+    errors.cvc = `${cvcLength} chiffres attendus${brand ? ` (${brand.label})` : ''}.`;
+  }
+
+  return errors;
+}
@@ -0,0 +1,350 @@
+// src/lib/catalogQuery.js
+
+/**
+ * État du catalogue (page Shop) porté par l'URL : recherche, tri, filtres et page.
+ *
+ * Chemin : `/produits` (tout le catalogue) ou `/produits/categorie/:slug` (rayon d'une catégorie,
+ * sous-catégories incluses, models/category). `catalogUrl` construit l'un ou l'autre.
+ *
+ * Paramètres de la querystring `/produits?…`
+ * - q         : recherche sur le nom, la description et les étiquettes (posé aussi par la barre de
+ *               recherche de la Home)
+ * - tri       : clé de `SORT_OPTIONS` (absent = `DEFAULT_SORT`)
+ * - vendeur   : vendeurs retenus, ids séparés par des virgules (un seul : boutique du vendeur,
+ *               lien depuis la fiche produit)
+ * - categorie : slug d'une catégorie (ancienne forme, lue quand le chemin n'en désigne pas)
+ * - tag       : étiquette exacte (lien depuis la fiche produit)
+ * - en_stock  : 1 = produits disponibles uniquement
+ * - prix_min / prix_max : fourchette de prix en euros (entiers)
+ * - note      : note moyenne minimale (1 à 4, voir `RATING_THRESHOLDS`)
+ * - page      : numéro de page (à partir de 1, `PAGE_SIZE` produits par page)
+ *
+ * L'URL est la seule source de vérité : précédent / suivant et liens partagés restaurent la même
+ * liste. `catalogSearch` n'écrit que les valeurs utiles (pas de `tri=recent`), pour des liens courts.
+ *
+ * Le filtrage, le tri et le découpage en pages sont faits par le back (`catalogApiParams` →
+ * `GET products.php`), qui renvoie aussi les facettes (nombre de produits par option de filtre).
+ * `applyCatalogQuery` et `catalogFacets` décrivent les mêmes règles : ils servent au back simulé
+ * (src/mocks) et au repli côté front quand le back ne gère pas les filtres (services/products).
+ */
+
+import { centsToEuros, eurosToCents } from './money';
+import { descendantIds, findBySlug } from '../models/category';
+
+/** Tris proposés, dans l'ordre du menu "Trier par". */
+export const SORT_OPTIONS = [
+  { value: 'recent', label: 'Plus récents' },
+  { value: 'price_asc', label: 'Prix croissant' },
+  { value: 'price_desc', label: 'Prix décroissant' },
+  { value: 'name_asc', label: 'Nom A→Z' },
+];
+
+export const DEFAULT_SORT = 'recent';
+
+/** Produits par page du catalogue. */
+export const PAGE_SIZE = 24;
+
+/** Seuils du filtre "note minimale", du plus exigeant au moins exigeant. */
+export const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+/** Nombre d'étiquettes proposées dans le filtre (les plus fréquentes). */
+export const TAG_FACET_SIZE = 12;
+
+/**
+ * @typedef {object} CatalogQuery
+ * @property {string} q              - Texte recherché, tel que saisi.
+ * @property {string} sort           - Clé de `SORT_OPTIONS`.
+ * @property {string[]} sellers      - Ids des vendeurs retenus ([] : tous).
+ * @property {string} category       - Slug de la catégorie ('' : toutes).
+ * @property {string} tag            - Étiquette retenue ('' : toutes).
+ * @property {boolean} inStock       - Produits disponibles uniquement.
+ * @property {number|null} priceMin  - Prix minimum (centimes).
+ * @property {number|null} priceMax  - Prix maximum (centimes).
+ * @property {number} minRating      - Note minimale (0 : pas de filtre).
+ * @property {number} page           - Page courante (>= 1).
+ *
+ * @typedef {object} CatalogFacets
+ * Nombre de produits par option, chaque facette tenant compte de tous les AUTRES filtres
+ * (cocher un vendeur ne fait pas tomber à 0 les autres vendeurs).
+ * @property {{ id: string, name: string|null, count: number }[]} sellers
+ * @property {{ id: number, count: number }[]} categories - Sous-catégories incluses.
+ * @property {number} inStock                             - Produits disponibles.
+ * @property {{ min: number, max: number }|null} priceCents - Bornes des prix (null : aucun produit).
+ * @property {{ min: number, count: number }[]} ratings   - Une entrée par seuil de `RATING_THRESHOLDS`.
+ * @property {{ name: string, count: number }[]} tags     - Étiquettes les plus fréquentes (`TAG_FACET_SIZE`).
+ */
+
+/** Filtres actifs à leur valeur neutre (recherche et tri conservés par `clearFilters`). */
+const NO_FILTERS = { sellers: [], category: '', tag: '', inStock: false, priceMin: null, priceMax: null, minRating: 0 };
+
+// Entier positif lu dans l'URL (null si absent ou invalide).
+const positiveInt = (v) => {
+  const n = Number(v);
+  return v != null && v !== '' && Number.isInteger(n) && n >= 0 ? n : null;
+};
+
+/**
+ * Lit l'état du catalogue depuis la querystring (valeurs inconnues ramenées aux défauts).
+ *
+ * @param {URLSearchParams} params
+ * @param {string} [categorySlug] - Slug lu dans le chemin (`/produits/categorie/:slug`), prioritaire.
+ * @returns {CatalogQuery}
+ */
+export function parseCatalogParams(params, categorySlug) {
+  const sort = params.get('tri');
+  const page = Number(params.get('page'));
+  const priceMin = positiveInt(params.get('prix_min'));
+  const priceMax = positiveInt(params.get('prix_max'));
+  const rating = Number(params.get('note'));
+  return {
+    q: params.get('q') ?? '',
+    sort: SORT_OPTIONS.some((o) => o.value === sort) ? sort : DEFAULT_SORT,
+    sellers: (params.get('vendeur') ?? '').split(',').filter(Boolean),
+    category: categorySlug || (params.get('categorie') ?? ''),
+    tag: (params.get('tag') ?? '').trim().toLowerCase(),
+    inStock: params.get('en_stock') === '1',
+    priceMin: priceMin != null ? priceMin * 100 : null,
+    priceMax: priceMax != null ? priceMax * 100 : null,
+    minRating: RATING_THRESHOLDS.includes(rating) ? rating : 0,
+    page: Number.isInteger(page) && page > 1 ? page : 1,
+  };
+}
+
+/**
+ * Sérialise l'état du catalogue en querystring (sans les valeurs par défaut).
+ *
+ * @param {Partial<CatalogQuery>} query
+ * @returns {URLSearchParams}
+ */
+export function catalogSearch({ q = '', sort = DEFAULT_SORT, page = 1, ...filters } = {}) {
+  const { sellers, category, tag, inStock, priceMin, priceMax, minRating } = { ...NO_FILTERS, ...filters };
+  const params = new URLSearchParams();
+  if (q) params.set('q', q);
+  if (sort && sort !== DEFAULT_SORT) params.set('tri', sort);
+  if (sellers.length) params.set('vendeur', sellers.join(','));
+  if (category) params.set('categorie', category);
+  if (tag) params.set('tag', tag);
+  if (inStock) params.set('en_stock', '1');
+  if (priceMin != null) params.set('prix_min', String(Math.floor(priceMin / 100)));
+  if (priceMax != null) params.set('prix_max', String(Math.ceil(priceMax / 100)));
+  if (minRating) params.set('note', String(minRating));
+  if (page > 1) params.set('page', String(page));
+  return params;
+}
+
+/**
+ * Lien vers le catalogue : la catégorie dans le chemin, le reste en querystring.
+ *
+ * @param {Partial<CatalogQuery>} [query]
+ * @returns {string} ex: "/produits/categorie/audio?tri=price_asc"
+ */
+export function catalogUrl({ category = '', ...rest } = {}) {
+  const path = category ? `/produits/categorie/${encodeURIComponent(category)}` : '/produits';
+  const search = catalogSearch(rest).toString();
+  return search ? `${path}?${search}` : path;
+}
+
+/** Nombre de filtres actifs (hors recherche et tri), pour le bouton "Réinitialiser". */
+export function activeFilterCount(query) {
+  return [
+    query.sellers.length > 0,
+    Boolean(query.category),
+    Boolean(query.tag),
+    query.inStock,
+    query.priceMin != null || query.priceMax != null,
+    query.minRating > 0,
+  ].filter(Boolean).length;
+}
+
+/** Même recherche et même tri, sans aucun filtre. */
+export const clearFilters = (query) => ({ ...query, ...NO_FILTERS, page: 1 });
+
+/**
+ * Paramètres de `GET products.php` pour une page du catalogue (valeurs vides ignorées par apiFetch).
+ * Prix en euros, comme le reste de l'API.
+ *
+ * @param {CatalogQuery} query
+ * @returns {Record<string, string|number>}
+ */
+export function catalogApiParams({ q = '', sort = DEFAULT_SORT, page = 1, ...filters }) {
+  const { sellers, category, tag, inStock, priceMin, priceMax, minRating } = { ...NO_FILTERS, ...filters };
+  return {
+    q: q.trim(),
+    sort,
+    id_seller: sellers.join(','),
+    category,
+    tag,
+    in_stock: inStock ? 1 : '',
+    price_min: priceMin != null ? centsToEuros(priceMin) : '',
+    price_max: priceMax != null ? centsToEuros(priceMax) : '',
+    min_rating: minRating || '',
+    limit: PAGE_SIZE,
+    offset: (page - 1) * PAGE_SIZE,
+  };
+}
+
+/**
+ * Relit les filtres envoyés à `products.php` (back simulé).
+ *
+ * @param {URLSearchParams} params - Querystring de la requête.
+ * @returns {Omit<CatalogQuery, 'page'>}
+ */
+export function parseApiParams(params) {
+  const price = (k) => (params.get(k) ? eurosToCents(params.get(k)) : null);
+  return {
+    q: params.get('q') ?? '',
+    sort: params.get('sort') ?? DEFAULT_SORT,
+    sellers: (params.get('id_seller') ?? params.get('seller_id') ?? '').split(',').filter(Boolean),
+    category: params.get('category') ?? '',
+    tag: (params.get('tag') ?? '').trim().toLowerCase(),
+    inStock: params.get('in_stock') === '1',
+    priceMin: price('price_min'),
+    priceMax: price('price_max'),
+    minRating: Number(params.get('min_rating')) || 0,
+  };
+}
+
+// Horodatage de création (MySQL "YYYY-MM-DD HH:MM:SS" ou ISO) ; NaN si absent ou illisible.
+const createdTime = (p) => (p.createdAt ? Date.parse(String(p.createdAt).replace(' ', 'T')) : NaN);
+
+const byName = (a, b) => a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' });
+
+const COMPARATORS = {
+  // Sans date de création : en fin de liste, puis les ids les plus grands (derniers créés) d'abord
+  recent: (a, b) => {
+    const ta = createdTime(a);
+    const tb = createdTime(b);
+    if (Number.isNaN(ta) !== Number.isNaN(tb)) return Number.isNaN(ta) ? 1 : -1;
+    return (Number.isNaN(ta) ? 0 : tb - ta) || Number(b.id) - Number(a.id) || 0;
+  },
+  price_asc: (a, b) => a.priceCents - b.priceCents || byName(a, b),
+  price_desc: (a, b) => b.priceCents - a.priceCents || byName(a, b),
+  name_asc: byName,
+};
+
+/**
+ * Un prédicat par filtre actif (clé = nom de la facette), pour pouvoir en écarter un
+ * lors du calcul de sa propre facette.
+ */
+function predicates(query, categories) {
+  const { q = '', sellers, category, tag, inStock, priceMin, priceMax, minRating } = { ...NO_FILTERS, ...query };
+  const needle = q.trim().toLowerCase();
+  const cat = category ? findBySlug(categories, category) : null;
+  // Slug inconnu : aucun produit (plutôt que tout le catalogue)
+  const inCategory = cat ? descendantIds(categories, cat.id) : new Set();
+  return {
+    q: (p) =>
+      !needle ||
+      [p.name, p.description, ...(p.tags ?? [])].filter(Boolean).some((s) => s.toLowerCase().includes(needle)),
+    sellers: (p) => !sellers.length || sellers.includes(String(p.sellerId)),
+    category: (p) => !category || inCategory.has(p.categoryId),
+    tag: (p) => !tag || (p.tags ?? []).includes(tag),
+    inStock: (p) => !inStock || p.stock > 0,
+    price: (p) => (priceMin == null || p.priceCents >= priceMin) && (priceMax == null || p.priceCents <= priceMax),
+    rating: (p) => !minRating || (p.rating ?? 0) >= minRating,
+  };
+}
+
+const matching = (products, tests, except = null) =>
+  products.filter((p) => Object.entries(tests).every(([k, test]) => k === except || test(p)));
+
+/**
+ * Filtre (recherche, vendeurs, catégorie, étiquette, disponibilité, prix, note) puis trie une liste de
+ * produits, sans la modifier.
+ *
+ * @param {import('../models/product').Product[]} products
+ * @param {Partial<CatalogQuery>} query
+ * @param {import('../models/category').Category[]} [categories] - Taxonomie (filtre catégorie).
+ * @returns {import('../models/product').Product[]}
+ */
+export function applyCatalogQuery(products, query = {}, categories = []) {
+  return matching(products, predicates(query, categories)).sort(
+    COMPARATORS[query.sort] ?? COMPARATORS[DEFAULT_SORT]
+  );
+}
+
+/**
+ * Facettes du catalogue pour une recherche donnée (voir `CatalogFacets`).
+ *
+ * @param {import('../models/product').Product[]} products
+ * @param {Partial<CatalogQuery>} query
+ * @param {import('../models/category').Category[]} [categories]
+ * @returns {CatalogFacets}
+ */
+export function catalogFacets(products, query = {}, categories = []) {
+  const tests = predicates(query, categories);
+
+  const sellers = new Map();
+  for (const p of matching(products, tests, 'sellers')) {
+    if (p.sellerId == null) continue;
+    const id = String(p.sellerId);
+    const entry = sellers.get(id) ?? { id, name: p.sellerName ?? null, count: 0 };
+    entry.count += 1;
+    sellers.set(id, entry);
+  }
+
+  const inCategory = matching(products, tests, 'category');
+  const categoryCounts = categories
+    .map((c) => {
+      const ids = descendantIds(categories, c.id);
+      return { id: c.id, count: inCategory.filter((p) => ids.has(p.categoryId)).length };
+    })
+    .filter((c) => c.count > 0);
+
+  const tags = new Map();
+  for (const p of matching(products, tests, 'tag')) {
+    for (const name of p.tags ?? []) tags.set(name, (tags.get(name) ?? 0) + 1);
+  }
+
+  const priced = matching(products, tests, 'price').map((p) => p.priceCents);
+  const rated = matching(products, tests, 'rating');
+
+  return {
+    sellers: [...sellers.values()].sort((a, b) => String(a.name ?? a.id).localeCompare(String(b.name ?? b.id), 'fr')),
+    categories: categoryCounts,
+    inStock: matching(products, tests, 'inStock').filter((p) => p.stock > 0).length,
+    priceCents: priced.length ? { min: Math.min(...priced), max: Math.max(...priced) } : null,
+    ratings: RATING_THRESHOLDS.map((min) => ({ min, count: rated.filter((p) => (p.rating ?? 0) >= min).length })),
+    tags: [...tags]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'fr'))
+      .slice(0, TAG_FACET_SIZE),
+  };
+}
+
+/**
+ * Facettes renvoyées par `products.php` (prix en euros) → CatalogFacets.
+ *
+ * @param {Record<string, any>} raw
+ * @returns {CatalogFacets}
+ */
+export function facetsFromApi(raw = {}) {
+  const price = raw.price;
+  return {
+    sellers: (raw.sellers ?? []).map((s) => ({ id: String(s.id), name: s.name ?? null, count: Number(s.count) || 0 })),
+    categories: (raw.categories ?? []).map((c) => ({ id: Number(c.id), count: Number(c.count) || 0 })),
+    inStock: Number(raw.in_stock) || 0,
+    priceCents: price ? { min: eurosToCents(price.min), max: eurosToCents(price.max) } : null,
+    ratings: (raw.ratings ?? []).map((r) => ({ min: Number(r.min), count: Number(r.count) || 0 })),
+    tags: (raw.tags ?? []).map((t) => ({ name: String(t.name), count: Number(t.count) || 0 })),
+  };
+}
+
+/**
+ * CatalogFacets → forme renvoyée par `products.php` (back simulé).
+ *
+ * @param {CatalogFacets} facets
+ * @returns {Record<string, any>}
+ */
+export function facetsToApi(facets) {
+  return {
+    sellers: facets.sellers,
+    categories: facets.categories,
+    in_stock: facets.inStock,
+    price: facets.priceCents
+      ? { min: centsToEuros(facets.priceCents.min), max: centsToEuros(facets.priceCents.max) }
+      : null,
+    ratings: facets.ratings,
+    tags: facets.tags,
+  };
+}
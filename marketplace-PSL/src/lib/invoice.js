@@ -0,0 +1,202 @@
+// src/lib/invoice.js
+
+/**
+ * Factures PDF d'une commande (page de confirmation), générées dans le navigateur avec jsPDF.
+ *
+ * Mentions obligatoires (art. L441-9 et R123-237 du Code de commerce, art. 242 nonies A du CGI)
+ * - Numéro unique issu d'une séquence continue (attribué par le back, par vendeur), date d'émission
+ *   et date de la vente.
+ * - Vendeur : nom, adresse, SIRET, n° de TVA intracommunautaire.
+ * - Client : nom et adresse (facturation et livraison).
+ * - Par ligne : désignation, quantité, taux de TVA, montants HT et TTC, remise éventuelle.
+ * - Récapitulatif de TVA par taux, totaux HT / TVA / TTC.
+ * - Conditions de paiement : état du règlement, escompte, pénalités de retard et indemnité de recouvrement.
+ *
+ * État du règlement (`paymentStatus`) : "acquittée" seulement si la commande a été payée (passage à
+ * "payée" dans l'historique), avec la référence du paiement carte ; part du vendeur annulée ou retournée :
+ * montant et date du remboursement ; commande non payée : montant restant dû, ou rien si annulée.
+ *
+ * Une facture par vendeur (un vendeur facture ses propres ventes) : le PDF d'une commande
+ * multi-vendeurs contient une page par facture.
+ *
+ * jsPDF est volumineux : ce module est importé dynamiquement (`import('../lib/invoice')`) au clic.
+ */
+
+import { jsPDF } from 'jspdf';
+import { formatCents } from './money';
+import { SHIPPING_METHODS, SHIPPING_VAT_RATE, splitTax } from './pricing';
+import { ORDER_STATUS, REFUNDED_STATUSES, paidAt } from './orderStatus';
+import { MARGIN, RIGHT, block, date, ensureSpace, table, text } from './pdf';
+import { formatAddress } from '../models/checkout';
+
+const money = (cents) => text(formatCents(cents));
+const rate = (r) => `${text(Number(r).toLocaleString('fr-FR'))} %`;
+
+/** Libellé du colis pour la ligne "frais de port". */
+function shippingLabel(order) {
+  const method = SHIPPING_METHODS[order.shippingMethod];
+  return `Frais de port${method ? ` (${method.label.toLowerCase()})` : ''}`;
+}
+
+/**
+ * Mentions de règlement d'une facture : première ligne en gras, suivantes en texte courant.
+ * @param {import('../models/order').Order} order
+ * @param {import('../models/order').Invoice} invoice
+ * @returns {string[]}
+ */
+function paymentStatus(order, invoice) {
+  const paid = paidAt(order.history);
+  const part = order.subOrders.find((sc) => sc.sellerId === invoice.sellerId);
+  const status = part?.status ?? order.status;
+  if (!paid) {
+    return status === ORDER_STATUS.CANCELLED
+      ? ['Commande annulée avant paiement : aucun montant dû.']
+      : [`Facture en attente de paiement : ${money(invoice.totalCents)} à régler.`];
+  }
+
+  const card = order.payment ? ` par carte bancaire (réf. ${text(order.payment.reference)})` : '';
+  const refundedCents = part ? part.refundedCents : order.refundedCents;
+  if (!refundedCents) return [`Facture acquittée le ${date(paid)}${card}.`];
+
+  const refund = [...(part?.history ?? order.history)].reverse().find((h) => REFUNDED_STATUSES.includes(h.status));
+  const reason = status === ORDER_STATUS.REFUNDED ? 'retour' : 'annulation';
+  return [
+    refundedCents >= (part ?? order).totalCents
+      ? `Facture intégralement remboursée (${reason}) : ${money(refundedCents)}${refund?.date ? ` le ${date(refund.date)}` : ''}.`
+      : `Remboursement (${reason}) : ${money(refundedCents)}${refund?.date ? ` le ${date(refund.date)}` : ''}.`,
+    `Paiement initial reçu le ${date(paid)}${card}.`,
+  ];
+}
+
+/**
+ * Dessine une facture sur la page courante.
+ * @param {jsPDF} doc
+ * @param {import('../models/order').Order} order
+ * @param {import('../models/order').Invoice} invoice
+ */
+function drawInvoice(doc, order, invoice) {
+  const seller = invoice.seller ?? {};
+  doc.setFontSize(18).setFont('helvetica', 'bold').text('FACTURE', MARGIN, 22);
+  doc.setFontSize(10).setFont('helvetica', 'normal');
+  doc.text(text(`N° ${invoice.number}`), RIGHT, 16, { align: 'right' });
+  doc.text(`Date d'émission : ${date(invoice.date)}`, RIGHT, 21, { align: 'right' });
+  doc.text(`Date de la vente : ${date(order.date)}`, RIGHT, 26, { align: 'right' });
+  doc.text(`Commande n° ${order.id}`, RIGHT, 31, { align: 'right' });
+
+  const sellerEnd = block(doc, MARGIN, 42, 'Vendeur', [
+    seller.name,
+    seller.address,
+    seller.siret && `SIRET : ${seller.siret}`,
+    seller.vatNumber && `N° TVA intracommunautaire : ${seller.vatNumber}`,
+    seller.email,
+  ]);
+  const buyer = order.buyer ?? {};
+  const buyerEnd = block(doc, 110, 42, 'Client', [
+    buyer.name,
+    buyer.address,
+    buyer.email,
+    order.address && `Livraison : ${formatAddress(order.address)}`,
+  ]);
+
+  const y = table(
+    doc,
+    Math.max(sellerEnd, buyerEnd) + 8,
+    [
+      { label: 'Désignation', x: MARGIN },
+      { label: 'Qté', x: 112, align: 'right' },
+      { label: 'TVA', x: 128, align: 'right' },
+      { label: 'Remise TTC', x: 150, align: 'right' },
+      { label: 'Total HT', x: 172, align: 'right' },
+      { label: 'Total TTC', x: RIGHT, align: 'right' },
+    ],
+    [
+      ...invoice.lines.map((l) => [
+        l.name,
+        l.qty,
+        rate(l.vatRate),
+        l.discountCents ? money(-l.discountCents) : '',
+        money(l.netCents),
+        money(l.grossCents),
+      ]),
+      ...(invoice.shippingCents
+        ? [[
+            shippingLabel(order),
+            1,
+            rate(SHIPPING_VAT_RATE),
+            '',
+            money(splitTax(invoice.shippingCents, SHIPPING_VAT_RATE, true).netCents),
+            money(invoice.shippingCents),
+          ]]
+        : []),
+    ]
+  );
+
+  // Récapitulatif de TVA par taux, puis totaux.
+  let vy = table(
+    doc,
+    y + 4,
+    [
+      { label: 'Taux de TVA', x: MARGIN },
+      { label: 'Base HT', x: 150, align: 'right' },
+      { label: 'TVA', x: RIGHT, align: 'right' },
+    ],
+    invoice.vat.map((r) => [rate(r.rate), money(r.baseCents), money(r.taxCents)])
+  );
+  const totals = [
+    ['Total HT', money(invoice.netCents)],
+    ['Total TVA', money(invoice.taxCents)],
+    ['Total TTC', money(invoice.totalCents)],
+  ];
+  const payment = paymentStatus(order, invoice);
+  // Totaux, règlement et conditions de paiement restent groupés sur la même page.
+  vy = ensureSpace(doc, vy, 3 * 6 + 6 + 5 * payment.length + 16);
+  totals.forEach(([label, value], i, all) => {
+    doc.setFont('helvetica', i === all.length - 1 ? 'bold' : 'normal');
+    doc.text(label, 140, vy);
+    doc.text(value, RIGHT, vy, { align: 'right' });
+    vy += 6;
+  });
+
+  vy += 6;
+  payment.forEach((line, i) => doc.setFont('helvetica', i === 0 ? 'bold' : 'normal').text(line, MARGIN, vy + 5 * i));
+  vy += 5 * (payment.length - 1);
+  doc.setFont('helvetica', 'normal').setFontSize(8);
+  doc.text(
+    doc.splitTextToSize(
+      "Pas d'escompte pour paiement anticipé. En cas de retard de paiement, pénalités au taux de trois fois " +
+        "le taux d'intérêt légal et indemnité forfaitaire pour frais de recouvrement de 40 € " +
+        '(art. L441-10 du Code de commerce).',
+      RIGHT - MARGIN
+    ),
+    MARGIN,
+    vy + 6
+  );
+  doc.setFontSize(10);
+}
+
+/**
+ * Construit le PDF des factures d'une commande (une page par facture).
+ *
+ * @param {import('../models/order').Order} order
+ * @param {import('../models/order').Invoice[]} [invoices] - Par défaut, toutes les factures de la commande.
+ * @returns {jsPDF}
+ */
+export function buildInvoicePdf(order, invoices = order.invoices) {
+  if (!invoices.length) throw new Error('buildInvoicePdf: aucune facture pour cette commande');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  doc.setProperties({ title: `Facture${invoices.length > 1 ? 's' : ''} – commande ${order.id}` });
+  invoices.forEach((invoice, i) => {
+    if (i > 0) doc.addPage();
+    drawInvoice(doc, order, invoice);
+  });
+  return doc;
+}
+
+/**
+ * Télécharge une facture ("facture-F1-2025-000042.pdf").
+ * @param {import('../models/order').Order} order
+ * @param {import('../models/order').Invoice} invoice
+ */
+export function downloadInvoice(order, invoice) {
+  buildInvoicePdf(order, [invoice]).save(`facture-${invoice.number}.pdf`);
+}
@@ -0,0 +1,82 @@
+// src/lib/money.js
+
+/**
+ * Utilitaires monétaires.
+ *
+ * Convention front : tous les montants manipulés par l'UI sont des **entiers en centimes**
+ * (ex: 1990 = 19,90 €). On évite ainsi les erreurs d'arrondi des flottants (0.1 + 0.2…).
+ * La conversion vers/depuis le format du back (euros ou centimes selon l'endpoint)
+ * se fait uniquement aux frontières (modèles `fromApi` / `toApi`, services).
+ */
+
+/**
+ * Convertit un montant en euros (number ou string "19,90") en centimes entiers.
+ * @param {unknown} euros
+ * @returns {number} Centimes (0 si la valeur est invalide).
+ */
+export function eurosToCents(euros) {
+  if (euros == null || euros === '') return 0;
+  const n = typeof euros === 'string' ? Number(euros.trim().replace(',', '.')) : Number(euros);
+  return Number.isFinite(n) ? Math.round(n * 100) : 0;
+}
+
+/**
+ * Convertit des centimes en euros (pour les payloads API qui attendent des euros).
+ * @param {unknown} cents
+ * @returns {number}
+ */
+export function centsToEuros(cents) {
+  const n = Number(cents);
+  return Number.isFinite(n) ? Math.round(n) / 100 : 0;
+}
+
+/**
+ * Normalise un montant d'unité inconnue (centimes / euros / string) vers des centimes.
+ *
+ * Contexte
+ * - Selon les endpoints/SQL, les montants peuvent être renvoyés :
+ *   - en centimes (INT) → ex: 22140
+ *   - en euros (FLOAT/DECIMAL) → ex: 220.40
+ *   - en string ("220.40" / "220,40" / "22140")
+ *
+ * Règle
+ * - String avec séparateur décimal → euros.
+ * - Nombre entier (ou string entière) → on suppose des centimes.
+ * - Sinon → euros.
+ *
+ * @param {unknown} amount
+ * @returns {number} Centimes (entier)
+ */
+export function amountToCents(amount) {
+  if (amount == null) return 0;
+
+  if (typeof amount === 'string') {
+    const s = amount.trim();
+    if (s === '') return 0;
+    // déjà en euros si présence d'un séparateur décimal
+    if (s.includes('.') || s.includes(',')) return eurosToCents(s);
+    const n = Number(s);
+    return Number.isInteger(n) ? n : eurosToCents(n);
+  }
+
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return 0;
+  return Number.isInteger(n) ? n : eurosToCents(n);
+}
+
+/**
+ * Formate un montant en centimes pour l'affichage (locale fr-FR).
+ *
+ * @param {unknown} cents
+ * @param {string} [currency='EUR']
+ * @param {Intl.NumberFormatOptions} [options] - ex: { maximumFractionDigits: 0 } pour un axe de graphe.
+ * @returns {string} ex: "1 234,00 €"
+ */
+export function formatCents(cents, currency = 'EUR', options = {}) {
+  const n = Number(cents);
+  return (Number.isFinite(n) ? n / 100 : 0).toLocaleString('fr-FR', {
+    style: 'currency',
+    currency: currency || 'EUR',
+    ...options,
+  });
+}
@@ -0,0 +1,199 @@
+// src/lib/orderStatus.js
+
+/**
+ * Cycle de vie d'une commande : statuts, transitions autorisées et règles d'annulation / de retour.
+ *
+ * Parcours normal
+ *   en_attente (paiement) → payée → en_préparation → expédiée → livrée
+ * Expédition
+ * - Les vendeurs expédient leurs articles en un ou plusieurs colis (models/shipment) ; le back passe la
+ *   commande à "expédiée" quand tous ses articles sont partis.
+ * Sorties
+ * - annulée : par le client (toute la commande) ou le vendeur (sa sous-commande) tant qu'aucun colis
+ *   n'est parti ; la part annulée est remboursée si elle était payée.
+ * - retour_demandé : par le client, avec un motif, dans les `RETURN_WINDOW_DAYS` jours suivant la
+ *   livraison ; le vendeur rembourse (remboursée) ou refuse le retour (retour à livrée).
+ *
+ * Sous-commandes
+ * - Une commande multi-vendeurs est découpée en sous-commandes (une par vendeur) ayant chacune leur
+ *   statut : chaque vendeur prépare, expédie, annule ou rembourse sa part.
+ * - Le statut de la commande se déduit de celui de ses sous-commandes (`aggregateStatus`) ; les actions
+ *   du client (annulation, retour) s'appliquent à toutes les sous-commandes concernées.
+ *
+ * Les valeurs sont celles de la colonne `commande.statut`. Le back applique les mêmes règles : ce
+ * module sert à n'afficher que les actions possibles et à refuser une transition avant l'appel API.
+ */
+
+export const ORDER_STATUS = {
+  PENDING_PAYMENT: 'en_attente',
+  PAID: 'payée',
+  PREPARING: 'en_préparation',
+  SHIPPED: 'expédiée',
+  DELIVERED: 'livrée',
+  CANCELLED: 'annulée',
+  RETURN_REQUESTED: 'retour_demandé',
+  REFUNDED: 'remboursée',
+};
+
+const S = ORDER_STATUS;
+
+/** Libellés affichables. */
+export const STATUS_LABELS = {
+  [S.PENDING_PAYMENT]: 'En attente de paiement',
+  [S.PAID]: 'Payée',
+  [S.PREPARING]: 'En préparation',
+  [S.SHIPPED]: 'Expédiée',
+  [S.DELIVERED]: 'Livrée',
+  [S.CANCELLED]: 'Annulée',
+  [S.RETURN_REQUESTED]: 'Retour demandé',
+  [S.REFUNDED]: 'Remboursée',
+};
+
+/** Libellé d'un statut ; un statut inconnu s'affiche tel quel. */
+export const statusLabel = (status) => STATUS_LABELS[status] ?? String(status ?? '');
+
+/** Parcours normal (frise de suivi), paiement confirmé. */
+export const ORDER_STEPS = [S.PAID, S.PREPARING, S.SHIPPED, S.DELIVERED];
+
+/**
+ * Acteurs d'une transition :
+ * - buyer  : le client de la commande ;
+ * - seller : un vendeur dont la commande contient des articles ;
+ * - system : le back (confirmation de paiement, dernier colis expédié, livraison signalée par le transporteur).
+ * @typedef {'buyer'|'seller'|'system'} OrderActor
+ */
+
+/** @type {Record<string, Record<string, OrderActor[]>>} statut → statut suivant → acteurs autorisés */
+export const TRANSITIONS = {
+  [S.PENDING_PAYMENT]: { [S.PAID]: ['system'], [S.CANCELLED]: ['buyer', 'system'] },
+  [S.PAID]: { [S.PREPARING]: ['seller'], [S.CANCELLED]: ['buyer', 'seller'] },
+  [S.PREPARING]: { [S.SHIPPED]: ['system'], [S.CANCELLED]: ['buyer', 'seller'] },
+  [S.SHIPPED]: { [S.DELIVERED]: ['seller', 'system'] },
+  [S.DELIVERED]: { [S.RETURN_REQUESTED]: ['buyer'] },
+  [S.RETURN_REQUESTED]: { [S.REFUNDED]: ['seller'], [S.DELIVERED]: ['seller'] },
+  [S.CANCELLED]: {},
+  [S.REFUNDED]: {},
+};
+
+/** Délai de rétractation : jours après la livraison pour demander un retour. */
+export const RETURN_WINDOW_DAYS = 14;
+
+/** Motifs de retour proposés au client. */
+export const RETURN_REASONS = [
+  'Article défectueux ou endommagé',
+  'Ne correspond pas à la description',
+  'Erreur de commande',
+  'Changement d’avis',
+  'Autre',
+];
+
+/** Statuts donnant lieu au remboursement total de la commande. */
+export const REFUNDED_STATUSES = [S.CANCELLED, S.REFUNDED];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Transition refusée (statut d'origine, acteur ou délai). Le message est affichable tel quel.
+ */
+export class OrderStatusError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ from?: string, to?: string }} [details]
+   */
+  constructor(message, { from, to } = {}) {
+    super(message);
+    this.name = 'OrderStatusError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Date limite de demande de retour : `RETURN_WINDOW_DAYS` jours après la livraison.
+ * @param {{ status: string, history?: Array<{ status: string, date: string|null }>, date?: string|null }} order
+ * @returns {Date|null} null si la commande n'a pas été livrée.
+ */
+export function returnDeadline(order) {
+  const delivered = [...(order.history ?? [])].reverse().find((h) => h.status === S.DELIVERED);
+  if (!delivered && order.status !== S.DELIVERED) return null;
+  const from = new Date(delivered?.date ?? order.date);
+  if (Number.isNaN(from.getTime())) return null;
+  return new Date(from.getTime() + RETURN_WINDOW_DAYS * DAY_MS);
+}
+
+/**
+ * Date du paiement : premier passage à "payée" dans l'historique.
+ * @param {Array<{ status: string, date: string|null }>} [history]
+ * @returns {string|null} null si la commande n'a jamais été payée (en attente, annulée avant paiement).
+ */
+export function paidAt(history = []) {
+  return history.find((h) => h.status === S.PAID)?.date ?? null;
+}
+
+/**
+ * Raison pour laquelle une transition est refusée (null si elle est autorisée).
+ *
+ * @param {{ status: string, history?: Array<{ status: string, date: string|null }>, date?: string|null, shipments?: unknown[] }} order
+ * @param {string} to
+ * @param {object} [options]
+ * @param {OrderActor} [options.actor='buyer']
+ * @param {Date} [options.now]
+ * @returns {string|null}
+ */
+export function transitionIssue(order, to, { actor = 'buyer', now = new Date() } = {}) {
+  const allowed = TRANSITIONS[order.status]?.[to];
+  if (!allowed) {
+    return `Impossible de passer la commande de « ${statusLabel(order.status)} » à « ${statusLabel(to)} ».`;
+  }
+  if (!allowed.includes(actor)) return `Action non autorisée : « ${statusLabel(to)} ».`;
+  if (to === S.CANCELLED && order.shipments?.length) {
+    return 'Des colis sont déjà partis : la commande ne peut plus être annulée.';
+  }
+  if (to === S.RETURN_REQUESTED) {
+    const deadline = returnDeadline(order);
+    if (deadline && now > deadline) {
+      return `Le délai de retour de ${RETURN_WINDOW_DAYS} jours après la livraison est dépassé.`;
+    }
+  }
+  return null;
+}
+
+/** true si la transition est autorisée (voir `transitionIssue`). */
+export const canTransition = (order, to, options) => transitionIssue(order, to, options) === null;
+
+/**
+ * Vérifie une transition avant l'appel API.
+ * @throws {OrderStatusError}
+ */
+export function assertTransition(order, to, options) {
+  const issue = transitionIssue(order, to, options);
+  if (issue) throw new OrderStatusError(issue, { from: order.status, to });
+}
+
+/**
+ * Statuts accessibles depuis l'état courant pour un acteur.
+ * @param {Parameters<typeof transitionIssue>[0]} order
+ * @param {{ actor?: OrderActor, now?: Date }} [options]
+ * @returns {string[]}
+ */
+export function nextStatuses(order, options) {
+  return Object.keys(TRANSITIONS[order.status] ?? {}).filter((to) => canTransition(order, to, options));
+}
+
+/**
+ * Statut d'une commande d'après ceux de ses sous-commandes : l'étape la moins avancée parmi les
+ * sous-commandes actives (ni annulées ni remboursées), un retour en cours l'emportant.
+ * @param {string[]} statuses
+ * @returns {string}
+ */
+export function aggregateStatus(statuses) {
+  const active = statuses.filter((st) => !REFUNDED_STATUSES.includes(st));
+  if (!active.length) return statuses.includes(S.REFUNDED) ? S.REFUNDED : S.CANCELLED;
+  if (active.includes(S.RETURN_REQUESTED)) return S.RETURN_REQUESTED;
+  if (active.includes(S.PENDING_PAYMENT)) return S.PENDING_PAYMENT;
+  return ORDER_STEPS.find((step) => active.includes(step)) ?? active[0];
+}
+
+/** true si le passage à `to` rembourse le client (annulation d'une commande payée, retour accepté). */
+export const refundsOnTransition = (from, to) =>
+  (to === S.CANCELLED && from !== S.PENDING_PAYMENT) || to === S.REFUNDED;
@@ -0,0 +1,102 @@
+// src/lib/packingSlip.js
+
+/**
+ * Bon de livraison (page "Commandes à traiter") : document glissé dans le colis, généré avec jsPDF.
+ *
+ * Contenu
+ * - Commande (numéro, date, mode de livraison), expéditeur (le vendeur) et destinataire.
+ * - Articles du vendeur seulement : quantités commandées, déjà expédiées et à expédier
+ *   (expéditions partielles, models/shipment).
+ * - Aucun prix : le bon accompagne la marchandise, la facture reste disponible dans le compte client.
+ *
+ * Comme lib/invoice, ce module est importé dynamiquement (`import('../lib/packingSlip')`) au clic.
+ */
+
+import { jsPDF } from 'jspdf';
+import { SHIPPING_METHODS } from './pricing';
+import { MARGIN, RIGHT, block, date, ensureSpace, table, text } from './pdf';
+import { carrierLabel, linesToShip } from '../models/shipment';
+
+/**
+ * Construit le bon de livraison d'un vendeur pour une commande.
+ *
+ * @param {import('../models/order').Order} order
+ * @param {number} sellerId - Vendeur qui prépare le colis.
+ * @returns {jsPDF}
+ */
+export function buildPackingSlipPdf(order, sellerId) {
+  const lines = linesToShip(order, sellerId);
+  if (!lines.length) throw new Error('buildPackingSlipPdf: aucun article de ce vendeur dans la commande');
+  const seller = order.invoices.find((f) => f.sellerId === sellerId)?.seller ?? {};
+  const method = SHIPPING_METHODS[order.shippingMethod];
+  const a = order.address ?? {};
+
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  doc.setProperties({ title: `Bon de livraison – commande ${order.id}` });
+  doc.setFontSize(18).setFont('helvetica', 'bold').text('BON DE LIVRAISON', MARGIN, 22);
+  doc.setFontSize(10).setFont('helvetica', 'normal');
+  doc.text(`Commande n° ${order.id}`, RIGHT, 16, { align: 'right' });
+  doc.text(`Date de commande : ${date(order.date)}`, RIGHT, 21, { align: 'right' });
+  doc.text(`Édité le : ${date(new Date().toISOString())}`, RIGHT, 26, { align: 'right' });
+  if (method) doc.text(text(`Livraison : ${method.label}`), RIGHT, 31, { align: 'right' });
+
+  const sellerEnd = block(doc, MARGIN, 42, 'Expéditeur', [seller.name, seller.address, seller.email]);
+  const buyerEnd = block(doc, 110, 42, 'Destinataire', [
+    a.nom || order.buyer?.name,
+    a.ligne,
+    [a.code_postal, a.ville].filter(Boolean).join(' '),
+    a.pays,
+  ]);
+
+  let y = table(
+    doc,
+    Math.max(sellerEnd, buyerEnd) + 8,
+    [
+      { label: 'Désignation', x: MARGIN },
+      { label: 'Réf.', x: 120, align: 'right' },
+      { label: 'Commandé', x: 145, align: 'right' },
+      { label: 'Déjà expédié', x: 170, align: 'right' },
+      { label: 'À expédier', x: RIGHT, align: 'right' },
+    ],
+    lines.map((l) => [l.name, l.productId ?? '', l.qty, l.shippedQty, l.remainingQty])
+  );
+
+  const shipped = order.shipments.filter((s) => s.sellerId === sellerId);
+  if (shipped.length) {
+    y = block(
+      doc,
+      MARGIN,
+      y + 4,
+      'Colis déjà expédiés',
+      shipped.map((s) => `${date(s.date)} · ${carrierLabel(s.carrier)} n° ${s.trackingNumber}`)
+    );
+  }
+
+  y = ensureSpace(doc, y, 22);
+  doc.setFontSize(8);
+  doc.text(
+    doc.splitTextToSize(
+      'Document de livraison sans valeur comptable. La facture de cette commande est disponible dans ' +
+        "l'espace client (Mes commandes).",
+      RIGHT - MARGIN
+    ),
+    MARGIN,
+    y + 8
+  );
+  doc.setFontSize(10).text('Préparé par : ____________________', MARGIN, y + 20);
+  return doc;
+}
+
+/**
+ * Ouvre le bon de livraison dans un nouvel onglet, prêt à imprimer ; le télécharge si le navigateur
+ * bloque l'ouverture de l'onglet.
+ *
+ * @param {import('../models/order').Order} order
+ * @param {number} sellerId
+ */
+export function printPackingSlip(order, sellerId) {
+  const doc = buildPackingSlipPdf(order, sellerId);
+  doc.autoPrint();
+  const tab = window.open(doc.output('bloburl'), '_blank');
+  if (!tab) doc.save(`bon-livraison-${order.id}.pdf`);
+}
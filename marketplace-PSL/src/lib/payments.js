@@ -0,0 +1,195 @@
+// src/lib/payments.js
+
+/**
+ * Paiement : interface commune des fournisseurs (PSP) et enchaînement du checkout.
+ *
+ * Cycle d'un paiement (vocabulaire commun aux PSP du marché)
+ * 1) `createIntent`  : intention de paiement pour un montant (idempotente par clé de checkout).
+ * 2) `confirmIntent` : autorisation avec le moyen de paiement ; peut exiger une authentification
+ *    forte 3-D Secure (`onChallenge`, dialogue affiché par le front).
+ * 3) `capture`       : encaissement, une fois la commande créée côté back.
+ *    `refund`        : annulation d'une autorisation non capturée, ou remboursement (total/partiel).
+ *
+ * Fournisseur actif : `VITE_PAYMENT_PROVIDER` (défaut `simulator`, le simulateur local de
+ * src/mocks). Un vrai PSP s'ajoute avec `registerPaymentProvider` sans toucher aux pages : elles
+ * ne connaissent que `getPaymentProvider` et `payAndPlaceOrder`.
+ *
+ * Tous les montants sont en centimes entiers (voir lib/money.js).
+ */
+
+import { BusinessError, HttpError, isApiError } from './apiErrors';
+
+/**
+ * @typedef {"requires_payment_method"|"requires_action"|"requires_capture"|"succeeded"|"canceled"|"refunded"} PaymentStatus
+ *
+ * @typedef {object} PaymentIntent
+ * @property {string} id
+ * @property {string} provider       - Identifiant du fournisseur (`simulator`, …).
+ * @property {number} amountCents
+ * @property {string} currency       - Code ISO ("EUR").
+ * @property {PaymentStatus} status
+ * @property {number} refundedCents
+ * @property {{ brand: string|null, last4: string }|null} paymentMethod - Jamais le numéro complet.
+ *
+ * @typedef {object} CardDetails
+ * @property {string} cardName
+ * @property {string} cardNumber
+ * @property {string} expiry
+ * @property {string} cvc
+ *
+ * @typedef {object} ChallengeDetails
+ * @property {string} intentId
+ * @property {number} amountCents
+ * @property {string|null} brand
+ * @property {string} last4
+ *
+ * @typedef {(challenge: ChallengeDetails) => Promise<boolean|null>} ChallengeHandler
+ *   Affiche l'authentification 3-D Secure ; résout `true` si le client l'a validée, `false` s'il
+ *   l'a refusée, `null` s'il l'a abandonnée.
+ *
+ * @typedef {object} PaymentProvider
+ * @property {string} id
+ * @property {string} label
+ * @property {boolean} testMode
+ * @property {Array<{ number: string, label: string }>} [testCards] - Cartes de test (mode test).
+ * @property {(params: { amountCents: number, currency?: string, idempotencyKey?: string, metadata?: object }) => Promise<PaymentIntent>} createIntent
+ * @property {(intentId: string, params: { card: CardDetails }, options?: { onChallenge?: ChallengeHandler }) => Promise<PaymentIntent>} confirmIntent
+ * @property {(intentId: string) => Promise<PaymentIntent>} capture
+ * @property {(intentId: string, options?: { amountCents?: number }) => Promise<PaymentIntent>} refund
+ */
+
+/**
+ * Refus ou échec de paiement. `code` permet à l'UI de réagir sans parser le message :
+ * - 'card_declined'           : carte refusée par la banque
+ * - 'insufficient_funds'      : provision insuffisante
+ * - 'authentication_failed'   : 3-D Secure refusé
+ * - 'authentication_canceled' : 3-D Secure abandonné par le client
+ * - 'invalid_state'           : opération impossible dans l'état de l'intention
+ * - 'processing_error'        : erreur du fournisseur
+ */
+export class PaymentError extends Error {
+  /**
+   * @param {string} message - Message lisible (affichable tel quel dans l'UI).
+   * @param {object} [details]
+   * @param {string} [details.code]
+   * @param {string|null} [details.intentId]
+   * @param {unknown} [details.cause]
+   */
+  constructor(message, { code = 'processing_error', intentId = null, cause } = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.intentId = intentId;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+/** Fournisseur actif (variable Vite), simulateur local par défaut. */
+export const PAYMENT_PROVIDER_ID = import.meta.env.VITE_PAYMENT_PROVIDER || 'simulator';
+
+// Fournisseurs connus : chargés à la demande (import dynamique), un seul par session.
+const loaders = {
+  simulator: () => import('../mocks/paymentSimulator').then((m) => m.createPaymentSimulator()),
+};
+const instances = new Map();
+
+/**
+ * Déclare un fournisseur de paiement.
+ *
+ * @param {string} id
+ * @param {() => (PaymentProvider|Promise<PaymentProvider>)} load - Fabrique (peut être asynchrone).
+ */
+export function registerPaymentProvider(id, load) {
+  loaders[id] = load;
+  instances.delete(id);
+}
+
+/**
+ * Renvoie le fournisseur de paiement (instance partagée).
+ *
+ * @param {string} [id]
+ * @returns {Promise<PaymentProvider>}
+ * @throws {Error} Fournisseur inconnu (erreur de configuration).
+ */
+export function getPaymentProvider(id = PAYMENT_PROVIDER_ID) {
+  if (!loaders[id]) throw new Error(`getPaymentProvider: fournisseur "${id}" inconnu`);
+  if (!instances.has(id)) {
+    const instance = Promise.resolve(loaders[id]());
+    // Échec de chargement : on autorise un nouvel essai
+    instance.catch(() => instances.delete(id));
+    instances.set(id, instance);
+  }
+  return instances.get(id);
+}
+
+// Nouvelles tentatives de création de commande après un échec incertain (réseau, timeout, 5xx),
+// en plus des relances d'apiFetch, et délai entre deux tentatives (ms).
+const ORDER_RETRIES = 2;
+const ORDER_RETRY_DELAY = 1000;
+
+/**
+ * Refus définitif de la commande par le back (erreur métier, 4xx hors 408 / 429), ou erreur levée
+ * avant l'envoi : la commande n'existe pas. Réseau, timeout, 5xx ou réponse illisible : la commande
+ * a pu être créée, le résultat est inconnu.
+ */
+function isOrderRejected(err) {
+  if (!isApiError(err)) return true;
+  if (err instanceof BusinessError) return true;
+  return err instanceof HttpError && err.status >= 400 && err.status < 500 && ![408, 429].includes(err.status);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Paiement d'une commande : autorisation, création de la commande, puis encaissement.
+ *
+ * - L'autorisation précède la commande : une carte refusée ne crée rien côté back.
+ * - Commande refusée par le back (`isOrderRejected`) : l'autorisation est annulée (`refund` d'une
+ *   intention non capturée) et l'erreur de commande est relancée.
+ * - Échec incertain (réseau, timeout, 5xx) : le back a pu créer la commande. L'autorisation est
+ *   conservée et la commande renvoyée avec la même clé d'idempotence (`placeOrder` la porte), que
+ *   le back rejoue au lieu d'en créer une autre. Si l'échec persiste, l'erreur est relancée sans
+ *   annuler : une nouvelle soumission du même checkout réutilise l'intention autorisée
+ *   (`createIntent` idempotent) et renvoie la même commande.
+ * - La commande reçoit la référence de paiement (`payment`) pour le rapprochement côté back.
+ * - `onAuthorized` reçoit l'intention autorisée avant l'envoi de la commande : l'appelant peut
+ *   l'annuler si le checkout change ensuite (nouveau panier, nouvelle clé).
+ *
+ * @param {object} params
+ * @param {PaymentProvider} params.provider
+ * @param {number} params.amountCents
+ * @param {CardDetails} params.card - Utilisée pour la seule confirmation, jamais conservée.
+ * @param {string} [params.idempotencyKey] - Clé de la tentative de checkout (intention réutilisée).
+ * @param {ChallengeHandler} [params.onChallenge]
+ * @param {(payment: { provider: string, intentId: string }) => void} [params.onAuthorized]
+ * @param {(payment: { provider: string, intentId: string }) => Promise<any>} params.placeOrder
+ * @returns {Promise<{ order: any, intent: PaymentIntent }>}
+ * @throws {PaymentError|ApiError}
+ */
+export async function payAndPlaceOrder({ provider, amountCents, card, idempotencyKey, onChallenge, onAuthorized, placeOrder }) {
+  let intent = await provider.createIntent({ amountCents, currency: 'EUR', idempotencyKey });
+  if (intent.status !== 'requires_capture' && intent.status !== 'succeeded') {
+    intent = await provider.confirmIntent(intent.id, { card }, { onChallenge });
+  }
+  onAuthorized?.({ provider: provider.id, intentId: intent.id });
+
+  let order;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      order = await placeOrder({ provider: provider.id, intentId: intent.id });
+      break;
+    } catch (err) {
+      if (isOrderRejected(err)) {
+        if (intent.status === 'requires_capture') {
+          await provider.refund(intent.id).catch((e) => console.error('[Payment] annulation impossible', e));
+        }
+        throw err;
+      }
+      if (attempt >= ORDER_RETRIES) throw err;
+      await sleep(ORDER_RETRY_DELAY);
+    }
+  }
+
+  if (intent.status === 'requires_capture') intent = await provider.capture(intent.id);
+  return { order, intent };
+}
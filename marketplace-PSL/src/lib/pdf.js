@@ -0,0 +1,65 @@
+// src/lib/pdf.js
+
+/**
+ * Mise en page commune des documents PDF générés avec jsPDF (factures, bons de livraison) :
+ * format A4 en millimètres, marges, blocs d'adresse et tableaux simples (sur plusieurs pages si besoin).
+ *
+ * Importé uniquement par les modules chargés dynamiquement au clic (lib/invoice, lib/packingSlip).
+ */
+
+export const MARGIN = 15;
+export const PAGE_WIDTH = 210;
+export const RIGHT = PAGE_WIDTH - MARGIN;
+export const PAGE_HEIGHT = 297;
+export const BOTTOM = PAGE_HEIGHT - MARGIN;
+
+// Les polices standard du PDF ignorent les espaces insécables de `toLocaleString` (fr-FR).
+export const text = (v) => String(v ?? '').replace(/[\u202f\u00a0]/g, ' ');
+export const date = (iso) => (iso ? new Date(iso).toLocaleDateString('fr-FR') : '');
+
+/** Bloc de texte (titre en gras + lignes), renvoie l'ordonnée suivante. */
+export function block(doc, x, y, title, lines) {
+  doc.setFont('helvetica', 'bold').text(text(title), x, y);
+  doc.setFont('helvetica', 'normal');
+  let cy = y + 5;
+  lines.filter(Boolean).forEach((l) => {
+    const wrapped = doc.splitTextToSize(text(l), 85);
+    doc.text(wrapped, x, cy);
+    cy += 4.5 * wrapped.length;
+  });
+  return cy;
+}
+
+/** Ordonnée où dessiner un bloc de `height` mm : `y`, ou le haut d'une nouvelle page s'il dépasse la marge basse. */
+export function ensureSpace(doc, y, height) {
+  if (y + height <= BOTTOM) return y;
+  doc.addPage();
+  return MARGIN + 5;
+}
+
+/**
+ * Tableau simple : colonnes { label, x, align }, lignes de cellules texte. Renvoie l'ordonnée suivante.
+ * Une ligne qui dépasse la marge basse passe sur une nouvelle page, sous l'en-tête de colonnes redessiné.
+ */
+export function table(doc, y, columns, rows) {
+  const header = (hy) => {
+    doc.setFont('helvetica', 'bold');
+    columns.forEach((c) => doc.text(c.label, c.x, hy, { align: c.align ?? 'left' }));
+    doc.line(MARGIN, hy + 2, RIGHT, hy + 2);
+    doc.setFont('helvetica', 'normal');
+    return hy + 7;
+  };
+  let cy = header(ensureSpace(doc, y, 12));
+  rows.forEach((cells) => {
+    const name = doc.splitTextToSize(text(cells[0]), columns[1].x - columns[0].x - 12);
+    if (cy + 5 * (name.length - 1) > BOTTOM) {
+      doc.addPage();
+      cy = header(MARGIN + 5);
+    }
+    doc.text(name, columns[0].x, cy);
+    columns.slice(1).forEach((c, i) => doc.text(text(cells[i + 1]), c.x, cy, { align: c.align ?? 'left' }));
+    cy += 5 * name.length + 1;
+  });
+  doc.line(MARGIN, cy - 3, RIGHT, cy - 3);
+  return cy + 2;
+}
@@ -0,0 +1,448 @@
+// src/lib/pricing.js
+
+/**
+ * Moteur de prix : TVA, livraison et total d'un panier, partagé par le panier et le checkout.
+ *
+ * Entrées
+ * - Lignes `Product + qty` (models/product) : `priceCents`, `vatRate` (20 / 10 / 5,5 / 2,1 %),
+ *   `taxIncluded` (prix saisi TTC ou HT), `sellerId`.
+ * - Pays de destination (code ISO), déduit de l'adresse de l'utilisateur (`destinationCountry`).
+ *
+ * Règles
+ * - TVA calculée ligne par ligne, arrondie au centime (HT → TVA, ou TTC → HT selon `taxIncluded`).
+ * - Livraison : un colis par vendeur. Tarif selon la zone du pays de destination (FR, UE, monde),
+ *   offert au-delà d'un seuil de sous-total TTC du vendeur. Un vendeur peut avoir ses propres tarifs
+ *   par zone : `rules.sellers`, sinon ceux que le back joint à ses produits (`sellerShipping`).
+ *   Les frais de port sont TTC, TVA à 20 %.
+ * - Mode de livraison (`SHIPPING_METHODS`) choisi au checkout : standard, point relais (moins cher,
+ *   France) ou express (supplément par colis, jamais offert par le seuil). Chaque mode a ses zones.
+ *
+ * - Code promo (models/discount) : remise en % ou montant fixe sur les articles éligibles (tous, ou
+ *   ceux d'un vendeur), répartie ligne par ligne au prorata (la TVA de chaque ligne est recalculée
+ *   sur le montant remisé), ou livraison offerte. Minimum d'achat et dates de validité sont
+ *   vérifiés ici ; l'usage unique par client relève du back. Les seuils de livraison offerte
+ *   s'apprécient après remise.
+ *
+ * - Sous-commandes : les lignes sont regroupées par vendeur (`sellers`), chaque groupe ayant ses
+ *   articles, son colis et son total ; le client paie une seule fois la somme des groupes.
+ *
+ * Le détail renvoyé (lignes, vendeurs, TVA par taux) est comparable au total recalculé par le back
+ * (`compareWithServerTotal`).
+ *
+ * Tous les montants sont en centimes entiers (voir lib/money.js).
+ */
+
+import { eurosToCents, formatCents } from './money';
+
+/** Taux de TVA français applicables (en %). */
+export const VAT_RATES = [20, 10, 5.5, 2.1];
+export const DEFAULT_VAT_RATE = 20;
+// Les frais de port suivent le taux normal.
+export const SHIPPING_VAT_RATE = 20;
+
+/** Destination par défaut (adresse absente ou illisible). */
+export const DEFAULT_COUNTRY = 'FR';
+
+// Pays de l'Union européenne (livraison zone "EU").
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'GR', 'HR', 'HU', 'IE',
+  'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK',
+];
+
+/**
+ * Règles de livraison par défaut.
+ * - `zones` : tarif (`baseCents`) et seuil de gratuité (`freeAboveCents`, null = jamais offert).
+ * - `sellers` : tarifs d'un vendeur, `{ [sellerId]: { [zone]: { baseCents, freeAboveCents } } }` ;
+ *   prioritaires sur ceux joints aux produits, une zone absente garde le tarif par défaut.
+ */
+export const DEFAULT_SHIPPING_RULES = {
+  zones: {
+    FR: { countries: ['FR', 'MC'], baseCents: 690, freeAboveCents: 10000 },
+    EU: { countries: EU_COUNTRIES, baseCents: 1290, freeAboveCents: 20000 },
+    WORLD: { countries: [], baseCents: 2490, freeAboveCents: null },
+  },
+  sellers: {},
+};
+
+/**
+ * Modes de livraison proposés au checkout.
+ * - `zones` : zones desservies ; `extraCents` : ajustement du tarif de zone, par colis ;
+ * - `freeAbove` : le seuil de gratuité de la zone s'applique.
+ */
+export const SHIPPING_METHODS = {
+  standard: { id: 'standard', label: 'Livraison standard', delay: '3 à 5 jours ouvrés', zones: ['FR', 'EU', 'WORLD'], extraCents: 0, freeAbove: true },
+  relay: { id: 'relay', label: 'Point relais', delay: '4 à 6 jours ouvrés', zones: ['FR'], extraCents: -300, freeAbove: true },
+  express: { id: 'express', label: 'Livraison express', delay: '24 à 48 h', zones: ['FR', 'EU'], extraCents: 900, freeAbove: false },
+};
+export const DEFAULT_SHIPPING_METHOD = 'standard';
+
+// Noms de pays usuels dans les adresses saisies → code ISO.
+const COUNTRY_NAMES = {
+  france: 'FR',
+  monaco: 'MC',
+  belgique: 'BE',
+  belgium: 'BE',
+  luxembourg: 'LU',
+  allemagne: 'DE',
+  germany: 'DE',
+  espagne: 'ES',
+  spain: 'ES',
+  italie: 'IT',
+  italy: 'IT',
+  'pays-bas': 'NL',
+  netherlands: 'NL',
+  portugal: 'PT',
+  irlande: 'IE',
+  autriche: 'AT',
+  suisse: 'CH',
+  switzerland: 'CH',
+  'royaume-uni': 'GB',
+  'united kingdom': 'GB',
+  canada: 'CA',
+  'etats-unis': 'US',
+  'united states': 'US',
+};
+
+const normalizeName = (v) =>
+  String(v).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ');
+
+function countryCode(value) {
+  if (value == null || value === '') return null;
+  const raw = String(value).trim();
+  if (/^[A-Za-z]{2}$/.test(raw)) return raw.toUpperCase();
+  return COUNTRY_NAMES[normalizeName(raw)] ?? null;
+}
+
+/**
+ * Pays de destination (code ISO) à partir du champ `adresse` de l'utilisateur.
+ *
+ * Formats acceptés
+ * - objet : `{ pays | country | country_code, … }`
+ * - texte : "12 rue de Paris, 75001 Paris, France" (dernier segment)
+ *
+ * @param {unknown} adresse
+ * @returns {string} Code pays ISO (DEFAULT_COUNTRY si introuvable).
+ */
+export function destinationCountry(adresse) {
+  if (adresse && typeof adresse === 'object') {
+    return countryCode(adresse.country_code ?? adresse.pays ?? adresse.country) ?? DEFAULT_COUNTRY;
+  }
+  if (typeof adresse === 'string') {
+    const last = adresse.split(/[,\n]/).pop();
+    return countryCode(last) ?? DEFAULT_COUNTRY;
+  }
+  return DEFAULT_COUNTRY;
+}
+
+/**
+ * Ramène un taux quelconque ("5,5", 0.2, "20%") sur un des taux autorisés.
+ * @param {unknown} rate
+ * @returns {number} Taux en % (DEFAULT_VAT_RATE si non reconnu).
+ */
+export function normalizeVatRate(rate) {
+  if (rate == null || rate === '') return DEFAULT_VAT_RATE;
+  let n = Number(String(rate).replace('%', '').replace(',', '.').trim());
+  // Taux exprimé en fraction (0.2, 0.055).
+  if (n > 0 && n < 1) n *= 100;
+  const match = VAT_RATES.find((r) => Math.abs(r - n) < 1e-6);
+  return match ?? DEFAULT_VAT_RATE;
+}
+
+// Taux en dixièmes de point (20 % → 200, 5,5 % → 55) : calcul en entiers.
+const permille = (rate) => Math.round(rate * 10);
+
+/**
+ * Montants HT / TVA / TTC d'un montant, selon qu'il est saisi TTC ou HT.
+ *
+ * @param {number} cents
+ * @param {number} rate - Taux en %.
+ * @param {boolean} taxIncluded
+ * @returns {{ netCents: number, taxCents: number, grossCents: number }}
+ */
+export function splitTax(cents, rate, taxIncluded) {
+  const r = permille(rate);
+  if (taxIncluded) {
+    const netCents = Math.round((cents * 1000) / (1000 + r));
+    return { netCents, taxCents: cents - netCents, grossCents: cents };
+  }
+  const taxCents = Math.round((cents * r) / 1000);
+  return { netCents: cents, taxCents, grossCents: cents + taxCents };
+}
+
+/** Zone de livraison (clé de `rules.zones`) d'un pays. */
+export function shippingZone(country, rules = DEFAULT_SHIPPING_RULES) {
+  const entry = Object.entries(rules.zones).find(([, z]) => z.countries?.includes(country));
+  return entry ? entry[0] : 'WORLD';
+}
+
+/**
+ * Modes de livraison disponibles pour un pays.
+ * @param {string} country
+ * @param {typeof DEFAULT_SHIPPING_RULES} [rules]
+ * @returns {Array<typeof SHIPPING_METHODS[keyof typeof SHIPPING_METHODS]>}
+ */
+export function availableShippingMethods(country, rules = DEFAULT_SHIPPING_RULES) {
+  const zone = shippingZone(country, rules);
+  return Object.values(SHIPPING_METHODS).filter((m) => m.zones.includes(zone));
+}
+
+/** Nom du vendeur d'une sous-commande (numéro à défaut de nom joint par l'API). */
+export const sellerLabel = (group) =>
+  group.sellerName ?? (group.sellerId != null ? `Vendeur n° ${group.sellerId}` : 'Vendeur');
+
+/**
+ * @typedef {object} PricedLine
+ * @property {string} key
+ * @property {string|number|null} id
+ * @property {string} name
+ * @property {number|null} sellerId
+ * @property {string|null} sellerName
+ * @property {number} qty
+ * @property {number} unitCents   - Prix unitaire tel que saisi (HT ou TTC selon `taxIncluded`).
+ * @property {number} vatRate
+ * @property {boolean} taxIncluded
+ * @property {number} discountCents - Remise TTC imputée à la ligne (0 sans code promo).
+ * @property {number} netCents    - Total ligne HT, après remise.
+ * @property {number} taxCents    - TVA de la ligne, après remise.
+ * @property {number} grossCents  - Total ligne TTC, après remise.
+ *
+ * @typedef {object} SellerGroup - Sous-commande d'un vendeur.
+ * @property {number|null} sellerId
+ * @property {string|null} sellerName
+ * @property {PricedLine[]} lines   - Articles du vendeur.
+ * @property {number} subtotalCents - Sous-total TTC des articles du vendeur (après remise).
+ * @property {number} shippingCents - Frais de port TTC (0 si offerts).
+ * @property {boolean} freeShipping - Offerts par le seuil de gratuité ou par un code promo.
+ * @property {number} shippingDiscountCents - Frais de port offerts par le code promo.
+ * @property {number|null} freeAboveCents - Seuil de gratuité applicable.
+ * @property {number} totalCents    - Articles + livraison, TTC.
+ *
+ * @typedef {object} AppliedDiscount
+ * @property {string} code
+ * @property {"percent"|"fixed"|"free_shipping"} type
+ * @property {number|null} sellerId
+ * @property {boolean} applied      - false si une condition n'est pas remplie (voir `reason`).
+ * @property {string|null} reason   - Condition non remplie, affichable telle quelle.
+ * @property {number} amountCents   - Remise totale TTC (articles + livraison).
+ *
+ * @typedef {object} PricingBreakdown
+ * @property {string} country
+ * @property {string} zone
+ * @property {string} shippingMethod - Mode de livraison retenu (standard si celui demandé n'est pas desservi).
+ * @property {PricedLine[]} lines
+ * @property {SellerGroup[]} sellers - Une sous-commande par vendeur, dans l'ordre du panier.
+ * @property {AppliedDiscount|null} discount
+ * @property {Array<{ rate: number, baseCents: number, taxCents: number }>} vat - TVA par taux (port inclus).
+ * @property {number} subtotalBeforeDiscountCents - Articles TTC avant remise.
+ * @property {number} discountCents    - Remise TTC sur les articles (hors livraison offerte).
+ * @property {number} subtotalNetCents - Articles HT (après remise).
+ * @property {number} subtotalCents    - Articles TTC (après remise).
+ * @property {number} shippingNetCents - Livraison HT.
+ * @property {number} shippingCents    - Livraison TTC.
+ * @property {number} taxCents         - TVA totale (articles + port).
+ * @property {number} totalCents       - Total TTC à payer.
+ */
+
+/**
+ * Vérifie les conditions d'un code promo qui dépendent du panier et de la date.
+ *
+ * @param {import('../models/discount').Discount} discount
+ * @param {object} context
+ * @param {number} context.eligibleCents - Montant TTC des articles éligibles.
+ * @param {number} [context.now=Date.now()]
+ * @returns {string|null} Raison du refus (null si le code s'applique).
+ */
+export function discountIssue(discount, { eligibleCents, now = Date.now() }) {
+  if (discount.startsAt && now < new Date(discount.startsAt).getTime()) {
+    return "Ce code n'est pas encore valable.";
+  }
+  if (discount.endsAt && now > new Date(discount.endsAt).getTime()) {
+    return 'Ce code a expiré.';
+  }
+  if (eligibleCents <= 0) {
+    return discount.sellerId != null
+      ? 'Ce code ne concerne aucun article de votre panier.'
+      : 'Votre panier est vide.';
+  }
+  if (eligibleCents < discount.minBasketCents) {
+    return `Ce code nécessite ${formatCents(discount.minBasketCents)} d'achats${
+      discount.sellerId != null ? ' chez ce vendeur' : ''
+    }.`;
+  }
+  return null;
+}
+
+/**
+ * Répartit un montant entre des poids, au prorata, sans perte de centime
+ * (le reste va aux plus grosses parts).
+ *
+ * @param {number} amount
+ * @param {number[]} weights
+ * @returns {number[]}
+ */
+function allocate(amount, weights) {
+  const total = weights.reduce((a, w) => a + w, 0);
+  if (!total) return weights.map(() => 0);
+  const shares = weights.map((w) => Math.floor((amount * w) / total));
+  let rest = amount - shares.reduce((a, x) => a + x, 0);
+  const order = weights.map((w, i) => i).sort((a, b) => weights[b] - weights[a]);
+  for (let k = 0; rest > 0; k = (k + 1) % order.length, rest--) shares[order[k]] += 1;
+  return shares;
+}
+
+/**
+ * Calcule le détail de prix d'un panier.
+ *
+ * @param {Array<import('../models/product').Product & { qty: number }>} items
+ * @param {object} [options]
+ * @param {string} [options.country=DEFAULT_COUNTRY] - Pays de destination (code ISO).
+ * @param {typeof DEFAULT_SHIPPING_RULES} [options.rules=DEFAULT_SHIPPING_RULES]
+ * @param {import('../models/discount').Discount|null} [options.discount=null] - Code promo accepté.
+ * @param {number} [options.now=Date.now()] - Date de référence (validité du code).
+ * @param {string} [options.shippingMethod=DEFAULT_SHIPPING_METHOD] - Clé de `SHIPPING_METHODS`.
+ * @returns {PricingBreakdown}
+ */
+export function computePricing(
+  items = [],
+  {
+    country = DEFAULT_COUNTRY,
+    rules = DEFAULT_SHIPPING_RULES,
+    discount = null,
+    now = Date.now(),
+    shippingMethod = DEFAULT_SHIPPING_METHOD,
+  } = {}
+) {
+  const zone = shippingZone(country, rules);
+  const method =
+    SHIPPING_METHODS[shippingMethod]?.zones.includes(zone)
+      ? SHIPPING_METHODS[shippingMethod]
+      : SHIPPING_METHODS[DEFAULT_SHIPPING_METHOD];
+
+  const lines = items.map((it) => {
+    const qty = Math.max(1, Number(it.qty) || 1);
+    const unitCents = Math.round(Number(it.priceCents) || 0);
+    const vatRate = normalizeVatRate(it.vatRate);
+    const taxIncluded = Boolean(it.taxIncluded);
+    return {
+      key: String(it.id ?? it.name),
+      id: it.id ?? null,
+      name: it.name,
+      sellerId: it.sellerId ?? null,
+      sellerName: it.sellerName ?? null,
+      qty,
+      unitCents,
+      vatRate,
+      taxIncluded,
+      discountCents: 0,
+      ...splitTax(unitCents * qty, vatRate, taxIncluded),
+    };
+  });
+  const subtotalBeforeDiscountCents = lines.reduce((acc, l) => acc + l.grossCents, 0);
+
+  // Code promo : articles éligibles (tous, ou ceux du vendeur du code) et conditions.
+  const eligible = (sellerId) => !discount || discount.sellerId == null || discount.sellerId === sellerId;
+  let applied = null;
+  if (discount) {
+    const eligibleCents = lines.filter((l) => eligible(l.sellerId)).reduce((acc, l) => acc + l.grossCents, 0);
+    const reason = discountIssue(discount, { eligibleCents, now });
+    applied = { code: discount.code, type: discount.type, sellerId: discount.sellerId, applied: !reason, reason, amountCents: 0 };
+
+    if (applied.applied && discount.type !== 'free_shipping') {
+      const targets = lines.filter((l) => eligible(l.sellerId));
+      const amount =
+        discount.type === 'percent'
+          ? Math.round((eligibleCents * discount.percent) / 100)
+          : Math.min(discount.amountCents, eligibleCents);
+      const shares = allocate(amount, targets.map((l) => l.grossCents));
+      targets.forEach((l, i) => {
+        if (!shares[i]) return;
+        // Remise TTC : HT et TVA recalculés sur le montant remisé, au taux de la ligne.
+        Object.assign(l, { discountCents: shares[i], ...splitTax(l.grossCents - shares[i], l.vatRate, true) });
+      });
+    }
+  }
+
+  // Sous-commandes : un groupe (et un colis) par vendeur, à ses tarifs s'il en a.
+  const sellerRates = new Map(items.filter((it) => it.sellerShipping).map((it) => [it.sellerId ?? null, it.sellerShipping]));
+  const bySeller = new Map();
+  for (const l of lines) {
+    bySeller.set(l.sellerId, [...(bySeller.get(l.sellerId) ?? []), l]);
+  }
+  const sellers = Array.from(bySeller, ([sellerId, own]) => {
+    const subtotalCents = own.reduce((acc, l) => acc + l.grossCents, 0);
+    const rule =
+      rules.sellers?.[sellerId]?.[zone] ??
+      sellerRates.get(sellerId)?.[zone] ??
+      rules.zones[zone];
+    const freeAboveCents = method.freeAbove ? (rule.freeAboveCents ?? null) : null;
+    const overThreshold = freeAboveCents != null && subtotalCents > freeAboveCents;
+    const base = overThreshold ? 0 : Math.max(0, rule.baseCents + method.extraCents);
+    // Livraison offerte par code promo (colis des vendeurs éligibles).
+    const shippingDiscountCents =
+      applied?.applied && applied.type === 'free_shipping' && eligible(sellerId) ? base : 0;
+    return {
+      sellerId,
+      sellerName: own.find((l) => l.sellerName)?.sellerName ?? null,
+      lines: own,
+      subtotalCents,
+      shippingCents: base - shippingDiscountCents,
+      freeShipping: base - shippingDiscountCents === 0,
+      shippingDiscountCents,
+      freeAboveCents,
+      totalCents: subtotalCents + base - shippingDiscountCents,
+    };
+  });
+
+  const sum = (arr, k) => arr.reduce((acc, x) => acc + x[k], 0);
+  const discountCents = sum(lines, 'discountCents');
+  if (applied) applied.amountCents = discountCents + sum(sellers, 'shippingDiscountCents');
+  const subtotalNetCents = sum(lines, 'netCents');
+  const subtotalCents = sum(lines, 'grossCents');
+  const shippingCents = sum(sellers, 'shippingCents');
+  const shippingTax = splitTax(shippingCents, SHIPPING_VAT_RATE, true);
+
+  // TVA par taux (les frais de port s'ajoutent au taux normal).
+  const vatByRate = new Map();
+  const addVat = (rate, baseCents, taxCents) => {
+    const v = vatByRate.get(rate) ?? { rate, baseCents: 0, taxCents: 0 };
+    vatByRate.set(rate, { rate, baseCents: v.baseCents + baseCents, taxCents: v.taxCents + taxCents });
+  };
+  for (const l of lines) addVat(l.vatRate, l.netCents, l.taxCents);
+  if (shippingCents) addVat(SHIPPING_VAT_RATE, shippingTax.netCents, shippingTax.taxCents);
+  const vat = Array.from(vatByRate.values()).sort((a, b) => b.rate - a.rate);
+
+  return {
+    country,
+    zone,
+    shippingMethod: method.id,
+    lines,
+    sellers,
+    discount: applied,
+    vat,
+    subtotalBeforeDiscountCents,
+    discountCents,
+    subtotalNetCents,
+    subtotalCents,
+    shippingNetCents: shippingTax.netCents,
+    shippingCents,
+    taxCents: sum(vat, 'taxCents'),
+    totalCents: subtotalCents + shippingCents,
+  };
+}
+
+/**
+ * Compare le total calculé par le front avec celui recalculé par le back.
+ *
+ * @param {PricingBreakdown} pricing
+ * @param {unknown} serverTotal - Total renvoyé par l'API, en euros (contrat `order.php`).
+ * @returns {{ matches: boolean, expectedCents: number, serverCents: number|null, deltaCents: number }}
+ *   `matches` vaut true si le back ne renvoie pas de total (rien à comparer).
+ */
+export function compareWithServerTotal(pricing, serverTotal) {
+  if (serverTotal == null || serverTotal === '') {
+    return { matches: true, expectedCents: pricing.totalCents, serverCents: null, deltaCents: 0 };
+  }
+  const serverCents = eurosToCents(serverTotal);
+  const deltaCents = serverCents - pricing.totalCents;
+  return { matches: deltaCents === 0, expectedCents: pricing.totalCents, serverCents, deltaCents };
+}
@@ -0,0 +1,244 @@
+// src/lib/queryCache.js
+
+/**
+ * Cache de requêtes côté client (stale-while-revalidate).
+ *
+ * Principe
+ * - Chaque requête est identifiée par une clé tableau, ex: ['products', 'list', { q: 'clavier' }].
+ *   La clé est sérialisée de façon stable (ordre des propriétés ignoré).
+ * - Dé-duplication : deux composants qui demandent la même clé en même temps partagent la même promesse.
+ *   Seule la dernière requête lancée pour une clé écrit dans le cache : le résultat d'une requête
+ *   partie avant une invalidation ou un `clearQueries` est ignoré.
+ * - Stale-while-revalidate : une donnée en cache est renvoyée immédiatement, puis rafraîchie
+ *   en arrière-plan si elle est plus vieille que `staleTime`.
+ * - Invalidation par préfixe : `invalidateQueries(['products'])` marque toutes les listes produits
+ *   comme périmées et relance celles qui sont affichées.
+ * - Garbage collection : une entrée sans abonné est supprimée après `cacheTime`.
+ *
+ * Ce module est agnostique de React : les hooks sont dans `lib/useQuery.js`.
+ */
+
+// Durée pendant laquelle une donnée est considérée fraîche (pas de refetch au montage).
+export const DEFAULT_STALE_TIME = 30 * 1000;
+// Durée de conservation d'une entrée qui n'est plus affichée par aucun composant.
+export const DEFAULT_CACHE_TIME = 5 * 60 * 1000;
+
+/**
+ * @typedef {object} QueryState
+ * @property {any} data           - Dernière donnée reçue (conservée pendant un refetch).
+ * @property {unknown} error      - Dernière erreur (null après un succès).
+ * @property {'idle'|'loading'|'success'|'error'} status
+ * @property {boolean} isFetching - Une requête est en vol pour cette clé.
+ * @property {number} updatedAt   - Timestamp du dernier succès (0 = jamais / invalidé).
+ */
+
+const IDLE_STATE = Object.freeze({
+  data: undefined,
+  error: null,
+  status: 'idle',
+  isFetching: false,
+  updatedAt: 0,
+});
+
+// hash → { key, state, promise, fetcher, listeners, gcTimer }
+const entries = new Map();
+
+/**
+ * Sérialisation stable d'une clé : les objets sont triés par nom de propriété
+ * pour que { a: 1, b: 2 } et { b: 2, a: 1 } désignent la même requête.
+ * Les valeurs undefined/null/'' des objets sont ignorées (paramètres optionnels).
+ */
+export function hashKey(key) {
+  return JSON.stringify(key, (_, value) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.keys(value)
+        .sort()
+        .reduce((acc, k) => {
+          const v = value[k];
+          if (v !== undefined && v !== null && v !== '') acc[k] = v;
+          return acc;
+        }, {});
+    }
+    return value;
+  });
+}
+
+// Une clé "commence par" un préfixe si ses premiers segments sont identiques.
+function matchesPrefix(key, prefix) {
+  if (!Array.isArray(prefix) || prefix.length > key.length) return false;
+  return prefix.every((part, i) => hashKey([part]) === hashKey([key[i]]));
+}
+
+function getEntry(key) {
+  const hash = hashKey(key);
+  let entry = entries.get(hash);
+  if (!entry) {
+    entry = {
+      key,
+      state: IDLE_STATE,
+      promise: null,
+      fetcher: null,
+      listeners: new Set(),
+      gcTimer: null,
+    };
+    entries.set(hash, entry);
+  }
+  return entry;
+}
+
+// Remplace l'état (nouvel objet → compatible useSyncExternalStore) et notifie les abonnés.
+function setState(entry, patch) {
+  entry.state = { ...entry.state, ...patch };
+  entry.listeners.forEach((l) => l());
+}
+
+function scheduleGc(entry, cacheTime) {
+  clearTimeout(entry.gcTimer);
+  entry.gcTimer = setTimeout(() => {
+    if (entry.listeners.size === 0 && !entry.promise) entries.delete(hashKey(entry.key));
+  }, cacheTime);
+}
+
+/**
+ * Lit l'état courant d'une clé (sans déclencher de requête).
+ * @param {Array<any>} key
+ * @returns {QueryState}
+ */
+export function getQueryState(key) {
+  return entries.get(hashKey(key))?.state ?? IDLE_STATE;
+}
+
+/**
+ * Indique si la donnée d'une clé doit être rechargée.
+ * @param {QueryState} state
+ * @param {number} staleTime
+ */
+export function isStale(state, staleTime = DEFAULT_STALE_TIME) {
+  return !state.updatedAt || Date.now() - state.updatedAt > staleTime;
+}
+
+// Lance `fetcher` pour une entrée, après `after` (requête précédente) s'il est fourni.
+// Le résultat n'est écrit que si cette requête est toujours la dernière de l'entrée.
+function startFetch(entry, fetcher, after = Promise.resolve()) {
+  setState(entry, {
+    isFetching: true,
+    // On ne repasse en 'loading' que s'il n'y a encore aucune donnée à afficher.
+    status: entry.state.status === 'success' ? 'success' : 'loading',
+  });
+
+  const promise = after
+    .catch(() => {})
+    .then(fetcher)
+    .then(
+      (data) => {
+        if (entry.promise !== promise) return data;
+        entry.promise = null;
+        setState(entry, { data, error: null, status: 'success', isFetching: false, updatedAt: Date.now() });
+        return data;
+      },
+      (error) => {
+        if (entry.promise !== promise) throw error;
+        entry.promise = null;
+        // La donnée précédente reste affichable : seule l'erreur est ajoutée.
+        setState(entry, {
+          error,
+          status: entry.state.data === undefined ? 'error' : 'success',
+          isFetching: false,
+        });
+        throw error;
+      }
+    );
+
+  entry.promise = promise;
+  return promise;
+}
+
+/**
+ * Charge une requête en passant par le cache.
+ *
+ * - Donnée fraîche → renvoyée sans appel réseau (sauf `force`).
+ * - Requête déjà en vol → la même promesse est renvoyée (dé-duplication), sauf avec `force` :
+ *   la requête en vol a pu partir avant une écriture (invalidation après mutation), une nouvelle
+ *   requête est donc enchaînée après elle et seul son résultat est retenu.
+ *
+ * @param {Array<any>} key - Clé de requête.
+ * @param {() => Promise<any>} fetcher - Fonction d'appel (service API).
+ * @param {{ staleTime?: number, force?: boolean }} [options]
+ * @returns {Promise<any>} La donnée (rejetée avec l'ApiError en cas d'échec).
+ */
+export function fetchQuery(key, fetcher, { staleTime = DEFAULT_STALE_TIME, force = false } = {}) {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+
+  if (entry.promise) return force ? startFetch(entry, fetcher, entry.promise) : entry.promise;
+  if (!force && entry.state.status === 'success' && !isStale(entry.state, staleTime)) {
+    return Promise.resolve(entry.state.data);
+  }
+  return startFetch(entry, fetcher);
+}
+
+/**
+ * Écrit directement une donnée dans le cache (ex: mise à jour optimiste après mutation).
+ *
+ * @param {Array<any>} key
+ * @param {any|((prev: any) => any)} updater - Valeur ou fonction (prev) => next.
+ */
+export function setQueryData(key, updater) {
+  const entry = getEntry(key);
+  const data = typeof updater === 'function' ? updater(entry.state.data) : updater;
+  setState(entry, { data, error: null, status: 'success', updatedAt: Date.now() });
+  if (entry.listeners.size === 0) scheduleGc(entry, DEFAULT_CACHE_TIME);
+}
+
+/**
+ * Invalide toutes les requêtes dont la clé commence par `prefix`.
+ * - Les entrées affichées (avec abonnés) sont rechargées immédiatement.
+ * - Les autres seront rechargées au prochain montage.
+ *
+ * @param {Array<any>} prefix - ex: ['products'] ou ['performance', userId]
+ * @returns {Promise<void>} Résolue quand les rechargements sont terminés.
+ */
+export async function invalidateQueries(prefix) {
+  const refetches = [];
+  for (const entry of entries.values()) {
+    if (!matchesPrefix(entry.key, prefix)) continue;
+    entry.state = { ...entry.state, updatedAt: 0 };
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      refetches.push(fetchQuery(entry.key, entry.fetcher, { force: true }).catch(() => {}));
+    }
+  }
+  await Promise.all(refetches);
+}
+
+/**
+ * Vide le cache (ex: déconnexion, changement d'utilisateur).
+ * - Les requêtes en vol sont abandonnées : leur résultat (ancienne session) n'est pas écrit.
+ * - Les entrées encore affichées sont remises à 'idle' (et non supprimées) : leurs abonnés sont
+ *   notifiés et `useQuery` les recharge avec la nouvelle session s'ils restent montés.
+ */
+export function clearQueries() {
+  for (const [hash, entry] of entries) {
+    clearTimeout(entry.gcTimer);
+    entry.promise = null;
+    if (entry.listeners.size > 0) setState(entry, IDLE_STATE);
+    else entries.delete(hash);
+  }
+}
+
+/**
+ * Abonne un listener aux changements d'état d'une clé.
+ *
+ * @param {Array<any>} key
+ * @param {() => void} listener
+ * @param {{ cacheTime?: number }} [options]
+ * @returns {() => void} Fonction de désabonnement.
+ */
+export function subscribeQuery(key, listener, { cacheTime = DEFAULT_CACHE_TIME } = {}) {
+  const entry = getEntry(key);
+  clearTimeout(entry.gcTimer);
+  entry.listeners.add(listener);
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) scheduleGc(entry, cacheTime);
+  };
+}
@@ -0,0 +1,182 @@
+// src/lib/schema.js
+
+/**
+ * Mini-validateur déclaratif pour les réponses de l'API PHP.
+ *
+ * Objectif : décrire le contrat attendu de chaque endpoint (voir `services/schemas.js`)
+ * et détecter immédiatement une dérive (colonne renommée, type changé, champ manquant)
+ * au lieu de la découvrir sous forme de graphe vide.
+ *
+ * Exemple
+ * ```js
+ * const loginSchema = s.object({ token: s.string(), user: s.object({ id: s.id() }) });
+ * validate(loginSchema, data); // → [] ou [{ path: 'user.id', expected: 'id', received: 'undefined' }]
+ * ```
+ *
+ * Les objets sont "ouverts" : une clé non déclarée n'est pas une erreur (le back en ajoute souvent).
+ */
+
+/**
+ * @typedef {object} SchemaIssue
+ * @property {string} path      - Chemin de la valeur fautive (ex: "orders[3].date").
+ * @property {string} expected  - Ce que le schéma attendait.
+ * @property {string} received  - Ce qui a été reçu (type ou description courte).
+ */
+
+/**
+ * @typedef {object} Schema
+ * @property {string} label
+ * @property {(value: any, path: string, issues: SchemaIssue[]) => void} check
+ * @property {boolean} [optional]
+ */
+
+// Au-delà, on arrête de collecter : une liste de 10 000 lignes fausses n'apporte rien de plus.
+const MAX_ISSUES = 20;
+
+/** Description courte d'une valeur reçue, pour les diagnostics. */
+export function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `array(${value.length})`;
+  if (typeof value === 'string') return value.length > 30 ? `string "${value.slice(0, 30)}…"` : `string "${value}"`;
+  return typeof value;
+}
+
+function push(issues, issue) {
+  if (issues.length < MAX_ISSUES) issues.push(issue);
+}
+
+// Schéma "feuille" : un simple test de type.
+function leaf(label, test) {
+  return {
+    label,
+    check(value, path, issues) {
+      if (!test(value)) push(issues, { path, expected: label, received: describe(value) });
+    },
+  };
+}
+
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+export const s = {
+  any: () => leaf('any', () => true),
+  string: () => leaf('string', (v) => typeof v === 'string'),
+  number: () => leaf('number', isFiniteNumber),
+  boolean: () => leaf('boolean', (v) => typeof v === 'boolean'),
+
+  /** Nombre ou chaîne numérique ("12.50", "12,50") : format habituel des DECIMAL MySQL via PDO. */
+  numeric: () =>
+    leaf('numeric', (v) =>
+      isFiniteNumber(v) ||
+      (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v.trim().replace(',', '.'))))
+    ),
+
+  /** Identifiant : entier ou chaîne non vide. */
+  id: () => leaf('id', (v) => isFiniteNumber(v) || (typeof v === 'string' && v !== '')),
+
+  /** La clé peut être absente (undefined). */
+  optional: (schema) => ({ ...schema, optional: true }),
+
+  /** La valeur peut être null. */
+  nullable: (schema) => ({
+    label: `${schema.label} | null`,
+    optional: schema.optional,
+    check(value, path, issues) {
+      if (value !== null) schema.check(value, path, issues);
+    },
+  }),
+
+  /** Tableau dont chaque élément respecte `item`. */
+  array: (item) => ({
+    label: `array<${item.label}>`,
+    check(value, path, issues) {
+      if (!Array.isArray(value)) {
+        push(issues, { path, expected: `array<${item.label}>`, received: describe(value) });
+        return;
+      }
+      for (let i = 0; i < value.length && issues.length < MAX_ISSUES; i++) {
+        item.check(value[i], `${path}[${i}]`, issues);
+      }
+    },
+  }),
+
+  /**
+   * Objet (ouvert) dont les clés déclarées respectent leur schéma.
+   *
+   * @param {Record<string, Schema>} shape
+   * @param {object} [options]
+   * @param {string[][]} [options.oneOf] - Groupes d'alias : au moins une clé de chaque groupe doit
+   *   être présente (ex: [['date', 'commande_date']] pour une colonne au nom variable).
+   */
+  object: (shape, { oneOf = [] } = {}) => ({
+    label: 'object',
+    check(value, path, issues) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        push(issues, { path, expected: 'object', received: describe(value) });
+        return;
+      }
+      const at = (k) => (path ? `${path}.${k}` : k);
+      for (const [k, schema] of Object.entries(shape)) {
+        if (value[k] === undefined) {
+          if (!schema.optional) push(issues, { path: at(k), expected: schema.label, received: 'absent' });
+          continue;
+        }
+        schema.check(value[k], at(k), issues);
+      }
+      for (const group of oneOf) {
+        if (!group.some((k) => value[k] !== undefined && value[k] !== null)) {
+          push(issues, { path: at(group[0]), expected: `une des clés ${group.join(' | ')}`, received: 'absent' });
+        }
+      }
+    },
+  }),
+
+  /** La valeur doit respecter au moins un des schémas. */
+  union: (...schemas) => ({
+    label: schemas.map((x) => x.label).join(' | '),
+    check(value, path, issues) {
+      let closest = null;
+      for (const schema of schemas) {
+        const local = [];
+        schema.check(value, path, local);
+        if (!local.length) return;
+        // Branche dont la forme correspond (erreurs uniquement en profondeur) : ses détails sont plus utiles.
+        const shapeMatches = local.every((i) => i.path !== path);
+        if (shapeMatches && (!closest || local.length < closest.length)) closest = local;
+      }
+      if (closest) closest.forEach((i) => push(issues, i));
+      else push(issues, { path, expected: schemas.map((x) => x.label).join(' | '), received: describe(value) });
+    },
+  }),
+
+  /**
+   * Règle spécifique déléguée à une fonction (ex: validation du modèle Produit).
+   *
+   * @param {string} label
+   * @param {(value: any) => Array<{ key?: string, expected: string, received?: string }>} fn
+   */
+  custom: (label, fn) => ({
+    label,
+    check(value, path, issues) {
+      for (const issue of fn(value) || []) {
+        push(issues, {
+          path: issue.key ? (path ? `${path}.${issue.key}` : issue.key) : path,
+          expected: issue.expected,
+          received: issue.received ?? 'absent',
+        });
+      }
+    },
+  }),
+};
+
+/**
+ * Valide une valeur contre un schéma.
+ *
+ * @param {Schema} schema
+ * @param {any} value
+ * @returns {SchemaIssue[]} Liste vide si la valeur est conforme.
+ */
+export function validate(schema, value) {
+  const issues = [];
+  schema.check(value, '', issues);
+  return issues.map((i) => ({ ...i, path: i.path || '(racine)' }));
+}
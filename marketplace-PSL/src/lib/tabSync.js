@@ -0,0 +1,72 @@
+// src/lib/tabSync.js
+
+/**
+ * Persistance localStorage partagée entre onglets.
+ *
+ * Principe
+ * - Chaque état partagé (session, panier…) est écrit en JSON sous une clé localStorage.
+ * - Le navigateur émet un événement `storage` dans les AUTRES onglets de la même origine
+ *   à chaque modification : `subscribeStorage()` le relaie, ce qui synchronise les onglets
+ *   instantanément, sans polling.
+ * - Une écriture identique à la valeur stockée est ignorée : un onglet qui applique une
+ *   modification reçue ne la renvoie pas (pas de ping-pong entre onglets).
+ *
+ * Ce module est agnostique de React : le hook est dans `lib/useSyncedStorage.js`.
+ */
+
+/**
+ * Lit une valeur JSON.
+ * @param {string} key
+ * @param {any} [fallback=null] - Valeur si la clé est absente ou illisible.
+ */
+export function readStorage(key, fallback = null) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    console.error(`[tabSync] lecture "${key}" impossible`, e);
+    return fallback;
+  }
+}
+
+/**
+ * Écrit une valeur JSON (null/undefined → suppression de la clé).
+ * @param {string} key
+ * @param {any} value
+ */
+export function writeStorage(key, value) {
+  try {
+    if (value == null) {
+      localStorage.removeItem(key);
+      return;
+    }
+    const raw = JSON.stringify(value);
+    if (localStorage.getItem(key) !== raw) localStorage.setItem(key, raw);
+  } catch (e) {
+    // Quota dépassé, navigation privée… : l'état reste valable en mémoire pour cet onglet.
+    console.error(`[tabSync] écriture "${key}" impossible`, e);
+  }
+}
+
+/**
+ * Écoute les modifications d'une clé faites par les autres onglets.
+ *
+ * @param {string} key
+ * @param {(value: any) => void} listener - Reçoit la nouvelle valeur (null si supprimée).
+ * @returns {() => void} Désabonnement.
+ */
+export function subscribeStorage(key, listener) {
+  const onStorage = (e) => {
+    // e.key === null : localStorage.clear() dans un autre onglet.
+    if (e.storageArea !== localStorage || (e.key !== key && e.key !== null)) return;
+    let value = null;
+    try {
+      value = e.newValue == null ? null : JSON.parse(e.newValue);
+    } catch {
+      value = null;
+    }
+    listener(value);
+  };
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+}
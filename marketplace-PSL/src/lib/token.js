@@ -0,0 +1,52 @@
+// src/lib/token.js
+
+/**
+ * Lecture (sans vérification de signature) des tokens de session JWT.
+ *
+ * Le front n'a besoin que de la date d'expiration (`exp`) pour planifier le rafraîchissement :
+ * la validité réelle du token reste vérifiée par le back à chaque requête.
+ * Un token opaque (non JWT) est toléré : il n'a simplement pas d'expiration connue.
+ */
+
+/**
+ * Décode le payload d'un JWT.
+ * @param {string|null|undefined} token
+ * @returns {Record<string, any>|null} null si le token n'est pas un JWT lisible.
+ */
+export function decodeToken(token) {
+  if (typeof token !== 'string') return null;
+  const part = token.split('.')[1];
+  if (!part) return null;
+  try {
+    const base64 = part.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    // atob renvoie des octets : on les redécode en UTF-8 (noms accentués dans les claims).
+    const bytes = Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Date d'expiration du token.
+ * @param {string|null|undefined} token
+ * @returns {number|null} Timestamp en ms, ou null si inconnue (token opaque / sans `exp`).
+ */
+export function getTokenExpiry(token) {
+  const exp = Number(decodeToken(token)?.exp);
+  return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+}
+
+/**
+ * Indique si le token est expiré (ou le sera dans `skewMs`).
+ * Un token sans expiration connue n'est jamais considéré comme expiré côté front.
+ *
+ * @param {string|null|undefined} token
+ * @param {number} [skewMs=0] - Marge d'anticipation (décalage d'horloge, latence réseau).
+ */
+export function isTokenExpired(token, skewMs = 0) {
+  const expiry = getTokenExpiry(token);
+  return expiry != null && expiry - skewMs <= Date.now();
+}
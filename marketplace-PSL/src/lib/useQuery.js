@@ -0,0 +1,157 @@
+// src/lib/useQuery.js
+
+/**
+ * Hooks React au-dessus du cache de requêtes (`lib/queryCache.js`).
+ *
+ * - `useQuery(key, fetcher, options)` : lecture avec cache, dé-duplication et stale-while-revalidate.
+ * - `useMutation(mutator, options)`   : écriture + invalidation des requêtes impactées.
+ *
+ * Exemple
+ * ```jsx
+ * const { data, isLoading, error } = useQuery(productKeys.list(), () => listProducts());
+ * const remove = useMutation(deleteProduct, { invalidates: [productKeys.all] });
+ * await remove.mutate(id);
+ * ```
+ */
+
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import {
+  DEFAULT_STALE_TIME,
+  fetchQuery,
+  getQueryState,
+  hashKey,
+  invalidateQueries,
+  isStale,
+  subscribeQuery,
+} from './queryCache';
+
+/**
+ * Lecture d'une requête via le cache.
+ *
+ * @param {Array<any>} key - Clé de requête (voir `*Keys` dans les services).
+ * @param {() => Promise<any>} fetcher - Appel API à exécuter si la donnée est absente ou périmée.
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - false → aucune requête (ex: userId pas encore connu).
+ * @param {number} [options.staleTime] - Durée de fraîcheur (ms) avant revalidation au montage.
+ * @param {boolean} [options.keepPreviousData=false] - Changement de clé (page suivante, autre tri…) :
+ *   la donnée de la clé précédente reste affichée tant que la nouvelle n'est pas arrivée (mais pas
+ *   si la nouvelle requête échoue : `data` redevient undefined et `error` est renseignée).
+ *
+ * @returns {{
+ *   data: any,
+ *   error: unknown,
+ *   isLoading: boolean,   // aucune donnée encore disponible et requête en cours
+ *   isFetching: boolean,  // requête en vol (y compris revalidation en arrière-plan)
+ *   isPlaceholderData: boolean, // `data` vient de la clé précédente (keepPreviousData)
+ *   refetch: () => Promise<any>,
+ * }}
+ */
+export function useQuery(
+  key,
+  fetcher,
+  { enabled = true, staleTime = DEFAULT_STALE_TIME, keepPreviousData = false } = {}
+) {
+  const hash = hashKey(key);
+
+  // Le fetcher change à chaque render (closure) : on garde la dernière version sans relancer l'effet.
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  // La clé est recalculée à chaque render : le hash sert de dépendance stable.
+  const stableKey = useRefKey(hash, key);
+
+  const subscribe = useCallback(
+    (onChange) => subscribeQuery(stableKey, onChange),
+    [stableKey]
+  );
+  const getSnapshot = useCallback(() => getQueryState(stableKey), [stableKey]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  // Dernière donnée reçue, toutes clés confondues (keepPreviousData)
+  const previousRef = useRef(undefined);
+  if (state.data !== undefined) previousRef.current = state.data;
+  const placeholder =
+    keepPreviousData && enabled && state.data === undefined && state.status !== 'error'
+      ? previousRef.current
+      : undefined;
+
+  // Entrée remise à zéro par `clearQueries` (changement de session) : à recharger
+  const idle = state.status === 'idle';
+
+  // Montage / changement de clé / cache vidé : charge si absent ou périmé (sinon la donnée en cache suffit).
+  useEffect(() => {
+    if (!enabled) return;
+    if (!isStale(getQueryState(stableKey), staleTime)) return;
+    fetchQuery(stableKey, () => fetcherRef.current(), { staleTime }).catch(() => {
+      // L'erreur est exposée via `state.error` ; rien à faire ici.
+    });
+  }, [stableKey, enabled, staleTime, idle]);
+
+  const refetch = useCallback(
+    () => fetchQuery(stableKey, () => fetcherRef.current(), { force: true }),
+    [stableKey]
+  );
+
+  return {
+    data: state.data !== undefined ? state.data : placeholder,
+    error: state.error,
+    isLoading: enabled && state.data === undefined && placeholder === undefined && state.status !== 'error',
+    isFetching: state.isFetching,
+    isPlaceholderData: placeholder !== undefined,
+    refetch,
+  };
+}
+
+// Conserve la même référence de clé tant que son hash ne change pas.
+function useRefKey(hash, key) {
+  const ref = useRef({ hash, key });
+  if (ref.current.hash !== hash) ref.current = { hash, key };
+  return ref.current.key;
+}
+
+/**
+ * Exécution d'une mutation (création / modification / suppression).
+ *
+ * @param {(...args: any[]) => Promise<any>} mutator - Appel API d'écriture.
+ * @param {object} [options]
+ * @param {Array<Array<any>>} [options.invalidates] - Préfixes de clés à invalider après succès.
+ * @param {(result: any, ...args: any[]) => void} [options.onSuccess]
+ *
+ * @returns {{
+ *   mutate: (...args: any[]) => Promise<any>, // rejette avec l'ApiError en cas d'échec
+ *   isPending: boolean,
+ *   error: unknown,
+ *   reset: () => void,
+ * }}
+ */
+export function useMutation(mutator, { invalidates = [], onSuccess } = {}) {
+  const [state, setState] = useState({ isPending: false, error: null });
+
+  // Dernières options connues (closures du composant appelant).
+  const optsRef = useRef({ mutator, invalidates, onSuccess });
+  useEffect(() => {
+    optsRef.current = { mutator, invalidates, onSuccess };
+  });
+
+  const mutate = useCallback(async (...args) => {
+    setState({ isPending: true, error: null });
+    try {
+      const { mutator: run, invalidates: keys } = optsRef.current;
+      const result = await run(...args);
+      // Invalidation : les listes affichées sont rechargées, les autres le seront au prochain montage.
+      await Promise.all(keys.map((k) => invalidateQueries(k)));
+      optsRef.current.onSuccess?.(result, ...args);
+      setState({ isPending: false, error: null });
+      return result;
+    } catch (error) {
+      setState({ isPending: false, error });
+      throw error;
+    }
+  }, []);
+
+  const reset = useCallback(() => setState({ isPending: false, error: null }), []);
+
+  return { mutate, isPending: state.isPending, error: state.error, reset };
+}
@@ -0,0 +1,62 @@
+// src/lib/useScrollRestoration.js
+
+/**
+ * Position de défilement d'une page, restaurée au retour sur la même entrée d'historique
+ * (bouton précédent du navigateur après l'ouverture d'une fiche produit, par exemple).
+ *
+ * Le navigateur ne sait pas le faire seul ici : la liste arrive après le rendu (requête API) et
+ * la page précédente est démontée après son animation de sortie. La position est donc mémorisée
+ * dans sessionStorage par entrée d'historique (`location.key`) et réappliquée quand la page
+ * signale que son contenu est affiché (`ready`).
+ *
+ * Exemple
+ * ```jsx
+ * const location = useLocation();
+ * useScrollRestoration(location.key, Boolean(products.data));
+ * ```
+ */
+
+import { useEffect, useRef } from 'react';
+
+const STORAGE_PREFIX = 'scroll:';
+
+/**
+ * @param {string} key - Entrée d'historique (`useLocation().key`).
+ * @param {boolean} ready - Contenu rendu : la position peut être restaurée.
+ */
+export function useScrollRestoration(key, ready) {
+  // Dernière entrée restaurée : une seule restauration par entrée d'historique
+  const restoredKey = useRef(null);
+
+  // Mémorise la position à chaque défilement (au plus une écriture par frame)
+  useEffect(() => {
+    let frame = 0;
+    const onScroll = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        try {
+          sessionStorage.setItem(STORAGE_PREFIX + key, String(Math.round(window.scrollY)));
+        } catch {
+          // sessionStorage indisponible (navigation privée, quota) : pas de restauration
+        }
+      });
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('scroll', onScroll);
+    };
+  }, [key]);
+
+  useEffect(() => {
+    if (!ready || restoredKey.current === key) return;
+    restoredKey.current = key;
+    let y = 0;
+    try {
+      y = Number(sessionStorage.getItem(STORAGE_PREFIX + key)) || 0;
+    } catch {
+      // voir ci-dessus
+    }
+    if (y > 0) window.scrollTo(0, y);
+  }, [key, ready]);
+}
@@ -0,0 +1,53 @@
+// src/lib/useSessionStorage.js
+
+/**
+ * État React persisté dans sessionStorage : survit au rechargement et à la navigation
+ * (bouton retour), propre à l'onglet et effacé à sa fermeture. Contrairement à
+ * `useSyncedStorage`, aucune synchronisation entre onglets (ex: un tunnel de commande par onglet).
+ *
+ * Exemple
+ * ```jsx
+ * const [draft, setDraft] = useSessionStorage('draft', {}, { parse: (v) => (typeof v === 'object' ? v : null) });
+ * ```
+ */
+
+import { useEffect, useState } from 'react';
+
+function read(key) {
+  try {
+    const raw = sessionStorage.getItem(key);
+    return raw == null ? null : JSON.parse(raw);
+  } catch (e) {
+    console.error(`[sessionStorage] lecture "${key}" impossible`, e);
+    return null;
+  }
+}
+
+/**
+ * @template T
+ * @param {string} key - Clé sessionStorage.
+ * @param {T|(() => T)} initialValue - Valeur si rien n'est stocké (ou si la valeur stockée est invalide).
+ * @param {object} [options]
+ * @param {(value: any) => (T|null)} [options.parse] - Valide / migre la valeur stockée (null → valeur initiale).
+ * @returns {[T, import('react').Dispatch<import('react').SetStateAction<T>>]}
+ */
+export function useSessionStorage(key, initialValue, { parse = (v) => v } = {}) {
+  const [value, setValue] = useState(() => {
+    const stored = read(key);
+    const parsed = stored != null ? parse(stored) : null;
+    if (parsed != null) return parsed;
+    return typeof initialValue === 'function' ? initialValue() : initialValue;
+  });
+
+  useEffect(() => {
+    try {
+      if (value == null) sessionStorage.removeItem(key);
+      else sessionStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      // Quota dépassé, navigation privée… : l'état reste valable en mémoire.
+      console.error(`[sessionStorage] écriture "${key}" impossible`, e);
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
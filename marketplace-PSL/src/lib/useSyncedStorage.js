@@ -0,0 +1,52 @@
+// src/lib/useSyncedStorage.js
+
+/**
+ * État React persisté dans localStorage et synchronisé entre onglets (voir `lib/tabSync.js`).
+ *
+ * Exemple
+ * ```jsx
+ * const [prefs, setPrefs] = useSyncedStorage('prefs', {}, { parse: (v) => (typeof v === 'object' ? v : null) });
+ * ```
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { readStorage, subscribeStorage, writeStorage } from './tabSync';
+
+/**
+ * @template T
+ * @param {string} key - Clé localStorage.
+ * @param {T} initialValue - Valeur si rien n'est stocké (ou si la valeur stockée est invalide).
+ * @param {object} [options]
+ * @param {(value: any) => (T|null)} [options.parse] - Valide / migre une valeur stockée
+ *   (null → valeur initiale). Appliqué aussi aux valeurs reçues des autres onglets.
+ * @returns {[T, import('react').Dispatch<import('react').SetStateAction<T>>]}
+ */
+export function useSyncedStorage(key, initialValue, { parse = (v) => v } = {}) {
+  // Dernières valeurs des options : l'abonnement n'est pas recréé à chaque render.
+  const optsRef = useRef({ initialValue, parse });
+  useEffect(() => {
+    optsRef.current = { initialValue, parse };
+  });
+
+  const [value, setValue] = useState(() => {
+    const stored = readStorage(key);
+    return (stored != null ? parse(stored) : null) ?? initialValue;
+  });
+
+  // Persistance : chaque modification locale est écrite (et donc diffusée aux autres onglets).
+  useEffect(() => {
+    writeStorage(key, value);
+  }, [key, value]);
+
+  // Synchronisation : applique les modifications faites dans les autres onglets.
+  useEffect(
+    () =>
+      subscribeStorage(key, (next) => {
+        const { initialValue: fallback, parse: parseValue } = optsRef.current;
+        setValue((next != null ? parseValue(next) : null) ?? fallback);
+      }),
+    [key]
+  );
+
+  return [value, setValue];
+}
@@ -3,17 +3,20 @@ import ReactDOM from "react-dom/client";
 import { BrowserRouter } from "react-router-dom";
 import { App } from "./App.jsx";
 import { AuthProvider } from "./context/AuthContext.jsx";
+import { CartProvider } from "./context/CartContext.jsx";
 import { ThemeProvider, CssBaseline } from "@mui/material";
 import theme from "./theme";
 import "./index.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
     <AuthProvider>
-      <BrowserRouter>
-        <ThemeProvider theme={theme}>
-          <CssBaseline /> {/* reset global MUI */}
-          <App />
-        </ThemeProvider>
-      </BrowserRouter>
+      <CartProvider>
+        <BrowserRouter>
+          <ThemeProvider theme={theme}>
+            <CssBaseline /> {/* reset global MUI */}
+            <App />
+          </ThemeProvider>
+        </BrowserRouter>
+      </CartProvider>
     </AuthProvider>
 );
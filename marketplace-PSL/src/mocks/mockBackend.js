@@ -0,0 +1,902 @@
+// src/mocks/mockBackend.js
+
+/**
+ * Backend simulé : remplace les endpoints PHP (`login.php`, `register.php`, `refresh.php`,
+ * `products.php`, `categories.php`, `cart.php`, `discount.php`, `order.php`, `performance.php`) par des handlers en mémoire,
+ * dans le navigateur.
+ *
+ * Activation
+ * - `VITE_API_MOCK=true` dans `.env.local` : `apiClient` remplace alors `fetch` par `mock.fetch`.
+ * - `VITE_API_MOCK_LATENCY`    : latence simulée en ms, fixe ("300") ou intervalle ("100-800").
+ * - `VITE_API_MOCK_ERROR_RATE` : probabilité (0 → 1) qu'une requête échoue (503 ou coupure réseau),
+ *   pour exercer les relances et les écrans d'erreur.
+ * - `VITE_API_MOCK_TOKEN_TTL`  : durée de vie des tokens en secondes (défaut 1 h), à raccourcir
+ *   pour exercer le rafraîchissement de session.
+ *
+ * Principes
+ * - Le mock parle HTTP : il reçoit (url, init) et renvoie une vraie `Response` JSON.
+ *   Tout le reste de la chaîne (apiFetch, retry, erreurs typées, modèles) est donc exercé tel quel.
+ * - Les données vivent en mémoire (rechargement de la page = retour au jeu initial, voir `seed.js`).
+ * - Utilisable hors navigateur (tests automatisés) : `createMockBackend()` + `setTransport(mock.fetch)`.
+ */
+
+import { createSeed, invoiceNumber } from './seed';
+import { fromApi, normalizeTags } from '../models/product';
+import { applyCatalogQuery, catalogFacets, facetsToApi, parseApiParams } from '../lib/catalogQuery';
+import { fromApiList as categoriesFromApi } from '../models/category';
+import { fromApi as discountFromApi, normalizeCode } from '../models/discount';
+import { computePricing, destinationCountry, splitTax } from '../lib/pricing';
+import { eurosToCents } from '../lib/money';
+import {
+  ORDER_STATUS,
+  REFUNDED_STATUSES,
+  aggregateStatus,
+  canTransition,
+  paidAt,
+  refundsOnTransition,
+  transitionIssue,
+} from '../lib/orderStatus';
+import { validateShipment } from '../models/shipment';
+
+// Durée de validité par défaut des tokens émis par le mock (voir option `tokenTtl`).
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+/**
+ * Lit la configuration du mock depuis les variables d'env Vite.
+ * @param {Record<string, string|undefined>} env - typiquement `import.meta.env`
+ * @returns {{ latency: [number, number], errorRate: number, tokenTtl: number }}
+ */
+export function mockOptionsFromEnv(env = {}) {
+  return {
+    latency: parseLatency(env.VITE_API_MOCK_LATENCY),
+    errorRate: Math.min(1, Math.max(0, Number(env.VITE_API_MOCK_ERROR_RATE) || 0)),
+    tokenTtl: Number(env.VITE_API_MOCK_TOKEN_TTL) || TOKEN_TTL_SECONDS,
+  };
+}
+
+// "300" → [300, 300] ; "100-800" → [100, 800] ; défaut : latence réseau local plausible.
+function parseLatency(value) {
+  if (Array.isArray(value)) return value;
+  if (value == null || value === '') return [150, 400];
+  const [min, max = min] = String(value).split('-').map((n) => Math.max(0, Number(n) || 0));
+  return [Math.min(min, max), Math.max(min, max)];
+}
+
+// Attente interruptible : un abort (timeout apiFetch) rejette comme le ferait fetch.
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(t);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+function abortError() {
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+function json(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+const fail = (status, error) => json(status, { ok: false, error });
+
+// Format DECIMAL MySQL (chaîne à 2 décimales), comme les vraies réponses PDO.
+const decimal = (n) => (Math.round(Number(n) * 100) / 100).toFixed(2);
+
+const nowSql = () => new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+// --- Tokens ---------------------------------------------------------------
+// Format JWT non signé (header.payload.signature) : le front peut en lire `exp` comme avec un vrai JWT.
+
+function base64url(obj) {
+  return btoa(JSON.stringify(obj)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function issueToken(userId, ttl) {
+  const now = Math.floor(Date.now() / 1000);
+  return `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url({ sub: userId, iat: now, exp: now + ttl })}.mock`;
+}
+
+function readToken(header) {
+  const token = header?.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return null;
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch {
+    return null; // token d'un autre format : ignoré (même tolérance que le back actuel)
+  }
+}
+
+// Profil renvoyé au front (jamais le mot de passe).
+function publicUser(u) {
+  const { password: _password, ...rest } = u;
+  return rest;
+}
+
+/**
+ * Crée une instance de backend simulé.
+ *
+ * @param {object} [options]
+ * @param {number|string|[number, number]} [options.latency] - ms, "min-max" ou [min, max].
+ * @param {number} [options.errorRate=0] - Probabilité d'échec injecté par requête (0 → 1).
+ * @param {number} [options.tokenTtl] - Durée de validité des tokens (s), courte pour tester le refresh.
+ * @param {() => number} [options.random=Math.random] - Source d'aléa (tests déterministes).
+ * @param {() => ReturnType<typeof createSeed>} [options.seed=createSeed] - Jeu de données initial.
+ *
+ * @returns {{
+ *   fetch: (url: string, init?: RequestInit) => Promise<Response>,
+ *   db: ReturnType<typeof createSeed>,
+ *   reset: () => void,
+ * }}
+ */
+export function createMockBackend({
+  latency,
+  errorRate = 0,
+  tokenTtl = TOKEN_TTL_SECONDS,
+  random = Math.random,
+  seed = createSeed,
+} = {}) {
+  const [minLatency, maxLatency] = parseLatency(latency);
+  let db = seed();
+  // Idempotency-Key → réponse déjà renvoyée (rejouer un POST ne crée pas de doublon).
+  const replays = new Map();
+  // Refresh token → id utilisateur (à usage unique : rotation à chaque rafraîchissement).
+  const refreshTokens = new Map();
+
+  const openSession = (userId) => {
+    const refreshToken = `r.${userId}.${random().toString(36).slice(2)}`;
+    refreshTokens.set(refreshToken, userId);
+    return { token: issueToken(userId, tokenTtl), refresh_token: refreshToken };
+  };
+
+  const nextId = (rows, key = 'id') => rows.reduce((max, r) => Math.max(max, Number(r[key]) || 0), 0) + 1;
+
+  // --- Handlers par endpoint ---------------------------------------------
+
+  function login({ body }) {
+    const user = db.users.find(
+      (u) => u.mail.toLowerCase() === String(body?.mail || '').trim().toLowerCase()
+    );
+    if (!user || user.password !== body?.password) return fail(401, 'Identifiants invalides');
+    return json(200, { ok: true, ...openSession(user.id), user: publicUser(user) });
+  }
+
+  function refresh({ body, claims }) {
+    // Refresh token valide, ou à défaut token courant encore valide (déjà vérifié par mockFetch).
+    const fromRefresh = refreshTokens.get(body?.refresh_token);
+    const userId = fromRefresh ?? claims?.sub;
+    if (!userId || !db.users.some((u) => u.id === userId)) return fail(401, 'Session expirée');
+    refreshTokens.delete(body?.refresh_token);
+    return json(200, { ok: true, ...openSession(userId) });
+  }
+
+  function register({ body }) {
+    const mail = String(body?.mail || '').trim();
+    if (!mail || !body?.password || !body?.nom || !body?.raison_soc) {
+      return fail(400, 'Champs obligatoires manquants');
+    }
+    if (db.users.some((u) => u.mail.toLowerCase() === mail.toLowerCase())) {
+      return fail(409, 'Un compte existe déjà avec cet email');
+    }
+    const user = {
+      id: nextId(db.users),
+      nom: body.nom,
+      prenom: body.prenom || '',
+      mail,
+      password: body.password,
+      raison_soc: body.raison_soc,
+      date_de_naissance: body.date_de_naissance || null,
+      adresse: body.adresse || null,
+    };
+    db.users.push(user);
+    return json(201, { ok: true, userId: user.id });
+  }
+
+  // Catégorie d'un produit écrit : id connu de la taxonomie, ou null (non classé).
+  function categoryOf(value) {
+    if (value == null || value === '') return { id: null };
+    const category = db.categories.find((c) => String(c.id) === String(value));
+    return category ? { id: category.id } : { error: fail(400, 'Catégorie inconnue') };
+  }
+
+  function products({ method, query, body }) {
+    const id = query.get('id');
+
+    if (method === 'GET') {
+      // Boutique jointe : nom (regroupement du panier par vendeur) et tarifs de livraison
+      let rows = db.products.map(productRow);
+      if (id) rows = rows.filter((p) => String(p.id) === id);
+      // Recherche, filtres et tri : mêmes règles que le catalogue (lib/catalogQuery)
+      const filters = parseApiParams(query);
+      const categories = categoriesFromApi(db.categories);
+      const all = rows.map(fromApi);
+      const byId = new Map(rows.map((p) => [String(p.id), p]));
+      rows = applyCatalogQuery(all, filters, categories).map((p) => byId.get(String(p.id)));
+
+      // Pagination (catalogue) : `{ items, total, facets }` ; sans `limit`, la liste complète
+      const limit = Number(query.get('limit'));
+      if (!limit) return json(200, rows);
+      const offset = Math.max(0, Number(query.get('offset')) || 0);
+      return json(200, {
+        ok: true,
+        items: rows.slice(offset, offset + limit),
+        total: rows.length,
+        facets: facetsToApi(catalogFacets(all, filters, categories)),
+      });
+    }
+
+    if (method === 'POST') {
+      if (!body?.name || body.price == null || !body.id_seller) {
+        return fail(400, 'name, price et id_seller sont obligatoires');
+      }
+      const category = categoryOf(body.category_id);
+      if (category.error) return category.error;
+      const row = {
+        id: nextId(db.products),
+        id_seller: Number(body.id_seller),
+        name: body.name,
+        description: body.description || '',
+        price: decimal(body.price),
+        vat_rate: Number(body.vat_rate ?? 20),
+        tax_included: body.tax_included ? 1 : 0,
+        stock: Math.max(0, Number(body.stock) || 0),
+        image_url: body.image_url || null,
+        category_id: category.id,
+        tags: normalizeTags(body.tags),
+        created_at: nowSql(),
+      };
+      db.products.push(row);
+      return json(201, { ok: true, id: row.id });
+    }
+
+    const row = db.products.find((p) => String(p.id) === id);
+    if (!row) return fail(404, 'Produit introuvable');
+
+    if (method === 'PUT') {
+      const category = body?.category_id !== undefined ? categoryOf(body.category_id) : { id: row.category_id };
+      if (category.error) return category.error;
+      Object.assign(row, {
+        name: body?.name ?? row.name,
+        description: body?.description ?? row.description,
+        price: body?.price != null ? decimal(body.price) : row.price,
+        vat_rate: body?.vat_rate != null ? Number(body.vat_rate) : row.vat_rate,
+        tax_included: body?.tax_included != null ? (body.tax_included ? 1 : 0) : row.tax_included,
+        stock: body?.stock != null ? Math.max(0, Number(body.stock) || 0) : row.stock,
+        image_url: body?.image_url !== undefined ? body.image_url : row.image_url,
+        category_id: category.id,
+        tags: body?.tags !== undefined ? normalizeTags(body.tags) : row.tags,
+      });
+      return json(200, { ok: true });
+    }
+
+    if (method === 'DELETE') {
+      db.products = db.products.filter((p) => p !== row);
+      return json(200, { ok: true });
+    }
+
+    return fail(405, 'Méthode non supportée');
+  }
+
+  function cart({ method, query, body }) {
+    if (method === 'GET') {
+      const userId = query.get('user_id');
+      if (!userId) return fail(400, 'user_id requis');
+      const entry = db.carts[userId];
+      return json(200, { ok: true, items: entry?.items ?? [], updated_at: entry?.updated_at ?? null });
+    }
+    if (method === 'PUT') {
+      if (!body?.user_id || !Array.isArray(body.items)) return fail(400, 'user_id et items sont obligatoires');
+      // Remplacement complet ; les produits inconnus sont conservés (le front les réconcilie).
+      const items = body.items
+        .filter((l) => l?.product_id != null && Number(l.qty) > 0)
+        .map((l) => ({ product_id: l.product_id, qty: Number(l.qty) }));
+      const updatedAt = nowSql();
+      db.carts[String(body.user_id)] = { items, updated_at: updatedAt };
+      return json(200, { ok: true, updated_at: updatedAt });
+    }
+    return fail(405, 'Méthode non supportée');
+  }
+
+  // Code promo utilisable par ce client (existence + usage unique) ; null + erreur sinon.
+  function findDiscount(code, userId) {
+    const row = db.discounts.find((d) => d.code === normalizeCode(code));
+    if (!row) return { error: fail(404, 'Code promo inconnu') };
+    if (row.single_use && db.discountUses.some((u) => u.code === row.code && u.user_id === Number(userId))) {
+      return { error: fail(409, 'Vous avez déjà utilisé ce code promo') };
+    }
+    return { row };
+  }
+
+  function discount({ method, query }) {
+    if (method !== 'GET') return fail(405, 'Méthode non supportée');
+    const code = query.get('code');
+    if (!code) return fail(400, 'code requis');
+    const { row, error } = findDiscount(code, query.get('user_id'));
+    if (error) return error;
+    return json(200, { ok: true, discount: row });
+  }
+
+  // Détail d'une commande (GET order.php?id=…) : lignes, TVA, livraison, sous-commandes, factures.
+  // Les lignes antérieures au détail de TVA sont complétées à partir du produit.
+  // Vu par un vendeur (`sellerId`) : sa sous-commande seulement (articles, statut, montants, colis).
+  function orderDetail(o, sellerId = null) {
+    const own = (rows) => (sellerId == null ? rows : rows.filter((r) => Number(r.seller_id) === sellerId));
+    const lines = own(db.orderLines
+      .filter((l) => l.commande_id === o.Id_commande)
+      .map((l) => {
+        const p = db.products.find((x) => x.id === l.product_id);
+        const vatRate = l.vat_rate ?? p?.vat_rate ?? 20;
+        const taxIncluded = Number(l.tax_included ?? p?.tax_included ?? 0);
+        const split = splitTax(eurosToCents(l.prix) * l.quantite - eurosToCents(l.remise ?? 0), vatRate, Boolean(taxIncluded));
+        return {
+          product_id: l.product_id,
+          name: l.name ?? p?.name ?? null,
+          seller_id: l.seller_id ?? p?.id_seller ?? null,
+          quantite: l.quantite,
+          prix: l.prix,
+          vat_rate: vatRate,
+          tax_included: taxIncluded,
+          remise: l.remise ?? '0.00',
+          total_ht: l.total_ht ?? decimal(split.netCents / 100),
+          tva: l.tva ?? decimal(split.taxCents / 100),
+          total_ttc: l.total_ttc ?? decimal((split.netCents + split.taxCents) / 100),
+        };
+      }));
+    const buyer = db.users.find((u) => u.id === o.user_id);
+    const parts = own(partsOf(o));
+    const invoices = own(db.invoices.filter((f) => f.commande_id === o.Id_commande))
+      .map((f) => {
+        const seller = db.users.find((u) => u.id === f.seller_id);
+        return {
+          ...f,
+          frais_port: parts.find((sc) => sc.seller_id === f.seller_id)?.frais_port ?? '0.00',
+          vendeur: seller && {
+            id: seller.id,
+            nom: seller.nom,
+            mail: seller.mail,
+            adresse: seller.adresse,
+            siret: seller.siret ?? null,
+            tva_intra: seller.tva_intra ?? null,
+          },
+        };
+      });
+    const part = sellerId != null ? parts[0] : null;
+    return {
+      ...o,
+      frais_port: o.frais_port ?? '0.00',
+      historique: o.historique ?? [{ statut: o.statut, date: o.date }],
+      // Part du vendeur : statut, suivi et montants de sa sous-commande
+      ...(part && {
+        statut: part.statut,
+        historique: part.historique,
+        motif_retour: part.motif_retour ?? null,
+        total: part.total,
+        frais_port: part.frais_port,
+        rembourse: part.rembourse,
+        remise: decimal(lines.reduce((sum, l) => sum + Number(l.remise), 0)),
+      }),
+      adresse_livraison: o.adresse_livraison ?? buyer?.adresse ?? null,
+      client: buyer && { nom: buyer.nom, prenom: buyer.prenom, mail: buyer.mail, adresse: buyer.adresse },
+      lines,
+      sous_commandes: parts.map((sc) => ({ ...sc, vendeur: shopName(sc.seller_id) })),
+      expeditions: own(o.expeditions ?? []),
+      factures: invoices,
+    };
+  }
+
+  // Vendeur d'une ligne : figé à la vente, sinon propriétaire actuel du produit (lignes anciennes).
+  const lineSeller = (l) => l.seller_id ?? db.products.find((p) => p.id === l.product_id)?.id_seller ?? null;
+
+  // Nom affiché d'une boutique (sous-commandes, catalogue).
+  const shopName = (sellerId) => {
+    const u = db.users.find((x) => x.id === Number(sellerId));
+    return u ? [u.prenom, u.nom].filter(Boolean).join(' ') : null;
+  };
+
+  // Ligne produit avec sa boutique jointe : nom et tarifs de livraison par zone (null : tarifs par défaut).
+  const productRow = (p) => ({
+    ...p,
+    seller_name: shopName(p.id_seller),
+    seller_shipping: db.users.find((u) => u.id === Number(p.id_seller))?.livraison ?? null,
+  });
+
+  // Sous-commandes d'une commande : une par vendeur, avec son statut, son historique et ses montants.
+  // Les commandes antérieures au découpage sont complétées à partir de leurs lignes (sans port).
+  function partsOf(o) {
+    if (!o.sous_commandes) {
+      const bySeller = new Map();
+      db.orderLines
+        .filter((l) => l.commande_id === o.Id_commande)
+        .forEach((l) => {
+          const id = Number(lineSeller(l));
+          bySeller.set(id, (bySeller.get(id) ?? 0) + Number(l.total_ttc ?? Number(l.prix) * l.quantite));
+        });
+      const refunded = REFUNDED_STATUSES.includes(o.statut) && Number(o.rembourse ?? 0) > 0;
+      o.sous_commandes = Array.from(bySeller, ([sellerId, subtotal]) => ({
+        seller_id: sellerId,
+        statut: o.statut,
+        historique: o.historique ?? [{ statut: o.statut, date: o.date }],
+        sous_total: decimal(subtotal),
+        frais_port: '0.00',
+        total: decimal(subtotal),
+        rembourse: decimal(refunded ? subtotal : 0),
+      }));
+    }
+    return o.sous_commandes;
+  }
+
+  // Rôle de l'appelant sur une commande (lib/orderStatus) : client, vendeur concerné, ou aucun.
+  function actorOf(o, claims) {
+    const userId = Number(claims?.sub);
+    if (!userId) return null;
+    if (userId === o.user_id) return 'buyer';
+    const sells = db.orderLines.some((l) => l.commande_id === o.Id_commande && Number(lineSeller(l)) === userId);
+    return sells ? 'seller' : null;
+  }
+
+  // Commande ou sous-commande (`part`) au format attendu par lib/orderStatus (dates ISO).
+  const lifecycle = (o, part = null) => ({
+    status: (part ?? o).statut,
+    date: o.date.replace(' ', 'T'),
+    history: ((part ?? o).historique ?? []).map((h) => ({ status: h.statut, date: h.date.replace(' ', 'T') })),
+    shipments: (o.expeditions ?? []).filter((e) => !part || e.seller_id === part.seller_id),
+  });
+
+  // Ajoute un changement de statut à l'historique d'une commande ou d'une sous-commande.
+  const pushStatus = (target, to, date, extra = {}) => {
+    target.historique = [
+      ...(target.historique ?? [{ statut: target.statut, date: target.date }]),
+      { statut: to, date, ...extra },
+    ];
+    target.statut = to;
+  };
+
+  // Statut de la commande déduit de ses sous-commandes (lib/orderStatus), montant remboursé cumulé.
+  function syncOrderStatus(o, date, extra = {}) {
+    const parts = partsOf(o);
+    o.rembourse = decimal(parts.reduce((sum, sc) => sum + Number(sc.rembourse ?? 0), 0));
+    const status = aggregateStatus(parts.map((sc) => sc.statut));
+    if (status !== o.statut) pushStatus(o, status, date, extra);
+  }
+
+  // Passe une sous-commande à `to` ; annulation après paiement / retour accepté : sa part est
+  // remboursée et ses articles remis en stock.
+  function moveSubOrder(o, part, to, date, reason = '') {
+    if (refundsOnTransition(part.statut, to)) {
+      part.rembourse = part.total;
+      db.orderLines
+        .filter((l) => l.commande_id === o.Id_commande && Number(lineSeller(l)) === part.seller_id)
+        .forEach((l) => {
+          const p = db.products.find((x) => x.id === l.product_id);
+          if (p) p.stock += l.quantite;
+        });
+    }
+    if (to === ORDER_STATUS.RETURN_REQUESTED) part.motif_retour = reason;
+    pushStatus(part, to, date, reason ? { motif: reason } : {});
+  }
+
+  // Changement de statut (PUT order.php?id=…) : mêmes règles que le front (lib/orderStatus).
+  // - Vendeur : sa sous-commande seulement (préparation, livraison, annulation, retour).
+  // - Client : toute la commande, appliqué à chaque sous-commande concernée (annulation, retour).
+  // Le statut de la commande est ensuite déduit de ses sous-commandes.
+  // Le vrai back rembourse auprès du PSP (`paiement_ref`) ; le simulateur vivant dans le navigateur,
+  // le mock se contente d'enregistrer le montant.
+  function updateOrderStatus(o, body, claims) {
+    const to = body?.status;
+    const actor = actorOf(o, claims);
+    if (!actor) return fail(403, 'Accès refusé');
+    const sellerId = actor === 'seller' ? Number(claims.sub) : null;
+    const part = sellerId != null ? partsOf(o).find((sc) => sc.seller_id === sellerId) : null;
+    const issue = transitionIssue(lifecycle(o, part), to, { actor });
+    if (issue) return fail(409, issue);
+    const reason = String(body.reason ?? '').trim();
+    if (to === ORDER_STATUS.RETURN_REQUESTED && !reason) return fail(400, 'Le motif du retour est obligatoire');
+
+    const date = nowSql();
+    const targets = part ? [part] : partsOf(o).filter((sc) => canTransition(lifecycle(o, sc), to, { actor }));
+    targets.forEach((sc) => moveSubOrder(o, sc, to, date, reason));
+    if (to === ORDER_STATUS.RETURN_REQUESTED && !part) o.motif_retour = reason;
+    syncOrderStatus(o, date, reason && !part ? { motif: reason } : {});
+    return json(200, { ok: true, order: orderDetail(o, sellerId) });
+  }
+
+  // Quantité déjà expédiée d'un article de la commande.
+  const shippedQty = (o, productId) =>
+    (o.expeditions ?? [])
+      .flatMap((e) => e.lignes)
+      .filter((l) => l.product_id === productId)
+      .reduce((n, l) => n + l.quantite, 0);
+
+  // Expédition d'un colis (POST shipment.php?order_id=…) par un vendeur de la commande : ses articles
+  // seulement, dans la limite du reste à expédier. Son dernier colis fait passer sa sous-commande à
+  // "expédiée" (et la commande, quand toutes les sous-commandes le sont).
+  function shipment({ method, query, body, claims }) {
+    if (method !== 'POST') return fail(405, 'Méthode non supportée');
+    const o = db.orders.find((x) => String(x.Id_commande) === String(query.get('order_id')));
+    if (!o) return fail(404, 'Commande introuvable');
+    if (actorOf(o, claims) !== 'seller') return fail(403, 'Accès refusé');
+    const sellerId = Number(claims.sub);
+    const part = partsOf(o).find((sc) => sc.seller_id === sellerId);
+    if (part.statut !== ORDER_STATUS.PREPARING) return fail(409, 'La commande doit être en préparation pour être expédiée.');
+
+    const own = db.orderLines.filter((l) => l.commande_id === o.Id_commande && Number(lineSeller(l)) === sellerId);
+    const lines = (Array.isArray(body?.lines) ? body.lines : [])
+      .map((l) => ({ product_id: Number(l.product_id), quantite: Number(l.quantite) }))
+      .filter((l) => l.quantite > 0);
+    const errors = validateShipment(
+      {
+        carrier: body?.carrier,
+        trackingNumber: body?.tracking_number,
+        lines: lines.map((l) => ({ productId: l.product_id, qty: l.quantite })),
+      },
+      own.map((l) => ({ productId: l.product_id, remainingQty: l.quantite - shippedQty(o, l.product_id) }))
+    );
+    const error = errors.carrier ?? errors.trackingNumber ?? errors.lines;
+    if (error) return fail(400, error);
+
+    const date = nowSql();
+    o.expeditions = [
+      ...(o.expeditions ?? []),
+      {
+        id: nextId(db.orders.flatMap((x) => x.expeditions ?? [])),
+        seller_id: sellerId,
+        date,
+        transporteur: body.carrier,
+        numero_suivi: String(body.tracking_number).trim(),
+        lignes: lines,
+      },
+    ];
+    if (own.every((l) => shippedQty(o, l.product_id) >= l.quantite)) {
+      pushStatus(part, ORDER_STATUS.SHIPPED, date);
+      syncOrderStatus(o, date);
+    }
+    return json(201, { ok: true, order: orderDetail(o, sellerId) });
+  }
+
+  // Ventes d'un vendeur (GET order.php?seller_id=…) : ses sous-commandes (statut, total, suivi).
+  function sellerOrderList(sellerId) {
+    const orders = db.orders
+      .map((o) => {
+        const part = partsOf(o).find((sc) => sc.seller_id === sellerId);
+        if (!part) return null;
+        const own = db.orderLines.filter((l) => l.commande_id === o.Id_commande && Number(lineSeller(l)) === sellerId);
+        const buyer = db.users.find((u) => u.id === o.user_id);
+        return {
+          Id_commande: o.Id_commande,
+          date: o.date,
+          statut: part.statut,
+          total: part.total,
+          nb_articles: own.reduce((n, l) => n + l.quantite, 0),
+          mode_livraison: o.mode_livraison ?? null,
+          client: buyer ? [buyer.prenom, buyer.nom].filter(Boolean).join(' ') : null,
+          motif_retour: part.motif_retour ?? null,
+          historique: part.historique,
+          expeditions: (o.expeditions ?? []).filter((e) => e.seller_id === sellerId),
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.date.localeCompare(a.date) || b.Id_commande - a.Id_commande);
+    return json(200, { ok: true, orders });
+  }
+
+  // Historique d'un client (GET order.php sans id) : commandes récentes d'abord.
+  function orderList(userId) {
+    const orders = db.orders
+      .filter((o) => o.user_id === userId)
+      .sort((a, b) => b.date.localeCompare(a.date) || b.Id_commande - a.Id_commande)
+      .map((o) => ({
+        Id_commande: o.Id_commande,
+        date: o.date,
+        statut: o.statut,
+        total: o.total,
+        mode_livraison: o.mode_livraison ?? null,
+        nb_articles: db.orderLines
+          .filter((l) => l.commande_id === o.Id_commande)
+          .reduce((n, l) => n + l.quantite, 0),
+      }));
+    return json(200, { ok: true, orders });
+  }
+
+  function order({ method, body, query, claims }) {
+    if (method === 'GET' && query.get('seller_id')) {
+      const sellerId = Number(query.get('seller_id'));
+      if (claims?.sub != null && Number(claims.sub) !== sellerId) return fail(403, 'Accès refusé');
+      return sellerOrderList(sellerId);
+    }
+    if (method === 'PUT') {
+      const o = db.orders.find((x) => String(x.Id_commande) === String(query.get('id')));
+      if (!o) return fail(404, 'Commande introuvable');
+      return updateOrderStatus(o, body, claims);
+    }
+    if (method === 'GET' && !query.get('id')) {
+      const userId = Number(claims?.sub ?? query.get('user_id'));
+      if (!userId) return fail(401, 'Authentification requise');
+      return orderList(userId);
+    }
+    if (method === 'GET') {
+      const o = db.orders.find((x) => String(x.Id_commande) === String(query.get('id')));
+      if (!o) return fail(404, 'Commande introuvable');
+      // Comme le back : une commande n'est visible que par son client, et par chaque vendeur
+      // concerné pour sa sous-commande seulement.
+      const actor = claims?.sub != null ? actorOf(o, claims) : 'buyer';
+      if (!actor) return fail(403, 'Accès refusé');
+      return json(200, { ok: true, order: orderDetail(o, actor === 'seller' ? Number(claims.sub) : null) });
+    }
+    if (method !== 'POST') return fail(405, 'Méthode non supportée');
+    // Sous-commandes par vendeur : le back les reconstitue à partir des produits en base, seules
+    // les lignes demandées (produit, quantité) sont reprises du front.
+    const groups = Array.isArray(body?.sub_orders) ? body.sub_orders : [];
+    const lines = groups.flatMap((g) => (Array.isArray(g.lines) ? g.lines : []));
+    if (!body?.user_id || !lines.length) return fail(400, 'user_id et sub_orders sont obligatoires');
+
+    // Vérification du stock avant toute écriture (transaction tout-ou-rien).
+    for (const l of lines) {
+      const p = db.products.find((x) => String(x.id) === String(l.id));
+      if (!p) return fail(404, `Produit ${l.id} introuvable`);
+      if (p.stock < Number(l.qty || 1)) return fail(409, `Stock insuffisant pour « ${p.name} »`);
+    }
+
+    // Code promo : revérifié (usage unique, conditions sur le panier) avant toute écriture.
+    let promo = null;
+    if (body.discount_code) {
+      const { row, error } = findDiscount(body.discount_code, body.user_id);
+      if (error) return error;
+      promo = discountFromApi(row);
+    }
+
+    // Comme le back, le total TTC est recalculé à partir des prix et taux en base (celui du front
+    // est ignoré), livraison (mode choisi, pays de l'adresse de livraison, à défaut celle du compte)
+    // et remise comprises.
+    const buyer = db.users.find((u) => u.id === Number(body.user_id));
+    const address = body.address ?? buyer?.adresse ?? null;
+    const pricing = computePricing(
+      lines.map((l) => ({
+        ...fromApi(productRow(db.products.find((x) => String(x.id) === String(l.id)))),
+        qty: Number(l.qty || 1),
+      })),
+      { country: destinationCountry(address), discount: promo, shippingMethod: body.shipping_method }
+    );
+    if (promo && !pricing.discount.applied) return fail(409, pricing.discount.reason);
+
+    const id = nextId(db.orders, 'Id_commande');
+    const date = nowSql();
+    // Lignes figées au moment de la vente (libellé, vendeur, TVA) : la facture ne dépend plus du catalogue.
+    pricing.lines.forEach((pl) => {
+      const p = db.products.find((x) => String(x.id) === String(pl.id));
+      p.stock -= pl.qty;
+      db.orderLines.push({
+        commande_id: id,
+        product_id: p.id,
+        name: p.name,
+        seller_id: p.id_seller,
+        quantite: pl.qty,
+        prix: p.price,
+        vat_rate: pl.vatRate,
+        tax_included: pl.taxIncluded ? 1 : 0,
+        remise: decimal(pl.discountCents / 100),
+        total_ht: decimal(pl.netCents / 100),
+        tva: decimal(pl.taxCents / 100),
+        total_ttc: decimal(pl.grossCents / 100),
+      });
+    });
+    // Une facture par vendeur, numérotée à la suite de ses factures de l'année.
+    for (const { sellerId } of pricing.sellers) {
+      const prefix = invoiceNumber(sellerId, date, 0).slice(0, -6);
+      const seq = db.invoices.filter((f) => f.numero.startsWith(prefix)).length + 1;
+      db.invoices.push({ numero: invoiceNumber(sellerId, date, seq), commande_id: id, seller_id: sellerId, date });
+    }
+    if (promo) db.discountUses.push({ code: promo.code, user_id: Number(body.user_id), commande_id: id });
+    const total = pricing.totalCents / 100;
+    // Paiement autorisé (référence PSP) : commande payée ; sinon en attente de paiement.
+    const statut = body.payment ? ORDER_STATUS.PAID : ORDER_STATUS.PENDING_PAYMENT;
+    const parts = pricing.sellers.map((g) => ({
+      seller_id: g.sellerId,
+      statut,
+      historique: [{ statut, date }],
+      sous_total: decimal(g.subtotalCents / 100),
+      frais_port: decimal(g.shippingCents / 100),
+      total: decimal(g.totalCents / 100),
+      rembourse: '0.00',
+    }));
+    db.orders.push({
+      Id_commande: id,
+      user_id: Number(body.user_id),
+      date,
+      statut,
+      historique: [{ statut, date }],
+      total: decimal(total),
+      code_promo: promo?.code ?? null,
+      mode_livraison: pricing.shippingMethod,
+      frais_port: decimal(pricing.shippingCents / 100),
+      // Un seul paiement, une sous-commande (colis, statut) par vendeur
+      sous_commandes: parts,
+      adresse_livraison: address,
+      // Référence de paiement (lib/payments) : non vérifiée ici, le simulateur vit dans le navigateur
+      paiement_fournisseur: body.payment?.provider ?? null,
+      paiement_ref: body.payment?.intent_id ?? null,
+      remise: decimal(pricing.discount?.applied ? pricing.discount.amountCents / 100 : 0),
+    });
+
+    return json(201, {
+      ok: true,
+      order_id: id,
+      total: decimal(total),
+      sous_commandes: parts.map((sc) => ({ seller_id: sc.seller_id, total: sc.total })),
+    });
+  }
+
+  function performance({ query }) {
+    const sellerId = Number(query.get('user_id'));
+    if (!sellerId) return fail(400, 'user_id requis');
+
+    const sellerProducts = db.products.filter((p) => Number(p.id_seller) === sellerId);
+    const productIds = sellerProducts.map((p) => p.id);
+    const byId = new Map(db.products.map((p) => [p.id, p]));
+
+    // Lignes vendues du vendeur, enrichies de sa sous-commande (même jointure que performance.php) :
+    // total, statut et montant remboursé de sa part, jamais ceux de la commande entière.
+    // Seules les commandes payées sont des ventes : ni celles en attente de paiement, ni celles
+    // annulées avant paiement (pas de passage à "payée" dans l'historique).
+    const lines = db.orderLines
+      .filter((l) => Number(lineSeller(l)) === sellerId)
+      .map((l) => {
+        const o = db.orders.find((x) => x.Id_commande === l.commande_id);
+        const part = o && partsOf(o).find((sc) => sc.seller_id === sellerId);
+        if (!o || !paidAt(lifecycle(o, part).history)) return null;
+        return {
+          ...l,
+          name: byId.get(l.product_id)?.name ?? null,
+          commande_date: o.date,
+          commande_total: part?.total ?? null,
+          commande_statut: part?.statut ?? null,
+          commande_rembourse: part?.rembourse ?? '0.00',
+        };
+      })
+      .filter(Boolean);
+
+    // Commandes contenant au moins un produit du vendeur ; total = part du vendeur.
+    const orderTotals = new Map();
+    for (const l of lines) {
+      orderTotals.set(l.commande_id, (orderTotals.get(l.commande_id) || 0) + Number(l.prix) * l.quantite);
+    }
+    const orders = db.orders
+      .filter((o) => orderTotals.has(o.Id_commande))
+      .map((o) => ({ Id_commande: o.Id_commande, date: o.date, total: decimal(orderTotals.get(o.Id_commande)) }));
+
+    // CA net : HT après remise (`total_ht`), moins les remboursements (commande annulée après
+    // paiement ou retour accepté). Le remboursement d'une ligne est la part remboursée de sa
+    // sous-commande (`rembourse` / `total`) appliquée à son montant HT. Les lignes antérieures aux
+    // codes promo n'ont ni remise ni total HT, leur CA net est le prix × quantité.
+    const agg = new Map();
+    for (const l of lines) {
+      const a = agg.get(l.product_id) || {
+        id_product: l.product_id,
+        name: l.name,
+        revenue: 0,
+        discount: 0,
+        refunds: 0,
+        net_revenue: 0,
+        qty_sold: 0,
+        orders: new Set(),
+      };
+      a.revenue += Number(l.prix) * l.quantite;
+      a.discount += Number(l.remise ?? 0);
+      const net = l.total_ht != null ? Number(l.total_ht) : Number(l.prix) * l.quantite;
+      const total = Number(l.commande_total ?? 0);
+      const refunded = total > 0 ? net * Math.min(1, Number(l.commande_rembourse) / total) : 0;
+      a.refunds += refunded;
+      a.net_revenue += net - refunded;
+      a.qty_sold += l.quantite;
+      a.orders.add(l.commande_id);
+      agg.set(l.product_id, a);
+    }
+    const by_product = Array.from(agg.values()).map(({ orders: set, ...a }) => ({
+      ...a,
+      revenue: decimal(a.revenue),
+      discount: decimal(a.discount),
+      refunds: decimal(a.refunds),
+      net_revenue: decimal(a.net_revenue),
+      orders_count: set.size,
+    }));
+
+    const revenue = by_product.reduce((s, p) => s + Number(p.revenue), 0);
+    const discounts = by_product.reduce((s, p) => s + Number(p.discount), 0);
+    const refunds = by_product.reduce((s, p) => s + Number(p.refunds), 0);
+    const netRevenue = by_product.reduce((s, p) => s + Number(p.net_revenue), 0);
+    return json(200, {
+      ok: true,
+      products: sellerProducts,
+      orders,
+      lines,
+      by_product,
+      product_ids: productIds,
+      totals: {
+        orders_count: orders.length,
+        items_sold: lines.reduce((s, l) => s + l.quantite, 0),
+        revenue: decimal(revenue),
+        discounts: decimal(discounts),
+        refunds: decimal(refunds),
+        net_revenue: decimal(netRevenue),
+      },
+    });
+  }
+
+  function categories({ method }) {
+    if (method !== 'GET') return fail(405, 'Méthode non supportée');
+    return json(200, db.categories);
+  }
+
+  const routes = {
+    'login.php': login,
+    'register.php': register,
+    'refresh.php': refresh,
+    'products.php': products,
+    'categories.php': categories,
+    'cart.php': cart,
+    'discount.php': discount,
+    'order.php': order,
+    'shipment.php': shipment,
+    'performance.php': performance,
+  };
+
+  /**
+   * Point d'entrée compatible `fetch(url, init)`.
+   * Seul le dernier segment du chemin compte : `${API_BASE_URL}/products.php` quel que soit la base.
+   */
+  async function mockFetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const headers = new Headers(init.headers);
+    const parsed = new URL(url, 'http://mock.local');
+    const endpoint = parsed.pathname.split('/').pop();
+
+    await delay(minLatency + random() * (maxLatency - minLatency), init.signal);
+
+    // Injection d'erreurs : moitié "serveur indisponible", moitié coupure réseau.
+    if (errorRate > 0 && random() < errorRate) {
+      if (random() < 0.5) return fail(503, 'Service indisponible (erreur simulée)');
+      throw new TypeError('Failed to fetch (erreur simulée)');
+    }
+
+    const handler = routes[endpoint];
+    if (!handler) return fail(404, `Endpoint inconnu : ${endpoint}`);
+
+    // Un token expiré est refusé, comme le ferait le back.
+    const claims = readToken(headers.get('Authorization'));
+    if (claims?.exp && claims.exp * 1000 < Date.now()) return fail(401, 'Session expirée');
+
+    const replayKey = method === 'POST' && headers.get('Idempotency-Key');
+    if (replayKey && replays.has(replayKey)) return replays.get(replayKey).clone();
+
+    let body = null;
+    if (typeof init.body === 'string' && init.body) {
+      try {
+        body = JSON.parse(init.body);
+      } catch {
+        return fail(400, 'JSON invalide');
+      }
+    }
+
+    const res = handler({ method, query: parsed.searchParams, body, claims });
+    if (replayKey && res.ok) replays.set(replayKey, res.clone());
+    return res;
+  }
+
+  return {
+    fetch: mockFetch,
+    get db() {
+      return db;
+    },
+    reset() {
+      db = seed();
+      replays.clear();
+    },
+  };
+}
@@ -0,0 +1,185 @@
+// src/mocks/paymentSimulator.js
+
+/**
+ * Simulateur de paiement local : fournisseur `simulator` de lib/payments (aucun appel réseau).
+ *
+ * Cartes de test (toute date future, tout CVC de la bonne longueur)
+ * - 4242 4242 4242 4242 : paiement accepté (de même 5555 5555 5555 4444, 3782 822463 10005)
+ * - 4000 0000 0000 0002 : carte refusée
+ * - 4000 0000 0000 9995 : provision insuffisante
+ * - 4000 0027 6000 3184 : authentification 3-D Secure demandée (dialogue simulé)
+ * Toute autre carte valide (Luhn) est acceptée.
+ *
+ * Principes
+ * - Les intentions vivent en mémoire (rechargement de la page = remise à zéro), comme le backend simulé.
+ * - Seuls le réseau et les 4 derniers chiffres de la carte sont conservés sur l'intention.
+ * - Mêmes transitions d'état qu'un PSP : une opération hors séquence lève `invalid_state`.
+ */
+
+import { PaymentError } from '../lib/payments';
+import { detectBrand, digitsOnly } from '../lib/card';
+
+/** Cartes de test et comportement simulé (numéros sans espaces). */
+export const TEST_CARDS = {
+  '4242424242424242': { outcome: 'success', label: 'Paiement accepté' },
+  '5555555555554444': { outcome: 'success', label: 'Paiement accepté (Mastercard)' },
+  '378282246310005': { outcome: 'success', label: 'Paiement accepté (Amex)' },
+  '4000000000000002': { outcome: 'card_declined', label: 'Carte refusée' },
+  '4000000000009995': { outcome: 'insufficient_funds', label: 'Provision insuffisante' },
+  '4000002760003184': { outcome: 'challenge', label: 'Authentification 3-D Secure' },
+};
+
+const DECLINE_MESSAGES = {
+  card_declined: 'Paiement refusé par votre banque. Essayez une autre carte.',
+  insufficient_funds: 'Provision insuffisante : paiement refusé par votre banque.',
+  authentication_failed: 'Authentification 3-D Secure refusée : paiement non effectué.',
+  authentication_canceled: 'Authentification 3-D Secure abandonnée : paiement non effectué.',
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Crée une instance du simulateur.
+ *
+ * @param {object} [options]
+ * @param {number} [options.latency=400] - Délai simulé par opération (ms).
+ * @returns {import('../lib/payments').PaymentProvider & { intents: Map<string, import('../lib/payments').PaymentIntent> }}
+ */
+export function createPaymentSimulator({ latency = 400 } = {}) {
+  /** @type {Map<string, import('../lib/payments').PaymentIntent>} */
+  const intents = new Map();
+  // Clé d'idempotence → id d'intention
+  const byKey = new Map();
+  let seq = 0;
+
+  const snapshot = (intent) => ({ ...intent, paymentMethod: intent.paymentMethod && { ...intent.paymentMethod } });
+
+  function find(intentId) {
+    const intent = intents.get(intentId);
+    if (!intent) throw new PaymentError('Paiement introuvable.', { code: 'invalid_state', intentId });
+    return intent;
+  }
+
+  function expect(intent, statuses, action) {
+    if (!statuses.includes(intent.status)) {
+      throw new PaymentError(`Opération impossible (${action}) : paiement à l'état "${intent.status}".`, {
+        code: 'invalid_state',
+        intentId: intent.id,
+      });
+    }
+  }
+
+  function decline(intent, code) {
+    intent.status = 'requires_payment_method';
+    throw new PaymentError(DECLINE_MESSAGES[code], { code, intentId: intent.id });
+  }
+
+  return {
+    id: 'simulator',
+    label: 'Paiement simulé',
+    testMode: true,
+    testCards: Object.entries(TEST_CARDS).map(([number, { label }]) => ({ number, label })),
+    intents,
+
+    async createIntent({ amountCents, currency = 'EUR', idempotencyKey } = {}) {
+      await wait(latency);
+      if (!Number.isInteger(amountCents) || amountCents <= 0) {
+        throw new PaymentError('Montant de paiement invalide.', { code: 'processing_error' });
+      }
+      // Même tentative de checkout : l'intention en cours est réutilisée (montant mis à jour tant
+      // qu'elle n'est pas autorisée) ; une autorisation pour un autre montant est annulée et remplacée,
+      // une intention close (annulée, remboursée) aussi. Déjà encaissée pour un autre montant : refus,
+      // la remplacer ferait payer le client deux fois.
+      const existing = idempotencyKey && intents.get(byKey.get(idempotencyKey));
+      if (existing) {
+        if (['requires_payment_method', 'requires_action'].includes(existing.status)) {
+          existing.amountCents = amountCents;
+          return snapshot(existing);
+        }
+        if (['requires_capture', 'succeeded'].includes(existing.status) && existing.amountCents === amountCents) {
+          return snapshot(existing);
+        }
+        if (existing.status === 'succeeded') {
+          throw new PaymentError('Ce paiement a déjà été encaissé pour un autre montant.', {
+            code: 'invalid_state',
+            intentId: existing.id,
+          });
+        }
+        if (existing.status === 'requires_capture') existing.status = 'canceled';
+      }
+      seq += 1;
+      const intent = {
+        id: `pi_sim_${Date.now().toString(36)}${seq}`,
+        provider: 'simulator',
+        amountCents,
+        currency,
+        status: 'requires_payment_method',
+        refundedCents: 0,
+        paymentMethod: null,
+      };
+      intents.set(intent.id, intent);
+      if (idempotencyKey) byKey.set(idempotencyKey, intent.id);
+      return snapshot(intent);
+    },
+
+    async confirmIntent(intentId, { card } = {}, { onChallenge } = {}) {
+      await wait(latency);
+      const intent = find(intentId);
+      expect(intent, ['requires_payment_method', 'requires_action'], 'confirmation');
+
+      const number = digitsOnly(card?.cardNumber);
+      intent.paymentMethod = { brand: detectBrand(number)?.id ?? null, last4: number.slice(-4) };
+      const outcome = TEST_CARDS[number]?.outcome ?? 'success';
+
+      if (outcome === 'card_declined' || outcome === 'insufficient_funds') decline(intent, outcome);
+
+      if (outcome === 'challenge') {
+        intent.status = 'requires_action';
+        if (!onChallenge) decline(intent, 'authentication_failed');
+        let approved;
+        try {
+          approved = await onChallenge({
+            intentId: intent.id,
+            amountCents: intent.amountCents,
+            brand: intent.paymentMethod.brand,
+            last4: intent.paymentMethod.last4,
+          });
+        } catch {
+          decline(intent, 'authentication_canceled');
+        }
+        if (approved == null) decline(intent, 'authentication_canceled');
+        if (!approved) decline(intent, 'authentication_failed');
+      }
+
+      intent.status = 'requires_capture';
+      return snapshot(intent);
+    },
+
+    async capture(intentId) {
+      await wait(latency);
+      const intent = find(intentId);
+      expect(intent, ['requires_capture'], 'encaissement');
+      intent.status = 'succeeded';
+      return snapshot(intent);
+    },
+
+    async refund(intentId, { amountCents } = {}) {
+      await wait(latency);
+      const intent = find(intentId);
+      expect(intent, ['requires_payment_method', 'requires_action', 'requires_capture', 'succeeded'], 'remboursement');
+      // Non encaissée : l'autorisation est simplement annulée
+      if (intent.status !== 'succeeded') {
+        intent.status = 'canceled';
+        return snapshot(intent);
+      }
+      const remaining = intent.amountCents - intent.refundedCents;
+      const amount = amountCents ?? remaining;
+      if (!Number.isInteger(amount) || amount <= 0 || amount > remaining) {
+        throw new PaymentError('Montant de remboursement invalide.', { code: 'invalid_state', intentId });
+      }
+      intent.refundedCents += amount;
+      if (intent.refundedCents === intent.amountCents) intent.status = 'refunded';
+      return snapshot(intent);
+    },
+  };
+}
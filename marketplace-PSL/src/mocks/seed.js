@@ -0,0 +1,179 @@
+// src/mocks/seed.js
+
+/**
+ * Jeu de données initial du backend simulé (voir `mockBackend.js`).
+ *
+ * Les lignes reprennent les noms de colonnes renvoyés par l'API PHP (`id_seller`, `image_url`,
+ * `price` en euros sous forme de chaîne DECIMAL…) afin que le front passe par exactement
+ * les mêmes conversions (`models/product`, `lib/money`) qu'avec le vrai serveur.
+ *
+ * Comptes de démonstration (mot de passe : `demo1234`)
+ * - vendeur@demo.fr : Professionnel (propriétaire des produits 1 à 4)
+ * - atelier@demo.fr : Professionnel (propriétaire des produits 5 à 7, prix saisis TTC)
+ * - client@demo.fr  : Particulier
+ *
+ * Les vendeurs portent leurs mentions légales (SIRET, n° de TVA intracommunautaire) : elles
+ * figurent sur les factures, numérotées par vendeur sans rupture (`invoiceNumber`).
+ *
+ * Codes promo : BIENVENUE10 (-10 %, dès 30 €, usage unique), PORTOFFERT (livraison offerte dès 50 €),
+ * ATELIER5 (5 € sur les produits d'atelier@demo.fr), ETE2020 (expiré).
+ */
+
+export const DEMO_PASSWORD = 'demo1234';
+
+/**
+ * Numéro de facture : séquence continue par vendeur et par année ("F1-2025-000042").
+ * @param {number} sellerId
+ * @param {string} date - Date MySQL de la vente (l'année en est extraite).
+ * @param {number} seq
+ */
+export const invoiceNumber = (sellerId, date, seq) =>
+  `F${sellerId}-${String(date).slice(0, 4)}-${String(seq).padStart(6, '0')}`;
+
+// Date ISO (AAAA-MM-JJ HH:MM:SS, format MySQL) décalée de `days` jours par rapport à aujourd'hui.
+function daysAgo(days) {
+  const d = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  return d.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Construit un nouvel état de base de données (objets neufs à chaque appel).
+ *
+ * @returns {{
+ *   users: Array<object>,
+ *   categories: Array<object>,
+ *   products: Array<object>,
+ *   orders: Array<object>,
+ *   orderLines: Array<object>,
+ *   invoices: Array<object>,
+ * }}
+ */
+export function createSeed() {
+  const users = [
+    {
+      id: 1,
+      nom: 'Boutique Demo',
+      prenom: '',
+      mail: 'vendeur@demo.fr',
+      password: DEMO_PASSWORD,
+      raison_soc: 'Professionnel',
+      date_de_naissance: null,
+      adresse: { ligne: '1 place du Maréchal de Lattre de Tassigny', code_postal: '75016', ville: 'Paris', pays: 'France' },
+      siret: '81234567800015',
+      tva_intra: 'FR40812345678',
+    },
+    {
+      id: 2,
+      nom: 'Atelier Demo',
+      prenom: '',
+      mail: 'atelier@demo.fr',
+      password: DEMO_PASSWORD,
+      raison_soc: 'Professionnel',
+      date_de_naissance: null,
+      adresse: { ligne: '10 rue de Lyon', code_postal: '69002', ville: 'Lyon', pays: 'France' },
+      siret: '90123456700021',
+      tva_intra: 'FR61901234567',
+      // Tarifs de livraison propres (par zone, en euros) ; zones absentes : tarifs par défaut (lib/pricing)
+      livraison: { FR: { base: '4.90', free_above: '60.00' }, EU: { base: '9.90', free_above: null } },
+    },
+    {
+      id: 3,
+      nom: 'Dupont',
+      prenom: 'Jean',
+      mail: 'client@demo.fr',
+      password: DEMO_PASSWORD,
+      raison_soc: 'Particulier',
+      date_de_naissance: '1990-05-12',
+      adresse: { ligne: '12 rue de Paris', code_postal: '75001', ville: 'Paris', pays: 'France' },
+    },
+  ];
+
+  // Prix HT (tax_included: 0) ou TTC (1) ; TVA réduite pour le livre (5,5 %).
+  // Taxonomie du catalogue : `parent_id` null pour une racine.
+  const categories = [
+    { id: 1, slug: 'informatique', name: 'Informatique', parent_id: null },
+    { id: 2, slug: 'peripheriques', name: 'Périphériques', parent_id: 1 },
+    { id: 3, slug: 'audio', name: 'Audio', parent_id: 1 },
+    { id: 4, slug: 'papeterie', name: 'Papeterie', parent_id: null },
+    { id: 5, slug: 'carnets', name: 'Carnets', parent_id: 4 },
+    { id: 6, slug: 'ecriture', name: 'Écriture', parent_id: 4 },
+    { id: 7, slug: 'livres', name: 'Livres', parent_id: null },
+  ];
+
+  // `note` / `nb_avis` : moyenne et nombre d'avis clients (note null sans avis) ; `tags` : étiquettes libres du vendeur.
+  const products = [
+    { id: 1, id_seller: 1, category_id: 2, name: 'Clavier mécanique', description: 'Switchs tactiles, rétroéclairage blanc.', price: '89.90', vat_rate: 20, tax_included: 0, stock: 12, image_url: null, note: 4.6, nb_avis: 23, tags: ['gaming', 'rgb'], created_at: daysAgo(40) },
+    { id: 2, id_seller: 1, category_id: 2, name: 'Souris sans fil', description: 'Capteur 16 000 DPI, autonomie 70 h.', price: '49.00', vat_rate: 20, tax_included: 0, stock: 30, image_url: null, note: 4.2, nb_avis: 41, tags: ['sans fil', 'gaming'], created_at: daysAgo(32) },
+    { id: 3, id_seller: 1, category_id: 2, name: 'Tapis de souris XL', description: 'Surface tissée, base antidérapante.', price: '19.90', vat_rate: 20, tax_included: 0, stock: 0, image_url: null, note: 3.8, nb_avis: 9, tags: ['gaming'], created_at: daysAgo(20) },
+    { id: 4, id_seller: 1, category_id: 3, name: 'Casque audio', description: 'Réduction de bruit active.', price: '129.00', vat_rate: 20, tax_included: 0, stock: 5, image_url: null, note: 4.7, nb_avis: 15, tags: ['sans fil', 'bluetooth'], created_at: daysAgo(7) },
+    { id: 5, id_seller: 2, category_id: 5, name: 'Carnet en cuir', description: 'Fait main, 192 pages.', price: '34.50', vat_rate: 20, tax_included: 1, stock: 8, image_url: null, note: 4.9, nb_avis: 6, tags: ['fait main', 'cuir', 'cadeau'], created_at: daysAgo(15) },
+    { id: 6, id_seller: 2, category_id: 6, name: 'Stylo plume', description: 'Plume acier, cartouches standard.', price: '24.00', vat_rate: 20, tax_included: 1, stock: 20, image_url: null, note: 2.9, nb_avis: 12, tags: ['cadeau'], created_at: daysAgo(3) },
+    { id: 7, id_seller: 2, category_id: 7, name: 'Traité de calligraphie', description: 'Livre, 240 pages illustrées.', price: '32.00', vat_rate: 5.5, tax_included: 1, stock: 2, image_url: null, note: null, nb_avis: 0, tags: ['calligraphie', 'cadeau'], created_at: daysAgo(2) },
+  ];
+
+  // Historique de ventes : alimente Dashboard / Performances dès le premier lancement.
+  // `historique` : changements de statut datés (suivi de commande côté client).
+  // `expeditions` : colis envoyés par chaque vendeur (transporteur, n° de suivi, articles).
+  const orders = [
+    {
+      Id_commande: 1, user_id: 3, date: daysAgo(12), statut: 'livrée', total: '138.90',
+      historique: [
+        { statut: 'payée', date: daysAgo(12) },
+        { statut: 'expédiée', date: daysAgo(11) },
+        { statut: 'livrée', date: daysAgo(9) },
+      ],
+      expeditions: [
+        {
+          id: 1, seller_id: 1, date: daysAgo(11), transporteur: 'colissimo', numero_suivi: '6A12345678901',
+          lignes: [{ product_id: 1, quantite: 1 }, { product_id: 2, quantite: 1 }],
+        },
+      ],
+    },
+    {
+      Id_commande: 2, user_id: 3, date: daysAgo(5), statut: 'expédiée', total: '69.00',
+      historique: [
+        { statut: 'payée', date: daysAgo(5) },
+        { statut: 'expédiée', date: daysAgo(3) },
+      ],
+      expeditions: [
+        { id: 2, seller_id: 1, date: daysAgo(4), transporteur: 'colissimo', numero_suivi: '6A23456789012', lignes: [{ product_id: 2, quantite: 1 }] },
+        { id: 3, seller_id: 2, date: daysAgo(3), transporteur: 'mondial_relay', numero_suivi: '84512367', lignes: [{ product_id: 6, quantite: 1 }] },
+      ],
+    },
+    {
+      Id_commande: 3, user_id: 3, date: daysAgo(1), statut: 'payée', total: '129.00',
+      historique: [{ statut: 'payée', date: daysAgo(1) }],
+    },
+  ];
+
+  const orderLines = [
+    { commande_id: 1, product_id: 1, quantite: 1, prix: '89.90' },
+    { commande_id: 1, product_id: 2, quantite: 1, prix: '49.00' },
+    { commande_id: 2, product_id: 2, quantite: 1, prix: '49.00' },
+    { commande_id: 2, product_id: 6, quantite: 1, prix: '20.00' },
+    { commande_id: 3, product_id: 4, quantite: 1, prix: '129.00' },
+  ];
+
+  // Codes promo (discount.php) : montants en euros, dates au format MySQL.
+  const discounts = [
+    { code: 'BIENVENUE10', type: 'percent', value: 10, min_basket: '30.00', seller_id: null, starts_at: null, ends_at: null, single_use: 1, label: '-10 % sur votre première commande' },
+    { code: 'PORTOFFERT', type: 'free_shipping', value: 0, min_basket: '50.00', seller_id: null, starts_at: null, ends_at: null, single_use: 0, label: 'Livraison offerte dès 50 €' },
+    { code: 'ATELIER5', type: 'fixed', value: 5, min_basket: null, seller_id: 2, starts_at: null, ends_at: null, single_use: 0, label: '5 € offerts chez L’Atelier' },
+    { code: 'ETE2020', type: 'percent', value: 20, min_basket: null, seller_id: null, starts_at: '2020-06-01 00:00:00', ends_at: '2020-08-31 23:59:59', single_use: 0, label: 'Soldes d’été (expiré)' },
+  ];
+  // Utilisations des codes : { code, user_id, commande_id } (contrôle de l'usage unique).
+  const discountUses = [];
+
+  // Paniers serveur (cart.php) : références { product_id, qty } par id utilisateur.
+  const carts = {};
+
+  // Factures émises : une par vendeur et par commande, numérotées dans l'ordre des ventes.
+  const invoices = [
+    { numero: invoiceNumber(1, orders[0].date, 1), commande_id: 1, seller_id: 1, date: orders[0].date },
+    { numero: invoiceNumber(1, orders[1].date, 2), commande_id: 2, seller_id: 1, date: orders[1].date },
+    { numero: invoiceNumber(2, orders[1].date, 1), commande_id: 2, seller_id: 2, date: orders[1].date },
+    { numero: invoiceNumber(1, orders[2].date, 3), commande_id: 3, seller_id: 1, date: orders[2].date },
+  ];
+
+  return { users, categories, products, orders, orderLines, invoices, carts, discounts, discountUses };
+}
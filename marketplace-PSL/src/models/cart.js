@@ -0,0 +1,238 @@
+/**
+ * @file src/models/cart.js
+ * @description
+ * Modèle "Panier" : format de stockage versionné, fusion de paniers et réconciliation
+ * avec le catalogue. Fonctions pures, utilisées par `CartContext`.
+ *
+ * Stockage (localStorage, clé `cart`, partagé entre onglets)
+ * ```json
+ * { "version": 1, "carts": { "guest": [CartLine…], "12": [CartLine…] } }
+ * ```
+ * - Un panier par propriétaire : `guest` (non connecté) ou l’id utilisateur.
+ * - Toute évolution du format incrémente `CART_STORAGE_VERSION` et ajoute une étape
+ *   dans `migrateCartStore()` (un stockage illisible est remis à zéro, jamais bloquant).
+ *
+ * Règles de fusion (connexion)
+ * - Les paniers invité, local (cet appareil) et serveur sont unis par produit.
+ * - Doublon (même produit dans plusieurs paniers) : on garde la quantité la PLUS GRANDE,
+ *   sans additionner. Un même produit présent des deux côtés correspond le plus souvent
+ *   à la même intention d’achat enregistrée deux fois (ajout avant déconnexion, autre appareil) :
+ *   additionner doublerait la quantité à l’insu de l’utilisateur.
+ *
+ * Réconciliation (catalogue `products.php`)
+ * - Produit supprimé → ligne retirée + notice.
+ * - Prix modifié → prix mis à jour + notice (ancien → nouveau prix).
+ * - Nom, image, stock, vendeur → mis à jour silencieusement.
+ *
+ * Disponibilité (stock)
+ * - Une quantité ne dépasse jamais le stock connu du produit (`capQty`).
+ * - Le stock peut baisser après l’ajout : `lineAvailability()` signale alors la ligne
+ *   ("Plus que 2 en stock", "Plus disponible") et `cartIssues()` liste les lignes
+ *   qui empêchent la commande.
+ *
+ * @typedef {import("./product").Product & { qty: number }} CartLine
+ *
+ * @typedef {object} LineAvailability
+ * @property {"ok"|"low"|"insufficient"|"unavailable"} status
+ * @property {number} available - Stock connu du produit.
+ * @property {string|null} message - Avertissement à afficher sur la ligne (null si "ok").
+ *
+ * @typedef {object} CartNotice
+ * @property {string} id        - Identifiant stable (évite d’afficher deux fois la même notice).
+ * @property {"removed"|"repriced"} type
+ * @property {string} message
+ */
+
+import { formatCents } from "../lib/money";
+
+export const CART_STORAGE_KEY = "cart";
+export const CART_STORAGE_VERSION = 1;
+// Propriétaire du panier d’un visiteur non connecté.
+export const GUEST_CART = "guest";
+
+/** Identifiant d’une ligne : id produit (ou nom à défaut, pour les produits sans id). */
+export const lineKey = (line) => String(line?.id ?? line?.name);
+
+export function emptyCartStore() {
+  return { version: CART_STORAGE_VERSION, carts: {} };
+}
+
+// En dessous de ce stock, la ligne affiche "Plus que N en stock" même si la quantité est servie.
+export const LOW_STOCK_THRESHOLD = 3;
+
+const isLine = (l) => l && typeof l === "object" && (l.id != null || l.name) && Number(l.qty) > 0;
+
+/**
+ * Convertit une valeur stockée (toutes versions) vers le format courant.
+ *
+ * @param {any} raw
+ * @returns {{ version: number, carts: Record<string, CartLine[]> }}
+ */
+export function migrateCartStore(raw) {
+  // v0 : tableau de lignes non versionné, sans propriétaire → rattaché au panier invité
+  // (il sera fusionné au panier de l’utilisateur à la prochaine connexion).
+  if (Array.isArray(raw)) {
+    const lines = raw.filter(isLine);
+    return { version: CART_STORAGE_VERSION, carts: lines.length ? { [GUEST_CART]: lines } : {} };
+  }
+  if (raw?.version === CART_STORAGE_VERSION && raw.carts && typeof raw.carts === "object") {
+    const carts = {};
+    for (const [owner, lines] of Object.entries(raw.carts)) {
+      if (Array.isArray(lines)) carts[owner] = lines.filter(isLine);
+    }
+    return { version: CART_STORAGE_VERSION, carts };
+  }
+  return emptyCartStore();
+}
+
+/**
+ * Fusionne plusieurs paniers (règle : quantité max pour un même produit).
+ * L’ordre des lignes suit leur première apparition ; les données produit de la première
+ * occurrence sont conservées (la réconciliation les remettra à jour).
+ *
+ * @param {...CartLine[]} carts
+ * @returns {CartLine[]}
+ */
+export function mergeCarts(...carts) {
+  const merged = new Map();
+  for (const cart of carts) {
+    for (const line of cart || []) {
+      const key = lineKey(line);
+      const existing = merged.get(key);
+      if (!existing) merged.set(key, { ...line });
+      else if (Number(line.qty) > Number(existing.qty)) merged.set(key, { ...existing, qty: Number(line.qty) });
+    }
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * Reconstruit des lignes complètes à partir des références du panier serveur.
+ *
+ * @param {Array<{ productId: string|number, qty: number }>} serverLines
+ * @param {import("./product").Product[]} products - Catalogue courant.
+ * @returns {{ lines: CartLine[], notices: CartNotice[] }}
+ */
+export function hydrateServerLines(serverLines, products) {
+  const byId = new Map(products.map((p) => [String(p.id), p]));
+  const lines = [];
+  const notices = [];
+  for (const l of serverLines) {
+    const product = byId.get(String(l.productId));
+    if (product) lines.push({ ...product, qty: l.qty });
+    else notices.push(removedNotice({ id: l.productId, name: `Produit #${l.productId}` }));
+  }
+  return { lines, notices };
+}
+
+function removedNotice(line) {
+  return {
+    id: `removed:${lineKey(line)}`,
+    type: "removed",
+    message: `« ${line.name} » n’est plus disponible et a été retiré de votre panier.`,
+  };
+}
+
+/**
+ * Met les lignes en cohérence avec les produits relus du back.
+ * Une ligne n’est retirée que si son produit est déclaré supprimé (`removedIds`) ; une ligne dont
+ * le produit n’a pas été relu est laissée telle quelle.
+ *
+ * @param {CartLine[]} lines
+ * @param {import("./product").Product[]} products - Produits relus (ceux du panier).
+ * @param {Iterable<string|number>} [removedIds] - Ids inexistants côté back (404).
+ * @returns {{ lines: CartLine[], notices: CartNotice[], changed: boolean }}
+ */
+export function reconcileLines(lines, products, removedIds = []) {
+  const byId = new Map(products.map((p) => [String(p.id), p]));
+  const removed = new Set([...removedIds].map(String));
+  const notices = [];
+  let changed = false;
+  const next = [];
+
+  for (const line of lines) {
+    const product = line.id != null ? byId.get(String(line.id)) : null;
+    if (!product) {
+      if (line.id == null || removed.has(String(line.id))) {
+        notices.push(removedNotice(line));
+        changed = true;
+      } else {
+        next.push(line);
+      }
+      continue;
+    }
+    if (product.priceCents !== line.priceCents) {
+      notices.push({
+        id: `repriced:${lineKey(line)}:${product.priceCents}`,
+        type: "repriced",
+        message: `Le prix de « ${product.name} » est passé de ${formatCents(line.priceCents)} à ${formatCents(product.priceCents)}.`,
+      });
+    }
+    const updated = { ...line, ...product, qty: line.qty };
+    if (
+      updated.priceCents !== line.priceCents ||
+      updated.name !== line.name ||
+      updated.imageUrl !== line.imageUrl ||
+      updated.stock !== line.stock ||
+      updated.sellerId !== line.sellerId ||
+      updated.sellerName !== line.sellerName
+    ) {
+      changed = true;
+      next.push(updated);
+    } else {
+      next.push(line);
+    }
+  }
+
+  return { lines: changed ? next : lines, notices, changed };
+}
+
+/**
+ * Borne une quantité demandée au stock du produit (0 si le produit est épuisé).
+ *
+ * @param {{ stock?: number }} product
+ * @param {number} qty
+ * @returns {number}
+ */
+export function capQty(product, qty) {
+  const stock = Number(product?.stock);
+  const wanted = Math.max(0, Math.floor(Number(qty) || 0));
+  return Number.isFinite(stock) ? Math.min(wanted, Math.max(0, stock)) : wanted;
+}
+
+/**
+ * État de disponibilité d’une ligne au regard du dernier stock connu.
+ *
+ * @param {CartLine} line
+ * @returns {LineAvailability}
+ */
+export function lineAvailability(line) {
+  const available = Math.max(0, Number(line?.stock) || 0);
+  const qty = Number(line?.qty) || 0;
+  if (available === 0) {
+    return { status: "unavailable", available, message: "Plus disponible" };
+  }
+  if (qty > available) {
+    return {
+      status: "insufficient",
+      available,
+      message: `Plus que ${available} en stock : quantité à ajuster`,
+    };
+  }
+  if (available <= LOW_STOCK_THRESHOLD) {
+    return { status: "low", available, message: `Plus que ${available} en stock` };
+  }
+  return { status: "ok", available, message: null };
+}
+
+/**
+ * Lignes qui ne peuvent pas être commandées en l’état (épuisées ou quantité > stock).
+ *
+ * @param {CartLine[]} lines
+ * @returns {Array<LineAvailability & { key: string, name: string }>}
+ */
+export function cartIssues(lines) {
+  return lines
+    .map((line) => ({ key: lineKey(line), name: line.name, ...lineAvailability(line) }))
+    .filter((a) => a.status === "unavailable" || a.status === "insufficient");
+}
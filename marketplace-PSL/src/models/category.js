@@ -0,0 +1,125 @@
+/**
+ * @file src/models/category.js
+ * @description
+ * Modèle "Catégorie" : taxonomie hiérarchique du catalogue renvoyée par `categories.php`.
+ *
+ * Arborescence
+ * - Chaque catégorie a au plus un parent (`parentId`, null pour une racine).
+ * - Un produit est rangé dans une catégorie (`Product.categoryId`) ; filtrer sur une catégorie
+ *   inclut toutes ses sous-catégories (`descendantIds`).
+ * - Dans l'URL du catalogue, une catégorie est désignée par son `slug` (`/produits/categorie/:slug`).
+ *
+ * @typedef {object} Category
+ * @property {number} id
+ * @property {string} slug        - Identifiant lisible et stable (ex: "peripheriques").
+ * @property {string} name
+ * @property {number|null} parentId
+ *
+ * @typedef {Category & { children: CategoryNode[] }} CategoryNode
+ */
+
+const toId = (v) => (v != null && v !== "" ? Number(v) : null);
+
+/**
+ * Convertit une ligne brute de `categories.php` en Category.
+ * @param {Record<string, any>} raw
+ * @returns {Category}
+ */
+export function fromApi(raw = {}) {
+  return {
+    id: Number(raw.id),
+    slug: String(raw.slug ?? raw.id ?? ""),
+    name: String(raw.name ?? raw.nom ?? ""),
+    parentId: toId(raw.parent_id ?? raw.id_parent),
+  };
+}
+
+/**
+ * Réponse liste de `categories.php` (tableau ou wrapper `{ items }`).
+ * @param {any} data
+ * @returns {Category[]}
+ */
+export function fromApiList(data) {
+  const arr = Array.isArray(data) ? data : data?.items || [];
+  return arr.map(fromApi);
+}
+
+/** Catégorie désignée par son slug (null si inconnue). */
+export const findBySlug = (categories, slug) => categories.find((c) => c.slug === slug) ?? null;
+
+/**
+ * Arbre des catégories (racines triées par nom, enfants de même).
+ * Une catégorie dont le parent est inconnu est traitée comme une racine.
+ *
+ * @param {Category[]} categories
+ * @returns {CategoryNode[]}
+ */
+export function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map((c) => [c.id, { ...c, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId != null ? nodes.get(node.parentId) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+  const sort = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name, "fr"));
+    list.forEach((n) => sort(n.children));
+    return list;
+  };
+  return sort(roots);
+}
+
+/**
+ * Arbre aplati dans l'ordre d'affichage, avec la profondeur de chaque catégorie
+ * (listes déroulantes : indentation des sous-catégories).
+ *
+ * @param {Category[]} categories
+ * @returns {(Category & { depth: number })[]}
+ */
+export function categoryOptions(categories) {
+  const out = [];
+  const walk = (nodes, depth) =>
+    nodes.forEach(({ children, ...c }) => {
+      out.push({ ...c, depth });
+      walk(children, depth + 1);
+    });
+  walk(buildCategoryTree(categories), 0);
+  return out;
+}
+
+/**
+ * Identifiants d'une catégorie et de toutes ses sous-catégories.
+ *
+ * @param {Category[]} categories
+ * @param {number} id
+ * @returns {Set<number>}
+ */
+export function descendantIds(categories, id) {
+  const ids = new Set([id]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const c of categories) {
+      if (c.parentId != null && ids.has(c.parentId) && !ids.has(c.id)) {
+        ids.add(c.id);
+        grew = true;
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Chemin d'une catégorie depuis sa racine (fil d'Ariane) : `[racine, …, catégorie]`.
+ * Vide si la catégorie est inconnue ; une boucle de parents est coupée au premier retour.
+ *
+ * @param {Category[]} categories
+ * @param {number|null} id
+ * @returns {Category[]}
+ */
+export function categoryPath(categories, id) {
+  const byId = new Map(categories.map((c) => [c.id, c]));
+  const path = [];
+  for (let c = byId.get(id); c && !path.includes(c); c = byId.get(c.parentId)) path.unshift(c);
+  return path;
+}
@@ -0,0 +1,219 @@
+/**
+ * @file src/models/checkout.js
+ * @description
+ * Modèle du tunnel de commande (PayWall) : étapes, adresse de livraison, état persisté.
+ *
+ * Étapes (segment d'URL `/paywall/:step`)
+ * - `recapitulatif` → `adresse` → `livraison` → `paiement` → `confirmation`.
+ * - Une étape n'est accessible que si les précédentes ont été validées ("Continuer") et que leurs
+ *   données sont toujours valables (`firstIncompleteStep`).
+ *
+ * État persisté (sessionStorage, propre à l'onglet) : survit au rechargement et au bouton retour.
+ * Le panier lui-même reste dans CartContext ; seul ce qui est propre au checkout est gardé ici.
+ *
+ * @typedef {object} DeliveryAddress
+ * @property {string} nom          - Destinataire.
+ * @property {string} ligne        - Numéro et voie.
+ * @property {string} code_postal
+ * @property {string} ville
+ * @property {string} pays         - Nom affiché ("France").
+ * @property {string} country_code - Code ISO ("FR"), lu par `destinationCountry`.
+ *
+ * @typedef {object} CheckoutState
+ * @property {number|string|null} userId
+ * @property {"registered"|"custom"} addressMode - Adresse d'inscription ou adresse saisie.
+ * @property {DeliveryAddress} address      - Adresse de livraison retenue.
+ * @property {string} shippingMethod        - Clé de `SHIPPING_METHODS` (lib/pricing).
+ * @property {string[]} completed           - Étapes validées par le client.
+ * @property {string} idempotencyKey        - Clé de la tentative de commande (anti double commande).
+ * @property {string|null} signature        - Panier payé avec cette clé (`checkoutSignature`) : une
+ *   autre signature → nouvelle clé, la commande d'un ancien panier n'est jamais rejouée.
+ * @property {{ provider: string, intentId: string }|null} payment - Paiement autorisé avec cette clé
+ *   (annulé si la clé est renouvelée).
+ * @property {{ id: number|string|null, totalCents: number }|null} order
+ *   Commande créée (étape confirmation).
+ */
+
+import { DEFAULT_SHIPPING_METHOD } from "../lib/pricing";
+
+export const CHECKOUT_STORAGE_KEY = "psl.checkout";
+
+/** Étapes du tunnel, dans l'ordre. */
+export const CHECKOUT_STEPS = [
+  { id: "recapitulatif", label: "Panier" },
+  { id: "adresse", label: "Adresse" },
+  { id: "livraison", label: "Livraison" },
+  { id: "paiement", label: "Paiement" },
+  { id: "confirmation", label: "Confirmation" },
+];
+
+/** Pays de livraison proposés (nom affiché + code ISO). */
+export const DELIVERY_COUNTRIES = [
+  { code: "FR", name: "France" },
+  { code: "MC", name: "Monaco" },
+  { code: "BE", name: "Belgique" },
+  { code: "LU", name: "Luxembourg" },
+  { code: "DE", name: "Allemagne" },
+  { code: "ES", name: "Espagne" },
+  { code: "IT", name: "Italie" },
+  { code: "NL", name: "Pays-Bas" },
+  { code: "PT", name: "Portugal" },
+  { code: "IE", name: "Irlande" },
+  { code: "AT", name: "Autriche" },
+  { code: "CH", name: "Suisse" },
+  { code: "GB", name: "Royaume-Uni" },
+  { code: "CA", name: "Canada" },
+  { code: "US", name: "États-Unis" },
+];
+
+const countryByName = (name) => {
+  const n = String(name ?? "").trim().toLowerCase();
+  return DELIVERY_COUNTRIES.find((c) => c.name.toLowerCase() === n || c.code.toLowerCase() === n) ?? null;
+};
+
+/** @returns {DeliveryAddress} */
+export const emptyAddress = () => ({
+  nom: "",
+  ligne: "",
+  code_postal: "",
+  ville: "",
+  pays: "France",
+  country_code: "FR",
+});
+
+/**
+ * Adresse de livraison à partir du profil (`user.adresse` de l'inscription).
+ *
+ * Formats acceptés : objet `{ ligne, code_postal, ville, pays }` (register.php) ou texte
+ * "12 rue de Paris, 75001 Paris, France".
+ *
+ * @param {Record<string, any>|null} user
+ * @returns {DeliveryAddress|null} null si le profil n'a pas d'adresse.
+ */
+export function addressFromUser(user) {
+  const raw = user?.adresse;
+  if (!raw) return null;
+  const nom = [user.prenom, user.nom].filter(Boolean).join(" ");
+  let fields;
+  if (typeof raw === "object") {
+    fields = { ligne: raw.ligne ?? raw.adresse ?? "", code_postal: raw.code_postal ?? "", ville: raw.ville ?? "", pays: raw.pays ?? "" };
+  } else {
+    const parts = String(raw).split(",").map((p) => p.trim()).filter(Boolean);
+    const cpVille = parts.map((p) => /^(\d{4,5})\s+(.+)$/.exec(p)).find(Boolean);
+    fields = {
+      ligne: parts[0] ?? "",
+      code_postal: cpVille?.[1] ?? "",
+      ville: cpVille?.[2] ?? "",
+      pays: parts.length > 2 ? parts[parts.length - 1] : "",
+    };
+  }
+  const country = countryByName(fields.pays || "France");
+  return {
+    nom,
+    ligne: String(fields.ligne),
+    code_postal: String(fields.code_postal),
+    ville: String(fields.ville),
+    pays: country?.name ?? String(fields.pays),
+    country_code: country?.code ?? "",
+  };
+}
+
+/**
+ * Valide une adresse de livraison, champ par champ.
+ * @param {DeliveryAddress} address
+ * @returns {Partial<Record<keyof DeliveryAddress, string>>} {} si l'adresse est complète.
+ */
+export function validateAddress(address) {
+  const errors = {};
+  if (!address?.nom?.trim()) errors.nom = "Destinataire requis.";
+  if (!address?.ligne?.trim()) errors.ligne = "Adresse requise.";
+  if (!address?.ville?.trim()) errors.ville = "Ville requise.";
+  const cp = address?.code_postal?.trim() ?? "";
+  if (!cp) errors.code_postal = "Code postal requis.";
+  else if (address.country_code === "FR" && !/^\d{5}$/.test(cp)) errors.code_postal = "5 chiffres attendus.";
+  if (!DELIVERY_COUNTRIES.some((c) => c.code === address?.country_code)) {
+    errors.country_code = "Pays non desservi.";
+  }
+  return errors;
+}
+
+/** Adresse sur une ligne ("Jean Dupont, 12 rue de Paris, 75001 Paris, France"). */
+export const formatAddress = (a) =>
+  [a?.nom, a?.ligne, [a?.code_postal, a?.ville].filter(Boolean).join(" "), a?.pays].filter(Boolean).join(", ");
+
+/**
+ * @param {number|string|null} userId
+ * @param {string} idempotencyKey
+ * @returns {CheckoutState}
+ */
+export const emptyCheckout = (userId, idempotencyKey) => ({
+  userId,
+  addressMode: "registered",
+  address: emptyAddress(),
+  shippingMethod: DEFAULT_SHIPPING_METHOD,
+  completed: [],
+  idempotencyKey,
+  signature: null,
+  payment: null,
+  order: null,
+});
+
+/**
+ * Signature du panier à payer : lignes (produit, quantité, prix), mode de livraison, code promo et
+ * total. Deux paniers de même signature donnent la même commande.
+ *
+ * @param {import("../lib/pricing").PricingBreakdown} pricing
+ * @returns {string}
+ */
+export const checkoutSignature = (pricing) =>
+  JSON.stringify([
+    pricing.lines.map((l) => [l.id, l.qty, l.unitCents]),
+    pricing.shippingMethod,
+    pricing.discount?.code ?? null,
+    pricing.totalCents,
+  ]);
+
+/**
+ * Valide un état lu dans sessionStorage (format inattendu → null, état réinitialisé).
+ * @param {unknown} value
+ * @returns {CheckoutState|null}
+ */
+export function parseCheckout(value) {
+  if (!value || typeof value !== "object" || !value.address || typeof value.idempotencyKey !== "string") {
+    return null;
+  }
+  return {
+    ...emptyCheckout(value.userId ?? null, value.idempotencyKey),
+    ...value,
+    address: { ...emptyAddress(), ...value.address },
+    completed: Array.isArray(value.completed) ? value.completed : [],
+  };
+}
+
+/**
+ * Première étape incomplète : les étapes suivantes ne sont pas accessibles.
+ *
+ * @param {CheckoutState} state
+ * @param {{ hasItems: boolean }} context
+ * @returns {string} Identifiant d'étape.
+ */
+export function firstIncompleteStep(state, { hasItems }) {
+  if (state.order) return "confirmation";
+  if (!hasItems || !state.completed.includes("recapitulatif")) return "recapitulatif";
+  if (!state.completed.includes("adresse") || Object.keys(validateAddress(state.address)).length) return "adresse";
+  if (!state.completed.includes("livraison")) return "livraison";
+  return "paiement";
+}
+
+/**
+ * Étape accessible : avant (ou égale à) la première étape incomplète. Une fois la commande
+ * passée, seule la confirmation l'est.
+ *
+ * @param {string} step
+ * @param {string} firstIncomplete - Résultat de `firstIncompleteStep`.
+ */
+export function isStepReachable(step, firstIncomplete) {
+  if (firstIncomplete === "confirmation") return step === "confirmation";
+  const index = CHECKOUT_STEPS.findIndex((s) => s.id === step);
+  return index >= 0 && index <= CHECKOUT_STEPS.findIndex((s) => s.id === firstIncomplete);
+}
@@ -0,0 +1,67 @@
+/**
+ * @file src/models/discount.js
+ * @description
+ * Modèle "Code promo" renvoyé par `discount.php`.
+ *
+ * Types de remise
+ * - `percent`       : pourcentage des articles éligibles (ex: 10 → -10 %).
+ * - `fixed`         : montant TTC déduit des articles éligibles (plafonné à leur montant).
+ * - `free_shipping` : frais de port offerts (colis des vendeurs éligibles).
+ *
+ * Conditions
+ * - `minBasketCents` : montant TTC minimum des articles éligibles.
+ * - `startsAt` / `endsAt` : période de validité (bornes incluses, null = sans limite).
+ * - `sellerId` : code propre à un vendeur (seuls ses articles / son colis sont remisés).
+ * - `singleUse` : une seule utilisation par client, contrôlée par le back (à la validation
+ *   du code puis à la création de la commande).
+ *
+ * Les conditions dépendant du panier (minimum, vendeur, dates) sont évaluées par
+ * `lib/pricing` à chaque calcul : un code accepté peut cesser de s'appliquer si le panier change.
+ *
+ * @typedef {object} Discount
+ * @property {string} code
+ * @property {"percent"|"fixed"|"free_shipping"} type
+ * @property {number} percent        - Pourcentage (type `percent`), 0 sinon.
+ * @property {number} amountCents    - Montant TTC (type `fixed`), 0 sinon.
+ * @property {number} minBasketCents - 0 si aucun minimum.
+ * @property {number|null} sellerId
+ * @property {string|null} startsAt  - Date ISO.
+ * @property {string|null} endsAt    - Date ISO.
+ * @property {boolean} singleUse
+ * @property {string|null} label     - Libellé commercial optionnel.
+ */
+
+import { eurosToCents } from "../lib/money";
+
+export const DISCOUNT_TYPES = ["percent", "fixed", "free_shipping"];
+
+/** Normalise la saisie utilisateur ("  bienvenue10 " → "BIENVENUE10"). */
+export const normalizeCode = (code) => String(code ?? "").trim().toUpperCase();
+
+// Dates MySQL ("2024-12-31 23:59:59") → ISO, sans décalage de fuseau.
+const toIso = (v) => (v ? String(v).replace(" ", "T") : null);
+
+/**
+ * Convertit la réponse brute de `discount.php` en Discount.
+ * Montants du back en euros (`value`, `min_basket`), comme le reste de l'API.
+ *
+ * @param {Record<string, any>} raw
+ * @returns {Discount}
+ */
+export function fromApi(raw = {}) {
+  const type = DISCOUNT_TYPES.includes(raw.type) ? raw.type : "percent";
+  const value = raw.value ?? raw.valeur ?? 0;
+  const seller = raw.seller_id ?? raw.id_seller ?? null;
+  return {
+    code: normalizeCode(raw.code),
+    type,
+    percent: type === "percent" ? Math.min(100, Math.max(0, Number(value) || 0)) : 0,
+    amountCents: type === "fixed" ? eurosToCents(value) : 0,
+    minBasketCents: eurosToCents(raw.min_basket ?? raw.minimum ?? 0),
+    sellerId: seller != null && seller !== "" ? Number(seller) : null,
+    startsAt: toIso(raw.starts_at ?? raw.date_debut),
+    endsAt: toIso(raw.ends_at ?? raw.date_fin),
+    singleUse: [true, 1, "1", "true"].includes(raw.single_use ?? raw.usage_unique),
+    label: raw.label ?? null,
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * @file src/models/order.js
+ * @description
+ * Modèle "Commande" renvoyé par `GET order.php?id=…` (confirmation, détail, factures) et résumé
+ * d'une commande de l'historique (`GET order.php`, pages "Mes commandes" et "Commandes à traiter").
+ *
+ * Le back fige chaque ligne au moment de la vente (libellé, vendeur, taux de TVA, montants HT / TVA / TTC
+ * après remise) : la commande se relit telle qu'elle a été payée, même si le catalogue a changé depuis.
+ * Montants du back en euros, convertis ici en centimes (lib/money).
+ *
+ * Sous-commandes
+ * - Une par vendeur (`subOrders`) : articles, colis, total et statut propres ; le client a payé une
+ *   seule fois la somme. Le statut de la commande se déduit du leur (lib/orderStatus `aggregateStatus`).
+ * - Vue par un vendeur (détail, "Commandes à traiter"), la commande se réduit à sa sous-commande.
+ *
+ * Factures
+ * - Une facture par vendeur (`invoices`), numérotée par le back sans rupture de séquence.
+ * - Chaque facture reprend les lignes du vendeur et les frais de port de son colis.
+ *
+ * @typedef {object} OrderLine
+ * @property {number|null} productId
+ * @property {string} name
+ * @property {number|null} sellerId
+ * @property {number} qty
+ * @property {number} unitCents     - Prix unitaire tel que saisi (HT ou TTC selon `taxIncluded`).
+ * @property {number} vatRate
+ * @property {boolean} taxIncluded
+ * @property {number} discountCents - Remise TTC imputée à la ligne.
+ * @property {number} netCents      - Total ligne HT, après remise.
+ * @property {number} taxCents
+ * @property {number} grossCents    - Total ligne TTC, après remise.
+ *
+ * @typedef {object} Party
+ * @property {number|null} id
+ * @property {string} name
+ * @property {string|null} email
+ * @property {string} address       - Adresse sur une ligne (vide si inconnue).
+ * @property {string|null} siret
+ * @property {string|null} vatNumber - N° de TVA intracommunautaire.
+ *
+ * @typedef {object} Invoice
+ * @property {string} number
+ * @property {string|null} date     - Date ISO d'émission.
+ * @property {number|null} sellerId
+ * @property {Party|null} seller
+ * @property {OrderLine[]} lines
+ * @property {number} shippingCents - Frais de port TTC du colis.
+ * @property {VatRow[]} vat
+ * @property {number} netCents
+ * @property {number} taxCents
+ * @property {number} totalCents
+ *
+ * @typedef {{ rate: number, baseCents: number, taxCents: number }} VatRow
+ *
+ * @typedef {{ status: string, date: string|null }} StatusChange
+ *
+ * @typedef {{ provider: string|null, reference: string }} Payment - Fournisseur et référence (intention) du paiement.
+ *
+ * @typedef {object} SubOrder
+ * @property {number|null} sellerId
+ * @property {string|null} sellerName
+ * @property {string} status
+ * @property {StatusChange[]} history
+ * @property {string|null} returnReason
+ * @property {number} subtotalCents - Articles TTC, après remise.
+ * @property {number} shippingCents - Frais de port TTC du colis.
+ * @property {number} totalCents
+ * @property {number} refundedCents
+ *
+ * @typedef {object} OrderSummary
+ * @property {number} id
+ * @property {string|null} date
+ * @property {string} status
+ * @property {number} totalCents
+ * @property {number} itemCount
+ * @property {string|null} shippingMethod
+ * @property {string|null} customer     - Nom du client (ventes d'un vendeur).
+ * @property {string|null} returnReason
+ * @property {StatusChange[]} history
+ * @property {import("./shipment").Shipment[]} shipments - Colis déjà partis (ventes d'un vendeur : les siens).
+ *
+ * @typedef {object} Order
+ * @property {number} id
+ * @property {string|null} date     - Date ISO.
+ * @property {string} status
+ * @property {StatusChange[]} history - Changements de statut, du plus ancien au plus récent
+ *   (cycle de vie : lib/orderStatus).
+ * @property {string|null} returnReason - Motif de la demande de retour.
+ * @property {number} refundedCents - Montant remboursé au client (annulation, retour).
+ * @property {Payment|null} payment - Paiement par carte (lib/payments), null s'il n'est pas référencé.
+ * @property {string|null} shippingMethod
+ * @property {import("./checkout").DeliveryAddress|null} address
+ * @property {Party|null} buyer
+ * @property {OrderLine[]} lines
+ * @property {SubOrder[]} subOrders - Une par vendeur.
+ * @property {import("./shipment").Shipment[]} shipments - Colis expédiés, tous vendeurs (models/shipment).
+ * @property {Invoice[]} invoices
+ * @property {VatRow[]} vat         - TVA par taux (port inclus).
+ * @property {string|null} discountCode
+ * @property {number} discountCents - Remise totale TTC (articles + livraison offerte).
+ * @property {number} subtotalCents - Articles TTC, après remise.
+ * @property {number} shippingCents
+ * @property {number} netCents      - Total HT.
+ * @property {number} taxCents
+ * @property {number} totalCents    - Total TTC payé (celui du back).
+ */
+
+import { eurosToCents } from "../lib/money";
+import { SHIPPING_VAT_RATE, splitTax } from "../lib/pricing";
+import { addressFromUser, formatAddress } from "./checkout";
+import { shipmentFromApi } from "./shipment";
+
+// Dates MySQL ("2024-12-31 23:59:59") → ISO, sans décalage de fuseau.
+const toIso = (v) => (v ? String(v).replace(" ", "T") : null);
+
+const toId = (v) => (v != null && v !== "" ? Number(v) : null);
+
+// Adresse du back : objet (adresse de livraison saisie) ou chaîne libre (profil des anciens comptes).
+const toAddress = (raw) =>
+  typeof raw === "object" && raw ? raw : addressFromUser({ adresse: raw });
+
+/** @returns {StatusChange[]} du plus ancien au plus récent */
+const historyFromApi = (rows = []) =>
+  rows
+    .map((h) => ({ status: h.statut ?? h.status ?? "", date: toIso(h.date) }))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+/** @returns {OrderLine} */
+function lineFromApi(raw = {}) {
+  return {
+    productId: toId(raw.product_id ?? raw.id_product),
+    name: raw.name ?? raw.nom ?? "Article",
+    sellerId: toId(raw.seller_id ?? raw.id_seller),
+    qty: Number(raw.quantite ?? raw.qty) || 0,
+    unitCents: eurosToCents(raw.prix ?? raw.price ?? 0),
+    vatRate: Number(raw.vat_rate ?? 20),
+    taxIncluded: [true, 1, "1", "true"].includes(raw.tax_included),
+    discountCents: eurosToCents(raw.remise ?? 0),
+    netCents: eurosToCents(raw.total_ht ?? 0),
+    taxCents: eurosToCents(raw.tva ?? 0),
+    grossCents: eurosToCents(raw.total_ttc ?? 0),
+  };
+}
+
+/** @returns {Party|null} */
+function partyFromApi(raw) {
+  if (!raw) return null;
+  return {
+    id: toId(raw.id),
+    name: [raw.prenom, raw.nom].filter(Boolean).join(" ") || raw.raison_sociale || "",
+    email: raw.mail ?? raw.email ?? null,
+    address: formatAddress(toAddress(raw.adresse)),
+    siret: raw.siret ?? null,
+    vatNumber: raw.tva_intra ?? null,
+  };
+}
+
+/**
+ * Ventile des lignes (et des frais de port TTC) par taux de TVA, triés par taux croissant.
+ * @param {OrderLine[]} lines
+ * @param {number} [shippingCents]
+ * @returns {VatRow[]}
+ */
+export function vatBreakdown(lines, shippingCents = 0) {
+  const rows = new Map();
+  const add = (rate, baseCents, taxCents) => {
+    const row = rows.get(rate) ?? { rate, baseCents: 0, taxCents: 0 };
+    row.baseCents += baseCents;
+    row.taxCents += taxCents;
+    rows.set(rate, row);
+  };
+  lines.forEach((l) => add(l.vatRate, l.netCents, l.taxCents));
+  if (shippingCents) {
+    const s = splitTax(shippingCents, SHIPPING_VAT_RATE, true);
+    add(SHIPPING_VAT_RATE, s.netCents, s.taxCents);
+  }
+  return Array.from(rows.values()).sort((a, b) => a.rate - b.rate);
+}
+
+const sum = (rows, key) => rows.reduce((acc, r) => acc + r[key], 0);
+
+/** @returns {SubOrder} */
+function subOrderFromApi(raw = {}) {
+  return {
+    sellerId: toId(raw.seller_id),
+    sellerName: raw.vendeur ?? null,
+    status: raw.statut ?? "",
+    history: historyFromApi(raw.historique),
+    returnReason: raw.motif_retour ?? null,
+    subtotalCents: eurosToCents(raw.sous_total ?? 0),
+    shippingCents: eurosToCents(raw.frais_port ?? 0),
+    totalCents: eurosToCents(raw.total ?? 0),
+    refundedCents: eurosToCents(raw.rembourse ?? 0),
+  };
+}
+
+/**
+ * Convertit la réponse brute de `order.php?id=…` en Order.
+ * @param {Record<string, any>} raw - Objet `order` de la réponse.
+ * @returns {Order}
+ */
+export function fromApi(raw = {}) {
+  const lines = (raw.lines ?? []).map(lineFromApi);
+  const shippingCents = eurosToCents(raw.frais_port ?? 0);
+  const vat = vatBreakdown(lines, shippingCents);
+  const netCents = sum(vat, "baseCents");
+  const taxCents = sum(vat, "taxCents");
+
+  const invoices = (raw.factures ?? []).map((f) => {
+    const sellerId = toId(f.seller_id);
+    const own = lines.filter((l) => l.sellerId === sellerId);
+    const shipping = eurosToCents(f.frais_port ?? 0);
+    const rows = vatBreakdown(own, shipping);
+    return {
+      number: String(f.numero),
+      date: toIso(f.date),
+      sellerId,
+      seller: partyFromApi(f.vendeur),
+      lines: own,
+      shippingCents: shipping,
+      vat: rows,
+      netCents: sum(rows, "baseCents"),
+      taxCents: sum(rows, "taxCents"),
+      totalCents: sum(rows, "baseCents") + sum(rows, "taxCents"),
+    };
+  });
+
+  return {
+    id: Number(raw.Id_commande ?? raw.id),
+    date: toIso(raw.date),
+    status: raw.statut ?? raw.status ?? "",
+    history: historyFromApi(raw.historique),
+    returnReason: raw.motif_retour ?? null,
+    refundedCents: eurosToCents(raw.rembourse ?? 0),
+    payment: raw.paiement_ref ? { provider: raw.paiement_fournisseur ?? null, reference: String(raw.paiement_ref) } : null,
+    shippingMethod: raw.mode_livraison ?? null,
+    address: toAddress(raw.adresse_livraison),
+    buyer: partyFromApi(raw.client),
+    lines,
+    subOrders: (raw.sous_commandes ?? []).map(subOrderFromApi),
+    shipments: (raw.expeditions ?? []).map(shipmentFromApi),
+    invoices,
+    vat,
+    discountCode: raw.code_promo ?? null,
+    discountCents: eurosToCents(raw.remise ?? 0),
+    subtotalCents: sum(lines, "grossCents"),
+    shippingCents,
+    netCents,
+    taxCents,
+    totalCents: raw.total != null ? eurosToCents(raw.total) : netCents + taxCents,
+  };
+}
+
+/**
+ * Convertit une commande de l'historique (`order.php` sans id) en OrderSummary.
+ * @param {Record<string, any>} raw
+ * @returns {OrderSummary}
+ */
+export function summaryFromApi(raw = {}) {
+  return {
+    id: Number(raw.Id_commande ?? raw.id),
+    date: toIso(raw.date),
+    status: raw.statut ?? raw.status ?? "",
+    totalCents: eurosToCents(raw.total ?? 0),
+    itemCount: Number(raw.nb_articles ?? 0),
+    shippingMethod: raw.mode_livraison ?? null,
+    customer: raw.client ?? null,
+    returnReason: raw.motif_retour ?? null,
+    history: historyFromApi(raw.historique),
+    shipments: (raw.expeditions ?? []).map(shipmentFromApi),
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * @file src/models/product.js
+ * @description
+ * Modèle canonique "Produit" partagé par toutes les pages (Shop, Catalog, Cart, ProductForm…).
+ *
+ * Rôle
+ * - `fromApi(raw)` : convertit une ligne brute de `products.php` (noms de colonnes variables)
+ *   vers la forme canonique ci-dessous.
+ * - `toApi(product)` : produit le payload attendu par `products.php` (POST / PUT).
+ * - `validateProductFields(raw)` : signale les champs obligatoires manquants et les colonnes inconnues.
+ * - `productRowSchema` : la même règle sous forme de schéma (lib/schema), utilisée par
+ *   `services/schemas.js` : les écarts remontent dans le suivi de contrat d’API (lib/apiContract).
+ *
+ * Règle d’or
+ * - Les alias de colonnes du back ne sont connus QUE dans ce fichier (`FIELD_ALIASES`).
+ *   Si une colonne est renommée côté PHP/MySQL, c’est ici (et seulement ici) qu’il faut l’ajouter.
+ * - Les montants sont stockés en centimes entiers (`priceCents`), voir `lib/money.js`.
+ *
+ * @typedef {object} Product
+ * @property {string|number|null} id   - Identifiant produit (PK `products`).
+ * @property {number|null} sellerId    - Vendeur propriétaire (FK users.id).
+ * @property {string|null} sellerName  - Nom de la boutique du vendeur, si l'API le joint.
+ * @property {Record<string, { baseCents: number, freeAboveCents: number|null }>|null} sellerShipping
+ *   - Tarifs de livraison du vendeur par zone (lib/pricing), si l'API les joint ; null : tarifs par défaut.
+ * @property {string} name
+ * @property {string} description
+ * @property {number} priceCents       - Prix unitaire en centimes.
+ * @property {number} vatRate          - Taux de TVA en % (20, 10, 5.5 ou 2.1, voir lib/pricing).
+ * @property {boolean} taxIncluded     - `priceCents` est TTC (true) ou HT (false, défaut).
+ * @property {string} currency         - Code ISO 4217 (défaut "EUR").
+ * @property {number} stock            - Quantité disponible (>= 0).
+ * @property {string|null} imageUrl   - Image principale (vignette du catalogue).
+ * @property {string[]} images         - Galerie de la fiche produit (image principale en tête, sans doublon).
+ * @property {number|null} categoryId  - Catégorie (models/category), null si non classé.
+ * @property {string[]} tags           - Étiquettes libres du vendeur (minuscules, sans doublon).
+ * @property {number|null} rating      - Note moyenne des avis (0 à 5), null sans avis.
+ * @property {number} ratingCount      - Nombre d'avis.
+ * @property {string|null} status      - Statut éditorial fourni par l’API (ex: "Brouillon").
+ * @property {string|null} reference   - Référence vendeur (optionnelle).
+ * @property {string|null} createdAt   - Date de création (ISO) si fournie.
+ */
+
+import { centsToEuros, eurosToCents } from "../lib/money";
+import { normalizeVatRate } from "../lib/pricing";
+import { s } from "../lib/schema";
+
+/**
+ * Alias connus pour chaque champ canonique, par ordre de priorité.
+ * `priceCents` a deux familles : colonnes en centimes puis colonnes en euros.
+ */
+const FIELD_ALIASES = {
+  id: ["id", "Id", "id_produit", "Id_produit", "id_product"],
+  sellerId: ["id_seller", "Id_seller", "id_user", "seller_id", "user_id"],
+  sellerName: ["seller_name", "nom_vendeur", "vendeur"],
+  sellerShipping: ["seller_shipping", "livraison_vendeur"],
+  name: ["name", "nom", "title"],
+  description: ["description", "desc"],
+  priceCents: ["price_cents", "prix_cents"],
+  priceEuros: ["price", "prix"],
+  currency: ["currency", "devise"],
+  vatRate: ["vat_rate", "taux_tva", "tva"],
+  taxIncluded: ["tax_included", "prix_ttc", "ttc"],
+  stock: ["stock", "quantity", "quantite"],
+  imageUrl: ["image_url", "image", "url_image"],
+  images: ["images", "galerie", "image_urls"],
+  categoryId: ["category_id", "id_categorie", "categorie_id"],
+  tags: ["tags", "mots_cles"],
+  rating: ["rating", "note", "note_moyenne"],
+  ratingCount: ["rating_count", "nb_avis"],
+  status: ["status", "statut"],
+  reference: ["reference", "ref"],
+  createdAt: ["created_at", "date_creation", "date_ajout", "createdAt"],
+};
+
+// Champs sans lesquels un produit n’est pas exploitable par l’UI.
+const REQUIRED_FIELDS = ["id", "name", "price"];
+
+// Colonnes brutes connues (toutes familles confondues) → détection des colonnes inattendues.
+const KNOWN_KEYS = new Set(Object.values(FIELD_ALIASES).flat());
+
+// Galerie : tableau d’URLs, ou chaîne séparée par des virgules (GROUP_CONCAT côté MySQL).
+function toImageList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return list.map((u) => String(u ?? "").trim()).filter(Boolean);
+}
+
+/**
+ * Étiquettes normalisées : tableau ou chaîne séparée par des virgules, en minuscules,
+ * sans espace superflu ni doublon (ordre de saisie conservé).
+ *
+ * @param {string[]|string|null|undefined} value
+ * @returns {string[]}
+ */
+export function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return [...new Set(list.map((t) => String(t ?? "").trim().replace(/\s+/g, " ").toLowerCase()).filter(Boolean))];
+}
+
+// Tarifs du vendeur par zone, en euros (`{ FR: { base, free_above } }`) → centimes ; null si absents.
+function shippingRatesFromApi(value) {
+  if (!value || typeof value !== "object") return null;
+  const rates = {};
+  for (const [zone, r] of Object.entries(value)) {
+    if (r?.base == null) continue;
+    rates[zone] = {
+      baseCents: eurosToCents(r.base),
+      freeAboveCents: r.free_above != null ? eurosToCents(r.free_above) : null,
+    };
+  }
+  return Object.keys(rates).length ? rates : null;
+}
+
+// Premier alias présent (non null/undefined) dans la ligne brute.
+function pick(raw, aliases) {
+  for (const k of aliases) {
+    if (raw[k] !== undefined && raw[k] !== null) return raw[k];
+  }
+  return undefined;
+}
+
+/**
+ * Vérifie une ligne brute de l’API.
+ *
+ * @param {Record<string, any>} raw
+ * @returns {{ missing: string[], unknown: string[] }}
+ *   - missing : champs canoniques obligatoires introuvables (id, name, price)
+ *   - unknown : colonnes présentes dans la réponse mais inconnues du modèle
+ */
+export function validateProductFields(raw) {
+  if (!raw || typeof raw !== "object") return { missing: [...REQUIRED_FIELDS], unknown: [] };
+
+  const missing = [];
+  if (pick(raw, FIELD_ALIASES.id) === undefined) missing.push("id");
+  if (pick(raw, FIELD_ALIASES.name) === undefined) missing.push("name");
+  if (
+    pick(raw, FIELD_ALIASES.priceCents) === undefined &&
+    pick(raw, FIELD_ALIASES.priceEuros) === undefined
+  ) {
+    missing.push("price");
+  }
+
+  const unknown = Object.keys(raw).filter((k) => !KNOWN_KEYS.has(k));
+  return { missing, unknown };
+}
+
+/**
+ * Schéma d’une ligne produit brute (alias acceptés, colonnes inconnues signalées).
+ * Les écarts sont rapportés par `apiFetch` (option `schema`), pas par `fromApi`.
+ */
+export const productRowSchema = s.custom("Product", (raw) => {
+  if (!raw || typeof raw !== "object") return [{ expected: "Product", received: typeof raw }];
+  const { missing, unknown } = validateProductFields(raw);
+  return [
+    ...missing.map((key) => ({ key, expected: "champ obligatoire" })),
+    ...unknown.map((key) => ({ key, expected: "colonne connue du modèle", received: "colonne inconnue" })),
+  ];
+});
+
+/**
+ * Convertit une ligne brute de `products.php` en Product canonique.
+ *
+ * @param {Record<string, any>} raw
+ * @returns {Product}
+ */
+export function fromApi(raw = {}) {
+  const cents = pick(raw, FIELD_ALIASES.priceCents);
+  const seller = pick(raw, FIELD_ALIASES.sellerId);
+  const stock = Number(pick(raw, FIELD_ALIASES.stock) ?? 0);
+  const imageUrl = pick(raw, FIELD_ALIASES.imageUrl) || null;
+  const category = pick(raw, FIELD_ALIASES.categoryId);
+  const rating = Number(pick(raw, FIELD_ALIASES.rating));
+
+  return {
+    id: pick(raw, FIELD_ALIASES.id) ?? null,
+    sellerId: seller != null && seller !== "" ? Number(seller) : null,
+    sellerName: pick(raw, FIELD_ALIASES.sellerName) || null,
+    sellerShipping: shippingRatesFromApi(pick(raw, FIELD_ALIASES.sellerShipping)),
+    name: String(pick(raw, FIELD_ALIASES.name) ?? "Produit"),
+    description: String(pick(raw, FIELD_ALIASES.description) ?? ""),
+    priceCents:
+      cents !== undefined
+        ? Math.round(Number(cents) || 0)
+        : eurosToCents(pick(raw, FIELD_ALIASES.priceEuros)),
+    currency: String(pick(raw, FIELD_ALIASES.currency) ?? "EUR"),
+    vatRate: normalizeVatRate(pick(raw, FIELD_ALIASES.vatRate)),
+    // MySQL renvoie les booléens en 0/1 (ou "0"/"1").
+    taxIncluded: [true, 1, "1", "true"].includes(pick(raw, FIELD_ALIASES.taxIncluded)),
+    stock: Number.isFinite(stock) ? Math.max(0, stock) : 0,
+    imageUrl,
+    images: [...new Set([imageUrl, ...toImageList(pick(raw, FIELD_ALIASES.images))].filter(Boolean))],
+    categoryId: category != null && category !== "" ? Number(category) : null,
+    tags: normalizeTags(pick(raw, FIELD_ALIASES.tags)),
+    rating: Number.isFinite(rating) && rating > 0 ? Math.min(5, rating) : null,
+    ratingCount: Math.max(0, Number(pick(raw, FIELD_ALIASES.ratingCount)) || 0),
+    status: pick(raw, FIELD_ALIASES.status) ?? null,
+    reference: pick(raw, FIELD_ALIASES.reference) ?? null,
+    createdAt: pick(raw, FIELD_ALIASES.createdAt) ?? null,
+  };
+}
+
+/**
+ * Convertit une réponse liste de `products.php` (tableau ou wrapper `{ items | data }`).
+ *
+ * @param {any} data
+ * @returns {Product[]}
+ */
+export function fromApiList(data) {
+  const arr = Array.isArray(data) ? data : data?.items || data?.data || [];
+  return arr.map(fromApi);
+}
+
+/**
+ * Construit le payload d’écriture attendu par `products.php` (POST / PUT).
+ *
+ * Contrat actuel du back : prix en euros (`price`), vendeur dans `id_seller`,
+ * TVA dans `vat_rate` (%) et `tax_included` (0/1), catégorie dans `category_id` (null : non classé),
+ * étiquettes dans `tags` (tableau).
+ *
+ * @param {Partial<Product>} product
+ * @returns {Record<string, any>}
+ */
+export function toApi(product) {
+  return {
+    name: (product.name || "").trim(),
+    description: (product.description || "").trim(),
+    price: centsToEuros(product.priceCents),
+    vat_rate: normalizeVatRate(product.vatRate),
+    tax_included: product.taxIncluded ? 1 : 0,
+    stock: Math.max(0, Number(product.stock) || 0),
+    image_url: product.imageUrl?.trim() || null,
+    category_id: product.categoryId ?? null,
+    tags: normalizeTags(product.tags),
+    id_seller: product.sellerId,
+  };
+}
+
+/**
+ * Un produit est "en ligne" s’il reste du stock.
+ * @param {Product} product
+ */
+export function isInStock(product) {
+  return Number(product?.stock) > 0;
+}
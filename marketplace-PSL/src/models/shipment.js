@@ -0,0 +1,107 @@
+/**
+ * @file src/models/shipment.js
+ * @description
+ * Modèle "Colis" : expéditions d'une commande par ses vendeurs (page "Commandes à traiter"),
+ * suivies par le client dans le détail de sa commande.
+ *
+ * Expéditions partielles
+ * - Chaque vendeur expédie ses propres articles, en un ou plusieurs colis (transporteur + numéro de suivi).
+ * - Un colis reprend tout ou partie des quantités restant à expédier.
+ * - La commande passe à "expédiée" (lib/orderStatus) quand tous ses articles, tous vendeurs
+ *   confondus, sont partis : c'est le back qui pose ce statut.
+ *
+ * @typedef {{ productId: number|null, qty: number }} ShipmentLine
+ *
+ * @typedef {object} Shipment
+ * @property {number} id
+ * @property {number|null} sellerId
+ * @property {string|null} date           - Date ISO d'expédition.
+ * @property {string} carrier             - Clé de `CARRIERS`.
+ * @property {string} trackingNumber
+ * @property {ShipmentLine[]} lines
+ *
+ * @typedef {import("./order").OrderLine & { shippedQty: number, remainingQty: number }} LineToShip
+ */
+
+/** Transporteurs proposés : libellé + page de suivi (numéro ajouté à la fin). */
+export const CARRIERS = {
+  colissimo: { label: "Colissimo", trackingUrl: "https://www.laposte.fr/outils/suivre-vos-envois?code=" },
+  chronopost: { label: "Chronopost", trackingUrl: "https://www.chronopost.fr/tracking-no-cms/suivi-page?listeNumerosLT=" },
+  mondial_relay: { label: "Mondial Relay", trackingUrl: "https://www.mondialrelay.fr/suivi-de-colis/?NumeroExpedition=" },
+  dpd: { label: "DPD", trackingUrl: "https://trace.dpd.fr/fr/trace/" },
+  ups: { label: "UPS", trackingUrl: "https://www.ups.com/track?tracknum=" },
+};
+
+/** Libellé d'un transporteur ; une clé inconnue s'affiche telle quelle. */
+export const carrierLabel = (carrier) => CARRIERS[carrier]?.label ?? String(carrier ?? "");
+
+/** Lien de suivi d'un colis (null si le transporteur est inconnu). */
+export function trackingUrl(shipment) {
+  const carrier = CARRIERS[shipment?.carrier];
+  return carrier && shipment.trackingNumber ? carrier.trackingUrl + encodeURIComponent(shipment.trackingNumber) : null;
+}
+
+const toIso = (v) => (v ? String(v).replace(" ", "T") : null);
+
+const toId = (v) => (v != null && v !== "" ? Number(v) : null);
+
+/**
+ * Convertit une expédition du back (`expeditions` de order.php) en Shipment.
+ * @param {Record<string, any>} raw
+ * @returns {Shipment}
+ */
+export function shipmentFromApi(raw = {}) {
+  return {
+    id: Number(raw.id),
+    sellerId: toId(raw.seller_id),
+    date: toIso(raw.date),
+    carrier: raw.transporteur ?? "",
+    trackingNumber: raw.numero_suivi ?? "",
+    lines: (raw.lignes ?? []).map((l) => ({ productId: toId(l.product_id), qty: Number(l.quantite) || 0 })),
+  };
+}
+
+/**
+ * Articles d'un vendeur avec les quantités déjà expédiées et restant à expédier.
+ *
+ * @param {{ lines: import("./order").OrderLine[], shipments?: Shipment[] }} order
+ * @param {number|null} [sellerId] - Par défaut, tous les vendeurs.
+ * @returns {LineToShip[]}
+ */
+export function linesToShip(order, sellerId = null) {
+  return order.lines
+    .filter((l) => sellerId == null || l.sellerId === sellerId)
+    .map((l) => {
+      const shippedQty = (order.shipments ?? [])
+        .filter((s) => s.sellerId == null || s.sellerId === l.sellerId)
+        .flatMap((s) => s.lines)
+        .filter((sl) => sl.productId === l.productId)
+        .reduce((n, sl) => n + sl.qty, 0);
+      return { ...l, shippedQty, remainingQty: Math.max(0, l.qty - shippedQty) };
+    });
+}
+
+/**
+ * Valide un colis avant envoi (le back revérifie).
+ *
+ * @param {{ carrier: string, trackingNumber: string, lines: ShipmentLine[] }} shipment
+ * @param {LineToShip[]} [available] - Restant à expédier : quantités maximales par article.
+ * @returns {Partial<Record<"carrier"|"trackingNumber"|"lines", string>>} {} si le colis est valide.
+ */
+export function validateShipment({ carrier, trackingNumber, lines }, available = null) {
+  const errors = {};
+  if (!CARRIERS[carrier]) errors.carrier = "Transporteur requis.";
+  const tracking = String(trackingNumber ?? "").trim();
+  if (!tracking) errors.trackingNumber = "Numéro de suivi requis.";
+  else if (!/^[A-Za-z0-9-]{6,40}$/.test(tracking)) errors.trackingNumber = "Lettres et chiffres uniquement (6 à 40).";
+  const items = (lines ?? []).filter((l) => l.qty > 0);
+  if (!items.length) errors.lines = "Sélectionnez au moins un article.";
+  else if (available) {
+    const over = items.find((l) => {
+      const line = available.find((a) => a.productId === l.productId);
+      return !line || !Number.isInteger(l.qty) || l.qty > line.remainingQty;
+    });
+    if (over) errors.lines = "Quantité supérieure au reste à expédier.";
+  }
+  return errors;
+}
@@ -5,24 +5,32 @@
  *
  * Rôle
  * - Affiche les lignes du panier (nom, image, description, prix, quantité).
- * - Calcule les totaux (sous-total, TVA, livraison, total).
+ * - Affiche le détail de prix calculé par `lib/pricing` (HT, TVA par taux, livraison, total TTC) et,
+ *   pour un panier multi-vendeurs, le vendeur de chaque article et le détail par sous-commande.
  * - Permet de modifier les quantités et supprimer des lignes.
  * - Déclenche le passage en paiement via navigation vers `/paywall`.
  *
  * Architecture & contrat
- * - Ce composant supporte 2 modes :
- *   1) "Controlled" : le parent fournit `items` + handlers `onChangeQty`, `onRemoveItem`.
- *   2) "Local" : `items` est initialisé puis manipulé en interne (fallback).
- *   Dans l’état actuel, les actions UI appellent les handlers s’ils existent (mode controlled).
+ * - Les lignes et les actions viennent de `CartContext` (useCart) : panier persisté par
+ *   utilisateur, synchronisé avec le serveur et réconcilié avec le catalogue.
+ * - Les notices de réconciliation (produit retiré, prix modifié) sont affichées en tête de page
+ *   et peuvent être fermées.
+ *
+ * Stock
+ * - Le panier est revalidé auprès du back à l’ouverture de la page et avant le passage au paiement.
+ * - Chaque ligne affiche sa disponibilité ("Plus que 2 en stock", "Plus disponible") ;
+ *   l’incrément s’arrête au stock et la commande est bloquée tant qu’une ligne n’est pas servable.
  *
  * Navigation
  * - Si l’utilisateur n’est pas authentifié (`auth.user.id` absent), redirige vers `/auth`.
- * - Sinon, navigue vers `/paywall` en transmettant `state: { items: lines, total }`.
+ * - Sinon, après revalidation du stock, navigue vers `/paywall` (tunnel de commande, qui relit
+ *   le panier dans CartContext).
  *
  * Notes de calcul
- * - `computeTotals()` normalise `qty` et `price` en nombres.
- * - TVA fixée à 20% (tvaRate = 0.2).
- * - Livraison : offerte au-delà de 100€, sinon 6.90€.
+ * - Les lignes sont des `Product` (models/product) + `qty` : montants en centimes (`priceCents`).
+ * - `computePricing()` (lib/pricing) : TVA par produit, prix HT ou TTC, livraison par vendeur
+ *   selon le pays de l’adresse de l’utilisateur, code promo (CartContext). Le même calcul est
+ *   refait au paiement (PayWall).
  */
 // src/pages/Cart.jsx (MUI version with quantity controls)
 
@@ -43,12 +51,13 @@ import {
   TableHead,
   TableRow,
   Box,
-  Divider,
   Button,
   Stack,
   Avatar,
   IconButton,
   Tooltip,
+  Alert,
+  LinearProgress,
 } from "@mui/material";
 // Icônes MUI
 import AddIcon from "@mui/icons-material/Add";
@@ -56,103 +65,100 @@ import RemoveIcon from "@mui/icons-material/Remove";
 import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
 // Auth : contexte utilisateur (id requis pour checkout)
 import { useAuth } from "../context/AuthContext.jsx";
-// Orders : service API (importé ici mais non utilisé — le paiement est géré via /paywall)
-import { createOrder } from "../services/orders";
-
-/**
- * Formate un montant en euros (locale fr-FR).
- * @param {unknown} v
- * @returns {string}
- */
-function formatEUR(v) {
-  const n = Number(v || 0);
-  return new Intl.NumberFormat("fr-FR", {
-    style: "currency",
-    currency: "EUR",
-  }).format(n);
-}
-
-/**
- * Calcule les lignes normalisées et les montants du panier.
- *
- * @param {Array<any>} items
- * @returns {{ lines: Array<any>, subtotal: number, tva: number, shipping: number, total: number }}
- */
-function computeTotals(items = []) {
-  const lines = items.map((it) => ({
-    ...it,
-    qty: Number(it.qty || 1),
-    price: Number(it.price || 0),
-  }));
-  const subtotal = lines.reduce((acc, it) => acc + it.price * it.qty, 0);
-  const tvaRate = 0.2;
-  const tva = subtotal * tvaRate;
-  const shipping = subtotal > 100 ? 0 : 6.9;
-  const total = subtotal + tva + shipping;
-  return { lines, subtotal, tva, shipping, total };
-}
+// Panier : lignes, actions et notices de réconciliation
+import { useCart } from "../context/useCart";
+// Montants : centimes entiers + formatage fr-FR
+import { formatCents } from "../lib/money";
+// Prix : TVA, livraison et total (moteur partagé avec le paiement)
+import { computePricing, destinationCountry, sellerLabel } from "../lib/pricing";
+import { PriceSummary } from "../components/PriceSummary.jsx";
+import { PromoCodeField } from "../components/PromoCodeField.jsx";
+// Disponibilité d’une ligne au regard du stock connu
+import { lineAvailability } from "../models/cart";
 
 // Clé stable côté React : priorité à l'id produit, sinon fallback sur le nom.
 // Idéalement, utiliser uniquement un identifiant unique (id) fourni par l’API.
 const keyOf = (it) => it?.id ?? it?.name;
 
 /**
- * Composant Panier.
- *
- * @param {object} props
- * @param {number} [props.cartCount] - (optionnel) compteur panier (souvent affiché dans la navbar).
- * @param {Array<any>} [props.items] - lignes panier (id/name/price/qty/image_url/description...).
- * @param {Function} [props.onCheckout] - (optionnel) callback parent lors du checkout.
- * @param {(key: any, delta: number) => void} [props.onChangeQty] - handler de modification de quantité.
- * @param {(key: any) => void} [props.onRemoveItem] - handler suppression de ligne.
- * @param {() => void} [props.onClear] - (optionnel) vider le panier.
+ * Composant Panier (état lu dans CartContext, aucune prop).
  */
-export function Cart({
-  cartCount = 0,
-  items = [],
-  onCheckout,
-  onChangeQty,
-  onRemoveItem,
-  onClear,
-}) {
+export function Cart() {
   // Router : redirection vers /auth ou /paywall
   const navigate = useNavigate();
   // Auth : l’id utilisateur est requis pour passer commande
   const { auth } = useAuth();
-  // UI state : verrouillage du bouton "Commander" pendant une transition (paiement / création commande)
-  const [saving, setSaving] = useState(false);
+  // Panier : lignes (Product + qty) et actions
+  const {
+    items,
+    changeQty,
+    remove,
+    revalidate,
+    issues,
+    discount,
+    applyPromoCode,
+    removePromoCode,
+    notices,
+    dismissNotice,
+  } = useCart();
+  // Revalidation du stock en cours (ouverture de page / passage au paiement)
+  const [checking, setChecking] = useState(false);
+  // Erreur de checkout (stock insuffisant, catalogue injoignable)
+  const [checkoutError, setCheckoutError] = useState("");
 
-  // Détection mode controlled : si des handlers existent, l’état est piloté par le parent.
-  const isControlled =
-    typeof onChangeQty === "function" || typeof onRemoveItem === "function";
-  // Cache local pour le mode fallback (non contrôlé)
-  const [localItems, setLocalItems] = useState(items);
-  // Synchronisation : en mode local, aligne le cache interne sur les props.
+  // Ouverture de la page : stock et prix relus depuis le back.
   useEffect(() => {
-    setLocalItems(items);
-  }, [items]);
+    let cancelled = false;
+    setChecking(true);
+    revalidate()
+      .catch((e) => console.warn("[Cart] revalidation du stock impossible", e))
+      .finally(() => {
+        if (!cancelled) setChecking(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [revalidate]);
 
-  // Source de vérité courante : items contrôlés (parent) ou items locaux (fallback).
-  const working = isControlled ? items : localItems;
-  // Totaux : lignes normalisées + sous-total/TVA/livraison/total
-  const { lines, subtotal, tva, shipping, total } = computeTotals(working);
-  const totalCount = lines.reduce((acc, it) => acc + Number(it.qty || 1), 0);
+  // Prix : détail HT / TVA / livraison / TTC pour le pays de l’adresse de l’utilisateur
+  const country = destinationCountry(auth?.user?.adresse);
+  const pricing = computePricing(items, { country, discount });
+  const pricedByKey = new Map(pricing.lines.map((l) => [l.key, l]));
+  // Panier multi-vendeurs : une sous-commande par vendeur (détail dans le récapitulatif)
+  const multiSeller = pricing.sellers.length > 1;
 
-  // Checkout : garde-fou auth + navigation vers PayWall avec le panier dans `location.state`.
-  const handlePlaceOrder = () => {
+  // Checkout : garde-fou auth + revalidation du stock + navigation vers PayWall.
+  const handlePlaceOrder = async () => {
     // Si non authentifié : retour au portail d’authentification
     if (!auth?.user?.id) {
       navigate("/auth", { replace: true });
       return;
     }
 
-    // Passage au paiement : on transmet les lignes et le total (source de vérité UI)
-    navigate("/paywall", {
-      state: {
-        items: lines,
-        total,
-      },
-    });
+    setChecking(true);
+    setCheckoutError("");
+    let result;
+    try {
+      result = await revalidate();
+    } catch (e) {
+      console.error("[Cart] revalidation du stock impossible", e);
+      setCheckoutError("Impossible de vérifier la disponibilité des articles. Réessayez dans un instant.");
+      setChecking(false);
+      return;
+    }
+    setChecking(false);
+
+    // Panier modifié (stock, prix, produit retiré) : l’utilisateur doit le revoir avant de payer.
+    // Les lignes non servables sont signalées par `issues` (alerte permanente ci-dessous).
+    if (!result.ok) {
+      if (!result.issues.length) {
+        setCheckoutError("Votre panier a été mis à jour : vérifiez-le avant de passer au paiement.");
+      }
+      return;
+    }
+
+    // Passage au tunnel de commande : PayWall relit le panier revalidé dans CartContext
+    navigate("/paywall");
   };
 
   return (
@@ -161,8 +167,25 @@ export function Cart({
         Votre panier
       </Typography>
 
+      {checking && <LinearProgress sx={{ mb: 2 }} />}
+
+      {/* Notices de réconciliation : produits retirés du catalogue, prix modifiés */}
+      {notices.length > 0 && (
+        <Stack spacing={1} sx={{ mb: 2 }}>
+          {notices.map((n) => (
+            <Alert
+              key={n.id}
+              severity={n.type === "removed" ? "warning" : "info"}
+              onClose={() => dismissNotice(n.id)}
+            >
+              {n.message}
+            </Alert>
+          ))}
+        </Stack>
+      )}
+
       {/* Empty state : panier vide → CTA vers /produits */}
-      {lines.length === 0 ? (
+      {items.length === 0 ? (
         <Paper sx={{ p: 3, borderRadius: 2, textAlign: "center" }}>
           <Typography variant="h6" sx={{ mb: 1 }}>
             Panier vide
@@ -188,97 +211,136 @@ export function Cart({
                       <TableCell>Produit</TableCell>
                       <TableCell align="right">Prix</TableCell>
                       <TableCell align="right">Quantité</TableCell>
-                      <TableCell align="right">Total</TableCell>
+                      <TableCell align="right">Total TTC</TableCell>
                       <TableCell align="right">Actions</TableCell>
                     </TableRow>
                   </TableHead>
                   <TableBody>
                     {/* Lignes du panier : rendu + contrôles de quantité + suppression */}
-                    {lines.map((it) => (
-                      <TableRow key={keyOf(it)} hover>
-                        <TableCell>
-                          <Stack direction="row" spacing={2} alignItems="center">
-                            {it.image_url ? (
-                              <Avatar
-                                variant="rounded"
-                                src={it.image_url}
-                                alt={it.name}
-                                sx={{ width: 56, height: 56 }}
-                              />
-                            ) : (
-                              <Avatar
-                                variant="rounded"
-                                sx={{ width: 56, height: 56 }}
-                              />
-                            )}
-                            <Box>
-                              <Typography fontWeight={600}>{it.name}</Typography>
-                              {it.description && (
-                                <Typography
-                                  variant="body2"
-                                  color="text.secondary"
-                                  noWrap
-                                >
-                                  {it.description}
-                                </Typography>
+                    {items.map((it) => {
+                      const availability = lineAvailability(it);
+                      const priced = pricedByKey.get(String(keyOf(it)));
+                      return (
+                        <TableRow key={keyOf(it)} hover>
+                          <TableCell>
+                            <Stack direction="row" spacing={2} alignItems="center">
+                              {it.imageUrl ? (
+                                <Avatar
+                                  variant="rounded"
+                                  src={it.imageUrl}
+                                  alt={it.name}
+                                  sx={{ width: 56, height: 56 }}
+                                />
+                              ) : (
+                                <Avatar
+                                  variant="rounded"
+                                  sx={{ width: 56, height: 56 }}
+                                />
                               )}
-                            </Box>
-                          </Stack>
-                        </TableCell>
-
-                        <TableCell align="right">{formatEUR(it.price)}</TableCell>
+                              <Box>
+                                <Typography fontWeight={600}>{it.name}</Typography>
+                                {multiSeller && (
+                                  <Typography variant="caption" color="text.secondary" display="block">
+                                    Vendu par {sellerLabel(it)}
+                                  </Typography>
+                                )}
+                                {it.description && (
+                                  <Typography
+                                    variant="body2"
+                                    color="text.secondary"
+                                    noWrap
+                                  >
+                                    {it.description}
+                                  </Typography>
+                                )}
+                                {/* Disponibilité : stock faible (info) ou insuffisant (erreur) */}
+                                {availability.message && (
+                                  <Typography
+                                    variant="caption"
+                                    color={availability.status === "low" ? "warning.main" : "error"}
+                                  >
+                                    {availability.message}
+                                  </Typography>
+                                )}
+                              </Box>
+                            </Stack>
+                          </TableCell>
 
-                        <TableCell align="right">
-                          <Stack
-                            direction="row"
-                            spacing={1}
-                            alignItems="center"
-                            justifyContent="flex-end"
-                          >
-                            {/* Décrément : désactivé si qty <= 1 (évite qty 0) */}
-                            <Tooltip title="Diminuer">
-                              <span>
-                                <IconButton
-                                  size="small"
-                                  onClick={() => onChangeQty?.(keyOf(it), -1)}
-                                  disabled={Number(it.qty || 1) <= 1}
-                                >
-                                  <RemoveIcon fontSize="small" />
-                                </IconButton>
-                              </span>
-                            </Tooltip>
-                            <Typography sx={{ width: 28, textAlign: "center" }}>
-                              {Number(it.qty || 1)}
+                          <TableCell align="right">
+                            {formatCents(it.priceCents)}
+                            <Typography variant="caption" color="text.secondary" display="block">
+                              {it.taxIncluded ? "TTC" : "HT"}
                             </Typography>
-                            {/* Incrément : délègue au handler parent (mode controlled) */}
-                            <Tooltip title="Augmenter">
+                          </TableCell>
+
+                          <TableCell align="right">
+                            <Stack
+                              direction="row"
+                              spacing={1}
+                              alignItems="center"
+                              justifyContent="flex-end"
+                            >
+                              {/* Décrément : désactivé si qty <= 1 (évite qty 0) */}
+                              <Tooltip title="Diminuer">
+                                <span>
+                                  <IconButton
+                                    size="small"
+                                    onClick={() => changeQty(keyOf(it), -1)}
+                                    disabled={Number(it.qty || 1) <= 1}
+                                  >
+                                    <RemoveIcon fontSize="small" />
+                                  </IconButton>
+                                </span>
+                              </Tooltip>
+                              <Typography sx={{ width: 28, textAlign: "center" }}>
+                                {Number(it.qty || 1)}
+                              </Typography>
+                              {/* Incrément : plafonné au stock disponible */}
+                              <Tooltip
+                                title={
+                                  it.qty >= availability.available ? "Stock maximum atteint" : "Augmenter"
+                                }
+                              >
+                                <span>
+                                  <IconButton
+                                    size="small"
+                                    onClick={() => changeQty(keyOf(it), 1)}
+                                    disabled={it.qty >= availability.available}
+                                  >
+                                    <AddIcon fontSize="small" />
+                                  </IconButton>
+                                </span>
+                              </Tooltip>
+                            </Stack>
+                          </TableCell>
+
+                          <TableCell align="right">
+                            {formatCents((priced?.grossCents ?? 0) + (priced?.discountCents ?? 0))}
+                          </TableCell>
+
+                          <TableCell align="right">
+                            {/* Quantité supérieure au stock : ramène la ligne au disponible */}
+                            {availability.status === "insufficient" && (
+                              <Button
+                                size="small"
+                                onClick={() => changeQty(keyOf(it), availability.available - it.qty)}
+                              >
+                                Ajuster
+                              </Button>
+                            )}
+                            {/* Suppression */}
+                            <Tooltip title="Retirer l'article">
                               <IconButton
                                 size="small"
-                                onClick={() => onChangeQty?.(keyOf(it), 1)}
+                                onClick={() => remove(keyOf(it))}
                               >
-                                <AddIcon fontSize="small" />
+                                <DeleteOutlineIcon fontSize="small" />
                               </IconButton>
                             </Tooltip>
-                          </Stack>
-                        </TableCell>
-
-                        <TableCell align="right">
-                          {formatEUR(Number(it.price) * Number(it.qty || 1))}
-                        </TableCell>
-
-                        <TableCell align="right">
-                          {/* Suppression : délègue au handler parent */}
-                          <Tooltip title="Retirer l'article">
-                            <IconButton
-                              size="small"
-                              onClick={() => onRemoveItem?.(keyOf(it))}
-                            >
-                              <DeleteOutlineIcon fontSize="small" />
-                            </IconButton>
-                          </Tooltip>
-                        </TableCell>
-                      </TableRow>
-                    ))}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
                   </TableBody>
                 </Table>
               </TableContainer>
@@ -297,39 +359,39 @@ export function Cart({
                 <Typography variant="h6" fontWeight={700} gutterBottom>
                   Récapitulatif
                 </Typography>
-                {/* Détail des montants : sous-total, TVA, livraison */}
-                <Stack spacing={1.5} divider={<Divider />} sx={{ mb: 2 }}>
-                  <Row
-                    label={`Sous-total (${totalCount} article${totalCount > 1 ? "s" : ""})`}
-                    value={formatEUR(subtotal)}
-                  />
-                  <Row label="TVA (20%)" value={formatEUR(tva)} />
-                  <Row
-                    label="Livraison"
-                    value={shipping === 0 ? "Offerte" : formatEUR(shipping)}
+                {/* Code promo : vérifié par discount.php, conditions évaluées par lib/pricing */}
+                <Box sx={{ mb: 2 }}>
+                  <PromoCodeField
+                    discount={pricing.discount}
+                    onApply={applyPromoCode}
+                    onRemove={removePromoCode}
                   />
-                </Stack>
-                <Box
-                  sx={{
-                    display: "flex",
-                    alignItems: "center",
-                    justifyContent: "space-between",
-                    mb: 2,
-                  }}
-                >
-                  <Typography fontWeight={700}>Total</Typography>
-                  <Typography fontWeight={800}>{formatEUR(total)}</Typography>
                 </Box>
-                {/* Action principale : navigation vers PayWall */}
+                {/* Détail des montants : sous-total, remise, livraison, TTC, TVA (lib/pricing) */}
+                <Box sx={{ mb: 2 }}>
+                  <PriceSummary pricing={pricing} />
+                </Box>
+                {/* Commande bloquée : lignes épuisées ou quantité supérieure au stock */}
+                {issues.length > 0 && (
+                  <Alert severity="error" sx={{ mb: 2 }}>
+                    Certains articles ne sont plus disponibles dans la quantité demandée : ajustez votre panier.
+                  </Alert>
+                )}
+                {checkoutError && (
+                  <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setCheckoutError("")}>
+                    {checkoutError}
+                  </Alert>
+                )}
+                {/* Action principale : revalidation du stock puis navigation vers PayWall */}
                 <Button
                   variant="contained"
                   color="primary"
                   fullWidth
                   size="large"
-                  disabled={saving}
+                  disabled={checking || issues.length > 0}
                   onClick={handlePlaceOrder}
                 >
-                  {saving ? "Traitement..." : "Commander"}
+                  {checking ? "Vérification du stock..." : "Commander"}
                 </Button>
                 <Button
                   component={RouterLink}
@@ -347,22 +409,3 @@ export function Cart({
     </Container>
   );
 }
-
-/**
- * Ligne récapitulatif (libellé / valeur) utilisée dans le bloc "Récapitulatif".
- * @param {{ label: string, value: any }} props
- */
-function Row({ label, value }) {
-  return (
-    <Box
-      sx={{
-        display: "flex",
-        alignItems: "center",
-        justifyContent: "space-between",
-      }}
-    >
-      <Typography color="text.secondary">{label}</Typography>
-      <Typography>{value}</Typography>
-    </Box>
-  );
-}
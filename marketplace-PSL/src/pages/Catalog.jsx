@@ -6,15 +6,17 @@
  * Fonctionnalités
  * - Chargement des produits via `listProducts()` (API `products.php`).
  * - Filtrage côté front :
- *   - par vendeur (id_user / id_seller / seller_id / user_id) == user connecté.
- *   - recherche texte (id, name, reference/ref).
+ *   - par vendeur (`sellerId` du modèle Product) == user connecté.
+ *   - recherche texte (id, name, reference, étiquettes).
+ *   - catégorie (sous-catégories incluses, models/category) et étiquette exacte.
  *   - statut dérivé (stock > 0 => "En ligne", stock <= 0 => "Rupture") + statut API si présent.
  * - Actions :
- *   - Créer / Modifier via `<ProductForm />` (popup) → `onSaved` déclenche un refresh.
- *   - Supprimer via `deleteProduct(id)`.
+ *   - Créer / Modifier via `<ProductForm />` (popup) → la mutation invalide la liste produits.
+ *   - Supprimer via `deleteProduct(id)` (mutation `useMutation`, invalide la liste produits).
  *
  * Notes d’architecture
- * - La source de vérité des produits est l’API ; le state `rows` est un cache UI.
+ * - La source de vérité des produits est l’API ; la liste est servie par le cache de requêtes
+ *   (`useQuery`, même clé que la page Shop) et revalidée après chaque mutation.
  * - Le filtrage vendeur est réalisé côté front ici car l’endpoint `listProducts()` renvoie potentiellement
  *   l’ensemble des produits. Une optimisation consiste à exposer un endpoint server-side filtré par seller.
  *
@@ -23,8 +25,8 @@
  * - AuthContext : récupération de `auth.user.id`.
  */
 // src/pages/Catalog.jsx
-// React : hooks (state + lifecycle)
-import { useEffect, useState } from "react";
+// React : hooks (state + mémoïsation)
+import { useMemo, useState } from "react";
 // UI : Material UI (layout, table, filtres)
 import {
   Box,
@@ -39,19 +41,31 @@ import {
   Stack,
   Button,
   TextField,
+  MenuItem,
 } from "@mui/material";
 // Auth : contexte (identifiant du vendeur)
 import { useAuth } from "../context/AuthContext.jsx";
 // Services : appels API produits (liste + suppression)
-import { listProducts, deleteProduct } from "../services/products";
+import { listProducts, deleteProduct, productKeys } from "../services/products";
+import { performanceKeys } from "../services/performance";
+import { categoryKeys, listCategories } from "../services/categories";
+// Cache de requêtes : lecture (useQuery) + mutations avec invalidation (useMutation)
+import { useQuery, useMutation } from "../lib/useQuery";
+// Modèle Produit + affichage monétaire (centimes)
+import { isInStock } from "../models/product";
+import { categoryOptions, categoryPath, descendantIds } from "../models/category";
+import { formatCents } from "../lib/money";
 // Formulaire produit : création / édition via dialog
 import { ProductForm } from "../components/ProductForm.jsx";
 
+// Filtres du tableau à leur valeur neutre (catégorie : id en string, valeur du select)
+const NO_FILTERS = { q: "", status: "", category: "", tag: "" };
+
 /**
  * Page Catalogue (vendeur).
  *
  * Comportement
- * - Au montage et à chaque changement de `userId`, déclenche `refreshProducts()`.
+ * - La liste produits est lue via `useQuery` (cache partagé) puis filtrée sur le vendeur connecté.
  * - Le tableau affiche `visibleRows` (rows filtrés).
  */
 export function Catalog() {
@@ -61,30 +75,66 @@ export function Catalog() {
   const userId = auth?.user?.id ?? null;
 
   // State UI
-  // - rows      : cache local des produits (après filtrage vendeur)
-  // - filters   : filtres saisis (recherche + statut)
-  // - state     : loading/error pour l'UX
+  // - filters   : filtres saisis (recherche, statut, catégorie (id), étiquette)
   // - formOpen  : ouverture du dialog ProductForm
   // - editing   : produit sélectionné pour édition (null => création)
-  const [rows, setRows] = useState([]);
-  const [filters, setFilters] = useState({ q: "", status: "" });
-  const [state, setState] = useState({ loading: true, error: "" });
+  const [filters, setFilters] = useState(NO_FILTERS);
   const [formOpen, setFormOpen] = useState(false);
   const [editing, setEditing] = useState(null);
 
-  // Filtrage côté front (recherche texte + statut). La liste `rows` est déjà filtrée par vendeur.
+  // Fetch produits via le cache (même entrée que la page Shop). Désactivé sans utilisateur connecté.
+  const products = useQuery(productKeys.list(), () => listProducts(), { enabled: !!userId });
+  // Taxonomie : filtre et colonne "Catégorie" (filtre masqué si indisponible)
+  const categories = useQuery(categoryKeys.all, () => listCategories(), { enabled: !!userId });
+  const categoryList = categories.data ?? [];
+
+  // Suppression : invalide les produits (Shop/Catalog) et les indicateurs vendeur (Dashboard).
+  const removeProduct = useMutation(deleteProduct, {
+    invalidates: [productKeys.all, performanceKeys.all],
+  });
+
+  // rows : produits appartenant au vendeur connecté
+  const rows = useMemo(() => {
+    // Sans utilisateur connecté : catalogue vide (normalement route protégée)
+    if (!userId) return [];
+
+    // Filtrage vendeur : `sellerId` est résolu une fois pour toutes par le modèle Product
+    return (products.data || []).filter((p) => p.sellerId === Number(userId));
+  }, [products.data, userId]);
+
+  // Étiquettes déjà utilisées par le vendeur : filtre + suggestions du formulaire
+  const tagOptions = useMemo(
+    () => [...new Set(rows.flatMap((p) => p.tags))].sort((a, b) => a.localeCompare(b, "fr")),
+    [rows]
+  );
+  // Catégorie filtrée + ses sous-catégories
+  const inCategory = filters.category ? descendantIds(categoryList, Number(filters.category)) : null;
+
+  // state : loading/error pour l'UX (erreur de chargement initial ou de suppression)
+  const state = {
+    loading: products.isLoading,
+    error:
+      (products.data === undefined && products.error?.message) ||
+      removeProduct.error?.message ||
+      "",
+  };
+
+  // Filtrage côté front (recherche texte, catégorie, étiquette, statut). La liste `rows` est déjà filtrée par vendeur.
   const visibleRows = rows.filter((p) => {
     // Normalisation des filtres (trim + lowercase)
     const q = (filters.q || "").trim().toLowerCase();
     const status = (filters.status || "").trim().toLowerCase();
 
     // "Haystack" : concatène plusieurs champs pour une recherche simple (full-text minimaliste)
-    const hay = `${p.id ?? ""} ${p.name ?? ""} ${p.reference ?? ""} ${p.ref ?? ""}`.toLowerCase();
+    const hay = `${p.id ?? ""} ${p.name ?? ""} ${p.reference ?? ""} ${p.tags.join(" ")}`.toLowerCase();
     if (q && !hay.includes(q)) return false;
 
+    if (inCategory && !inCategory.has(p.categoryId)) return false;
+    if (filters.tag && !p.tags.includes(filters.tag)) return false;
+
     // Statut : dérivé principalement du stock ; fallback sur `p.status` si l'API fournit une valeur.
     if (status) {
-      const stock = Number(p.stock ?? p.quantity ?? 0);
+      const stock = p.stock;
       const apiStatus = String(p.status || "").toLowerCase();
 
       if (status === "en ligne" || status === "enligne" || status === "online") {
@@ -102,12 +152,7 @@ export function Catalog() {
     return true;
   });
 
-  // Chargement initial + rechargement si changement d'utilisateur (login/logout/switch)
-  useEffect(() => {
-    refreshProducts();
-  }, [userId]);
-
-  // Suppression : confirmation utilisateur → delete API → synchronisation du cache `rows`
+  // Suppression : confirmation utilisateur → delete API → invalidation du cache (refetch de la liste)
   const handleDelete = async (productId) => {
     if (!productId) return;
 
@@ -118,53 +163,10 @@ export function Catalog() {
     if (!confirmDelete) return;
 
     try {
-      // Appel API : supprime côté back
-      await deleteProduct(productId);
-      // Mise à jour optimiste du cache local (évite un refetch complet)
-      setRows((prev) => prev.filter((p) => String(p.id) !== String(productId)));
+      // Appel API : supprime côté back ; l'erreur éventuelle est exposée par `removeProduct.error`
+      await removeProduct.mutate(productId);
     } catch (err) {
       console.error("Erreur suppression produit:", err);
-      setState((s) => ({
-        ...s,
-        error: err?.message || "Erreur lors de la suppression du produit",
-      }));
-    }
-  };
-
-  // Fetch produits : appelle `listProducts()`, puis filtre les produits appartenant au vendeur connecté.
-  const refreshProducts = async () => {
-    // Sans utilisateur connecté : catalogue vide (normalement route protégée)
-    if (!userId) {
-      setRows([]);
-      setState((s) => ({ ...s, loading: false }));
-      return;
-    }
-
-    try {
-      setState({ loading: true, error: "" });
-
-      // Appel API : récupération des produits (potentiellement tous les produits)
-      const data = await listProducts();
-
-      // Normalisation : l'API peut renvoyer un tableau direct ou un wrapper `{ items: [...] }`
-      const all = Array.isArray(data) ? data : data?.items || [];
-
-      console.log("Catalogue - produits bruts:", all);
-
-      // Filtrage vendeur : compatibilité avec différents noms de colonne selon la DB/API
-      const filtered = all.filter((p) => {
-        const pid = Number(p.id_user ?? p.id_seller ?? p.seller_id ?? p.user_id);
-        return pid === Number(userId);
-      });
-
-      setRows(filtered);
-      setState({ loading: false, error: "" });
-    } catch (err) {
-      console.error("Erreur chargement catalogue:", err);
-      setState({
-        loading: false,
-        error: err?.message || "Erreur lors du chargement du catalogue",
-      });
     }
   };
 
@@ -227,11 +229,45 @@ export function Catalog() {
           <option value="Rupture" />
           <option value="Brouillon" />
         </datalist>
+        {categoryList.length > 0 && (
+          <TextField
+            select
+            size="small"
+            label="Catégorie"
+            value={filters.category}
+            onChange={(e) => setFilters((f) => ({ ...f, category: e.target.value }))}
+            sx={{ minWidth: 180 }}
+          >
+            <MenuItem value="">Toutes</MenuItem>
+            {categoryOptions(categoryList).map((c) => (
+              <MenuItem key={c.id} value={String(c.id)} sx={{ pl: 2 + c.depth * 2 }}>
+                {c.name}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+        {tagOptions.length > 0 && (
+          <TextField
+            select
+            size="small"
+            label="Étiquette"
+            value={filters.tag}
+            onChange={(e) => setFilters((f) => ({ ...f, tag: e.target.value }))}
+            sx={{ minWidth: 160 }}
+          >
+            <MenuItem value="">Toutes</MenuItem>
+            {tagOptions.map((tag) => (
+              <MenuItem key={tag} value={tag}>
+                {tag}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
         <Box sx={{ flexGrow: 1 }} />
-        {(filters.q || filters.status) && (
+        {Object.values(filters).some(Boolean) && (
           <Button
             variant="text"
-            onClick={() => setFilters({ q: "", status: "" })}
+            onClick={() => setFilters(NO_FILTERS)}
             sx={{ textTransform: "none" }}
           >
             Réinitialiser
@@ -255,6 +291,7 @@ export function Catalog() {
             <TableRow>
               <TableCell>Réf.</TableCell>
               <TableCell>Produit</TableCell>
+              <TableCell>Catégorie</TableCell>
               <TableCell align="right">Prix</TableCell>
               <TableCell align="right">Stock</TableCell>
               <TableCell align="center">Statut</TableCell>
@@ -265,7 +302,7 @@ export function Catalog() {
             {visibleRows.length === 0 ? (
               // Empty state : aucun produit après application des filtres
               <TableRow>
-                <TableCell colSpan={6} align="center">
+                <TableCell colSpan={7} align="center">
                   Aucun produit ne correspond à ces filtres.
                 </TableCell>
               </TableRow>
@@ -274,22 +311,29 @@ export function Catalog() {
               visibleRows.map((p) => (
                 <TableRow key={p.id} hover>
                   <TableCell>{p.id}</TableCell>
-                  <TableCell>{p.name}</TableCell>
-                  <TableCell align="right">
-                    {typeof p.price === "number"
-                      ? `${p.price.toFixed(2)} €`
-                      : `${Number(p.price || 0).toFixed(2)} €`}
+                  <TableCell>
+                    {p.name}
+                    {p.tags.length > 0 && (
+                      <Stack direction="row" flexWrap="wrap" useFlexGap spacing={0.5} sx={{ mt: 0.5 }}>
+                        {p.tags.map((tag) => (
+                          <Chip key={tag} label={tag} size="small" variant="outlined" />
+                        ))}
+                      </Stack>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {/* Chemin complet : "Informatique › Audio" ; tiret si non classé */}
+                    {categoryPath(categoryList, p.categoryId).map((c) => c.name).join(" › ") || "—"}
                   </TableCell>
                   <TableCell align="right">
-                    {p.stock ?? p.quantity ?? 0}
+                    {formatCents(p.priceCents, p.currency)}
                   </TableCell>
+                  <TableCell align="right">{p.stock}</TableCell>
                   <TableCell align="center">
                     <Chip
-                      label={p.status || (p.stock > 0 ? "En ligne" : "Rupture")}
+                      label={p.status || (isInStock(p) ? "En ligne" : "Rupture")}
                       size="small"
-                      color={
-                        (p.stock ?? p.quantity ?? 0) > 0 ? "success" : "warning"
-                      }
+                      color={isInStock(p) ? "success" : "warning"}
                       variant="outlined"
                     />
                   </TableCell>
@@ -330,15 +374,13 @@ export function Catalog() {
         Les actions de création, modification et suppression de produits sont connectées à l’API.
       </Typography>
 
-      {/* Dialog de création/édition : déclenche un refresh après sauvegarde */}
+      {/* Dialog de création/édition : la sauvegarde invalide la liste produits (refetch automatique) */}
       <ProductForm
         open={formOpen}
         onClose={() => setFormOpen(false)}
         mode={editing ? "edit" : "create"}
         initialProduct={editing}
-        onSaved={async () => {
-          await refreshProducts();
-        }}
+        tagOptions={tagOptions}
       />
     </Box>
   );
@@ -12,18 +12,19 @@
  *
  * Principes
  * - Le back renvoie parfois des montants en centimes (entiers) ou en euros (string/float).
- *   → `normalizeMoney()` standardise en **euros** pour l’affichage et les calculs.
- * - Le graphe (Recharts) attend une série `{ date: 'YYYY-MM-DD', total: number, label: 'dd/mm' }`.
+ *   → `amountToCents()` (lib/money) standardise en **centimes** ; tous les calculs se font en centimes.
+ * - Les produits passent par le modèle canonique (`fromApiList`, models/product).
+ * - Le graphe (Recharts) attend une série `{ date: 'YYYY-MM-DD', total: number (centimes), label: 'dd/mm' }`.
  * - Le dashboard se base sur l’utilisateur courant via `useAuth()`.
  *
  * Gestion d’erreurs
- * - Réponse non JSON : souvent une erreur PHP/Apache → message explicite.
- * - `data.ok !== true` : l’API a signalé une erreur métier/SQL.
+ * - Déléguée à `fetchPerformance()` (services/performance → apiClient) :
+ *   réponse non JSON (erreur PHP/Apache) → `ParseError`, `{ ok:false }` → `BusinessError`.
  */
 // src/pages/Dashboard.jsx
 
-// React : hooks (fetch au montage, mémoïsation des calculs)
-import { useEffect, useMemo, useState } from "react";
+// React : mémoïsation des calculs
+import { useMemo } from "react";
 // Routing : liens internes vers les pages détaillées
 import { Link as RouterLink } from "react-router-dom";
 // UI : Material UI (layout, feedback et composants)
@@ -54,86 +55,13 @@ import {
 } from "recharts";
 // Auth : identité utilisateur (seller_id) issue du contexte
 import { useAuth } from "../context/AuthContext.jsx";
-
-/**
- * Normalise un montant (centimes / euros / string) vers un nombre en euros.
- *
- * Contexte
- * - Selon les endpoints/SQL, les montants peuvent être renvoyés :
- *   - en centimes (INT) → ex: 22140
- *   - en euros (FLOAT/DECIMAL) → ex: 220.40
- *   - en string ("220.40" / "220,40")
- *
- * Règle
- * - Si la valeur est un entier (Number.isInteger) → on suppose centimes → /100.
- * - Sinon → on suppose déjà en euros.
- *
- * @param {unknown} amount
- * @returns {number} Montant en euros (float)
- */
-function normalizeMoney(amount) {
-
-  if (amount == null) return 0;
-
-  if (typeof amount === "string") {
-    const s = amount.trim();
-    if (s === "") return 0;
-    // déjà en euros si présence d'un séparateur décimal
-    if (s.includes(".") || s.includes(",")) {
-      const n = Number(s.replace(",", "."));
-      return Number.isFinite(n) ? n : 0;
-    }
-    const n = Number(s);
-    if (!Number.isFinite(n)) return 0;
-    if (Number.isInteger(n)) return n / 100;
-    return n;
-  }
-
-  const n = Number(amount);
-  if (!Number.isFinite(n)) return 0;
-  if (Number.isInteger(n)) return n / 100;
-  return n;
-}
-
-/**
- * Formatage d’un montant en euros (locale fr-FR).
- * @param {unknown} amount
- * @returns {string}
- */
-function eur(amount) {
-  const n = normalizeMoney(amount);
-  return n.toLocaleString("fr-FR", { style: "currency", currency: "EUR" });
-}
-
-/**
- * Appelle l’API performance (vendeur) et renvoie le JSON validé.
- *
- * @param {string|number} userId
- * @returns {Promise<any>} payload `performance.php` (doit contenir `{ ok: true, ... }`)
- * @throws {Error} si HTTP != 2xx, si `ok=false`, ou si la réponse n’est pas du JSON.
- */
-async function fetchPerformance(userId) {
-  const url = `http://localhost/api/performance.php?user_id=${encodeURIComponent(userId)}`;
-  const res = await fetch(url, {
-    method: "GET",
-    credentials: "include",
-    headers: { Accept: "application/json" },
-  });
-
-  const text = await res.text();
-  let data = null;
-  try {
-    data = text ? JSON.parse(text) : null;
-  } catch {
-    throw new Error("Réponse non JSON (probable erreur PHP). Vérifie error_log Apache/PHP.");
-  }
-
-  if (!res.ok || !data?.ok) {
-    throw new Error(data?.error || `Erreur API (${res.status})`);
-  }
-
-  return data;
-}
+// Services : package performance vendeur (performance.php) via apiClient
+import { fetchPerformance, performanceKeys } from "../services/performance";
+// Cache de requêtes : lecture partagée + stale-while-revalidate
+import { useQuery } from "../lib/useQuery";
+// Montants (centimes) + modèle Produit partagé
+import { amountToCents, formatCents } from "../lib/money";
+import { fromApiList, isInStock } from "../models/product";
 
 /**
  * Dashboard vendeur (Professional).
@@ -152,37 +80,23 @@ export function Dashboard() {
   // Identifiant vendeur utilisé par l’API performance (filtrage server-side)
   const userId = auth?.user?.id;
 
-  // State de chargement : pattern "loading/error/data"
-  const [state, setState] = useState({ loading: true, error: "", data: null });
-
-  useEffect(() => {
-    // Flag de sécurité : évite setState après un unmount (race condition)
-    let alive = true;
-
-    (async () => {
-      // Sans userId, on ne peut pas appeler l’API (route normalement protégée par RequireAuth)
-      if (!userId) {
-        setState({ loading: false, error: "Utilisateur non identifié.", data: null });
-        return;
-      }
-
-      // Reset avant fetch
-      setState({ loading: true, error: "", data: null });
-      try {
-        // Fetch du package performance (produits, lignes, commandes, agrégats)
-        const data = await fetchPerformance(userId);
-        if (!alive) return;
-        setState({ loading: false, error: "", data });
-      } catch (e) {
-        if (!alive) return;
-        setState({ loading: false, error: e?.message || "Erreur de chargement", data: null });
-      }
-    })();
+  // Package performance via le cache de requêtes : Dashboard et Performances partagent
+  // la même clé, la navigation entre les deux pages n'entraîne donc pas de nouveau téléchargement.
+  const perf = useQuery(performanceKeys.seller(userId), () => fetchPerformance(userId), {
+    enabled: !!userId,
+  });
 
-    return () => {
-      alive = false;
-    };
-  }, [userId]);
+  // State dérivé : pattern "loading/error/data" attendu par le rendu
+  const state = {
+    loading: perf.isLoading,
+    // Sans userId, on ne peut pas appeler l’API (route normalement protégée par RequireAuth)
+    error: !userId
+      ? "Utilisateur non identifié."
+      : perf.data === undefined && perf.error
+        ? perf.error.message || "Erreur de chargement"
+        : "",
+    data: perf.data ?? null,
+  };
 
   // Calculs dérivés (memo) : centralise toute la logique d'agrégation UI
   const computed = useMemo(() => {
@@ -190,12 +104,12 @@ export function Dashboard() {
     if (!data) return null;
 
     // Produits du vendeur (déjà filtrés côté back) — utilisé pour stock/catalogue
-    const products = Array.isArray(data.products) ? data.products : [];
+    const products = fromApiList(data.products);
     // KPIs globaux fournis par l'API (peuvent être 0 si aucune vente)
     const totals = data.totals || { orders_count: 0, items_sold: 0, revenue: 0 };
 
     // Stock : "en ligne" ≈ stock > 0 (règle métier simplifiée)
-    const outOfStock = products.filter((p) => Number(p.stock ?? 0) <= 0).length;
+    const outOfStock = products.filter((p) => !isInStock(p)).length;
     const totalProducts = products.length;
     const onlineProducts = Math.max(0, totalProducts - outOfStock);
 
@@ -206,12 +120,12 @@ export function Dashboard() {
 
     // Commandes : normalisation des clés (selon naming côté SQL/PHP)
     const ordersRaw = Array.isArray(data.orders) ? data.orders : [];
-    // Normalise: id/date/total (total converti en euros via normalizeMoney)
+    // Normalise: id/date/total (total converti en centimes via amountToCents)
     const orders = ordersRaw
       .map((o) => ({
         id: o.Id_commande ?? o.id_commande ?? o.id ?? null,
         date: o.date || o.commande_date || o.date_commande || o.Date_commande || "",
-        total: normalizeMoney(o.total ?? o.commande_total ?? 0),
+        total: amountToCents(o.total ?? o.commande_total ?? 0),
       }))
       .filter((o) => o.date)
       .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
@@ -224,7 +138,7 @@ export function Dashboard() {
 
     const revenueMonth = ordersMonth.reduce((s, o) => s + Number(o.total || 0), 0);
     const ordersCountMonth = ordersMonth.length;
-    const avgCartMonth = ordersCountMonth > 0 ? revenueMonth / ordersCountMonth : 0;
+    const avgCartMonth = ordersCountMonth > 0 ? Math.round(revenueMonth / ordersCountMonth) : 0;
 
     // Série temporelle : agrégation par jour (somme des totaux)
     const byDay = new Map();
@@ -246,12 +160,12 @@ export function Dashboard() {
     const byProduct = Array.isArray(data.by_product) ? data.by_product : [];
     const topProducts = byProduct
       .slice()
-      .sort((a, b) => Number(b.revenue || 0) - Number(a.revenue || 0))
+      .sort((a, b) => amountToCents(b.revenue) - amountToCents(a.revenue))
       .slice(0, 5)
       .map((p) => ({
         id_product: p.id_product,
         name: p.name || `Produit #${p.id_product}`,
-        revenue: Number(p.revenue || 0),
+        revenue: amountToCents(p.revenue),
         orders: Number(p.orders_count || p.orders || 0),
         qty: Number(p.qty_sold || 0),
       }));
@@ -353,7 +267,7 @@ export function Dashboard() {
                     <Typography variant="body2" color="text.secondary">
                       CA du mois
                     </Typography>
-                    <Typography variant="h5">{eur(computed.revenueMonth)}</Typography>
+                    <Typography variant="h5">{formatCents(computed.revenueMonth)}</Typography>
 
                     <Typography variant="body2" color="text.secondary" sx={{ mt: 1.5 }}>
                       Commandes
@@ -363,7 +277,7 @@ export function Dashboard() {
                     <Typography variant="body2" color="text.secondary" sx={{ mt: 1.5 }}>
                       Panier moyen (mois)
                     </Typography>
-                    <Typography variant="h6">{eur(computed.avgCartMonth)}</Typography>
+                    <Typography variant="h6">{formatCents(computed.avgCartMonth)}</Typography>
                   </Box>
 
                   <Stack direction="row" spacing={1} sx={{ mt: 2 }}>
@@ -402,16 +316,11 @@ export function Dashboard() {
                       <YAxis
                         width={90}
                         tickFormatter={(v) =>
-                          Number(v).toLocaleString("fr-FR", {
-                            style: "currency",
-                            currency: "EUR",
-                            minimumFractionDigits: 0,
-                            maximumFractionDigits: 0,
-                          })
+                          formatCents(v, "EUR", { minimumFractionDigits: 0, maximumFractionDigits: 0 })
                         }
                       />
                       <Tooltip
-                        formatter={(value) => eur(value)}
+                        formatter={(value) => formatCents(value)}
                         labelFormatter={(label, payload) => {
                           const raw = payload?.[0]?.payload?.date;
                           if (!raw) return label;
@@ -453,7 +362,7 @@ export function Dashboard() {
                       <ListItem disableGutters>
                         <ListItemText
                           primary={p.name}
-                          secondary={`${p.qty} vendu(s) • ${eur(p.revenue)} de CA`}
+                          secondary={`${p.qty} vendu(s) • ${formatCents(p.revenue)} de CA`}
                         />
                       </ListItem>
                       {idx < computed.topProducts.length - 1 && <Divider component="li" />}
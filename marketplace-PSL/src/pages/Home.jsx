@@ -6,6 +6,8 @@
  * Objectifs UX
  * - Présenter un "hero" central avec message marketing + CTA.
  * - Fournir une barre de recherche (client-side) qui redirige vers `/produits` avec un querystring `?q=`.
+ * - Proposer la navigation par catégorie : une carte par rayon racine (`/produits/categorie/:slug`),
+ *   avec ses sous-catégories en raccourcis. Section masquée si la taxonomie est indisponible.
  * - Afficher des "features" (cartes) en grille responsive.
  *
  * Intégrations
@@ -35,6 +37,11 @@ import chartsAnimation from "../assets/animation/charts.json";
 import { AuthPanel } from "../components/AuthPanel.jsx";
 // Routing : liens et navigation programmative
 import { Link as RouterLink, useNavigate } from "react-router-dom";
+// Taxonomie : rayons du catalogue (cache partagé avec Shop)
+import { categoryKeys, listCategories } from "../services/categories";
+import { useQuery } from "../lib/useQuery";
+import { buildCategoryTree } from "../models/category";
+import { catalogUrl } from "../lib/catalogQuery";
 // UI : Material UI (layout + controls)
 import {
   Container,
@@ -47,6 +54,8 @@ import {
   TextField,
   InputAdornment,
   IconButton,
+  Chip,
+  CardActionArea,
 } from "@mui/material";
 // Icônes MUI
 import Search from "@mui/icons-material/Search";
@@ -74,6 +83,9 @@ export function Home() {
   const [query, setQuery] = useState("");
   // Router : navigation programmative vers la page /produits
   const navigate = useNavigate();
+  // Rayons racines (et leurs sous-catégories) pour la navigation par catégorie
+  const categories = useQuery(categoryKeys.all, () => listCategories());
+  const departments = buildCategoryTree(categories.data ?? []);
   // Submit du formulaire : redirection vers Shop avec `?q=`
   const onSearchSubmit = (e) => {
     // Empêche le rechargement page (comportement par défaut d’un <form>)
@@ -178,6 +190,41 @@ export function Home() {
           </Box>
         </Paper>
 
+        {/* CATÉGORIES : un rayon racine par carte, sous-catégories en raccourcis */}
+        {departments.length > 0 && (
+          <Box sx={{ mt: 6, width: { xs: '100%', md: '70%' }, mx: 'auto' }}>
+            <Typography variant="h5" sx={{ fontWeight: 700, mb: 2 }}>
+              Parcourir par catégorie
+            </Typography>
+            <Grid container spacing={2}>
+              {departments.map((d) => (
+                <Grid item xs={12} sm={6} md={4} key={d.id}>
+                  <Paper elevation={2} sx={{ height: '100%', borderRadius: 2, overflow: 'hidden' }}>
+                    <CardActionArea component={RouterLink} to={catalogUrl({ category: d.slug })} sx={{ p: 2 }}>
+                      <Typography variant="h6">{d.name}</Typography>
+                    </CardActionArea>
+                    {d.children.length > 0 && (
+                      <Stack direction="row" flexWrap="wrap" useFlexGap spacing={1} sx={{ px: 2, pb: 2 }}>
+                        {d.children.map((c) => (
+                          <Chip
+                            key={c.id}
+                            label={c.name}
+                            size="small"
+                            variant="outlined"
+                            clickable
+                            component={RouterLink}
+                            to={catalogUrl({ category: c.slug })}
+                          />
+                        ))}
+                      </Stack>
+                    )}
+                  </Paper>
+                </Grid>
+              ))}
+            </Grid>
+          </Box>
+        )}
+
         {/* FEATURES : grille responsive (3 cartes) — alignement & hauteur uniforme */}
         <Grid container spacing={3} columns={{ xs: 12, sm: 12, md: 12 }} sx={{ mt: 6, width: '70%', mx: 'auto', justifyContent: 'center', alignItems: 'stretch' }}>
           {/* Définition des features (titre/texte/animation) + rendu en cartes */}
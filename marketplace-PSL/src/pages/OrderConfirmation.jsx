@@ -0,0 +1,137 @@
+/**
+ * @file OrderConfirmation.jsx
+ * @description
+ * Page "Confirmation de commande" (`/commande/:id/confirmation`), affichée après le paiement.
+ *
+ * Rôle
+ * - Relit la commande créée via `getOrder(id)` (order.php) : c'est le back qui fait foi
+ *   (numéro, lignes figées à la vente, total payé), pas le panier qui vient d'être vidé.
+ * - Affiche les lignes, la remise, la livraison (mode + adresse), le total TTC et la TVA par taux.
+ * - Propose le téléchargement des factures PDF (une par vendeur, lib/invoice), générées au clic :
+ *   jsPDF est chargé à ce moment-là seulement.
+ *
+ * Erreurs
+ * - Commande inconnue (404) ou d'un autre client (403) : message du back dans une Alert.
+ */
+
+// Router : id de la commande (URL) + lien retour catalogue
+import { Link as RouterLink, useParams } from "react-router-dom";
+// MUI : layout + composants UI
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Container,
+  Grid,
+  Paper,
+  Stack,
+  Typography,
+} from "@mui/material";
+// Icônes MUI
+import CheckCircleOutlineIcon from "@mui/icons-material/CheckCircleOutline";
+import LocalShippingIcon from "@mui/icons-material/LocalShipping";
+// Services : relecture de la commande (order.php)
+import { getOrder, orderKeys } from "../services/orders";
+// Cache de requêtes
+import { useQuery } from "../lib/useQuery";
+// Composants : détail, livraison, factures
+import { OrderDelivery, OrderDetails } from "../components/OrderDetails";
+import { InvoiceDownloads } from "../components/InvoiceDownloads";
+
+const dateLabel = (iso) =>
+  iso ? new Date(iso).toLocaleDateString("fr-FR", { day: "numeric", month: "long", year: "numeric" }) : "";
+
+/**
+ * Page de confirmation d'une commande.
+ */
+export function OrderConfirmation() {
+  const { id } = useParams();
+  const query = useQuery(orderKeys.detail(id), () => getOrder(id), { enabled: Boolean(id) });
+  const order = query.data;
+
+  return (
+    <Box
+      sx={(theme) => ({
+        minHeight: "calc(100vh - 56px)",
+        py: 6,
+        background: `linear-gradient(
+          135deg,
+          ${theme.palette.grey[100]},
+          ${theme.palette.grey[200]}
+        )`,
+      })}
+    >
+      <Container maxWidth="md">
+        {query.isLoading && (
+          <Paper elevation={0} sx={{ p: 3, borderRadius: 2, display: "flex", alignItems: "center", gap: 2 }}>
+            <CircularProgress size={22} />
+            <Typography color="text.secondary">Chargement de votre commande…</Typography>
+          </Paper>
+        )}
+
+        {!order && query.error && (
+          <Alert severity="error" sx={{ borderRadius: 2 }}>
+            {query.error.message || "Commande introuvable"}
+          </Alert>
+        )}
+
+        {order && (
+          <Stack spacing={3}>
+            {/* En-tête : numéro de commande */}
+            <Paper elevation={3} sx={{ p: 4, borderRadius: 3, textAlign: "center" }}>
+              <CheckCircleOutlineIcon color="success" sx={{ fontSize: 56, mb: 1 }} />
+              <Typography variant="h5" fontWeight={600} gutterBottom>
+                Merci, votre commande est confirmée
+              </Typography>
+              <Typography color="text.secondary">
+                Commande n° {order.id} · {dateLabel(order.date)}
+              </Typography>
+            </Paper>
+
+            <Grid container spacing={3}>
+              {/* Lignes + totaux */}
+              <Grid item xs={12} md={7}>
+                <Paper elevation={3} sx={{ p: 2.5, borderRadius: 3, height: "100%" }}>
+                  <Typography variant="h6" gutterBottom>
+                    Détail
+                  </Typography>
+                  <OrderDetails order={order} />
+                </Paper>
+              </Grid>
+
+              {/* Livraison + factures */}
+              <Grid item xs={12} md={5}>
+                <Stack spacing={3} sx={{ height: "100%" }}>
+                  <Paper elevation={3} sx={{ p: 2.5, borderRadius: 3 }}>
+                    <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 1 }}>
+                      <LocalShippingIcon color="primary" />
+                      <Typography variant="h6">Livraison</Typography>
+                    </Stack>
+                    <OrderDelivery order={order} />
+                  </Paper>
+
+                  <Paper elevation={3} sx={{ p: 2.5, borderRadius: 3, flexGrow: 1 }}>
+                    <Typography variant="h6" gutterBottom>
+                      {order.invoices.length > 1 ? "Factures" : "Facture"}
+                    </Typography>
+                    <InvoiceDownloads order={order} />
+                  </Paper>
+                </Stack>
+              </Grid>
+            </Grid>
+
+            <Stack direction="row" spacing={2} justifyContent="center">
+              <Button variant="outlined" component={RouterLink} to={`/commandes/${order.id}`}>
+                Suivre ma commande
+              </Button>
+              <Button variant="contained" component={RouterLink} to="/produits">
+                Continuer mes achats
+              </Button>
+            </Stack>
+          </Stack>
+        )}
+      </Container>
+    </Box>
+  );
+}
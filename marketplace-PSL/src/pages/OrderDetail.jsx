@@ -0,0 +1,178 @@
+/**
+ * @file OrderDetail.jsx
+ * @description
+ * Page "Détail d'une commande" (`/commandes/:id`, section "Mes commandes").
+ *
+ * Rôle
+ * - Relit la commande via `getOrder(id)` (même requête et même cache que la confirmation).
+ * - Affiche le suivi (frise des statuts datés, puis statut de chaque sous-commande pour une commande
+ *   multi-vendeurs), les lignes et totaux, la livraison, et permet de télécharger de nouveau les factures.
+ * - Propose l'annulation ou la demande de retour quand le cycle de vie le permet (OrderActions).
+ *
+ * Erreurs
+ * - Commande inconnue (404) ou d'un autre client (403) : message du back dans une Alert.
+ */
+
+// Router : id de la commande (URL) + retour à la liste
+import { Link as RouterLink, useParams } from "react-router-dom";
+// MUI : layout + composants UI
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Container,
+  Divider,
+  Grid,
+  Paper,
+  Stack,
+  Typography,
+} from "@mui/material";
+import ArrowBackIcon from "@mui/icons-material/ArrowBack";
+import LocalShippingIcon from "@mui/icons-material/LocalShipping";
+// Services : détail de la commande (order.php)
+import { getOrder, orderKeys } from "../services/orders";
+// Cache de requêtes
+import { useQuery } from "../lib/useQuery";
+// Montants + nom des vendeurs (sous-commandes)
+import { formatCents } from "../lib/money";
+import { sellerLabel } from "../lib/pricing";
+// Composants : suivi, actions du client, détail, livraison, factures
+import { OrderTimeline } from "../components/OrderTimeline";
+import { OrderActions } from "../components/OrderActions";
+import { OrderDelivery, OrderDetails } from "../components/OrderDetails";
+import { InvoiceDownloads } from "../components/InvoiceDownloads";
+import { OrderStatusChip } from "../components/OrderStatusChip";
+
+const dateLabel = (iso) =>
+  iso ? new Date(iso).toLocaleDateString("fr-FR", { day: "numeric", month: "long", year: "numeric" }) : "";
+
+/**
+ * Détail d'une commande du client connecté.
+ */
+export function OrderDetail() {
+  const { id } = useParams();
+  const query = useQuery(orderKeys.detail(id), () => getOrder(id), { enabled: Boolean(id) });
+  const order = query.data;
+
+  return (
+    <Box
+      sx={(theme) => ({
+        minHeight: "calc(100vh - 56px)",
+        py: 6,
+        background: `linear-gradient(
+          135deg,
+          ${theme.palette.grey[100]},
+          ${theme.palette.grey[200]}
+        )`,
+      })}
+    >
+      <Container maxWidth="md">
+        <Button component={RouterLink} to="/commandes" startIcon={<ArrowBackIcon />} sx={{ mb: 2 }}>
+          Mes commandes
+        </Button>
+
+        {query.isLoading && (
+          <Paper elevation={0} sx={{ p: 3, borderRadius: 2, display: "flex", alignItems: "center", gap: 2 }}>
+            <CircularProgress size={22} />
+            <Typography color="text.secondary">Chargement de la commande…</Typography>
+          </Paper>
+        )}
+
+        {!order && query.error && (
+          <Alert severity="error" sx={{ borderRadius: 2 }}>
+            {query.error.message || "Commande introuvable"}
+          </Alert>
+        )}
+
+        {order && (
+          <Stack spacing={3}>
+            <Box>
+              <Stack direction="row" alignItems="center" spacing={2} flexWrap="wrap">
+                <Typography variant="h4" fontWeight={600}>
+                  Commande n° {order.id}
+                </Typography>
+                <OrderStatusChip status={order.status} size="medium" />
+              </Stack>
+              <Typography color="text.secondary" sx={{ mt: 1 }}>
+                Passée le {dateLabel(order.date)}
+              </Typography>
+            </Box>
+
+            <Grid container spacing={3}>
+              {/* Suivi + actions + livraison + factures */}
+              <Grid item xs={12} md={5}>
+                <Stack spacing={3}>
+                  <Paper elevation={3} sx={{ p: 2.5, borderRadius: 3 }}>
+                    <Typography variant="h6" gutterBottom>
+                      Suivi
+                    </Typography>
+                    <OrderTimeline order={order} />
+                    {/* Commande multi-vendeurs : chaque vendeur prépare et expédie sa part */}
+                    {order.subOrders.length > 1 && (
+                      <Stack spacing={1.5} sx={{ mt: 2 }}>
+                        <Divider />
+                        {order.subOrders.map((sub) => (
+                          <Stack
+                            key={sub.sellerId}
+                            direction="row"
+                            alignItems="center"
+                            justifyContent="space-between"
+                            spacing={1}
+                          >
+                            <Box>
+                              <Typography variant="body2" fontWeight={600}>
+                                {sellerLabel(sub)}
+                              </Typography>
+                              <Typography variant="caption" color="text.secondary">
+                                {formatCents(sub.totalCents)}
+                                {sub.refundedCents > 0 && ` · ${formatCents(sub.refundedCents)} remboursés`}
+                              </Typography>
+                            </Box>
+                            <OrderStatusChip status={sub.status} />
+                          </Stack>
+                        ))}
+                      </Stack>
+                    )}
+                  </Paper>
+
+                  <Paper elevation={3} sx={{ p: 2.5, borderRadius: 3 }}>
+                    <Typography variant="h6" gutterBottom>
+                      Annulation et retour
+                    </Typography>
+                    <OrderActions order={order} />
+                  </Paper>
+
+                  <Paper elevation={3} sx={{ p: 2.5, borderRadius: 3 }}>
+                    <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 1 }}>
+                      <LocalShippingIcon color="primary" />
+                      <Typography variant="h6">Livraison</Typography>
+                    </Stack>
+                    <OrderDelivery order={order} />
+                  </Paper>
+
+                  <Paper elevation={3} sx={{ p: 2.5, borderRadius: 3 }}>
+                    <Typography variant="h6" gutterBottom>
+                      {order.invoices.length > 1 ? "Factures" : "Facture"}
+                    </Typography>
+                    <InvoiceDownloads order={order} />
+                  </Paper>
+                </Stack>
+              </Grid>
+
+              {/* Lignes + totaux */}
+              <Grid item xs={12} md={7}>
+                <Paper elevation={3} sx={{ p: 2.5, borderRadius: 3 }}>
+                  <Typography variant="h6" gutterBottom>
+                    Détail
+                  </Typography>
+                  <OrderDetails order={order} />
+                </Paper>
+              </Grid>
+            </Grid>
+          </Stack>
+        )}
+      </Container>
+    </Box>
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * @file Orders.jsx
+ * @description
+ * Page "Mes commandes" (comptes Particulier) : historique des commandes du client connecté.
+ *
+ * Rôle
+ * - Lit l'historique via `listOrders(userId)` (order.php), les commandes récentes d'abord.
+ * - Affiche pour chacune : numéro, date, nombre d'articles, total TTC et statut.
+ * - Un clic ouvre le détail (`/commandes/:id` : suivi, lignes, factures).
+ */
+
+// Router : ouverture du détail + lien vers le catalogue
+import { Link as RouterLink, useNavigate } from "react-router-dom";
+// MUI : layout + tableau
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Container,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import ReceiptLongIcon from "@mui/icons-material/ReceiptLong";
+// Auth : client connecté
+import { useAuth } from "../context/AuthContext.jsx";
+// Services : historique des commandes
+import { listOrders, orderKeys } from "../services/orders";
+// Cache de requêtes
+import { useQuery } from "../lib/useQuery";
+// Montants
+import { formatCents } from "../lib/money";
+// Composants
+import { OrderStatusChip } from "../components/OrderStatusChip";
+
+const dateLabel = (iso) =>
+  iso ? new Date(iso).toLocaleDateString("fr-FR", { day: "numeric", month: "long", year: "numeric" }) : "";
+
+/**
+ * Historique des commandes du client connecté.
+ */
+export function Orders() {
+  const navigate = useNavigate();
+  const { auth } = useAuth() || {};
+  const userId = auth?.user?.id ?? null;
+
+  const query = useQuery(orderKeys.list(userId), () => listOrders(userId), { enabled: Boolean(userId) });
+  const orders = query.data;
+
+  return (
+    <Box
+      sx={(theme) => ({
+        minHeight: "calc(100vh - 56px)",
+        py: 6,
+        background: `linear-gradient(
+          135deg,
+          ${theme.palette.grey[100]},
+          ${theme.palette.grey[200]}
+        )`,
+      })}
+    >
+      <Container maxWidth="md">
+        <Typography variant="h4" fontWeight={600} sx={{ mb: 3 }}>
+          Mes commandes
+        </Typography>
+
+        {query.isLoading && (
+          <Paper elevation={0} sx={{ p: 3, borderRadius: 2, display: "flex", alignItems: "center", gap: 2 }}>
+            <CircularProgress size={22} />
+            <Typography color="text.secondary">Chargement de vos commandes…</Typography>
+          </Paper>
+        )}
+
+        {!orders && query.error && (
+          <Alert severity="error" sx={{ borderRadius: 2 }}>
+            {query.error.message || "Erreur de chargement"}
+          </Alert>
+        )}
+
+        {orders && !orders.length && (
+          <Paper elevation={3} sx={{ p: 4, borderRadius: 3, textAlign: "center" }}>
+            <ReceiptLongIcon color="disabled" sx={{ fontSize: 48, mb: 1 }} />
+            <Typography color="text.secondary" gutterBottom>
+              Vous n’avez pas encore passé de commande.
+            </Typography>
+            <Button variant="contained" component={RouterLink} to="/produits" sx={{ mt: 1 }}>
+              Découvrir les produits
+            </Button>
+          </Paper>
+        )}
+
+        {orders?.length > 0 && (
+          <Paper elevation={3} sx={{ borderRadius: 3, overflow: "hidden" }}>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Commande</TableCell>
+                  <TableCell>Date</TableCell>
+                  <TableCell align="right">Articles</TableCell>
+                  <TableCell align="right">Total TTC</TableCell>
+                  <TableCell align="right">Statut</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {orders.map((o) => (
+                  <TableRow key={o.id} hover sx={{ cursor: "pointer" }} onClick={() => navigate(`/commandes/${o.id}`)}>
+                    <TableCell>n° {o.id}</TableCell>
+                    <TableCell>{dateLabel(o.date)}</TableCell>
+                    <TableCell align="right">{o.itemCount}</TableCell>
+                    <TableCell align="right">{formatCents(o.totalCents)}</TableCell>
+                    <TableCell align="right">
+                      <OrderStatusChip status={o.status} />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+        )}
+      </Container>
+    </Box>
+  );
+}
@@ -2,32 +2,46 @@
 /**
  * @file PayWall.jsx
  * @description
- * Page "PayWall" (étape paiement) — affichage du récapitulatif panier + formulaire de paiement.
+ * Page "PayWall" — tunnel de commande en étapes :
+ * panier → adresse de livraison → mode de livraison → paiement → confirmation.
  *
  * Rôle
- * - Reçoit le panier via `location.state` (navigation depuis /panier).
- * - Affiche un récapitulatif (items + total).
- * - Délègue la saisie/validation au composant `<PaymentForm />`.
- * - Sur succès : notifie l’utilisateur, appelle `onOrderCompleted()` (vider panier côté App), puis redirige.
+ * - Lit le panier dans CartContext (plus de `location.state` : un rechargement ne perd rien).
+ * - Adresse : celle de l’inscription (`auth.user.adresse`), ou une adresse saisie (préremplie avec
+ *   celle du profil si l’on choisit de la modifier).
+ * - Livraison : modes desservis pour le pays de l’adresse (lib/pricing), avec leur coût pour ce panier.
+ * - Calcule le détail de prix avec `lib/pricing` (même moteur que le panier) pour le pays et le mode
+ *   retenus, et l’affiche à chaque étape. Panier multi-vendeurs : articles regroupés par vendeur (une
+ *   sous-commande chacun, avec son colis), payés en une seule fois.
+ * - Délègue le paiement à `<PaymentForm />` ; sur succès : vide le panier (`onOrderCompleted()`)
+ *   et redirige vers la page de la commande (`/commande/:id/confirmation`, factures comprises).
+ *   L’étape confirmation du tunnel n’est plus qu’un relais vers cette page (ou un récapitulatif
+ *   minimal si le back n’a pas renvoyé de numéro de commande).
  *
- * Contrat de navigation
- * - Cette page attend `location.state` sous la forme :
- *   - items: Array<{ id: number|string, name: string, qty: number, price: number }>
- *   - total: number
- * - Si ces données sont absentes, on redirige vers `/panier`.
+ * Navigation et persistance
+ * - Étape courante dans l’URL (`/paywall/:step`) : le bouton retour du navigateur revient à l’étape
+ *   précédente.
+ * - État du tunnel (adresse, mode, étapes validées, clé d’idempotence, commande créée) en
+ *   sessionStorage (models/checkout) : il survit au rechargement.
+ * - La clé d’idempotence suit le panier (`checkoutSignature`) : lignes, total, mode de livraison ou
+ *   code promo modifiés → nouvelle clé, et le paiement autorisé avec l’ancienne est annulé.
+ * - Une étape non encore atteinte redirige vers la première étape incomplète ; panier vide (hors
+ *   confirmation) → `/panier`.
  *
  * Sécurité / Auth
  * - `useAuth()` fournit l’utilisateur courant (userId) envoyé au back via `<PaymentForm />`.
  * - L’accès à cette route est généralement protégé par `RequireAuth` côté router.
  */
 
-// React : effets
-import { useEffect } from "react";
-// Router : lecture de l'état de navigation + redirections
-import { useLocation, useNavigate } from "react-router-dom";
+// React : effets + valeurs dérivées + état local de formulaire
+import { useEffect, useMemo, useState } from "react";
+// Router : étape courante (URL) + redirections
+import { Link as RouterLink, useNavigate, useParams } from "react-router-dom";
 // MUI : layout + composants UI
 import {
+  Alert,
   Box,
+  Button,
   Container,
   Grid,
   Paper,
@@ -35,15 +49,60 @@ import {
   List,
   ListItem,
   ListItemText,
+  ListSubheader,
   Divider,
   Chip,
   Stack,
+  Stepper,
+  Step,
+  StepButton,
+  StepLabel,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
 } from "@mui/material";
 // Icônes
 import ShoppingBagIcon from "@mui/icons-material/ShoppingBag";
-import CreditCardIcon from "@mui/icons-material/CreditCard";
+import CheckCircleOutlineIcon from "@mui/icons-material/CheckCircleOutline";
 // Auth : contexte utilisateur (id requis pour créer une commande)
 import { useAuth } from "../context/AuthContext.jsx";
+// Panier : lignes + code promo appliqué
+import { useCart } from "../context/useCart";
+// Montants : formatage des centimes
+import { eurosToCents, formatCents } from "../lib/money";
+// Prix : TVA, livraison et total (moteur partagé avec le panier)
+import {
+  availableShippingMethods,
+  computePricing,
+  destinationCountry,
+  sellerLabel,
+  SHIPPING_METHODS,
+} from "../lib/pricing";
+// Idempotence : une clé par tunnel de commande (et par panier)
+import { createIdempotencyKey } from "../lib/apiClient";
+// Paiement : annulation de l'autorisation d'un panier modifié
+import { getPaymentProvider } from "../lib/payments";
+// Cache : historique des commandes à rafraîchir après paiement
+import { invalidateQueries } from "../lib/queryCache";
+import { orderKeys } from "../services/orders";
+// Persistance du tunnel (par onglet)
+import { useSessionStorage } from "../lib/useSessionStorage";
+// Modèle du tunnel : étapes, adresse, état persisté
+import {
+  addressFromUser,
+  CHECKOUT_STEPS,
+  CHECKOUT_STORAGE_KEY,
+  checkoutSignature,
+  emptyCheckout,
+  firstIncompleteStep,
+  formatAddress,
+  isStepReachable,
+  parseCheckout,
+  validateAddress,
+} from "../models/checkout";
+import { PriceSummary } from "../components/PriceSummary.jsx";
+import { AddressForm } from "../components/AddressForm.jsx";
+import { ShippingMethodPicker } from "../components/ShippingMethodPicker.jsx";
 // Paiement : formulaire qui appelle l’API et déclenche `onPaid()` en cas de succès
 import { PaymentForm } from "../components/PaymentForm.jsx";
 
@@ -54,37 +113,139 @@ import { PaymentForm } from "../components/PaymentForm.jsx";
  * - onOrderCompleted: callback fourni par App pour vider le panier après paiement.
  */
 export function PayWall({ onOrderCompleted }) {
-  const location = useLocation();
   const navigate = useNavigate();
+  const { step } = useParams();
 
   // Contexte Auth : peut être null si le Provider n'entoure pas l'arbre (défense).
   const { auth } = useAuth() || {};
   const userId = auth?.user?.id ?? null;
+  const profileAddress = useMemo(() => addressFromUser(auth?.user), [auth?.user]);
+
+  // Panier (CartContext) et code promo appliqué
+  const { items: cartItems, discount } = useCart();
+
+  // État du tunnel, persisté pour l'onglet ; un autre utilisateur repart d'un tunnel vierge.
+  const [checkout, setCheckout] = useSessionStorage(
+    CHECKOUT_STORAGE_KEY,
+    () => emptyCheckout(userId, createIdempotencyKey()),
+    { parse: parseCheckout }
+  );
+  const update = (patch) => setCheckout((c) => ({ ...c, ...patch }));
+  const complete = (id, patch = {}) =>
+    setCheckout((c) => ({ ...c, ...patch, completed: [...new Set([...c.completed, id])] }));
+  const goTo = (id) => navigate(`/paywall/${id}`);
+
+  // Adresse en cours de saisie (étape adresse) : celle du tunnel, sinon celle du profil
+  const [draft, setDraft] = useState(() =>
+    checkout.completed.includes("adresse") ? checkout.address : profileAddress ?? checkout.address
+  );
+  const [addressSubmitted, setAddressSubmitted] = useState(false);
+
+  const country = destinationCountry(checkout.address);
+  // Détail de prix : recalculé ici (pays et mode de livraison du tunnel, code promo du panier)
+  const pricing = computePricing(cartItems, {
+    country,
+    discount,
+    shippingMethod: checkout.shippingMethod,
+  });
+
+  // Panier modifié depuis l'attribution de la clé : nouvelle clé, autorisation précédente annulée
+  // (sinon le back rejouerait la commande de l'ancien panier et le nouveau montant y serait encaissé).
+  const signature = checkoutSignature(pricing);
+  useEffect(() => {
+    if (checkout.order || !cartItems.length || checkout.signature === signature) return;
+    const previous = checkout.payment;
+    setCheckout((c) => ({
+      ...c,
+      signature,
+      idempotencyKey: c.signature == null && !c.payment ? c.idempotencyKey : createIdempotencyKey(),
+      payment: null,
+    }));
+    if (previous) {
+      getPaymentProvider(previous.provider)
+        .then((p) => p.refund(previous.intentId))
+        .catch((e) => console.warn("[PayWall] annulation du paiement impossible", e));
+    }
+  }, [signature, checkout.signature, checkout.order, checkout.payment, cartItems.length, setCheckout]);
 
-  // Données panier transmises via navigation state (depuis /panier)
-  const cartItems = location.state?.items ?? [];
-  const total = location.state?.total ?? 0;
+  const first = firstIncompleteStep(checkout, { hasItems: cartItems.length > 0 });
+  const activeIndex = CHECKOUT_STEPS.findIndex((s) => s.id === step);
 
-  // Garde-fou : si l'utilisateur arrive ici sans state (refresh / accès direct), on renvoie vers /panier.
+  // Garde-fous de navigation
+  // - autre utilisateur, ou nouveau panier après une commande → tunnel vierge ;
+  // - panier vide (hors confirmation) → /panier ;
+  // - `/paywall` seul → première étape ; étape pas encore atteinte → première étape incomplète.
   useEffect(() => {
-    if (!cartItems.length || !total) {
+    if (checkout.userId !== userId || (checkout.order && cartItems.length)) {
+      setCheckout(emptyCheckout(userId, createIdempotencyKey()));
+      return;
+    }
+    if (!checkout.order && !cartItems.length) {
       navigate("/panier", { replace: true });
+      return;
+    }
+    if (checkout.order?.id != null && (!step || step === "confirmation")) {
+      navigate(`/commande/${checkout.order.id}/confirmation`, { replace: true });
+    } else if (!step) {
+      navigate(`/paywall/${checkout.order ? "confirmation" : "recapitulatif"}`, { replace: true });
+    } else if (!isStepReachable(step, first)) {
+      navigate(`/paywall/${first}`, { replace: true });
     }
-  }, [cartItems.length, total, navigate]);
+  }, [checkout.userId, checkout.order, userId, cartItems.length, step, first, navigate, setCheckout]);
+
+  // --- Étape adresse ---
+  const addressErrors = validateAddress(draft);
+  const handleAddressContinue = () => {
+    const address = checkout.addressMode === "registered" ? profileAddress : draft;
+    setAddressSubmitted(true);
+    if (!address || Object.keys(validateAddress(address)).length) return;
+    // Mode de livraison non desservi dans le nouveau pays : à choisir de nouveau
+    const methods = availableShippingMethods(destinationCountry(address));
+    const methodOk = methods.some((m) => m.id === checkout.shippingMethod);
+    setCheckout((c) => ({
+      ...c,
+      address,
+      shippingMethod: methodOk ? c.shippingMethod : methods[0].id,
+      completed: [...new Set([...c.completed, "adresse"])].filter((id) => methodOk || id !== "livraison"),
+    }));
+    goTo("livraison");
+  };
+
+  // --- Étape livraison : coût de chaque mode pour ce panier ---
+  const shippingOptions = availableShippingMethods(country).map((m) => ({
+    ...m,
+    shippingCents: computePricing(cartItems, { country, discount, shippingMethod: m.id }).shippingCents,
+  }));
 
-  const handlePaymentSuccess = async () => {
-    // 1) Side-effect App : vider le panier (source de vérité côté front)
+  // --- Étape paiement → confirmation ---
+  const handlePaymentSuccess = async (data) => {
+    // Confirmation d'abord (sinon le panier vidé renverrait vers /panier), puis vidage du panier
+    update({
+      order: {
+        id: data?.order_id ?? null,
+        totalCents: data?.total != null ? eurosToCents(data.total) : pricing.totalCents,
+      },
+    });
     if (typeof onOrderCompleted === "function") {
       onOrderCompleted();
     }
+    // Nouvelle commande : l'historique "Mes commandes" est périmé
+    invalidateQueries(orderKeys.all);
+    navigate(data?.order_id != null ? `/commande/${data.order_id}/confirmation` : "/paywall/confirmation", {
+      replace: true,
+    });
+  };
 
-    // 2) Feedback utilisateur (remplaçable par Snackbar MUI pour une UX plus moderne)
-    window.alert("Votre commande a bien été envoyée ✅");
-
-    // 3) Redirection post-paiement
-    navigate("/home", { replace: true });
+  const handleFinish = () => {
+    setCheckout(emptyCheckout(userId, createIdempotencyKey()));
+    navigate("/produits");
   };
 
+  if (activeIndex < 0 || !isStepReachable(step, first)) return null;
+
+  const method = SHIPPING_METHODS[pricing.shippingMethod];
+  const stepLabel = CHECKOUT_STEPS[activeIndex].label;
+
   return (
     <Box
       sx={(theme) => ({
@@ -98,11 +259,10 @@ export function PayWall({ onOrderCompleted }) {
       })}
     >
       <Container maxWidth="md">
-        {/* En-tête : étape + titre + explication */}
+        {/* En-tête : étape + titre */}
         <Stack spacing={1.5} sx={{ mb: 4 }}>
           <Chip
-            icon={<CreditCardIcon />}
-            label="Étape 2 / 2 · Paiement"
+            label={`Étape ${activeIndex + 1} / ${CHECKOUT_STEPS.length} · ${stepLabel}`}
             color="primary"
             variant="outlined"
             sx={{ alignSelf: "flex-start" }}
@@ -110,91 +270,251 @@ export function PayWall({ onOrderCompleted }) {
           <Typography variant="h4" fontWeight={600}>
             Finaliser votre commande
           </Typography>
-          <Typography variant="body1" color="text.secondary">
-            Vérifiez le récapitulatif puis saisissez vos informations de paiement
-            pour valider votre commande.
-          </Typography>
+          {/* Stepper : les étapes déjà atteintes sont cliquables (sauf après la commande) */}
+          <Stepper activeStep={activeIndex} alternativeLabel nonLinear={!checkout.order}>
+            {CHECKOUT_STEPS.map((s, i) => {
+              const done = checkout.order ? s.id !== "confirmation" : checkout.completed.includes(s.id);
+              return (
+                <Step key={s.id} completed={done}>
+                  {!checkout.order && i !== activeIndex && isStepReachable(s.id, first) ? (
+                    <StepButton onClick={() => goTo(s.id)}>{s.label}</StepButton>
+                  ) : (
+                    <StepLabel>{s.label}</StepLabel>
+                  )}
+                </Step>
+              );
+            })}
+          </Stepper>
         </Stack>
 
-        <Grid container spacing={3}>
-          {/* Colonne gauche : récapitulatif du panier */}
-          <Grid item xs={12} md={5}>
-            <Paper
-              elevation={3}
-              sx={{
-                p: 2.5,
-                borderRadius: 3,
-                height: "100%",
-                display: "flex",
-                flexDirection: "column",
-                gap: 1.5,
-              }}
-            >
-              <Stack direction="row" alignItems="center" spacing={1}>
-                <ShoppingBagIcon color="primary" />
-                <Typography variant="h6">Récapitulatif</Typography>
-              </Stack>
-
-              <Typography variant="body2" color="text.secondary">
-                {cartItems.length} article(s) dans votre panier.
-              </Typography>
-
-              <Divider sx={{ my: 1.5 }} />
-
-              <Box sx={{ flexGrow: 1, maxHeight: 260, overflowY: "auto" }}>
-                <List dense disablePadding>
-                  {/* Lignes panier : id (clé), libellé, quantité et prix unitaire */}
-                  {cartItems.map((line) => (
-                    <ListItem key={line.id} sx={{ py: 0.75 }}>
-                      <ListItemText
-                        primary={line.name}
-                        secondary={`Qté: ${line.qty} · ${line.price.toFixed(
-                          2
-                        )} €`}
-                      />
-                    </ListItem>
-                  ))}
-                </List>
-              </Box>
-
-              <Divider sx={{ my: 1.5 }} />
-
-              <Box
+        {step === "confirmation" ? (
+          <Paper elevation={3} sx={{ p: 4, borderRadius: 3, textAlign: "center" }}>
+            <CheckCircleOutlineIcon color="success" sx={{ fontSize: 56, mb: 1 }} />
+            <Typography variant="h5" fontWeight={600} gutterBottom>
+              Merci, votre commande est confirmée
+            </Typography>
+            <Typography color="text.secondary">
+              {checkout.order?.id != null ? `Commande n° ${checkout.order.id} · ` : ""}
+              {formatCents(checkout.order?.totalCents ?? 0)} TTC
+            </Typography>
+            <Typography color="text.secondary" sx={{ mt: 1 }}>
+              Livraison : {formatAddress(checkout.address)} ({method.label.toLowerCase()}, {method.delay})
+            </Typography>
+            <Button variant="contained" sx={{ mt: 3 }} onClick={handleFinish}>
+              Continuer mes achats
+            </Button>
+          </Paper>
+        ) : (
+          <Grid container spacing={3}>
+            {/* Colonne gauche : récapitulatif du panier */}
+            <Grid item xs={12} md={5}>
+              <Paper
+                elevation={3}
                 sx={{
+                  p: 2.5,
+                  borderRadius: 3,
+                  height: "100%",
                   display: "flex",
-                  justifyContent: "space-between",
-                  alignItems: "baseline",
+                  flexDirection: "column",
+                  gap: 1.5,
                 }}
               >
-                <Typography variant="subtitle1">Total TTC</Typography>
-                <Typography variant="h5" fontWeight={700}>
-                  {Number(total || 0).toFixed(2)} €
+                <Stack direction="row" alignItems="center" spacing={1}>
+                  <ShoppingBagIcon color="primary" />
+                  <Typography variant="h6">Récapitulatif</Typography>
+                </Stack>
+
+                <Typography variant="body2" color="text.secondary">
+                  {cartItems.length} article(s) dans votre panier.
                 </Typography>
-              </Box>
-            </Paper>
-          </Grid>
 
-          {/* Colonne droite : formulaire de paiement (PaymentForm) */}
-          <Grid item xs={12} md={7}>
-            <Paper
-              elevation={3}
-              sx={{
-                p: 3,
-                borderRadius: 3,
-                backdropFilter: "blur(6px)",
-                backgroundColor: "rgba(255,255,255,0.95)",
-              }}
-            >
-              <PaymentForm
-                total={total}
-                items={cartItems}
-                userId={userId}
-                onPaid={handlePaymentSuccess}
-              />
-            </Paper>
+                <Divider sx={{ my: 1.5 }} />
+
+                <Box sx={{ flexGrow: 1, maxHeight: 260, overflowY: "auto" }}>
+                  <List dense disablePadding>
+                    {/* Lignes panier : id (clé), libellé, quantité et prix unitaire */}
+                    {cartItems.map((line) => (
+                      <ListItem key={line.id} sx={{ py: 0.75 }}>
+                        <ListItemText
+                          primary={line.name}
+                          secondary={`Qté: ${line.qty} · ${formatCents(line.priceCents)} ${line.taxIncluded ? "TTC" : "HT"}`}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                </Box>
+
+                <Divider sx={{ my: 1.5 }} />
+
+                <PriceSummary pricing={pricing} />
+              </Paper>
+            </Grid>
+
+            {/* Colonne droite : contenu de l'étape */}
+            <Grid item xs={12} md={7}>
+              <Paper
+                elevation={3}
+                sx={{
+                  p: 3,
+                  borderRadius: 3,
+                  backdropFilter: "blur(6px)",
+                  backgroundColor: "rgba(255,255,255,0.95)",
+                }}
+              >
+                {step === "recapitulatif" && (
+                  <Stack spacing={2}>
+                    <Typography variant="h6">Vérifiez votre panier</Typography>
+                    {/* Une sous-commande par vendeur, préparée et expédiée séparément */}
+                    {pricing.sellers.map((g) => (
+                      <List
+                        key={g.sellerId ?? "none"}
+                        disablePadding
+                        subheader={
+                          pricing.sellers.length > 1 ? (
+                            <ListSubheader disableGutters sx={{ lineHeight: 2.5, bgcolor: "transparent" }}>
+                              {sellerLabel(g)}
+                            </ListSubheader>
+                          ) : null
+                        }
+                      >
+                        {g.lines.map((l) => (
+                          <ListItem key={l.key} disableGutters divider>
+                            <ListItemText primary={l.name} secondary={`Qté : ${l.qty}`} />
+                            <Typography fontWeight={600}>{formatCents(l.grossCents + l.discountCents)}</Typography>
+                          </ListItem>
+                        ))}
+                      </List>
+                    ))}
+                    <Typography variant="body2" color="text.secondary">
+                      Frais de port estimés pour {method.label.toLowerCase()} ; vous choisirez le mode de
+                      livraison après l’adresse.
+                    </Typography>
+                    <Stack direction="row" spacing={1.5} justifyContent="space-between">
+                      <Button component={RouterLink} to="/panier">
+                        Modifier le panier
+                      </Button>
+                      <Button
+                        variant="contained"
+                        onClick={() => {
+                          complete("recapitulatif");
+                          goTo("adresse");
+                        }}
+                      >
+                        Continuer
+                      </Button>
+                    </Stack>
+                  </Stack>
+                )}
+
+                {step === "adresse" && (
+                  <Stack spacing={2}>
+                    <Typography variant="h6">Adresse de livraison</Typography>
+                    <RadioGroup
+                      value={checkout.addressMode}
+                      onChange={(e) => update({ addressMode: e.target.value })}
+                    >
+                      <FormControlLabel
+                        value="registered"
+                        control={<Radio />}
+                        disabled={!profileAddress}
+                        label={
+                          <Box>
+                            <Typography>Adresse de mon compte</Typography>
+                            <Typography variant="body2" color="text.secondary">
+                              {profileAddress ? formatAddress(profileAddress) : "Aucune adresse enregistrée"}
+                            </Typography>
+                          </Box>
+                        }
+                      />
+                      <FormControlLabel value="custom" control={<Radio />} label="Autre adresse" />
+                    </RadioGroup>
+
+                    {checkout.addressMode === "registered" &&
+                      addressSubmitted &&
+                      profileAddress &&
+                      Object.keys(validateAddress(profileAddress)).length > 0 && (
+                        <Alert severity="warning">
+                          L’adresse de votre compte est incomplète : complétez-la via « Autre adresse ».
+                        </Alert>
+                      )}
+
+                    {checkout.addressMode === "custom" && (
+                      <AddressForm
+                        address={draft}
+                        errors={addressSubmitted ? addressErrors : {}}
+                        onChange={setDraft}
+                      />
+                    )}
+
+                    <Stack direction="row" spacing={1.5} justifyContent="space-between">
+                      <Button onClick={() => goTo("recapitulatif")}>Retour</Button>
+                      <Button variant="contained" onClick={handleAddressContinue}>
+                        Continuer
+                      </Button>
+                    </Stack>
+                  </Stack>
+                )}
+
+                {step === "livraison" && (
+                  <Stack spacing={2}>
+                    <Typography variant="h6">Mode de livraison</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Livraison à : {formatAddress(checkout.address)}
+                      {pricing.sellers.length > 1 && ` · ${pricing.sellers.length} colis (un par vendeur)`}
+                    </Typography>
+                    <ShippingMethodPicker
+                      options={shippingOptions}
+                      value={pricing.shippingMethod}
+                      onChange={(id) => update({ shippingMethod: id })}
+                    />
+                    <Stack direction="row" spacing={1.5} justifyContent="space-between">
+                      <Button onClick={() => goTo("adresse")}>Retour</Button>
+                      <Button
+                        variant="contained"
+                        onClick={() => {
+                          complete("livraison", { shippingMethod: pricing.shippingMethod });
+                          goTo("paiement");
+                        }}
+                      >
+                        Continuer
+                      </Button>
+                    </Stack>
+                  </Stack>
+                )}
+
+                {step === "paiement" && (
+                  <>
+                    <Stack spacing={0.5} sx={{ mb: 1 }}>
+                      <Typography variant="body2" color="text.secondary">
+                        Livraison à : {formatAddress(checkout.address)}{" "}
+                        <Button size="small" onClick={() => goTo("adresse")}>
+                          Modifier
+                        </Button>
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {method.label} ({method.delay}){" "}
+                        <Button size="small" onClick={() => goTo("livraison")}>
+                          Modifier
+                        </Button>
+                      </Typography>
+                    </Stack>
+                    <Divider />
+                    <PaymentForm
+                      pricing={pricing}
+                      items={cartItems}
+                      userId={userId}
+                      address={checkout.address}
+                      idempotencyKey={checkout.idempotencyKey}
+                      onAuthorized={(payment) => update({ payment })}
+                      onPaid={handlePaymentSuccess}
+                    />
+                  </>
+                )}
+              </Paper>
+            </Grid>
           </Grid>
-        </Grid>
+        )}
       </Container>
     </Box>
   );
-}
\ No newline at end of file
+}
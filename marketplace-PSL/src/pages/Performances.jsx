@@ -5,7 +5,7 @@
  *
  * Objectif fonctionnel
  * - Consommer l’API back `performance.php` afin d’afficher :
- *   - des KPIs (CA, nb commandes, articles vendus, panier moyen)
+ *   - des KPIs (CA net HT après remises et remboursements, nb commandes, articles vendus, panier moyen)
  *   - un top produits par chiffre d’affaires
  *   - un graphe temporel (montant des commandes dans le temps)
  *   - un aperçu des lignes de ventes
@@ -17,13 +17,13 @@
  * 4) Rendu MUI + Recharts
  *
  * Notes techniques
- * - Le back peut renvoyer du HTML (fatal PHP) : la page protège le parsing JSON.
- * - `alive` empêche les setState après un unmount (pattern anti-memory leak).
- * - Le format monétaire est centralisé dans `eur()`.
+ * - Le back peut renvoyer du HTML (fatal PHP) : apiClient lève alors une `ParseError` explicite.
+ * - Montants du back convertis en centimes (`amountToCents`, lib/money) dès l’agrégation ; tous les
+ *   calculs se font en centimes, affichés avec `formatCents`.
  */
 
-// React : hooks d’état, effets et memoization
-import { useEffect, useMemo, useState } from "react";
+// React : memoization des agrégats
+import { useMemo } from "react";
 
 // MUI : layout + composants de restitution (KPIs, tables, feedback)
 import {
@@ -45,6 +45,12 @@ import {
 
 // Auth : accès à l’utilisateur connecté (seller)
 import { useAuth } from "../context/AuthContext.jsx";
+// Services : package performance vendeur (performance.php) via apiClient
+import { fetchPerformance, performanceKeys } from "../services/performance";
+// Cache de requêtes : lecture partagée + stale-while-revalidate
+import { useQuery } from "../lib/useQuery";
+// Montants : conversion en centimes + formatage
+import { amountToCents, formatCents } from "../lib/money";
 
 // Recharts : rendu du graphique temporel (CA dans le temps)
 import {
@@ -57,57 +63,6 @@ import {
   CartesianGrid,
 } from "recharts";
 
-/**
- * Formatte un montant en euros (locale fr-FR).
- *
- * @param {number|string|null|undefined} amount - Montant (tolère null/undefined/strings).
- * @returns {string} Montant formaté (ex: "1 234,00 €").
- */
-function eur(amount) {
-  const n = Number(amount || 0);
-  return n.toLocaleString("fr-FR", { style: "currency", currency: "EUR" });
-}
-
-/**
- * Appelle l’API de performance côté back.
- *
- * @param {number|string} userId - Identifiant du vendeur (users.id).
- * @returns {Promise<any>} Payload JSON validé (data.ok === true).
- *
- * @throws {Error}
- * - Réponse non JSON (souvent une page HTML en cas de fatal PHP)
- * - Erreur HTTP ou `ok: false`
- */
-async function fetchPerformance(userId) {
-  // Endpoint performance : paramètre user_id utilisé pour filtrer les ventes du vendeur
-  const url = `http://localhost/api/performance.php?user_id=${encodeURIComponent(userId)}`;
-
-  // credentials: include → permet d’embarquer les cookies/session si l’API en dépend
-  const res = await fetch(url, {
-    method: "GET",
-    credentials: "include",
-    headers: { Accept: "application/json" },
-  });
-
-  // Sécurisation parsing : en cas de fatal PHP, Apache/PHP peut renvoyer une page HTML.
-  // On lit la réponse en texte puis on tente un JSON.parse contrôlé.
-  const text = await res.text();
-  let data = null;
-
-  try {
-    data = text ? JSON.parse(text) : null;
-  } catch {
-    throw new Error("Réponse non JSON (probable erreur PHP). Voir les logs Apache/PHP.");
-  }
-
-  // Contrat API : on considère l’appel en échec si HTTP non-2xx ou si { ok:false }
-  if (!res.ok || !data?.ok) {
-    throw new Error(data?.error || `Erreur API (${res.status})`);
-  }
-
-  return data;
-}
-
 /**
  * Page Performances.
  *
@@ -121,43 +76,23 @@ export function Performances() {
   // Identifiant vendeur utilisé pour filtrer les données de performance côté back
   const userId = auth?.user?.id;
 
-  // state : cycle de vie de la requête (loading/error/data)
-  const [state, setState] = useState({ loading: true, error: "", data: null });
-
-  useEffect(() => {
-    // Chargement des performances à chaque changement de userId
-    let alive = true;
-
-    (async () => {
-      // Aucun userId : l’utilisateur n’est pas identifié (ou contexte non initialisé)
-      if (!userId) {
-        setState({ loading: false, error: "Utilisateur non identifié.", data: null });
-        return;
-      }
-
-      // Reset UI : on affiche le loader et on purge la donnée précédente
-      setState({ loading: true, error: "", data: null });
-
-      try {
-        // Appel API : retourne un payload { ok:true, totals, by_product, orders?, lines?, ... }
-        const data = await fetchPerformance(userId);
-        if (!alive) return;
-
-        // Succès : on stocke la donnée brute dans l’état (le rendu utilise `computed`)
-        setState({ loading: false, error: "", data });
-      } catch (e) {
-        if (!alive) return;
-
-        // Échec : message utilisateur + conservation d’un état cohérent
-        setState({ loading: false, error: e?.message || "Erreur de chargement", data: null });
-      }
-    })();
+  // Package performance via le cache de requêtes : Dashboard et Performances partagent
+  // la même clé, la navigation entre les deux pages n'entraîne donc pas de nouveau téléchargement.
+  const perf = useQuery(performanceKeys.seller(userId), () => fetchPerformance(userId), {
+    enabled: !!userId,
+  });
 
-    // Cleanup : évite setState si la page est démontée pendant la requête
-    return () => {
-      alive = false;
-    };
-  }, [userId]);
+  // State dérivé : pattern "loading/error/data" attendu par le rendu
+  const state = {
+    loading: perf.isLoading,
+    // Sans userId, on ne peut pas appeler l’API (route normalement protégée par RequireAuth)
+    error: !userId
+      ? "Utilisateur non identifié."
+      : perf.data === undefined && perf.error
+        ? perf.error.message || "Erreur de chargement"
+        : "",
+    data: perf.data ?? null,
+  };
 
   const computed = useMemo(() => {
     // `computed` prépare un modèle de vue (ViewModel) optimisé pour la UI.
@@ -167,22 +102,38 @@ export function Performances() {
 
     // KPIs globaux (fallback si l’API ne renvoie pas toutes les clés)
     const totals = data.totals || { orders_count: 0, items_sold: 0, revenue: 0 };
+    // CA net HT (après remises des codes promo et remboursements) ; un back sans ce détail → CA brut
+    const netRevenue = amountToCents(totals.net_revenue ?? totals.revenue);
+    const discounts = amountToCents(totals.discounts);
+    const refunds = amountToCents(totals.refunds);
+    // Déductions du CA brut, affichées sous le KPI
+    const deductions = [
+      discounts > 0 && `${formatCents(discounts)} de remises`,
+      refunds > 0 && `${formatCents(refunds)} remboursés`,
+    ].filter(Boolean);
     const byProduct = Array.isArray(data.by_product) ? data.by_product : [];
 
-    // Top produits par chiffre d’affaires (CA)
+    // Top produits par chiffre d’affaires (CA), montants en centimes
     const top = byProduct
       .slice()
-      .sort((a, b) => Number(b.revenue || 0) - Number(a.revenue || 0))
-      .slice(0, 8);
+      .sort((a, b) => amountToCents(b.revenue) - amountToCents(a.revenue))
+      .slice(0, 8)
+      .map((p) => ({
+        ...p,
+        revenue: amountToCents(p.revenue),
+        discount: amountToCents(p.discount),
+        refunds: amountToCents(p.refunds),
+        net_revenue: amountToCents(p.net_revenue ?? p.revenue),
+      }));
 
     // Ratios : panier moyen (AOV) et articles/commande
     const orders = Number(totals.orders_count || 0);
     const items = Number(totals.items_sold || 0);
-    const revenue = Number(totals.revenue || 0);
-    const aov = orders > 0 ? revenue / orders : 0; // panier moyen
+    const revenue = amountToCents(totals.revenue);
+    const aov = orders > 0 ? Math.round(revenue / orders) : 0; // panier moyen (centimes)
     const unitsPerOrder = orders > 0 ? items / orders : 0;
 
-    // Série temporelle des commandes (date -> total)
+    // Série temporelle des commandes (date -> total en centimes)
     // Source temporelle préférée : `orders` (1 ligne = 1 commande)
     const ordersRaw = Array.isArray(data.orders) ? data.orders : [];
 
@@ -201,7 +152,7 @@ export function Performances() {
             o.created_at ||
             "",
           // Le total peut arriver sous `total` ou `commande_total` (selon la jointure)
-          total: Number(o.total ?? o.commande_total ?? o.Total ?? o.amount ?? 0),
+          total: amountToCents(o.total ?? o.commande_total ?? o.Total ?? o.amount),
         }))
         .filter((p) => p.date)
         .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
@@ -234,14 +185,14 @@ export function Performances() {
           // Utilise une clé plus précise pour éviter le double comptage si plusieurs lignes ont le même total
           const uniqKey = `${key}::${cmdId}`;
           if (!acc.has(uniqKey)) {
-            acc.set(uniqKey, Number(cmdTotal) || 0);
+            acc.set(uniqKey, amountToCents(cmdTotal));
           }
           continue;
         }
 
         // 2) Fallback: prix * quantité si ces champs existent
         const q = Number(l.quantite ?? l.qty ?? 1) || 1;
-        const unit = Number(l.price ?? l.prix ?? l.total ?? l.Total ?? 0) || 0;
+        const unit = amountToCents(l.price ?? l.prix ?? l.total ?? l.Total);
         amount = unit * q;
 
         // Agrégation simple par date
@@ -255,7 +206,7 @@ export function Performances() {
         })
         // si on a plusieurs points pour une même date (plusieurs commandes), on re-somme par date
         .reduce((map, p) => {
-          map.set(p.date, (map.get(p.date) || 0) + Number(p.total || 0));
+          map.set(p.date, (map.get(p.date) || 0) + p.total);
           return map;
         }, new Map());
 
@@ -274,7 +225,7 @@ export function Performances() {
       })(),
     }));
 
-    return { totals, top, aov, unitsPerOrder, series: seriesFmt };
+    return { totals, netRevenue, deductions, top, aov, unitsPerOrder, series: seriesFmt };
   }, [state.data]);
 
   return (
@@ -329,13 +280,17 @@ export function Performances() {
                   }}
                 >
                   <Typography variant="body2" color="text.secondary">
-                    Chiffre d’affaires (estimé)
+                    Chiffre d’affaires net HT
                   </Typography>
                   <Typography variant="h5" sx={{ mt: 1, mb: 1 }}>
-                    {eur(computed.totals.revenue)}
+                    {formatCents(computed.netRevenue)}
                   </Typography>
                   <Chip
-                    label="Basé sur les lignes vendues"
+                    label={
+                      computed.deductions.length
+                        ? `Après ${computed.deductions.join(" et ")}`
+                        : "Basé sur les lignes vendues"
+                    }
                     size="small"
                     color="primary"
                     variant="outlined"
@@ -416,7 +371,7 @@ export function Performances() {
                     Panier moyen (estimé)
                   </Typography>
                   <Typography variant="h5" sx={{ mt: 1, mb: 1 }}>
-                    {eur(computed.aov)}
+                    {formatCents(computed.aov)}
                   </Typography>
                   <Chip
                     label={`${computed.unitsPerOrder.toFixed(2).replace(".", ",")} articles / commande`}
@@ -453,16 +408,11 @@ export function Performances() {
                       <YAxis
                         width={96}
                         tickFormatter={(v) =>
-                          Number(v).toLocaleString("fr-FR", {
-                            style: "currency",
-                            currency: "EUR",
-                            minimumFractionDigits: 0,
-                            maximumFractionDigits: 0,
-                          })
+                          formatCents(v, "EUR", { minimumFractionDigits: 0, maximumFractionDigits: 0 })
                         }
                       />
                       <Tooltip
-                        formatter={(value) => eur(value)}
+                        formatter={(value) => formatCents(value)}
                         labelFormatter={(label, payload) => {
                           const raw = payload?.[0]?.payload?.date;
                           if (!raw) return label;
@@ -493,6 +443,9 @@ export function Performances() {
                       <TableCell>Produit</TableCell>
                       <TableCell align="right">Qté vendue</TableCell>
                       <TableCell align="right">CA estimé</TableCell>
+                      <TableCell align="right">Remises</TableCell>
+                      <TableCell align="right">Remboursé HT</TableCell>
+                      <TableCell align="right">CA net HT</TableCell>
                     </TableRow>
                   </TableHead>
                   <TableBody>
@@ -500,7 +453,10 @@ export function Performances() {
                       <TableRow key={p.id_product} hover>
                         <TableCell>{p.name || `Produit #${p.id_product}`}</TableCell>
                         <TableCell align="right">{Number(p.qty_sold || 0).toLocaleString("fr-FR")}</TableCell>
-                        <TableCell align="right">{eur(p.revenue)}</TableCell>
+                        <TableCell align="right">{formatCents(p.revenue)}</TableCell>
+                        <TableCell align="right">{p.discount > 0 ? `− ${formatCents(p.discount)}` : "—"}</TableCell>
+                        <TableCell align="right">{p.refunds > 0 ? `− ${formatCents(p.refunds)}` : "—"}</TableCell>
+                        <TableCell align="right">{formatCents(p.net_revenue)}</TableCell>
                       </TableRow>
                     ))}
                   </TableBody>
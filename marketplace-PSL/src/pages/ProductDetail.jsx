@@ -0,0 +1,323 @@
+/**
+ * @file ProductDetail.jsx
+ * @description
+ * Page "Fiche produit" (`/produits/:id`), ouverte depuis une carte du catalogue ou par un lien partagé.
+ *
+ * Rôle
+ * - Relit le produit via `getProduct(id)` : la page fonctionne sans passer par le catalogue
+ *   (lien direct, rechargement, lien copié par un autre client).
+ * - Affiche la galerie d'images, la description complète, le vendeur (lien vers sa boutique :
+ *   catalogue filtré `/produits?vendeur=…`), la disponibilité et le prix.
+ * - Sélecteur de quantité borné au stock restant (stock moins ce qui est déjà au panier), puis ajout
+ *   au panier via `onAdd` (même contrat que Shop).
+ * - Bouton "Partager" : partage natif du navigateur si disponible, sinon copie du lien.
+ * - Fil d'Ariane de la catégorie du produit (chaque niveau mène à son rayon) et étiquettes cliquables
+ *   (catalogue filtré `/produits?tag=…`).
+ *
+ * Erreurs
+ * - Produit inconnu ou supprimé (404) : message dans une Alert, avec retour au catalogue.
+ */
+
+// React : image affichée, quantité, retours utilisateur
+import { useEffect, useState } from "react";
+// Router : id du produit (URL) + liens catalogue / boutique / panier
+import { Link as RouterLink, useParams } from "react-router-dom";
+// MUI : layout + composants UI
+import {
+  Alert,
+  Box,
+  Button,
+  ButtonBase,
+  Chip,
+  CircularProgress,
+  Container,
+  Divider,
+  Grid,
+  IconButton,
+  Link,
+  Paper,
+  Rating,
+  Stack,
+  Typography,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import RemoveIcon from "@mui/icons-material/Remove";
+import ShareIcon from "@mui/icons-material/Share";
+import StorefrontIcon from "@mui/icons-material/Storefront";
+// Services + cache : fiche produit (products.php?id=…)
+import { getProduct, productKeys } from "../services/products";
+import { categoryKeys, listCategories } from "../services/categories";
+import { useQuery } from "../lib/useQuery";
+import { CategoryBreadcrumbs } from "../components/CategoryBreadcrumbs";
+import { catalogUrl } from "../lib/catalogQuery";
+// Panier : quantité déjà ajoutée (plafond de stock)
+import { useCart } from "../context/useCart";
+// Montants, nom du vendeur, seuil de stock faible
+import { formatCents } from "../lib/money";
+import { sellerLabel } from "../lib/pricing";
+import { LOW_STOCK_THRESHOLD, lineKey } from "../models/cart";
+
+/** Disponibilité affichée sous le prix. */
+function StockChip({ stock }) {
+  if (stock <= 0) return <Chip color="error" label="Rupture de stock" />;
+  if (stock <= LOW_STOCK_THRESHOLD) return <Chip color="warning" label={`Plus que ${stock} en stock`} />;
+  return <Chip color="success" variant="outlined" label="En stock" />;
+}
+
+/** Image principale + vignettes cliquables (placeholder si le produit n'a pas d'image). */
+function Gallery({ images, name }) {
+  const [index, setIndex] = useState(0);
+  const current = images[Math.min(index, images.length - 1)];
+
+  if (!current) {
+    return (
+      <Box sx={{ aspectRatio: "4 / 3", bgcolor: "grey.100", borderRadius: 3, display: "grid", placeItems: "center" }}>
+        <Typography variant="body2" color="text.secondary">
+          Aucune image
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Stack spacing={1.5}>
+      <Box
+        component="img"
+        src={current}
+        alt={name}
+        sx={{ width: "100%", aspectRatio: "4 / 3", objectFit: "cover", borderRadius: 3, bgcolor: "grey.100" }}
+      />
+      {images.length > 1 && (
+        <Stack direction="row" spacing={1} sx={{ overflowX: "auto", pb: 0.5 }}>
+          {images.map((src, i) => (
+            <ButtonBase
+              key={src}
+              onClick={() => setIndex(i)}
+              aria-label={`Image ${i + 1} sur ${images.length}`}
+              sx={{
+                flexShrink: 0,
+                borderRadius: 2,
+                overflow: "hidden",
+                outline: 2,
+                outlineColor: i === index ? "primary.main" : "transparent",
+              }}
+            >
+              <Box component="img" src={src} alt="" sx={{ width: 72, height: 54, objectFit: "cover" }} />
+            </ButtonBase>
+          ))}
+        </Stack>
+      )}
+    </Stack>
+  );
+}
+
+/**
+ * Fiche d'un produit du catalogue.
+ *
+ * @param {{ onAdd?: (product: import("../models/product").Product, qty?: number) => number|void }} props
+ *   `onAdd` renvoie la quantité réellement ajoutée (useCart().add).
+ */
+export function ProductDetail({ onAdd }) {
+  const { id } = useParams();
+  const query = useQuery(productKeys.detail(id), () => getProduct(id), { enabled: Boolean(id) });
+  const product = query.data;
+  // Taxonomie (même entrée de cache que le catalogue) : fil d'Ariane
+  const categories = useQuery(categoryKeys.all, () => listCategories());
+
+  // Ouverture depuis le catalogue défilé : la fiche s’affiche en haut (le catalogue restaure sa position au retour)
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [id]);
+
+  const { items: cartLines } = useCart();
+  const [qty, setQty] = useState(1);
+  // Retour du dernier ajout / partage : { severity, text }
+  const [notice, setNotice] = useState(null);
+
+  const cartQty = product ? cartLines.find((l) => lineKey(l) === lineKey(product))?.qty ?? 0 : 0;
+  const remaining = product ? Math.max(0, product.stock - cartQty) : 0;
+  const selected = Math.min(qty, Math.max(1, remaining));
+
+  const handleAdd = () => {
+    const added = onAdd?.(product, selected) ?? selected;
+    setNotice(
+      added > 0
+        ? { severity: "success", text: `${added} article(s) ajouté(s) au panier.` }
+        : { severity: "warning", text: "Tout le stock disponible est déjà dans votre panier." }
+    );
+    setQty(1);
+  };
+
+  const handleShare = async () => {
+    const url = window.location.href;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: product.name, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      setNotice({ severity: "info", text: "Lien du produit copié." });
+    } catch (e) {
+      // Partage annulé par l'utilisateur : rien à signaler
+      if (e?.name !== "AbortError") setNotice({ severity: "info", text: `Lien du produit : ${url}` });
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Box sx={{ mb: 2 }}>
+        <CategoryBreadcrumbs
+          categories={categories.data ?? []}
+          categoryId={product?.categoryId ?? null}
+          current={product?.name}
+        />
+      </Box>
+
+      {query.isLoading && (
+        <Paper elevation={0} sx={{ p: 3, borderRadius: 2, display: "flex", alignItems: "center", gap: 2 }}>
+          <CircularProgress size={22} />
+          <Typography color="text.secondary">Chargement du produit…</Typography>
+        </Paper>
+      )}
+
+      {!product && query.error && (
+        <Alert severity="error" sx={{ borderRadius: 2 }}>
+          {query.error.status === 404
+            ? "Ce produit n’existe pas ou n’est plus proposé à la vente."
+            : query.error.message || "Erreur de chargement"}
+        </Alert>
+      )}
+
+      {product && (
+        <Grid container spacing={4}>
+          <Grid item xs={12} md={6}>
+            {/* key : la galerie repart de la première image quand on change de produit */}
+            <Gallery key={product.id} images={product.images} name={product.name} />
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <Stack spacing={2.5}>
+              <Box>
+                <Stack direction="row" alignItems="flex-start" justifyContent="space-between" spacing={1}>
+                  <Typography variant="h4" fontWeight={700}>
+                    {product.name}
+                  </Typography>
+                  <IconButton aria-label="partager" onClick={handleShare}>
+                    <ShareIcon />
+                  </IconButton>
+                </Stack>
+                {product.rating != null && (
+                  <Stack direction="row" alignItems="center" spacing={1}>
+                    <Rating value={product.rating} precision={0.1} readOnly />
+                    <Typography variant="body2" color="text.secondary">
+                      {product.rating.toLocaleString("fr-FR", { maximumFractionDigits: 1 })} / 5 ·{" "}
+                      {product.ratingCount} avis
+                    </Typography>
+                  </Stack>
+                )}
+                {product.sellerId != null && (
+                  <Link
+                    component={RouterLink}
+                    to={`/produits?vendeur=${product.sellerId}`}
+                    underline="hover"
+                    sx={{ display: "inline-flex", alignItems: "center", gap: 0.5, mt: 0.5 }}
+                  >
+                    <StorefrontIcon fontSize="small" />
+                    Vendu par {sellerLabel(product)}
+                  </Link>
+                )}
+              </Box>
+
+              <Stack direction="row" alignItems="center" spacing={2}>
+                <Typography variant="h5" fontWeight={700}>
+                  {formatCents(product.priceCents, product.currency)}
+                </Typography>
+                <StockChip stock={product.stock} />
+              </Stack>
+
+              {product.stock > 0 && (
+                <Stack direction="row" alignItems="center" spacing={2}>
+                  <Stack direction="row" alignItems="center" sx={{ border: 1, borderColor: "divider", borderRadius: 2 }}>
+                    <IconButton
+                      aria-label="diminuer la quantité"
+                      onClick={() => setQty(selected - 1)}
+                      disabled={selected <= 1}
+                    >
+                      <RemoveIcon />
+                    </IconButton>
+                    <Typography sx={{ minWidth: 32, textAlign: "center" }}>{selected}</Typography>
+                    <IconButton
+                      aria-label="augmenter la quantité"
+                      onClick={() => setQty(selected + 1)}
+                      disabled={selected >= remaining}
+                    >
+                      <AddIcon />
+                    </IconButton>
+                  </Stack>
+                  <Button variant="contained" size="large" onClick={handleAdd} disabled={remaining <= 0}>
+                    {remaining <= 0 ? "Stock au panier" : "Ajouter au panier"}
+                  </Button>
+                </Stack>
+              )}
+              {cartQty > 0 && (
+                <Typography variant="body2" color="text.secondary">
+                  Déjà {cartQty} dans votre panier.
+                </Typography>
+              )}
+
+              {notice && (
+                <Alert
+                  severity={notice.severity}
+                  onClose={() => setNotice(null)}
+                  action={
+                    notice.severity === "success" && (
+                      <Button color="inherit" size="small" component={RouterLink} to="/panier">
+                        Voir le panier
+                      </Button>
+                    )
+                  }
+                  sx={{ borderRadius: 2 }}
+                >
+                  {notice.text}
+                </Alert>
+              )}
+
+              <Divider />
+
+              <Box>
+                <Typography variant="h6" gutterBottom>
+                  Description
+                </Typography>
+                <Typography color="text.secondary" sx={{ whiteSpace: "pre-line" }}>
+                  {product.description || "Aucune description."}
+                </Typography>
+              </Box>
+
+              {product.tags.length > 0 && (
+                <Stack direction="row" flexWrap="wrap" useFlexGap spacing={1}>
+                  {product.tags.map((tag) => (
+                    <Chip
+                      key={tag}
+                      label={tag}
+                      size="small"
+                      variant="outlined"
+                      clickable
+                      component={RouterLink}
+                      to={catalogUrl({ tag })}
+                    />
+                  ))}
+                </Stack>
+              )}
+
+              {(product.reference || product.id != null) && (
+                <Typography variant="caption" color="text.secondary">
+                  Réf. produit : {product.reference || product.id}
+                </Typography>
+              )}
+            </Stack>
+          </Grid>
+        </Grid>
+      )}
+    </Container>
+  );
+}
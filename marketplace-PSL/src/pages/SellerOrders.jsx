@@ -0,0 +1,305 @@
+/**
+ * @file SellerOrders.jsx
+ * @description
+ * Page "Commandes à traiter" (comptes Professionnel) : commandes contenant les articles du vendeur connecté.
+ *
+ * Rôle
+ * - Lit les ventes via `listSellerOrders(userId)` (order.php) : part du vendeur (articles + colis).
+ * - Filtre par statut (par défaut : ce qui attend une action du vendeur).
+ * - Fait avancer chaque commande dans son cycle de vie (lib/orderStatus) : préparation, livraison,
+ *   annulation avant expédition, traitement des retours (remboursement ou refus).
+ * - Expédition en un ou plusieurs colis (ShipmentDialog : transporteur + numéro de suivi, quantités) ;
+ *   la commande passe à « expédiée » quand tous ses articles sont partis.
+ * - Bon de livraison PDF à imprimer (lib/packingSlip, chargé au clic).
+ * - Seules les transitions autorisées au vendeur sont proposées ; le back revérifie chacune.
+ *
+ * Les remboursements (annulation d'une commande payée, retour accepté) sont déduits du CA net
+ * affiché dans Performances.
+ */
+
+// React : commande en cours de mise à jour, filtre, dialogue d'expédition
+import { useState } from "react";
+// MUI : layout + tableau
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+// Auth : vendeur connecté
+import { useAuth } from "../context/AuthContext.jsx";
+// Services : ventes, relecture d'une commande, changement de statut
+import { getOrder, listSellerOrders, orderKeys, updateOrderStatus } from "../services/orders";
+import { performanceKeys } from "../services/performance";
+import { productKeys } from "../services/products";
+// Cache de requêtes
+import { fetchQuery } from "../lib/queryCache";
+import { useMutation, useQuery } from "../lib/useQuery";
+// Cycle de vie + montants + colis
+import { ORDER_STATUS, nextStatuses } from "../lib/orderStatus";
+import { formatCents } from "../lib/money";
+import { carrierLabel } from "../models/shipment";
+// Composants
+import { OrderStatusChip } from "../components/OrderStatusChip";
+import { ShipmentDialog } from "../components/ShipmentDialog";
+
+// Libellé du bouton par transition (statut d'origine → statut cible)
+function actionLabel(from, to) {
+  if (from === ORDER_STATUS.RETURN_REQUESTED) {
+    return to === ORDER_STATUS.REFUNDED ? "Rembourser le retour" : "Refuser le retour";
+  }
+  return {
+    [ORDER_STATUS.PREPARING]: "Préparer",
+    [ORDER_STATUS.DELIVERED]: "Marquer livrée",
+    [ORDER_STATUS.CANCELLED]: "Annuler",
+  }[to];
+}
+
+// Filtres par statut ; "À traiter" regroupe ce qui attend une action du vendeur.
+const STATUS_FILTERS = [
+  {
+    id: "todo",
+    label: "À traiter",
+    statuses: [ORDER_STATUS.PAID, ORDER_STATUS.PREPARING, ORDER_STATUS.RETURN_REQUESTED],
+  },
+  { id: "paid", label: "Payées", statuses: [ORDER_STATUS.PAID] },
+  { id: "preparing", label: "En préparation", statuses: [ORDER_STATUS.PREPARING] },
+  { id: "shipped", label: "Expédiées", statuses: [ORDER_STATUS.SHIPPED] },
+  { id: "delivered", label: "Livrées", statuses: [ORDER_STATUS.DELIVERED] },
+  { id: "returns", label: "Retours", statuses: [ORDER_STATUS.RETURN_REQUESTED, ORDER_STATUS.REFUNDED] },
+  { id: "cancelled", label: "Annulées", statuses: [ORDER_STATUS.CANCELLED] },
+  { id: "all", label: "Toutes", statuses: null },
+];
+
+// Articles du vendeur restant à expédier (sa part seulement : `itemCount` et `shipments`).
+const remainingItems = (order) =>
+  order.itemCount - order.shipments.flatMap((sh) => sh.lines).reduce((n, l) => n + l.qty, 0);
+
+// Une commande en préparation dont le vendeur a expédié toute sa part attend les autres vendeurs.
+const matches = (filter, order) =>
+  (!filter.statuses || filter.statuses.includes(order.status)) &&
+  !(filter.id === "todo" && order.status === ORDER_STATUS.PREPARING && remainingItems(order) <= 0);
+
+// Transitions qui remboursent le client ou l'annulent : confirmation demandée
+const needsConfirm = (to) => to === ORDER_STATUS.CANCELLED || to === ORDER_STATUS.REFUNDED;
+
+const dateLabel = (iso) =>
+  iso ? new Date(iso).toLocaleDateString("fr-FR", { day: "numeric", month: "short", year: "numeric" }) : "";
+
+/**
+ * Commandes à traiter du vendeur connecté.
+ */
+export function SellerOrders() {
+  const { auth } = useAuth() || {};
+  const userId = auth?.user?.id ?? null;
+
+  const query = useQuery(orderKeys.seller(userId), () => listSellerOrders(userId), { enabled: Boolean(userId) });
+  const orders = query.data;
+
+  // Mutation : invalide commandes, stock (remise en stock) et CA (remboursements)
+  const transition = useMutation(updateOrderStatus, {
+    invalidates: [orderKeys.all, productKeys.all, performanceKeys.all],
+  });
+  const [pendingId, setPendingId] = useState(null);
+  const [filterId, setFilterId] = useState("todo");
+  // Commande dont on saisit un colis (ShipmentDialog)
+  const [shipping, setShipping] = useState(null);
+  const [slipError, setSlipError] = useState("");
+
+  const filter = STATUS_FILTERS.find((f) => f.id === filterId);
+  const visible = orders?.filter((o) => matches(filter, o));
+
+  const handleTransition = async (order, to) => {
+    if (needsConfirm(to)) {
+      const ok = window.confirm(
+        to === ORDER_STATUS.CANCELLED
+          ? `Annuler la commande n° ${order.id} ? Le client sera remboursé.`
+          : `Rembourser le retour de la commande n° ${order.id} ?`
+      );
+      if (!ok) return;
+    }
+    setPendingId(order.id);
+    try {
+      await transition.mutate({ order, status: to, actor: "seller" });
+    } catch (err) {
+      console.error("Erreur changement de statut:", err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  // Bon de livraison : relit la commande (adresse, articles, colis) puis génère le PDF.
+  const handlePackingSlip = async (order) => {
+    setPendingId(order.id);
+    setSlipError("");
+    try {
+      const detail = await fetchQuery(orderKeys.detail(order.id), () => getOrder(order.id));
+      const { printPackingSlip } = await import("../lib/packingSlip");
+      printPackingSlip(detail, Number(userId));
+    } catch (err) {
+      console.error(err);
+      setSlipError("Le bon de livraison n’a pas pu être généré. Réessayez dans un instant.");
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", gap: 3 }}>
+      <Typography variant="h4" fontWeight={600}>
+        Commandes à traiter
+      </Typography>
+
+      {orders?.length > 0 && (
+        <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap">
+          {STATUS_FILTERS.map((f) => (
+            <Chip
+              key={f.id}
+              label={`${f.label} (${orders.filter((o) => matches(f, o)).length})`}
+              color={f.id === filterId ? "primary" : "default"}
+              variant={f.id === filterId ? "filled" : "outlined"}
+              onClick={() => setFilterId(f.id)}
+            />
+          ))}
+        </Stack>
+      )}
+
+      {query.isLoading && (
+        <Paper elevation={0} sx={{ p: 3, borderRadius: 2, display: "flex", alignItems: "center", gap: 2 }}>
+          <CircularProgress size={22} />
+          <Typography color="text.secondary">Chargement des ventes…</Typography>
+        </Paper>
+      )}
+
+      {!orders && query.error && (
+        <Alert severity="error" sx={{ borderRadius: 2 }}>
+          {query.error.message || "Erreur de chargement"}
+        </Alert>
+      )}
+
+      {transition.error && (
+        <Alert severity="error" sx={{ borderRadius: 2 }} onClose={transition.reset}>
+          {transition.error.message || "Action impossible"}
+        </Alert>
+      )}
+
+      {slipError && (
+        <Alert severity="error" sx={{ borderRadius: 2 }} onClose={() => setSlipError("")}>
+          {slipError}
+        </Alert>
+      )}
+
+      {orders && !orders.length && (
+        <Typography color="text.secondary">Aucune vente pour le moment.</Typography>
+      )}
+
+      {orders?.length > 0 && !visible.length && (
+        <Typography color="text.secondary">
+          {filterId === "todo" ? "Rien à traiter pour le moment." : "Aucune commande avec ce statut."}
+        </Typography>
+      )}
+
+      {visible?.length > 0 && (
+        <Paper elevation={1} sx={{ borderRadius: 2, overflow: "hidden" }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Commande</TableCell>
+                <TableCell>Client</TableCell>
+                <TableCell align="right">Articles</TableCell>
+                <TableCell align="right">Montant TTC</TableCell>
+                <TableCell>Statut</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {visible.map((o) => (
+                <TableRow key={o.id} hover>
+                  <TableCell>
+                    n° {o.id}
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      {dateLabel(o.date)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{o.customer || "—"}</TableCell>
+                  <TableCell align="right">{o.itemCount}</TableCell>
+                  <TableCell align="right">{formatCents(o.totalCents)}</TableCell>
+                  <TableCell>
+                    <OrderStatusChip status={o.status} />
+                    {o.status === ORDER_STATUS.RETURN_REQUESTED && o.returnReason && (
+                      <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                        Motif : {o.returnReason}
+                      </Typography>
+                    )}
+                    {o.status === ORDER_STATUS.PREPARING && o.shipments.length > 0 && (
+                      <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                        {remainingItems(o) > 0
+                          ? `Expédiée en partie : ${remainingItems(o)} article(s) restant(s)`
+                          : "Vos articles sont partis ; en attente des autres vendeurs"}
+                      </Typography>
+                    )}
+                    {o.shipments.map((sh) => (
+                      <Typography key={sh.id} variant="caption" color="text.secondary" display="block">
+                        {carrierLabel(sh.carrier)} n° {sh.trackingNumber}
+                      </Typography>
+                    ))}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Stack direction="row" spacing={1} justifyContent="flex-end">
+                      {o.status === ORDER_STATUS.PREPARING && remainingItems(o) > 0 && (
+                        <Button
+                          size="small"
+                          variant="contained"
+                          disabled={pendingId != null}
+                          onClick={() => setShipping(o)}
+                          sx={{ textTransform: "none", whiteSpace: "nowrap" }}
+                        >
+                          Expédier…
+                        </Button>
+                      )}
+                      {[ORDER_STATUS.PAID, ORDER_STATUS.PREPARING].includes(o.status) && (
+                        <Button
+                          size="small"
+                          variant="text"
+                          disabled={pendingId != null}
+                          onClick={() => handlePackingSlip(o)}
+                          sx={{ textTransform: "none", whiteSpace: "nowrap" }}
+                        >
+                          Bon de livraison
+                        </Button>
+                      )}
+                      {nextStatuses(o, { actor: "seller" }).map((to) => (
+                        <Button
+                          key={to}
+                          size="small"
+                          variant={to === ORDER_STATUS.CANCELLED ? "text" : "outlined"}
+                          color={to === ORDER_STATUS.CANCELLED ? "error" : "primary"}
+                          disabled={pendingId != null}
+                          onClick={() => handleTransition(o, to)}
+                          sx={{ textTransform: "none", whiteSpace: "nowrap" }}
+                        >
+                          {pendingId === o.id ? <CircularProgress size={14} /> : actionLabel(o.status, to)}
+                        </Button>
+                      ))}
+                    </Stack>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+
+      <ShipmentDialog order={shipping} sellerId={Number(userId)} onClose={() => setShipping(null)} />
+    </Box>
+  );
+}
@@ -1,33 +1,68 @@
 /**
  * @file Shop.jsx
  * @description
- * Page "Shop" (catalogue produits) — affichage + recherche + préparation à des filtres.
+ * Page "Shop" (catalogue produits) — affichage + recherche + tri + filtres à facettes + pagination.
  *
  * Rôle
- * - Récupère la liste des produits via `listProducts()` (service API).
- * - Normalise le shape des produits (tolère différentes conventions de nommage back).
- * - Applique 2 niveaux de filtrage :
- *   1) Filtre via querystring `?q=` (piloté par la Home / barre de recherche globale)
- *   2) Filtre local via champ MUI (recherche instantanée dans la page)
+ * - Récupère une page de produits via `listProductPage()` (service API) : recherche, tri, filtres et
+ *   découpage en pages sont faits par le back, qui renvoie aussi le nombre total et les facettes
+ *   (repli côté front si le back ne gère pas les filtres, voir services/products).
+ * - Panneau de filtres (<ShopFilters />) : prix, disponibilité, vendeurs, catégories, note minimale et
+ *   étiquettes, avec le nombre de produits de chaque option.
+ * - Rayon d’une catégorie (`/produits/categorie/:slug`, sous-catégories incluses) : titre de la
+ *   catégorie et fil d’Ariane (<CategoryBreadcrumbs />) ; la Home et la fiche produit y mènent.
+ * - Consomme le modèle canonique `Product` (models/product) renvoyé par le service.
+ * - Recherche, tri, filtres et page vivent dans la querystring (lib/catalogQuery) :
+ *   `?q=` (champ de recherche, aussi posé par la Home), `?tri=` (menu "Trier par"), les filtres
+ *   (`?vendeur=` — un seul : boutique du vendeur, lien depuis la fiche produit —, `?tag=`,
+ *   `?en_stock=`, `?prix_min=`, `?prix_max=`, `?note=`) et `?page=` ; la catégorie est dans le chemin.
+ *   Précédent / suivant et liens partagés restaurent donc la même liste.
  * - Rend une grille MUI responsive et délègue la UI d’un produit au composant <Product />.
  *
  * Contrat
  * - Props :
- *   - onAdd?: (product: ProductDTO, qty?: number) => void
+ *   - onAdd?: (product: Product, qty?: number) => void
  *     Utilisé pour ajouter un produit au panier côté App (state global).
+ * - La quantité déjà au panier (CartContext) est transmise à chaque carte : l’ajout est
+ *   désactivé une fois tout le stock du produit dans le panier.
  *
  * Notes techniques
- * - `alive` empêche les setState après un unmount (pattern anti-memory leak).
- * - Les logs `[Shop] ...` facilitent le debug réseau (Network + Console).
+ * - Le chargement passe par `useQuery` (lib/queryCache) : chaque page est servie depuis le cache
+ *   au retour, puis revalidée en arrière-plan si elle est périmée. Pendant le chargement d’une autre
+ *   page (ou d’un autre tri), la page précédente reste affichée (`keepPreviousData`).
+ * - La recherche est envoyée au back après une courte pause de frappe ; elle remplace l’entrée
+ *   d’historique courante (pas une entrée par caractère). Tri et page en créent une nouvelle.
+ * - Retour depuis une fiche produit : même page (URL + cache) et même position de défilement
+ *   (lib/useScrollRestoration).
  */
 
-// React : hooks état/effets
-import { useEffect, useState } from "react";
+// React : saisie de la recherche (différée), synchronisation avec l’URL
+import { useEffect, useMemo, useRef, useState } from "react";
 // Services + composants : accès API produits + carte produit
-import { listProducts } from "../services/products";
+import { listProductPage, productKeys } from "../services/products";
+import { categoryKeys, listCategories } from "../services/categories";
+// Cache de requêtes : une entrée par page du catalogue
+import { useQuery } from "../lib/useQuery";
 import { Product } from "../components/Product";
-// Router : lecture du querystring (?q=...)
-import { useLocation } from "react-router-dom";
+import { ShopFilters } from "../components/ShopFilters";
+import { CategoryBreadcrumbs } from "../components/CategoryBreadcrumbs";
+// Panier : quantités déjà ajoutées (plafond de stock par produit)
+import { useCart } from "../context/useCart";
+// Router : état du catalogue dans le chemin (catégorie) et le querystring (?q=..., ?tri=..., filtres, ?page=...)
+import { Link as RouterLink, useLocation, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import {
+  activeFilterCount,
+  catalogUrl,
+  clearFilters,
+  PAGE_SIZE,
+  parseCatalogParams,
+  SORT_OPTIONS,
+} from "../lib/catalogQuery";
+// Retour depuis une fiche produit : position de défilement
+import { useScrollRestoration } from "../lib/useScrollRestoration";
+// Nom du vendeur (en-tête de boutique)
+import { sellerLabel } from "../lib/pricing";
+import { findBySlug } from "../models/category";
 // MUI : layout, formulaires, feedback de chargement
 import {
   Container,
@@ -45,13 +80,15 @@ import {
   MenuItem,
   Divider,
   CircularProgress,
+  LinearProgress,
+  Pagination,
+  Button,
 } from "@mui/material";
 // Icônes
 import SearchIcon from "@mui/icons-material/Search";
 
-// Helper local : expose une API simple pour lire les query params via URLSearchParams.
-// Exemple : const q = useQuery().get("q")
-const useQuery = () => new URLSearchParams(useLocation().search);
+// Pause de frappe avant d’envoyer la recherche au back (ms)
+const SEARCH_DELAY = 300;
 
 /**
  * Composant page Shop.
@@ -59,119 +96,90 @@ const useQuery = () => new URLSearchParams(useLocation().search);
  * @param {{ onAdd?: (product: any, qty?: number) => void }} props
  */
 export function Shop({ onAdd }) {
-  // items : liste normalisée (déjà filtrée par ?q= si présent)
-  const [items, setItems] = useState([]);
-  // state : état de chargement / erreur (UX)
-  const [state, setState] = useState({ loading: true, error: "" });
-  // q : filtre global (querystring) — utilisé pour partager une recherche entre pages
-  const q = (useQuery().get("q") || "").toLowerCase();
-  // localQuery : filtre local (champ de recherche dans la page)
-  const [localQuery, setLocalQuery] = useState("");
+  // query : recherche, tri, filtres et page lus depuis l’URL (seule source de vérité)
+  const [searchParams] = useSearchParams();
+  const { slug } = useParams();
+  const query = parseCatalogParams(searchParams, slug);
+  const { q, sort, sellers, page } = query;
+  // Met à jour l’URL ; tout changement de recherche / tri / filtre repart de la première page
+  const navigate = useNavigate();
+  const updateQuery = (patch, options) => navigate(catalogUrl({ ...query, page: 1, ...patch }), options);
+  // Dernière query rendue, lue par le délai de recherche (tri ou filtre changés pendant la frappe)
+  const queryRef = useRef(query);
+  useEffect(() => {
+    queryRef.current = query;
+  });
 
+  // search : texte du champ, envoyé dans l’URL (?q=) après SEARCH_DELAY ms sans frappe
+  const [search, setSearch] = useState(q);
+  const committedRef = useRef(q);
+  useEffect(() => {
+    // ?q= modifié hors du champ (précédent / suivant, recherche depuis la Home)
+    if (q === committedRef.current) return;
+    committedRef.current = q;
+    setSearch(q);
+  }, [q]);
   useEffect(() => {
-    // Effet déclenché à chaque changement de `q` (querystring)
-    // 1) charge les produits depuis l’API
-    // 2) normalise la structure
-    // 3) applique le filtre global ?q=
-    let alive = true;
-    (async () => {
-      setState({ loading: true, error: "" });
-      console.log("[Shop] fetching products...");
-      try {
-        // Appel API : doit renvoyer JSON (tableau ou wrapper {items|data})
-        const data = await listProducts();
-        console.log("[Shop] raw response:", data);
+    if (search === committedRef.current) return;
+    const timer = setTimeout(() => {
+      committedRef.current = search;
+      navigate(catalogUrl({ ...queryRef.current, page: 1, q: search }), { replace: true });
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search, navigate]);
 
-        // Normalisation : tolère plusieurs noms de colonnes selon l’API/DB
-        // Objectif : produire un DTO stable pour la UI
-        const arr = Array.isArray(data)
-          ? data
-          : data?.items || data?.data || [];
-        const norm = arr.map((p) => ({
-          id: p.id ?? p.Id ?? p.id_produit ?? p.Id_produit,
-          name: p.name ?? p.nom ?? p.title ?? "Produit",
-          description: p.description ?? p.desc ?? "",
-          currency: p.currency ?? p.devise ?? "EUR",
-          image_url: p.image_url ?? p.image ?? p.url_image ?? null,
-          price:
-            typeof p.price_cents === "number"
-              ? p.price_cents / 100
-              : typeof p.prix_cents === "number"
-                ? p.prix_cents / 100
-                : Number(p.price ?? p.prix ?? 0),
-        }));
+  // Quantité au panier par produit (clé de ligne : id, ou nom à défaut)
+  const { items: cartLines } = useCart();
+  const cartQty = useMemo(
+    () => new Map(cartLines.map((l) => [String(l.id ?? l.name), l.qty])),
+    [cartLines]
+  );
+
+  // Chargement via le cache : une page de produits déjà normalisés (modèle Product) + total + facettes
+  const products = useQuery(productKeys.page(query), () => listProductPage(query), {
+    keepPreviousData: true,
+  });
+  const visible = products.data?.items ?? [];
+  const total = products.data?.total ?? 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  // Taxonomie : arbre du filtre "Catégories" (filtre masqué si indisponible)
+  const categories = useQuery(categoryKeys.all, () => listCategories());
+  const filterCount = activeFilterCount(query);
+  // Rayon affiché (null : tout le catalogue, ou slug inconnu de la taxonomie)
+  const category = query.category ? findBySlug(categories.data ?? [], query.category) : null;
 
-        // Filtre global (querystring) : recherche sur name + description
-        const visible = q
-          ? norm.filter((x) =>
-              [x.name, x.description]
-                .filter(Boolean)
-                .some((s) => s.toLowerCase().includes(q))
-            )
-          : norm;
+  // Retour depuis une fiche produit : position restaurée une fois la page affichée
+  const location = useLocation();
+  useScrollRestoration(location.key, products.data !== undefined && !products.isPlaceholderData);
 
-        // Protection unmount : on ne met à jour l’état que si le composant est encore monté
-        if (alive) {
-          setItems(visible);
-          setState({ loading: false, error: "" });
+  // Boutique affichée (un seul vendeur retenu) : nom lu dans les facettes ou sur un de ses produits
+  const shop =
+    sellers.length === 1
+      ? {
+          sellerId: sellers[0],
+          sellerName:
+            products.data?.facets.sellers.find((s) => s.id === sellers[0])?.name ??
+            visible.find((x) => String(x.sellerId) === sellers[0])?.sellerName,
         }
-      } catch (e) {
-        console.error("[Shop] error:", e);
-        // Erreur réseau/API : affichage UX + log console pour diagnostic
-        if (alive)
-          setState({
-            loading: false,
-            error: e.message || "Erreur de chargement",
-          });
-      }
-    })();
-    return () => {
-      alive = false;
-    };
-  }, [q]);
+      : null;
 
-  // UX : skeleton/loader tant que l’API n’a pas répondu
-  if (state.loading) {
-    return (
-      <Box sx={{ minHeight: "60vh", display: "grid", placeItems: "center" }}>
-        <Stack alignItems="center" spacing={2}>
-          <CircularProgress />
-          <Typography variant="body2" color="text.secondary">
-            Chargement des produits…
-          </Typography>
-        </Stack>
-      </Box>
-    );
-  }
-  // UX : message d’erreur explicite si l’API échoue
-  if (state.error) {
-    return (
-      <Container maxWidth="md" sx={{ py: 6 }}>
-        <Paper sx={{ p: 3, borderLeft: "4px solid #ef4444" }}>
-          <Typography variant="h6" sx={{ mb: 1 }}>
-            Une erreur est survenue
-          </Typography>
-          <Typography variant="body2" color="error.main">
-            {state.error}
-          </Typography>
-        </Paper>
-      </Container>
-    );
-  }
+  // state : état de chargement / erreur (UX). Une erreur de revalidation n’efface pas la liste affichée.
+  const state = {
+    loading: products.isLoading,
+    error: products.data === undefined && products.error
+      ? products.error.message || "Erreur de chargement"
+      : "",
+  };
 
-  // Filtrage local (en plus du ?q= de l'URL)
-  // Permet un affinage instantané sans recharger l’API.
-  const visible = localQuery.trim()
-    ? items.filter((p) =>
-        [p.name, p.description]
-          .filter(Boolean)
-          .some((s) => s.toLowerCase().includes(localQuery.toLowerCase()))
-      )
-    : items;
+  const goToPage = (_, value) => {
+    updateQuery({ page: value });
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
 
   return (
     <Container maxWidth="xl" sx={{ py: 4 }}>
-      {/* En-tête */}
+      {/* En-tête : fil d’Ariane du rayon, titre (boutique, catégorie ou catalogue) */}
+      {query.category && <CategoryBreadcrumbs categories={categories.data ?? []} categoryId={category?.id ?? null} />}
       <Stack
         direction="row"
         alignItems="center"
@@ -179,17 +187,26 @@ export function Shop({ onAdd }) {
         sx={{ mb: 2 }}
       >
         <Typography variant="h4" sx={{ fontWeight: 800 }}>
-          Nos produits
-        </Typography>
-        <Typography variant="body2" color="text.secondary">
-          {visible.length} article(s)
+          {shop ? `Boutique ${sellerLabel(shop)}` : category?.name ?? "Nos produits"}
         </Typography>
+        <Stack direction="row" alignItems="center" spacing={2}>
+          {products.data && (
+            <Typography variant="body2" color="text.secondary">
+              {total} article(s)
+            </Typography>
+          )}
+          {shop && (
+            <Button component={RouterLink} to={catalogUrl({ ...query, sellers: [], page: 1 })} size="small">
+              Tous les produits
+            </Button>
+          )}
+        </Stack>
       </Stack>
 
       {/*
         Barre d’outils
-        - Recherche locale (localQuery)
-        - Zone prévue pour tri/filtres (Select)
+        - Recherche (?q=), filtrée côté back
+        - Tri (?tri=)
       */}
       {/* Barre outils (recherche + filtres) */}
       <Paper sx={{ p: 2.5, mb: 3 }}>
@@ -197,9 +214,9 @@ export function Shop({ onAdd }) {
           <Grid item xs={12} md={6}>
             <TextField
               fullWidth
-              placeholder="Rechercher un produit (nom, description)…"
-              value={localQuery}
-              onChange={(e) => setLocalQuery(e.target.value)}
+              placeholder="Rechercher un produit (nom, description, étiquette)…"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
               InputProps={{
                 endAdornment: (
                   <InputAdornment position="end">
@@ -218,61 +235,117 @@ export function Shop({ onAdd }) {
               <Select
                 labelId="sort-label"
                 label="Trier par"
-                defaultValue="recent"
+                value={sort}
+                onChange={(e) => updateQuery({ sort: e.target.value })}
               >
-                <MenuItem value="recent">Plus récents</MenuItem>
-                <MenuItem value="price_asc">Prix croissant</MenuItem>
-                <MenuItem value="price_desc">Prix décroissant</MenuItem>
-                <MenuItem value="name_asc">Nom A→Z</MenuItem>
+                {SORT_OPTIONS.map((o) => (
+                  <MenuItem key={o.value} value={o.value}>
+                    {o.label}
+                  </MenuItem>
+                ))}
               </Select>
             </FormControl>
           </Grid>
         </Grid>
 
         <Divider sx={{ my: 2 }} />
-        <Typography variant="caption" color="text.secondary">
-          Astuce : combine la recherche avec les filtres pour affiner les
-          résultats.
-        </Typography>
+        <Stack direction="row" alignItems="center" justifyContent="space-between" spacing={2}>
+          <Typography variant="caption" color="text.secondary">
+            Astuce : combine la recherche avec les filtres pour affiner les
+            résultats.
+          </Typography>
+          {filterCount > 0 && (
+            <Button size="small" onClick={() => navigate(catalogUrl(clearFilters(query)))}>
+              Réinitialiser les filtres ({filterCount})
+            </Button>
+          )}
+        </Stack>
       </Paper>
 
-      {/*
-        Grille responsive
-        - Les breakpoints contrôlent le nombre de colonnes.
-        - <Product /> reçoit un DTO normalisé + callback onAdd.
-      */}
-      {/* Grille produits */}
-      {visible.length === 0 ? (
-        <Paper sx={{ p: 4, textAlign: "center" }}>
-          <Typography variant="subtitle1" sx={{ mb: 1 }}>
-            Aucun produit ne correspond à votre recherche.
-          </Typography>
-          <Typography variant="body2" color="text.secondary">
-            Essayez d’élargir vos filtres.
-          </Typography>
-        </Paper>
-      ) : (
-        <Grid
-          container
-          spacing={3}
-          columns={{ xs: 12, sm: 12, md: 12, lg: 12, xl: 12 }}
-        >
-          {visible.map((p) => (
-            <Grid item xs={12} sm={6} md={4} lg={3} xl={2} key={p.id ?? p.name}>
-              <Product
-                key={p.id ?? p.name}
-                id={p.id}
-                name={p.name}
-                price={p.price}
-                currency={p.currency}
-                description={p.description}
-                image_url={p.image_url}
-                onAdd={() => onAdd?.(p, 1)}
-              />
-            </Grid>
-          ))}
+      <Grid container spacing={3} alignItems="flex-start">
+        {/* Filtres à facettes (prix, disponibilité, vendeurs, catégories, note, étiquettes) */}
+        <Grid item xs={12} md={3}>
+          <ShopFilters
+            query={query}
+            facets={products.data?.facets}
+            categories={categories.data ?? []}
+            onChange={(patch) => updateQuery(patch)}
+          />
+        </Grid>
+
+        <Grid item xs={12} md={9}>
+          {/* Chargement d’une autre page / d’un autre tri : la liste précédente reste affichée */}
+          <Box sx={{ height: 4, mb: 1 }}>{products.isFetching && products.data && <LinearProgress />}</Box>
+
+          {/*
+            Grille responsive
+            - Les breakpoints contrôlent le nombre de colonnes.
+            - <Product /> reçoit le modèle Product + callback onAdd.
+          */}
+          {/* Grille produits */}
+          {state.loading ? (
+            // UX : loader tant que l’API n’a pas répondu (la barre d’outils reste utilisable)
+            <Box sx={{ minHeight: "40vh", display: "grid", placeItems: "center" }}>
+              <Stack alignItems="center" spacing={2}>
+                <CircularProgress />
+                <Typography variant="body2" color="text.secondary">
+                  Chargement des produits…
+                </Typography>
+              </Stack>
+            </Box>
+          ) : state.error ? (
+            // UX : message d’erreur explicite si l’API échoue
+            <Paper sx={{ p: 3, borderLeft: "4px solid #ef4444" }}>
+              <Typography variant="h6" sx={{ mb: 1 }}>
+                Une erreur est survenue
+              </Typography>
+              <Typography variant="body2" color="error.main">
+                {state.error}
+              </Typography>
+            </Paper>
+          ) : visible.length === 0 ? (
+            <Paper sx={{ p: 4, textAlign: "center" }}>
+              <Typography variant="subtitle1" sx={{ mb: 1 }}>
+                Aucun produit ne correspond à votre recherche.
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                Essayez d’élargir vos filtres.
+              </Typography>
+            </Paper>
+          ) : (
+            <>
+              <Grid
+                container
+                spacing={3}
+                columns={{ xs: 12, sm: 12, md: 12, lg: 12, xl: 12 }}
+              >
+                {visible.map((p) => (
+                  <Grid item xs={12} sm={6} lg={4} xl={3} key={p.id ?? p.name}>
+                    <Product
+                      product={p}
+                      cartQty={cartQty.get(String(p.id ?? p.name)) ?? 0}
+                      onAdd={() => onAdd?.(p, 1)}
+                    />
+                  </Grid>
+                ))}
+              </Grid>
+
+              {/* Pagination : numéro de page dans l’URL (?page=) */}
+              {pageCount > 1 && (
+                <Stack alignItems="center" sx={{ mt: 4 }}>
+                  <Pagination
+                    count={pageCount}
+                    page={Math.min(page, pageCount)}
+                    onChange={goToPage}
+                    color="primary"
+                    shape="rounded"
+                  />
+                </Stack>
+              )}
+            </>
+          )}
         </Grid>
-      )}
+      </Grid>
     </Container>
   );
 }
@@ -7,8 +7,8 @@
  * - Restreint l’accès aux pages publiques (authentification, inscription)
  *   aux utilisateurs NON authentifiés.
  * - Empêche un utilisateur déjà connecté d’accéder à la page de login/register.
- * - Redirige automatiquement l’utilisateur authentifié vers la page d’accueil
- *   de l’application.
+ * - Redirige automatiquement l’utilisateur authentifié vers la page qu’il avait demandée
+ *   (`location.state.from`, posé par RequireAuth), sinon vers la page d’accueil.
  *
  * Cas d’usage typiques
  * - Page d’authentification
@@ -32,23 +32,26 @@
  * />
  * ```
  */
-import { Navigate } from "react-router-dom";
+import { Navigate, useLocation } from "react-router-dom";
 import { useAuth } from "../context/AuthContext.jsx";
+import { redirectTarget } from "./redirectTarget";
 
 export function PublicOnly({ children }) {
   // Récupération de l’état d’authentification global depuis AuthContext
   // Si `auth.token` est défini, l’utilisateur est considéré comme connecté
   const { auth } = useAuth();
+  // Route protégée demandée avant la redirection vers l’authentification (voir RequireAuth)
+  const location = useLocation();
 
   /**
    * Vérification d’accès aux pages publiques
    *
    * - Si un token est présent dans l’état d’authentification,
    *   l’utilisateur ne doit plus accéder aux pages publiques.
-   * - Redirection automatique vers la route principale ("/home").
+   * - Redirection vers la route demandée initialement (`from`), sinon "/home".
    */
   if (auth?.token) {
-    return <Navigate to="/home" replace />;
+    return <Navigate to={redirectTarget(location.state)} replace />;
   }
 
   // Utilisateur non authentifié : rendu autorisé du contenu public
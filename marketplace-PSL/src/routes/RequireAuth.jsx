@@ -8,6 +8,9 @@
  * - Vérifie la présence d’un état d’authentification valide via AuthContext.
  * - Redirige automatiquement l’utilisateur non authentifié vers la page
  *   publique d’authentification (route "/").
+ * - Couvre aussi l’expiration de session : quand apiFetch ne peut pas rafraîchir le token,
+ *   AuthContext vide la session et ce garde renvoie vers "/" en conservant `from`
+ *   (l’utilisateur revient sur la même page après reconnexion).
  *
  * Principe
  * - Ce composant s’utilise comme un wrapper autour d’une route ou d’un composant.
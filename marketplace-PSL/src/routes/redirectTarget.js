@@ -0,0 +1,18 @@
+/**
+ * @file redirectTarget.js
+ * @description
+ * Destination post-authentification.
+ *
+ * RequireAuth mémorise la route protégée demandée dans `location.state.from` ;
+ * PublicOnly et AuthPanel l’utilisent pour y renvoyer l’utilisateur une fois connecté.
+ *
+ * @param {{ from?: { pathname?: string, search?: string, hash?: string } }|null|undefined} state
+ *   `location.state` de la page d’authentification.
+ * @param {string} [fallback="/home"] - Route par défaut si aucune page n’était demandée.
+ * @returns {string}
+ */
+export function redirectTarget(state, fallback = "/home") {
+  const from = state?.from;
+  if (!from?.pathname || from.pathname === "/") return fallback;
+  return `${from.pathname}${from.search || ""}${from.hash || ""}`;
+}
@@ -4,11 +4,11 @@
  * Service d’authentification front-end.
  *
  * Ce module centralise tous les appels HTTP liés à l’authentification
- * utilisateur (inscription, connexion).
+ * utilisateur (inscription, connexion, rafraîchissement de session).
  *
  * Il agit comme une couche d’abstraction entre :
  * - les composants React (AuthPanel, Auth, RequireAuth, etc.)
- * - l’API PHP (register.php, login.php)
+ * - l’API PHP (register.php, login.php, refresh.php)
  *
  * Objectifs :
  * - Garantir un contrat clair entre le front et le back
@@ -17,6 +17,7 @@
  */
 
 import { api } from "../lib/apiClient";
+import { loginSchema, refreshSchema, registerSchema } from "./schemas";
 
 /**
  * Inscription d’un nouvel utilisateur.
@@ -70,7 +71,7 @@ export async function registerUser(payload) {
    * - L’URL est résolue par apiClient (BASE_URL + endpoint)
    * - credentials: "include" est géré par apiClient
    */
-  return api.post("/register.php", payload);
+  return api.post("/register.php", payload, { schema: registerSchema });
 }
 
 /**
@@ -111,5 +112,31 @@ export async function loginUser({ mail, password }) {
    * - Initialise la session
    * - Retourne le profil utilisateur (id, nom, raison_soc, etc.)
    */
-  return api.post("/login.php", { mail, password });
-}
\ No newline at end of file
+  return api.post("/login.php", { mail, password }, { schema: loginSchema });
+}
+
+/**
+ * Rafraîchit la session avant (ou après) expiration du token.
+ *
+ * Le refresh token (s’il a été émis par `login.php`) est envoyé dans le corps ; le token courant
+ * n’est joint que s’il est encore valide. L’appel n’utilise jamais le token de session implicite :
+ * un 401 ici ne déclenche donc pas de nouveau rafraîchissement (pas de boucle).
+ *
+ * @async
+ * @function refreshSession
+ *
+ * @param {Object} params
+ * @param {string|null} [params.token] - Token courant encore valide (sinon null).
+ * @param {string|null} [params.refreshToken] - Refresh token émis au login.
+ *
+ * @returns {Promise<{ token: string, refresh_token?: string|null }>}
+ *
+ * @throws {ApiError} si la session ne peut pas être prolongée (401, endpoint absent…).
+ */
+export async function refreshSession({ token = null, refreshToken = null } = {}) {
+  return api.post(
+    "/refresh.php",
+    { refresh_token: refreshToken },
+    { token, retry: false, schema: refreshSchema }
+  );
+}
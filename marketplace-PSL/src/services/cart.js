@@ -0,0 +1,61 @@
+/**
+ * @file src/services/cart.js
+ * @description
+ * Service front-end du panier serveur (API PHP `cart.php`).
+ *
+ * Le serveur ne stocke que des références `{ product_id, qty }` : les informations produit
+ * (nom, prix, image) sont toujours relues depuis `products.php`, ce qui permet de détecter
+ * les produits supprimés ou dont le prix a changé (voir CartContext).
+ *
+ * Contrat API (attendu)
+ * - `GET /cart.php?user_id=…` → `{ ok: true, items: [{ product_id, qty }], updated_at }`
+ * - `PUT /cart.php`  body `{ user_id, items: [{ product_id, qty }] }` → `{ ok: true, updated_at }`
+ *   (remplacement complet : PUT idempotent, rejouable par apiFetch)
+ */
+
+import { api } from "../lib/apiClient";
+import { cartSchema, cartWriteSchema } from "./schemas";
+
+/**
+ * @typedef {object} ServerCartLine
+ * @property {string|number} productId
+ * @property {number} qty
+ */
+
+/**
+ * Lit le panier serveur d’un utilisateur.
+ *
+ * @async
+ * @param {number|string} userId
+ * @returns {Promise<ServerCartLine[]>}
+ * @throws {ApiError}
+ */
+export async function fetchCart(userId) {
+  if (!userId) throw new Error("fetchCart: userId requis");
+  const data = await api.get("/cart.php", { params: { user_id: userId }, schema: cartSchema });
+  return (data?.items || []).map((l) => ({
+    productId: l.product_id,
+    qty: Math.max(1, Number(l.qty) || 1),
+  }));
+}
+
+/**
+ * Remplace le panier serveur d’un utilisateur.
+ *
+ * @async
+ * @param {number|string} userId
+ * @param {Array<{ id: string|number, qty: number }>} lines - Lignes du panier (Product + qty).
+ * @returns {Promise<Object>}
+ * @throws {ApiError}
+ */
+export async function saveCart(userId, lines) {
+  if (!userId) throw new Error("saveCart: userId requis");
+  return api.put(
+    "/cart.php",
+    {
+      user_id: userId,
+      items: lines.map((l) => ({ product_id: l.id, qty: Number(l.qty) || 1 })),
+    },
+    { schema: cartWriteSchema }
+  );
+}
@@ -0,0 +1,32 @@
+/**
+ * @file src/services/categories.js
+ * @description
+ * Service front-end de la taxonomie du catalogue (API PHP `categories.php`).
+ *
+ * Contrat API (attendu)
+ * - `GET /categories.php` → `[{ id, slug, name, parent_id }]` (toutes les catégories, à plat)
+ *
+ * La liste change rarement : elle est partagée via le cache (`categoryKeys.all`) par le catalogue
+ * et ses filtres.
+ */
+
+import { api } from "../lib/apiClient";
+import { fromApiList } from "../models/category";
+import { categoryListSchema } from "./schemas";
+
+/** Clés de cache (lib/queryCache). */
+export const categoryKeys = {
+  all: ["categories"],
+};
+
+/**
+ * Liste toutes les catégories (à plat ; voir `buildCategoryTree`, models/category).
+ *
+ * @async
+ * @returns {Promise<import("../models/category").Category[]>}
+ * @throws {ApiError} En cas d'échec de l'appel.
+ */
+export async function listCategories() {
+  const data = await api.get("/categories.php", { schema: categoryListSchema });
+  return fromApiList(data);
+}
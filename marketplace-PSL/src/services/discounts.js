@@ -0,0 +1,37 @@
+/**
+ * @file src/services/discounts.js
+ * @description
+ * Service front-end des codes promo (API PHP `discount.php`).
+ *
+ * Contrat API (attendu)
+ * - `GET /discount.php?code=…&user_id=…`
+ *   → `{ ok: true, discount: { code, type, value, min_basket, seller_id, starts_at, ends_at, single_use, label } }`
+ *   - `type` : "percent" | "fixed" | "free_shipping" ; montants en euros.
+ *   - 404 : code inconnu ; 409 : code à usage unique déjà utilisé par ce client.
+ *
+ * Le back ne connaît pas le panier à ce stade : minimum d'achat, vendeur et dates sont
+ * réévalués par `lib/pricing` à chaque calcul, puis par `order.php` à la commande.
+ */
+
+import { api } from "../lib/apiClient";
+import { fromApi, normalizeCode } from "../models/discount";
+import { discountSchema } from "./schemas";
+
+/**
+ * Vérifie un code promo pour un client.
+ *
+ * @async
+ * @param {string} code - Code saisi (casse et espaces ignorés).
+ * @param {number|string} userId
+ * @returns {Promise<import("../models/discount").Discount>}
+ * @throws {ApiError} Code inconnu, déjà utilisé, ou erreur réseau (message affichable).
+ */
+export async function checkPromoCode(code, userId) {
+  const normalized = normalizeCode(code);
+  if (!normalized) throw new Error("checkPromoCode: code requis");
+  const data = await api.get("/discount.php", {
+    params: { code: normalized, user_id: userId },
+    schema: discountSchema,
+  });
+  return fromApi(data.discount);
+}
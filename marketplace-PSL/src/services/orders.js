@@ -1,31 +1,146 @@
 /**
  * @file src/services/orders.js
  * @description
- * Service front-end responsable de la création des commandes (checkout).
+ * Service front-end des commandes : création (checkout), historique du client, ventes d’un
+ * vendeur, relecture d’une commande passée (confirmation, détail, factures), changements
+ * de statut (annulation, retour, préparation… : lib/orderStatus) et expédition des colis.
  *
  * Ce module encapsule l’appel HTTP vers l’API PHP `order.php` et définit
  * le contrat exact attendu entre le front React et le back-end.
  *
  * Responsabilités :
  * - Construire le payload conforme au schéma attendu par l’API
- * - Gérer la communication HTTP (fetch)
- * - Normaliser les erreurs côté front
+ * - Déléguer la communication HTTP à `apiFetch` (lib/apiClient)
  *
  * Dépendances :
- * - Variable d’environnement Vite : VITE_API_BASE_URL
- * - API PHP : POST /order.php
+ * - lib/apiClient : URL de base unique (VITE_API_BASE_URL), token Bearer, erreurs typées
+ * - API PHP : POST /order.php, GET /order.php?user_id={userId} | ?seller_id={sellerId} | ?id={id},
+ *   PUT /order.php?id={id}, POST /shipment.php?order_id={id}
  */
 
+import { api, createIdempotencyKey } from "../lib/apiClient";
+import { assertTransition } from "../lib/orderStatus";
+import { centsToEuros } from "../lib/money";
+import { fromApi, summaryFromApi } from "../models/order";
+import { validateShipment } from "../models/shipment";
+import { orderCreateSchema, orderDetailSchema, orderListSchema } from "./schemas";
+
+/**
+ * Clés de cache des commandes (lib/queryCache).
+ * - all    : préfixe commun, à invalider après une commande.
+ * - list   : historique d’un client.
+ * - seller : ventes d’un vendeur.
+ * - detail : une commande par id.
+ */
+export const orderKeys = {
+  all: ["orders"],
+  list: (userId) => ["orders", "list", String(userId)],
+  seller: (sellerId) => ["orders", "seller", String(sellerId)],
+  detail: (id) => ["orders", "detail", String(id)],
+};
+
+/**
+ * listOrders(userId)
+ *
+ * @param {string|number} userId - Client dont on lit l’historique (le back le contrôle avec le token).
+ * @returns {Promise<import("../models/order").OrderSummary[]>} Commandes, les plus récentes d’abord.
+ *
+ * @throws {Error} si `userId` est falsy, ou `ApiError` si l’appel échoue.
+ */
+export async function listOrders(userId) {
+  if (!userId) throw new Error("listOrders: userId requis");
+  const data = await api.get("/order.php", { params: { user_id: userId }, schema: orderListSchema });
+  return (data?.orders ?? []).map(summaryFromApi);
+}
+
 /**
- * URL de base de l’API.
+ * listSellerOrders(sellerId)
+ *
+ * @param {string|number} sellerId - Vendeur connecté.
+ * @returns {Promise<import("../models/order").OrderSummary[]>} Commandes contenant ses articles
+ *   (total et nombre d’articles : sa part seulement), les plus récentes d’abord.
  *
- * - Priorité à la variable d’environnement VITE_API_BASE_URL
- * - Suppression des slashs finaux pour éviter les doublons
- * - Fallback vers l’API locale XAMPP
+ * @throws {Error} si `sellerId` est falsy, ou `ApiError` si l’appel échoue.
  */
-const BASE =
-  import.meta.env.VITE_API_BASE_URL?.replace(/\/+$/, "") ||
-  "http://localhost/api";
+export async function listSellerOrders(sellerId) {
+  if (!sellerId) throw new Error("listSellerOrders: sellerId requis");
+  const data = await api.get("/order.php", { params: { seller_id: sellerId }, schema: orderListSchema });
+  return (data?.orders ?? []).map(summaryFromApi);
+}
+
+/**
+ * updateOrderStatus({ order, status, actor, reason })
+ *
+ * Fait avancer une commande dans son cycle de vie. La transition est vérifiée ici (lib/orderStatus)
+ * avant l’appel, puis de nouveau par le back, qui rembourse le client si besoin (annulation d’une
+ * commande payée, retour accepté).
+ *
+ * @param {object} params
+ * @param {{ id: number, status: string, history?: Array<{ status: string, date: string|null }>, date?: string|null }} params.order
+ * @param {string} params.status - Nouveau statut (`ORDER_STATUS`).
+ * @param {import("../lib/orderStatus").OrderActor} [params.actor="buyer"]
+ * @param {string} [params.reason] - Motif (obligatoire pour une demande de retour).
+ * @returns {Promise<import("../models/order").Order>} Commande à jour.
+ *
+ * @throws {import("../lib/orderStatus").OrderStatusError} Transition refusée côté client (aucun appel).
+ * @throws {ApiError} Refus du back (HttpError 409) ou échec réseau.
+ */
+export async function updateOrderStatus({ order, status, actor = "buyer", reason }) {
+  assertTransition(order, status, { actor });
+  const data = await api.put(
+    "/order.php",
+    { status, reason: reason || null },
+    { params: { id: order.id }, schema: orderDetailSchema }
+  );
+  return fromApi(data?.order);
+}
+
+/**
+ * shipOrder({ order, carrier, trackingNumber, lines })
+ *
+ * Déclare un colis du vendeur connecté : tout ou partie de ses articles restant à expédier.
+ * Le back passe la commande à « expédiée » quand tous ses articles (tous vendeurs) sont partis.
+ *
+ * @param {object} params
+ * @param {{ id: number }} params.order
+ * @param {string} params.carrier - Clé de `CARRIERS` (models/shipment).
+ * @param {string} params.trackingNumber
+ * @param {import("../models/shipment").ShipmentLine[]} params.lines - Articles et quantités du colis.
+ * @returns {Promise<import("../models/order").Order>} Commande à jour (colis compris).
+ *
+ * @throws {Error} Colis invalide (transporteur, numéro de suivi, articles), sans appel.
+ * @throws {ApiError} Refus du back (HttpError 400 / 403 / 409) ou échec réseau.
+ */
+export async function shipOrder({ order, carrier, trackingNumber, lines }) {
+  const errors = validateShipment({ carrier, trackingNumber, lines });
+  const error = errors.carrier ?? errors.trackingNumber ?? errors.lines;
+  if (error) throw new Error(error);
+  const data = await api.post(
+    "/shipment.php",
+    {
+      carrier,
+      tracking_number: trackingNumber.trim(),
+      lines: lines.filter((l) => l.qty > 0).map((l) => ({ product_id: l.productId, quantite: l.qty })),
+    },
+    { params: { order_id: order.id }, schema: orderDetailSchema }
+  );
+  return fromApi(data?.order);
+}
+
+/**
+ * getOrder(id)
+ *
+ * @param {string|number} id - Identifiant de la commande (commande.Id_commande).
+ * @returns {Promise<import("../models/order").Order>} Commande normalisée (lignes, TVA, factures).
+ *
+ * @throws {Error} si `id` est falsy, ou `ApiError` si l’appel échoue
+ * (HttpError 404 si la commande n’existe pas, 403 si elle appartient à un autre client).
+ */
+export async function getOrder(id) {
+  if (!id) throw new Error("getOrder: id requis");
+  const data = await api.get("/order.php", { params: { id }, schema: orderDetailSchema });
+  return fromApi(data?.order);
+}
 
 /**
  * Crée une nouvelle commande côté serveur.
@@ -35,81 +150,111 @@ const BASE =
  *
  * @param {Object} params
  * @param {number} params.userId - Identifiant de l’utilisateur connecté (FK users.id)
- * @param {Array<Object>} params.lines - Lignes de commande (produits)
- * @param {number} params.total - Montant total de la commande (en centimes ou euros selon convention back)
+ * @param {import("../lib/pricing").PricingBreakdown} params.pricing - Détail de prix du panier
+ *   (sous-commandes par vendeur, TVA, livraison, total TTC en centimes ; le back attend des euros :
+ *   conversion faite ici, à la frontière)
+ * @param {string} [params.idempotencyKey] - Clé d’idempotence de la tentative de checkout.
+ *   Réutiliser la même clé (double-clic, nouvelle tentative après erreur) garantit qu’une seule
+ *   commande est créée. À défaut, une clé est générée pour cet appel (relances réseau protégées).
+ * @param {import("../models/checkout").DeliveryAddress} [params.address] - Adresse de livraison
+ *   (à défaut, le back livre à l’adresse du compte).
+ * @param {{ provider: string, intentId: string }} [params.payment] - Paiement autorisé (lib/payments)
+ *   auquel rattacher la commande ; le back peut le vérifier auprès du PSP avant de valider.
  *
- * @returns {Promise<Object>} Réponse JSON de l’API (commande créée)
+ * @returns {Promise<Object>} Réponse JSON de l’API (commande créée, `total` recalculé par le back,
+ *   sous-commandes créées)
  *
- * @throws {Error}
- * - Si la requête HTTP échoue
- * - Si l’API retourne { ok: false }
+ * @throws {ApiError}
+ * - Si la requête HTTP échoue (NetworkError, TimeoutError, HttpError)
+ * - Si l’API retourne { ok: false } (BusinessError)
  *
  * @example
  * await createOrder({
  *   userId: 3,
- *   total: 22140,
- *   lines: [
- *     { id: 1, qty: 2, price: 650 },
- *     { id: 2, qty: 1, price: 16500 }
- *   ]
+ *   pricing: computePricing(cartLines, { country: "FR" }),
  * });
  */
-export async function createOrder({ userId, lines, total }) {
+export async function createOrder({ userId, pricing, address = null, idempotencyKey, payment = null }) {
   /**
-   * Appel HTTP vers l’API de création de commande.
-   *
-   * - Méthode POST
-   * - credentials: "include" pour transmettre les cookies de session PHP
-   * - Content-Type JSON
+   * Appel HTTP vers l’API de création de commande (POST JSON).
+   * Les erreurs HTTP, `{ ok: false }` et les réponses non JSON sont levées par apiFetch.
+   * L’en-tête `Idempotency-Key` autorise apiFetch à rejouer le POST en cas d’échec réseau.
    */
-  const res = await fetch(`${BASE}/order.php`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    credentials: "include",
-    body: JSON.stringify({
-      /**
-       * Identifiant utilisateur (doit correspondre à users.id côté DB)
-       */
-      user_id: userId,
-
-      /**
-       * Normalisation des lignes de commande :
-       * - id : identifiant du produit (robuste selon la structure du panier)
-       * - qty : quantité (forcée en Number)
-       * - price : prix unitaire (forcé en Number)
-       */
-      lines: lines.map((l) => ({
-        id: l.id ?? l.product_id ?? l.name,
-        qty: Number(l.qty || 1),
-        price: Number(l.price || 0),
+  const data = await api.post("/order.php", {
+    /**
+     * Identifiant utilisateur (doit correspondre à users.id côté DB)
+     */
+    user_id: userId,
+
+    /**
+     * Pays de livraison (code ISO) : détermine les frais de port
+     */
+    country: pricing.country,
+
+    /**
+     * Mode de livraison (lib/pricing `SHIPPING_METHODS`) et adresse de livraison
+     */
+    shipping_method: pricing.shippingMethod,
+    address,
+
+    /**
+     * Sous-commandes : une par vendeur (lib/pricing `sellers`), chacune avec ses lignes, son colis
+     * et son total TTC, en euros. Le client paie une seule fois la somme (`total`).
+     * Lignes :
+     * - id, qty : produit et quantité
+     * - price : prix unitaire en euros, HT ou TTC selon `tax_included` (contrat order.php)
+     * - vat_rate, total_ht, tva, total_ttc : détail de TVA de la ligne, après remise
+     * - discount : remise TTC imputée à la ligne (code promo), base du CA net vendeur
+     */
+    sub_orders: pricing.sellers.map((g) => ({
+      seller_id: g.sellerId,
+      lines: g.lines.map((l) => ({
+        id: l.id ?? l.name,
+        qty: l.qty,
+        price: centsToEuros(l.unitCents),
+        vat_rate: l.vatRate,
+        tax_included: l.taxIncluded ? 1 : 0,
+        total_ht: centsToEuros(l.netCents),
+        tva: centsToEuros(l.taxCents),
+        total_ttc: centsToEuros(l.grossCents),
+        discount: centsToEuros(l.discountCents),
       })),
+      subtotal: centsToEuros(g.subtotalCents),
+      shipping: centsToEuros(g.shippingCents),
+      total: centsToEuros(g.totalCents),
+    })),
 
-      /**
-       * Total calculé côté front (validation finale côté back recommandée)
-       */
-      total,
-    }),
-  });
+    /**
+     * Code promo appliqué (null si aucun, ou si le panier ne remplit pas ses conditions) et
+     * remise totale TTC (articles + livraison offerte), en euros. Le back revérifie le code.
+     */
+    discount_code: pricing.discount?.applied ? pricing.discount.code : null,
+    discount: centsToEuros(pricing.discount?.applied ? pricing.discount.amountCents : 0),
 
-  /**
-   * Tentative de parsing JSON de la réponse.
-   * En cas de réponse vide ou invalide, on retourne un objet vide.
-   */
-  const data = await res.json().catch(() => ({}));
+    /**
+     * Livraison TTC et TVA totale, en euros
+     */
+    shipping: centsToEuros(pricing.shippingCents),
+    tva: centsToEuros(pricing.taxCents),
 
-  /**
-   * Gestion des erreurs :
-   * - HTTP non-OK
-   * - Réponse API explicite { ok: false }
-   */
-  if (!res.ok || data?.ok === false) {
-    throw new Error(data?.error || `HTTP ${res.status}`);
-  }
+    /**
+     * Total TTC calculé côté front, en euros (le back le recalcule et renvoie le sien)
+     */
+    total: centsToEuros(pricing.totalCents),
+
+    /**
+     * Référence du paiement autorisé (fournisseur + intention), null hors checkout carte
+     */
+    payment: payment ? { provider: payment.provider, intent_id: payment.intentId } : null,
+  }, {
+    headers: { "Idempotency-Key": idempotencyKey || createIdempotencyKey() },
+    schema: orderCreateSchema,
+  });
 
   /**
    * Réponse valide de l’API :
-   * - Contient généralement l’id de la commande créée
+   * - Contient généralement l’id de la commande créée et le total recalculé
    * - Peut contenir des métadonnées supplémentaires (selon implémentation PHP)
    */
-  return data;
-}
\ No newline at end of file
+  return data ?? {};
+}
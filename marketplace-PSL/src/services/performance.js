@@ -0,0 +1,45 @@
+/**
+ * @file src/services/performance.js
+ * @description
+ * Service front-end des indicateurs vendeur (API PHP `performance.php`).
+ *
+ * Utilisé par `Dashboard` et `Performances` (comptes Professionnels).
+ *
+ * Contrat API (attendu)
+ * - `GET /performance.php?user_id=...` → `{ ok: true, products, orders, lines, by_product, totals, product_ids }`
+ *
+ * Erreurs
+ * - Le contrat de réponse est décrit par `performanceSchema` (services/schemas) : un écart
+ *   (colonne renommée…) est signalé dès la réponse, sans attendre un graphe vide.
+ * - Les cas "réponse non JSON" (fatal PHP) et `{ ok:false }` sont levés par apiFetch
+ *   sous forme de `ParseError` / `BusinessError`.
+ */
+
+import { api } from "../lib/apiClient";
+import { performanceSchema } from "./schemas";
+
+/**
+ * Clés de cache (lib/queryCache) : Dashboard et Performances partagent la même entrée
+ * pour un vendeur donné, le payload n’est donc téléchargé qu’une fois.
+ */
+export const performanceKeys = {
+  all: ["performance"],
+  seller: (userId) => ["performance", userId],
+};
+
+/**
+ * Récupère le package performance d’un vendeur.
+ *
+ * @async
+ * @function fetchPerformance
+ *
+ * @param {number|string} userId - Identifiant du vendeur (users.id).
+ * @returns {Promise<Object>} Payload `performance.php` (produits, commandes, lignes, agrégats).
+ *
+ * @throws {ApiError} si l’appel échoue (réseau, HTTP, `ok:false`, réponse non JSON).
+ */
+export async function fetchPerformance(userId) {
+  if (!userId) throw new Error("fetchPerformance: userId requis");
+  // Endpoint performance : paramètre user_id utilisé pour filtrer les ventes du vendeur
+  return api.get("/performance.php", { params: { user_id: userId }, schema: performanceSchema });
+}
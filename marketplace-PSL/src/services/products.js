@@ -3,95 +3,176 @@
  *
  * Rôle
  * - Encapsule tous les appels HTTP vers l’API PHP `products.php`.
- * - Centralise la construction de l’URL (BASE) et la gestion des options `fetch`.
+ * - S’appuie sur `apiFetch` (lib/apiClient) : URL de base unique, token Bearer injecté,
+ *   timeout et modèle d’erreur unifié.
  *
  * Convention d’URL
  * - Liste / lecture :   GET    {BASE}/products.php?{queryString}
+ * - Page du catalogue : GET    {BASE}/products.php?q=&sort=&id_seller=&category=&in_stock=
+ *                              &price_min=&price_max=&min_rating=&limit=&offset=
+ * - Fiche produit :     GET    {BASE}/products.php?id={id}
  * - Création :          POST   {BASE}/products.php
  * - Mise à jour :       PUT    {BASE}/products.php?id={id}
  * - Suppression :       DELETE {BASE}/products.php?id={id}
  *
- * Auth / session
- * - `credentials: "include"` est activé pour transporter les cookies (session PHP) si utilisés.
- * - Si votre API utilise un token Bearer, ajoutez l’en-tête Authorization ici (ou via apiClient).
+ * Cache
+ * - `productKeys` définit les clés utilisées avec `useQuery` / `invalidateQueries`
+ *   (toute mutation produit invalide le préfixe `productKeys.all`).
  *
  * Erreurs
- * - Ce module lève une `Error("HTTP <status>")` si `res.ok === false`.
- * - Le parsing JSON est délégué au caller (retour de `res.json()`).
+ * - Les fonctions lèvent une `ApiError` (NetworkError, TimeoutError, HttpError,
+ *   BusinessError si `{ ok:false }`, ParseError si la réponse n’est pas du JSON).
  */
-// BASE : priorité à VITE_API_BASE_URL (ex: http://localhost/api). Fallback local si non défini.
-const BASE =
-  import.meta.env.VITE_API_BASE_URL?.replace(/\/+$/, "") ||
-  "http://localhost/api";
+import { api, HttpError } from "../lib/apiClient";
+import { fetchQuery } from "../lib/queryCache";
+import { applyCatalogQuery, catalogApiParams, catalogFacets, facetsFromApi, PAGE_SIZE } from "../lib/catalogQuery";
+import { fromApiList } from "../models/product";
+import { categoryKeys, listCategories } from "./categories";
+import { productListSchema, productPageSchema, productWriteSchema } from "./schemas";
+
+/**
+ * Clés de cache des requêtes produits (lib/queryCache).
+ * - all  : préfixe commun, à invalider après création / modification / suppression.
+ * - list : une liste pour un jeu de paramètres donné.
+ * - page : une page du catalogue (recherche, tri, filtres, numéro de page).
+ * - detail : la fiche d’un produit (page /produits/:id).
+ * - byIds : les produits d’une liste d’ids (panier), chacun servi par son entrée `detail`.
+ */
+export const productKeys = {
+  all: ["products"],
+  list: (params = {}) => ["products", "list", params],
+  page: (params = {}) => ["products", "page", params],
+  detail: (id) => ["products", "detail", String(id)],
+  byIds: (ids) => ["products", "ids", ids.map(String).sort().join(",")],
+};
 
 /**
  * listProducts(params?)
  *
  * @param {Record<string, string|number|boolean>} [params] - Paramètres optionnels (filtres / pagination).
- *   Ils sont sérialisés via URLSearchParams.
- * @returns {Promise<any>} JSON renvoyé par l’API (souvent { ok, items } ou un tableau selon backend).
- *
- * Notes
- * - L’API doit répondre en JSON. L’appel fixe `Accept: application/json`.
- * - `credentials: include` permet le transport des cookies (session).
+ *   Ils sont sérialisés en querystring par apiFetch (valeurs vides ignorées).
+ * @returns {Promise<import("../models/product").Product[]>} Produits normalisés (modèle canonique).
+ *   Le back peut renvoyer un tableau ou un wrapper `{ ok, items }` : `fromApiList` gère les deux.
  */
 export async function listProducts(params = {}) {
-  // Sérialisation robuste des filtres/pagination (ex: { q: "clavier", limit: 20 })
-  const qs = new URLSearchParams(params).toString();
-  const url = `${BASE}/products.php${qs ? `?${qs}` : ""}`;
-  // GET /products.php : liste/lecture
-  const res = await fetch(url, { headers: { Accept: "application/json" }, credentials: "include" });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
+  // GET /products.php : liste/lecture (ex: { q: "clavier", limit: 20 })
+  const data = await api.get("/products.php", { params, schema: productListSchema });
+  return fromApiList(data);
+}
+
+/**
+ * listProductPage(query)
+ *
+ * @param {import("../lib/catalogQuery").CatalogQuery} query - État du catalogue (URL de la page Shop).
+ * @returns {Promise<{
+ *   items: import("../models/product").Product[],
+ *   total: number,
+ *   facets: import("../lib/catalogQuery").CatalogFacets,
+ * }>} Produits de la page, nombre total de produits correspondant aux filtres (toutes pages) et facettes.
+ *
+ * Repli
+ * - Filtres, tri et pagination sont envoyés au back (`catalogApiParams`). Les `facets` de la réponse
+ *   signalent qu'il les a appliqués : la page est alors affichée telle quelle.
+ * - Sans `facets`, rien ne garantit que les filtres ont été appliqués (un back peut paginer sans
+ *   filtrer) : la liste complète (la réponse si elle est complète, sinon `listProducts()`, partagée
+ *   avec le cache) est filtrée, triée et découpée ici, avec les mêmes règles (lib/catalogQuery).
+ */
+export async function listProductPage(query) {
+  // GET /products.php?limit=...&offset=... : le back renvoie `{ ok, items, total, facets }`
+  const data = await api.get("/products.php", { params: catalogApiParams(query), schema: productPageSchema });
+  if (!Array.isArray(data) && data?.facets) {
+    const items = fromApiList(data);
+    const total = Number(data.total);
+    return { items, total: Number.isFinite(total) ? total : items.length, facets: facetsFromApi(data.facets) };
+  }
+
+  // Repli côté front : liste complète + taxonomie (filtre et facette catégorie). Une page sans
+  // facettes (`total` présent) n'est qu'un extrait : la liste complète est relue.
+  const all =
+    Array.isArray(data) || data?.total == null
+      ? fromApiList(data)
+      : await fetchQuery(productKeys.list(), () => listProducts());
+  const categories = await fetchQuery(categoryKeys.all, () => listCategories()).catch(() => []);
+  const filtered = applyCatalogQuery(all, query, categories);
+  const offset = (query.page - 1) * PAGE_SIZE;
+  return {
+    items: filtered.slice(offset, offset + PAGE_SIZE),
+    total: filtered.length,
+    facets: catalogFacets(all, query, categories),
+  };
+}
+
+/**
+ * getProduct(id)
+ *
+ * @param {string|number} id - Identifiant du produit (lien partagé /produits/:id).
+ * @returns {Promise<import("../models/product").Product>} Produit normalisé (modèle canonique).
+ *
+ * @throws {Error} si `id` est falsy, `HttpError` 404 si le produit n’existe pas (ou plus),
+ * ou `ApiError` si l’appel échoue.
+ */
+export async function getProduct(id) {
+  if (!id) throw new Error("getProduct: id requis");
+  // GET /products.php?id=... : même contrat que la liste, filtrée sur un produit
+  const data = await api.get("/products.php", { params: { id }, schema: productListSchema });
+  const product = fromApiList(data).find((p) => String(p.id) === String(id));
+  if (!product) throw new HttpError("Produit introuvable", { status: 404 });
+  return product;
+}
+
+/**
+ * getProductsByIds(ids, options?)
+ *
+ * Relit uniquement les produits demandés (panier), un `getProduct` par id, via le cache
+ * (`productKeys.detail`, partagé avec la fiche produit) : pas de téléchargement du catalogue.
+ *
+ * @param {Array<string|number>} ids
+ * @param {{ force?: boolean }} [options] - `force` : ignore le cache (vérification avant paiement).
+ * @returns {Promise<{ products: import("../models/product").Product[], missing: string[] }>}
+ *   `missing` : ids que le back déclare inexistants (404), c’est-à-dire produits supprimés.
+ *
+ * @throws {ApiError} au premier autre échec (réseau, 5xx…) : la disponibilité reste inconnue.
+ */
+export async function getProductsByIds(ids, { force = false } = {}) {
+  const unique = [...new Set(ids.map(String))];
+  const results = await Promise.all(
+    unique.map((id) =>
+      fetchQuery(productKeys.detail(id), () => getProduct(id), { force }).catch((e) => {
+        if (e instanceof HttpError && e.status === 404) return null;
+        throw e;
+      })
+    )
+  );
+  return {
+    products: results.filter(Boolean),
+    missing: unique.filter((_, i) => !results[i]),
+  };
 }
 
 /**
  * createProduct(payload)
  *
- * @param {object} payload - Corps JSON du produit à créer.
- *   Le schéma dépend de la table `products` côté MySQL (ex: name, description, price_cents, stock, id_seller, ...).
- * @returns {Promise<any>} JSON de réponse (ex: { ok: true, id } ou { ok:false, error }).
+ * @param {object} payload - Corps JSON du produit à créer, construit par `toApi()` (models/product).
+ * @returns {Promise<any>} JSON de réponse (ex: { ok: true, id }).
  */
 export async function createProduct(payload) {
-  const url = `${BASE}/products.php`;
   // POST /products.php : création
-  const res = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Accept: "application/json",
-    },
-    credentials: "include",
-    body: JSON.stringify(payload),
-  });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
+  return api.post("/products.php", payload, { schema: productWriteSchema });
 }
 
 /**
  * updateProduct(id, payload)
  *
  * @param {string|number} id - Identifiant du produit (doit correspondre à la PK côté DB/API).
- * @param {object} payload - Champs à mettre à jour (patch complet ou partiel selon backend).
+ * @param {object} payload - Champs à mettre à jour, construits par `toApi()` (models/product).
  * @returns {Promise<any>} JSON de réponse.
  *
- * @throws {Error} si `id` est falsy ou si la réponse HTTP n’est pas 2xx.
+ * @throws {Error} si `id` est falsy, ou `ApiError` si l’appel échoue.
  */
 export async function updateProduct(id, payload) {
   if (!id) throw new Error("updateProduct: id requis");
-  const url = `${BASE}/products.php?id=${encodeURIComponent(id)}`;
   // PUT /products.php?id=... : mise à jour
-  const res = await fetch(url, {
-    method: "PUT",
-    headers: {
-      "Content-Type": "application/json",
-      Accept: "application/json",
-    },
-    credentials: "include",
-    body: JSON.stringify(payload),
-  });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
+  return api.put("/products.php", payload, { params: { id }, schema: productWriteSchema });
 }
 
 /**
@@ -101,24 +182,12 @@ export async function updateProduct(id, payload) {
  * @returns {Promise<any>} JSON de réponse si présent, sinon `{ ok: true }`.
  *
  * Notes
- * - Certains backends renvoient un body vide en DELETE. Le try/catch gère ce cas.
+ * - Certains backends renvoient un body vide en DELETE : apiFetch renvoie alors `null`.
  */
 export async function deleteProduct(id) {
   if (!id) throw new Error("deleteProduct: id requis");
-  const url = `${BASE}/products.php?id=${encodeURIComponent(id)}`;
   // DELETE /products.php?id=... : suppression
-  const res = await fetch(url, {
-    method: "DELETE",
-    headers: {
-      Accept: "application/json",
-    },
-    credentials: "include",
-  });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const data = await api.del("/products.php", { params: { id }, schema: productWriteSchema });
   // on renvoie le JSON si dispo, sinon un simple objet
-  try {
-    return await res.json();
-  } catch {
-    return { ok: true };
-  }
-}
\ No newline at end of file
+  return data ?? { ok: true };
+}
@@ -0,0 +1,269 @@
+/**
+ * @file src/services/schemas.js
+ * @description
+ * Contrats de réponse des endpoints PHP (un schéma par endpoint), vérifiés par `apiFetch`
+ * via l’option `schema` (voir lib/schema et lib/apiContract).
+ *
+ * Règles
+ * - Ce fichier décrit ce que le front LIT réellement : si une page ajoute une lecture,
+ *   le champ doit être ajouté ici.
+ * - Les colonnes au nom variable (selon la requête SQL) sont décrites par des groupes `oneOf` :
+ *   au moins un alias doit être présent.
+ * - Les alias de colonnes produit restent dans `models/product` (`productRowSchema`).
+ */
+
+import { s } from "../lib/schema";
+import { productRowSchema } from "../models/product";
+
+// Réponse d’écriture générique `{ ok: true, ... }` (le back peut ne rien renvoyer de plus).
+const okSchema = s.object({ ok: s.optional(s.boolean()) });
+
+/** POST /login.php → `{ token, refresh_token?, user }` */
+export const loginSchema = s.object({
+  token: s.string(),
+  refresh_token: s.optional(s.nullable(s.string())),
+  user: s.object({
+    id: s.id(),
+    mail: s.optional(s.string()),
+    nom: s.optional(s.string()),
+    prenom: s.optional(s.nullable(s.string())),
+    raison_soc: s.string(),
+  }),
+});
+
+/** POST /register.php → `{ userId }` */
+export const registerSchema = s.object({ userId: s.id() });
+
+/** POST /refresh.php → `{ token, refresh_token? }` (rotation du refresh token si fourni) */
+export const refreshSchema = s.object({
+  token: s.string(),
+  refresh_token: s.optional(s.nullable(s.string())),
+});
+
+/** GET /products.php → tableau de lignes produit (ou wrapper `{ items | data }`) */
+export const productListSchema = s.union(
+  s.array(productRowSchema),
+  s.object({ items: s.array(productRowSchema) }),
+  s.object({ data: s.array(productRowSchema) })
+);
+
+// Nombre de produits par option de filtre (prix en euros).
+const facetCount = { count: s.numeric() };
+const productFacetsSchema = s.object({
+  sellers: s.array(s.object({ id: s.id(), name: s.optional(s.nullable(s.string())), ...facetCount })),
+  categories: s.array(s.object({ id: s.id(), ...facetCount })),
+  in_stock: s.numeric(),
+  price: s.nullable(s.object({ min: s.numeric(), max: s.numeric() })),
+  ratings: s.array(s.object({ min: s.numeric(), ...facetCount })),
+  tags: s.optional(s.array(s.object({ name: s.string(), ...facetCount }))),
+});
+
+/**
+ * GET /products.php?limit=…&offset=… → une page `{ items, total, facets? }`
+ * (total : tous les produits du filtre ; sans `facets`, le back n'applique pas les filtres), ou la
+ * liste complète si le back ne pagine pas.
+ */
+export const productPageSchema = s.union(
+  s.object({
+    ok: s.optional(s.boolean()),
+    items: s.array(productRowSchema),
+    total: s.numeric(),
+    facets: s.optional(productFacetsSchema),
+  }),
+  productListSchema
+);
+
+/** GET /categories.php → taxonomie à plat `[{ id, slug, name, parent_id }]` */
+export const categoryListSchema = s.array(
+  s.object({
+    id: s.id(),
+    slug: s.string(),
+    name: s.string(),
+    parent_id: s.nullable(s.id()),
+  })
+);
+
+/** POST / PUT / DELETE /products.php (corps vide toléré sur DELETE) */
+export const productWriteSchema = s.nullable(okSchema);
+
+/** POST /order.php → `{ ok, order_id? }` */
+export const orderCreateSchema = s.object({
+  ok: s.optional(s.boolean()),
+  order_id: s.optional(s.id()),
+  // Total TTC recalculé par le back (euros), comparé au détail du front (lib/pricing).
+  total: s.optional(s.numeric()),
+});
+
+// Une ligne de commande figée à la vente (montants en euros).
+const orderLineSchema = s.object({
+  product_id: s.nullable(s.id()),
+  name: s.optional(s.nullable(s.string())),
+  seller_id: s.optional(s.nullable(s.id())),
+  quantite: s.numeric(),
+  prix: s.numeric(),
+  vat_rate: s.optional(s.numeric()),
+  remise: s.optional(s.numeric()),
+  total_ht: s.numeric(),
+  tva: s.numeric(),
+  total_ttc: s.numeric(),
+});
+
+// Un colis expédié par un vendeur (models/shipment).
+const shipmentSchema = s.object({
+  id: s.id(),
+  seller_id: s.id(),
+  date: s.string(),
+  transporteur: s.string(),
+  numero_suivi: s.string(),
+  lignes: s.array(s.object({ product_id: s.id(), quantite: s.numeric() })),
+});
+
+/**
+ * GET /order.php?id=… → `{ order }` (lignes, livraison, sous-commandes, colis, factures par vendeur ;
+ *   vu par un vendeur : sa sous-commande seulement)
+ * PUT /order.php?id=… et POST /shipment.php?order_id=… → même format (commande à jour)
+ */
+export const orderDetailSchema = s.object({
+  order: s.object({
+    Id_commande: s.id(),
+    date: s.string(),
+    statut: s.optional(s.string()),
+    total: s.numeric(),
+    frais_port: s.optional(s.numeric()),
+    remise: s.optional(s.nullable(s.numeric())),
+    code_promo: s.optional(s.nullable(s.string())),
+    mode_livraison: s.optional(s.nullable(s.string())),
+    historique: s.optional(s.array(s.object({ statut: s.string(), date: s.string() }))),
+    motif_retour: s.optional(s.nullable(s.string())),
+    rembourse: s.optional(s.nullable(s.numeric())),
+    lines: s.array(orderLineSchema),
+    sous_commandes: s.optional(
+      s.array(
+        s.object({
+          seller_id: s.id(),
+          vendeur: s.optional(s.nullable(s.string())),
+          statut: s.string(),
+          historique: s.optional(s.array(s.object({ statut: s.string(), date: s.string() }))),
+          motif_retour: s.optional(s.nullable(s.string())),
+          sous_total: s.optional(s.numeric()),
+          frais_port: s.numeric(),
+          total: s.numeric(),
+          rembourse: s.optional(s.nullable(s.numeric())),
+        })
+      )
+    ),
+    expeditions: s.optional(s.array(shipmentSchema)),
+    factures: s.optional(
+      s.array(
+        s.object({
+          numero: s.string(),
+          seller_id: s.id(),
+          date: s.string(),
+          frais_port: s.optional(s.numeric()),
+          vendeur: s.optional(
+            s.nullable(
+              s.object({
+                nom: s.optional(s.string()),
+                siret: s.optional(s.nullable(s.string())),
+                tva_intra: s.optional(s.nullable(s.string())),
+              })
+            )
+          ),
+        })
+      )
+    ),
+  }),
+});
+
+/**
+ * GET /order.php?user_id=… → `{ orders }` (historique du client, récentes d’abord)
+ * GET /order.php?seller_id=… → même format, part du vendeur (`total`, `nb_articles`, `expeditions`)
+ *   + client et suivi
+ */
+export const orderListSchema = s.object({
+  orders: s.array(
+    s.object({
+      Id_commande: s.id(),
+      date: s.string(),
+      statut: s.optional(s.string()),
+      total: s.numeric(),
+      nb_articles: s.optional(s.numeric()),
+      client: s.optional(s.nullable(s.string())),
+      motif_retour: s.optional(s.nullable(s.string())),
+      expeditions: s.optional(s.array(shipmentSchema)),
+    })
+  ),
+});
+
+/** GET /cart.php?user_id=… → `{ items: [{ product_id, qty }] }` */
+export const cartSchema = s.object({
+  items: s.array(s.object({ product_id: s.id(), qty: s.numeric() })),
+  updated_at: s.optional(s.nullable(s.string())),
+});
+
+/** PUT /cart.php */
+export const cartWriteSchema = okSchema;
+
+/** GET /discount.php?code=…&user_id=… (montants en euros) */
+export const discountSchema = s.object({
+  discount: s.object({
+    code: s.string(),
+    type: s.string(),
+    value: s.optional(s.numeric()),
+    min_basket: s.optional(s.nullable(s.numeric())),
+    seller_id: s.optional(s.nullable(s.id())),
+    starts_at: s.optional(s.nullable(s.string())),
+    ends_at: s.optional(s.nullable(s.string())),
+  }),
+});
+
+// Une commande agrégée (table `commande`) : date et total arrivent sous plusieurs noms.
+const performanceOrderSchema = s.object(
+  { Id_commande: s.optional(s.id()) },
+  {
+    oneOf: [
+      ["date", "commande_date", "date_commande", "Date_commande", "Date", "created_at"],
+      ["total", "commande_total", "Total", "amount"],
+    ],
+  }
+);
+
+// Une ligne vendue (compose_commande ⨝ commande).
+const performanceLineSchema = s.object(
+  {},
+  {
+    oneOf: [
+      ["commande_date", "date_commande", "date", "Date", "created_at"],
+      ["commande_total", "price", "prix", "total", "Total"],
+    ],
+  }
+);
+
+/** GET /performance.php?user_id=… */
+export const performanceSchema = s.object({
+  products: s.array(productRowSchema),
+  orders: s.optional(s.array(performanceOrderSchema)),
+  lines: s.optional(s.array(performanceLineSchema)),
+  by_product: s.array(
+    s.object({
+      id_product: s.id(),
+      name: s.optional(s.nullable(s.string())),
+      revenue: s.numeric(),
+      qty_sold: s.numeric(),
+      orders_count: s.optional(s.numeric()),
+      // Remises (codes promo), remboursements (annulations, retours) et CA net HT qui en découle.
+      discount: s.optional(s.numeric()),
+      refunds: s.optional(s.numeric()),
+      net_revenue: s.optional(s.numeric()),
+    })
+  ),
+  totals: s.object({
+    orders_count: s.numeric(),
+    items_sold: s.numeric(),
+    revenue: s.numeric(),
+    discounts: s.optional(s.numeric()),
+    refunds: s.optional(s.numeric()),
+    net_revenue: s.optional(s.numeric()),
+  }),
+  product_ids: s.optional(s.array(s.id())),
+});